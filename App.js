@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import {
   StyleSheet,
@@ -10,18 +10,22 @@ import {
   StatusBar,
   Modal,
   Platform,
+  Alert,
 } from 'react-native';
 import { SafeAreaProvider, SafeAreaView } from 'react-native-safe-area-context';
-import { TelemetryDisplay, StatusIndicator, AudioPlayerControls, NextCheckpointDisplay, FlightProgressBar, CheckpointList, WindowSideAdvisor, SunTrackerDisplay, BorderCrossingAlert, ErrorBanner, ErrorBoundary, NarrationSkeleton, CheckpointListSkeleton, FlightSearch, RoutePreview, FlightMap, SettingsModal, FlightHistoryModal, OnboardingWalkthrough } from './components';
-import { useLocationTracking, useSettingsSync, useTheme } from './hooks';
-import { narrationService } from './services';
+import { TelemetryDisplay, StatusIndicator, AudioPlayerControls, NextCheckpointDisplay, FlightProgressBar, CheckpointList, WindowSideAdvisor, SunTrackerDisplay, BorderCrossingAlert, ErrorBanner, ErrorBoundary, NarrationSkeleton, CheckpointListSkeleton, FlightSearch, RoutePreview, FlightMap, SettingsModal, FlightHistoryModal, OnboardingWalkthrough, ResumeDownloadBanner, PackReadinessBadge } from './components';
+import { useLocationTracking, useSettingsSync, useStorageBudget, useTheme } from './hooks';
+import { narrationService, downloadJobService, storageService } from './services';
 import { isApiKeyConfigured } from './config';
+import { isAbortError, isBudgetError, getNarrationText, parseTripInput, createTrip, getLayovers, formatLayover, buildTripView, isLegComplete } from './utils';
 import { SettingsProvider, useSettings, FlightHistoryProvider, useFlightHistory } from './contexts';
 
 function AppContent() {
   const [narration, setNarration] = useState(
     "Enter your flight number and press 'Download Flight Pack' before takeoff, or press 'Scan Horizon' to identify your current location."
   );
+  // Scan Horizon text that came from the live narration cache
+  const [cachedNarration, setCachedNarration] = useState(null);
   const [flightNumber, setFlightNumber] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [flightPackReady, setFlightPackReady] = useState(false);
@@ -37,25 +41,43 @@ function AppContent() {
   const [searchVisible, setSearchVisible] = useState(false);
   const [recentSearches, setRecentSearches] = useState([]);
   const [previewVisible, setPreviewVisible] = useState(false);
+  const [pendingDownload, setPendingDownload] = useState(null);
+  const [downloadStatus, setDownloadStatus] = useState(null);
+  const [packReadiness, setPackReadiness] = useState(null);
+  const [readinessStatus, setReadinessStatus] = useState(null);
+  const [isCheckingPack, setIsCheckingPack] = useState(false);
+  // Multi-leg trip being flown ({ trip, packs, legIndex }), null for a single flight
+  const [activeTrip, setActiveTrip] = useState(null);
+  const downloadControllerRef = useRef(null);
 
   // Sync settings to services
   useSettingsSync();
 
+  // Keep caches within the storage budget
+  useStorageBudget();
+
   // Get theme colors
   const { colors, isDark } = useTheme();
 
   // Flight history
-  const { addFlightToHistory } = useFlightHistory();
+  const { addFlightToHistory, addTrip } = useFlightHistory();
 
   // Get geofence radius from settings
   const { settings } = useSettings();
 
+  // Look for a download interrupted by an app restart
+  useEffect(() => {
+    narrationService.getPendingDownloads().then(jobs => {
+      setPendingDownload(jobs[0] || null);
+    });
+  }, []);
+
   // Handle checkpoint triggers from geofenced locations
   const handleCheckpointEntered = useCallback(async (checkpoint) => {
-    setNarration(checkpoint.narration || `Approaching: ${checkpoint.name}`);
+    setNarration(getNarrationText(checkpoint.narration) || `Approaching: ${checkpoint.name}`);
 
-    // Play audio if available and enabled
-    if (audioEnabled && checkpoint.audioPath) {
+    // Pack audio if present, otherwise the speech provider chain
+    if (audioEnabled) {
       await narrationService.playCheckpointAudio(checkpoint);
     }
   }, [audioEnabled]);
@@ -65,17 +87,66 @@ function AppContent() {
     isTracking,
     error,
     triggeredCheckpoints,
+    missedCheckpoints,
     getCurrentPosition,
     startTracking,
     stopTracking,
     resetTriggeredCheckpoints,
+    markCheckpointTriggered,
     clearError,
   } = useLocationTracking({
     distanceInterval: settings.gps.distanceInterval,
     onCheckpointEntered: handleCheckpointEntered,
     checkpoints,
+    route: flightRoute,
+    triggerMode: settings.narration.triggerMode,
+    maxCrossTrack: settings.narration.maxCrossTrack,
   });
 
+  // Point tracking and the single-flight views at one leg's pack
+  const showPack = (pack) => {
+    setCheckpoints(pack?.checkpoints || []);
+    setFlightRoute(pack?.route || []);
+    setFlightOrigin(pack?.origin || null);
+    setFlightDestination(pack?.destination || null);
+    resetTriggeredCheckpoints();
+  };
+
+  // Switch to the next leg once the current leg's arrival checkpoint fires.
+  // Runs after the geofence pass so the old leg's ids can't leak into the
+  // next leg's triggered set.
+  useEffect(() => {
+    if (!activeTrip || activeTrip.legIndex >= activeTrip.packs.length - 1) return;
+    if (!isLegComplete(activeTrip.packs[activeTrip.legIndex], triggeredCheckpoints)) return;
+
+    const nextPack = narrationService.advanceTripLeg();
+    if (!nextPack) return;
+    showPack(nextPack);
+    setActiveTrip({ ...narrationService.getCurrentTrip() });
+    storageService.recordPackUse(nextPack.id).catch(() => {});
+    checkPackReadiness(nextPack.id);
+  }, [activeTrip, triggeredCheckpoints]);
+
+  // Whole-trip route and checkpoints for the map, progress bar and list
+  const tripView = useMemo(() => (
+    activeTrip ? buildTripView(activeTrip.packs, activeTrip.legIndex, triggeredCheckpoints, missedCheckpoints) : null
+  ), [activeTrip, triggeredCheckpoints, missedCheckpoints]);
+
+  const tripLegs = useMemo(() => {
+    if (!activeTrip) return null;
+    const layovers = getLayovers(activeTrip.packs);
+    return activeTrip.packs.map((pack, index) => {
+      const layover = layovers[index];
+      const duration = formatLayover(layover?.minutes);
+      return {
+        title: `Leg ${index + 1} • ${pack.flightNumber} ${pack.origin?.code || ''} → ${pack.destination?.code || ''}`,
+        detail: layover
+          ? `Then layover at ${layover.airport?.code || layover.airport?.name || 'connection'}${duration ? ` (${duration})` : ''}`
+          : null,
+      };
+    });
+  }, [activeTrip]);
+
   const scanHorizon = async () => {
     setNarration("Scanning horizon...");
     setIsLoading(true);
@@ -90,33 +161,54 @@ function AppContent() {
 
     const { latitude, longitude, altitude } = loc.coords;
 
-    // Use Claude API if configured, otherwise fall back to mock
-    const narrationText = await narrationService.generateLiveNarration(
+    // Cached for this area, else Claude if configured and reachable, else
+    // composed offline from the loaded pack and the landmark gazetteer
+    const { text: narrationText, cached } = await narrationService.generateLiveNarration(
       latitude,
       longitude,
       altitude
     );
 
     setNarration(narrationText);
+    setCachedNarration(cached ? narrationText : null);
 
-    // Generate and play audio if ElevenLabs is configured
-    if (audioEnabled && narrationService.hasAudioSupport()) {
-      setNarration(narrationText + "\n\nGenerating audio...");
+    // Speak through the first available speech provider
+    if (audioEnabled && narrationService.hasSpeechSupport()) {
+      const generating = narrationText + "\n\nGenerating audio...";
+      setNarration(generating);
       await narrationService.playCurrentNarration(narrationText);
+      // Unless something else has replaced it meanwhile
+      setNarration(current => (current === generating ? narrationText : current));
     }
 
     setIsLoading(false);
   };
 
-  const downloadFlightPack = async () => {
-    if (!flightNumber.trim()) {
+  // options.approveBudget lets the download go over a spend cap
+  const downloadFlightPack = async (requestedFlightNumber, options = {}) => {
+    // Called from onPress handlers (event argument) or with an explicit flight number
+    const targetFlightNumber = typeof requestedFlightNumber === 'string'
+      ? requestedFlightNumber
+      : flightNumber;
+
+    if (!targetFlightNumber.trim()) {
       setNarration("Please enter a flight number first (e.g., BA115, UA100)");
       return;
     }
 
-    const flightId = flightNumber.toUpperCase();
+    // Several flight numbers ("UA901, EK30") make a multi-leg trip
+    const legs = parseTripInput(targetFlightNumber);
+    if (legs.length > 1) {
+      return downloadTrip(legs);
+    }
+
+    const flightId = targetFlightNumber.toUpperCase();
+    const controller = new AbortController();
+    downloadControllerRef.current = controller;
     setIsLoading(true);
     setDownloadProgress(null);
+    setDownloadStatus('Preparing...');
+    setPackReadiness(null);
     setNarration(`Preparing flight pack for ${flightId}...`);
 
     try {
@@ -140,8 +232,9 @@ function AppContent() {
         // Download new pack with progress updates
         pack = await narrationService.downloadFlightPack(flightId, (status) => {
           console.log('[Download] Progress:', status);
+          setDownloadStatus(status);
           setNarration(`${flightId}: ${status}`);
-        });
+        }, { signal: controller.signal, approveBudget: options.approveBudget });
       }
 
       console.log('[Download] Step 3: Pack received, checkpoints:', pack?.checkpoints?.length || 0);
@@ -154,27 +247,31 @@ function AppContent() {
         try {
           pack = await narrationService.generateFlightPackAudio(pack, (completed, total) => {
             setDownloadProgress({ completed, total });
+            setDownloadStatus(`Generating voice ${completed}/${total}...`);
             setNarration(
               `Generating voice narrations...\n\nProgress: ${completed}/${total} checkpoints`
             );
-          });
+          }, { signal: controller.signal });
         } catch (audioError) {
+          if (isAbortError(audioError)) throw audioError;
           console.warn('[Download] Audio generation failed:', audioError?.message);
           // Continue without audio
         }
       }
 
       console.log('[Download] Step 5: Setting flight pack');
+      narrationService.clearCurrentTrip();
+      setActiveTrip(null);
       narrationService.setCurrentFlightPack(pack);
+      storageService.recordPackUse(pack.id)
+        .then(() => storageService.enforceBudget())
+        .catch((storageError) => console.warn('[Download] Storage budget check failed:', storageError?.message));
 
       console.log('[Download] Step 6: Updating state');
-      setCheckpoints(pack?.checkpoints || []);
-      setFlightRoute(pack?.route || []);
-      setFlightOrigin(pack?.origin || null);
-      setFlightDestination(pack?.destination || null);
-      resetTriggeredCheckpoints(); // Clear any previously triggered checkpoints
+      showPack(pack); // Also clears any previously triggered checkpoints
       setFlightPackReady(true);
       setDownloadProgress(null);
+      checkPackReadiness(pack?.id);
 
       console.log('[Download] Step 7: Building summary');
       // Build flight info summary
@@ -214,6 +311,10 @@ function AppContent() {
 
       const cacheText = fromCache ? ' (cached)' : '';
 
+      if (pendingDownload?.packId === flightId.replace(/\s/g, '')) {
+        setPendingDownload(null);
+      }
+
       console.log('[Download] Step 8: Complete!');
       setNarration(
         `Flight pack ready!${cacheText}\n\n` +
@@ -224,15 +325,222 @@ function AppContent() {
         `You can now enable Airplane Mode. GPS tracking will trigger narrations as you fly.`
       );
     } catch (err) {
-      console.error('[Download] CRASH:', err);
-      console.error('[Download] Stack:', err?.stack);
-      setNarration(`Failed to download flight pack: ${err?.message || 'Unknown error'}\n\nCheck console for details.`);
+      if (isAbortError(err)) {
+        if (pendingDownload?.packId === flightId.replace(/\s/g, '')) {
+          setPendingDownload(null);
+        }
+        setNarration(`Download of ${flightId} cancelled.`);
+      } else if (isBudgetError(err)) {
+        // The job is kept, so continuing picks up where it paused
+        setNarration(`Download of ${flightId} paused.\n\n${err.message}`);
+        narrationService.getPendingDownloads().then(jobs => {
+          setPendingDownload(jobs.find(job => job.packId === flightId.replace(/\s/g, '')) || null);
+        });
+        confirmOverBudget(err.message).then((approved) => {
+          if (approved) downloadFlightPack(flightId, { approveBudget: true });
+        });
+      } else {
+        console.error('[Download] CRASH:', err);
+        console.error('[Download] Stack:', err?.stack);
+        setNarration(`Failed to download flight pack: ${err?.message || 'Unknown error'}\n\nCheck console for details.`);
+      }
       setDownloadProgress(null);
     } finally {
+      if (downloadControllerRef.current === controller) {
+        downloadControllerRef.current = null;
+      }
+      setDownloadStatus(null);
       setIsLoading(false);
     }
   };
 
+  const confirmOverBudget = (message) => new Promise((resolve) => {
+    const question = `${message} Continue this download anyway?`;
+    if (Platform.OS === 'web') {
+      resolve(confirm(question));
+    } else {
+      Alert.alert('Spend Cap Reached', question, [
+        { text: 'Not Now', style: 'cancel', onPress: () => resolve(false) },
+        { text: 'Continue', onPress: () => resolve(true) },
+      ]);
+    }
+  });
+
+  const downloadTrip = async (flightNumbers) => {
+    const trip = createTrip(flightNumbers);
+    const controller = new AbortController();
+    downloadControllerRef.current = controller;
+    setIsLoading(true);
+    setDownloadProgress(null);
+    setDownloadStatus('Preparing...');
+    setPackReadiness(null);
+    setNarration(`Preparing trip ${trip.name}...`);
+
+    try {
+      const packs = await narrationService.prepareTrip(trip, (status) => {
+        setDownloadStatus(status);
+        setNarration(`${trip.name}\n\n${status}`);
+      }, { signal: controller.signal });
+
+      narrationService.setCurrentTrip(trip, packs);
+      setActiveTrip({ ...narrationService.getCurrentTrip() });
+      showPack(packs[0]);
+      setFlightPackReady(true);
+      checkPackReadiness(packs[0].id);
+
+      Promise.all(packs.map(pack => storageService.recordPackUse(pack.id)))
+        .then(() => storageService.enforceBudget())
+        .catch((storageError) => console.warn('[Trip] Storage budget check failed:', storageError?.message));
+
+      // Each leg is a regular history entry too, so it can be favourited and protected
+      for (const pack of packs) {
+        addFlightToHistory({
+          flightNumber: pack.flightNumber,
+          airline: pack.airline || null,
+          origin: pack.origin || null,
+          destination: pack.destination || null,
+          checkpointCount: pack.checkpoints?.length || 0,
+          hasAudio: pack.checkpoints?.some(c => c.audioPath) || false,
+        });
+      }
+
+      const layovers = getLayovers(packs);
+      addTrip({
+        ...trip,
+        airports: [packs[0].origin?.code, ...packs.map(pack => pack.destination?.code)].filter(Boolean),
+        layovers: layovers.map(layover => ({
+          airportCode: layover.airport?.code || null,
+          minutes: layover.minutes,
+        })),
+      });
+
+      const layoverText = layovers.map(layover => {
+        const duration = formatLayover(layover.minutes);
+        const warning = layover.airportMismatch ? ' ⚠ next leg departs elsewhere' : '';
+        return `Layover at ${layover.airport?.name || layover.airport?.code || 'connection'}${duration ? ` (${duration})` : ''}${warning}`;
+      }).join('\n');
+      const checkpointCount = packs.reduce((total, pack) => total + (pack.checkpoints?.length || 0), 0);
+
+      setNarration(
+        `Trip ready!\n\n` +
+        `${packs.map(pack => `${pack.flightNumber}: ${pack.origin?.code || '?'} → ${pack.destination?.code || '?'}`).join('\n')}\n` +
+        `${layoverText ? layoverText + '\n' : ''}` +
+        `${checkpointCount} checkpoints across ${packs.length} legs\n\n` +
+        `Tracking starts on ${packs[0].flightNumber} and switches to the next leg after each arrival.`
+      );
+    } catch (err) {
+      if (isAbortError(err)) {
+        setNarration(`Download of trip ${trip.name} cancelled.`);
+      } else {
+        console.error('[Trip] Download failed:', err);
+        setNarration(`Failed to download trip: ${err?.message || 'Unknown error'}`);
+      }
+      setDownloadProgress(null);
+    } finally {
+      if (downloadControllerRef.current === controller) {
+        downloadControllerRef.current = null;
+      }
+      setDownloadStatus(null);
+      setIsLoading(false);
+    }
+  };
+
+  // Confirm every file the pack references is still on the device
+  const checkPackReadiness = async (packId) => {
+    if (!packId) return;
+    setIsCheckingPack(true);
+    setReadinessStatus(null);
+    try {
+      setPackReadiness(await narrationService.verifyFlightPack(packId));
+    } catch (err) {
+      console.warn('[Readiness] Verification failed:', err?.message);
+    } finally {
+      setIsCheckingPack(false);
+    }
+  };
+
+  const repairPack = async () => {
+    if (!packReadiness) return;
+    setIsCheckingPack(true);
+    setReadinessStatus('Repairing...');
+    try {
+      const report = await narrationService.repairFlightPack(packReadiness.packId, setReadinessStatus);
+      setPackReadiness(report);
+      // Repair updates the cached pack in place; refresh the list with it
+      const pack = await narrationService.loadFlightPack(packReadiness.packId);
+      if (pack) {
+        narrationService.setCurrentFlightPack(pack);
+        setCheckpoints([...pack.checkpoints]);
+      }
+    } catch (err) {
+      console.error('[Readiness] Repair failed:', err);
+      setNarration(`Failed to repair flight pack: ${err?.message || 'Unknown error'}`);
+    } finally {
+      setReadinessStatus(null);
+      setIsCheckingPack(false);
+    }
+  };
+
+  // Per-checkpoint edits update the cached pack in place; re-render the list
+  // and re-check readiness since text changes discard the checkpoint's audio
+  const afterCheckpointEdit = () => {
+    setCheckpoints([...narrationService.getCurrentCheckpoints()]);
+    if (narrationService.getCurrentTrip()) {
+      setActiveTrip({ ...narrationService.getCurrentTrip() });
+    }
+    if (packReadiness) {
+      checkPackReadiness(packReadiness.packId);
+    }
+  };
+
+  // Trip-wide list entries carry their own pack and in-pack checkpoint id
+  const checkpointRef = (checkpoint) => ({
+    packId: checkpoint.packId || narrationService.getCurrentFlightInfo()?.flightNumber,
+    checkpointId: checkpoint.checkpointId || checkpoint.id,
+  });
+
+  const regenerateCheckpointNarration = async (checkpoint, style) => {
+    const { packId, checkpointId } = checkpointRef(checkpoint);
+    await narrationService.regenerateCheckpointNarration(packId, checkpointId, style);
+    afterCheckpointEdit();
+  };
+
+  const saveCheckpointNarration = async (checkpoint, changes) => {
+    const { packId, checkpointId } = checkpointRef(checkpoint);
+    await narrationService.updateCheckpointNarration(packId, checkpointId, changes);
+    afterCheckpointEdit();
+  };
+
+  // A checkpoint passed too far off the route, played on request
+  const playMissedCheckpoint = (checkpoint) => {
+    markCheckpointTriggered(checkpointRef(checkpoint).checkpointId);
+    handleCheckpointEntered(checkpoint);
+  };
+
+  const regenerateCheckpointAudio = async (checkpoint) => {
+    const { packId, checkpointId } = checkpointRef(checkpoint);
+    await narrationService.regenerateCheckpointAudio(packId, checkpointId);
+    afterCheckpointEdit();
+  };
+
+  const cancelDownload = () => {
+    if (!downloadControllerRef.current) return;
+    setDownloadStatus('Cancelling...');
+    downloadControllerRef.current.abort();
+  };
+
+  const resumePendingDownload = () => {
+    if (!pendingDownload) return;
+    setFlightNumber(pendingDownload.flightNumber);
+    downloadFlightPack(pendingDownload.flightNumber);
+  };
+
+  const discardPendingDownload = async () => {
+    if (!pendingDownload) return;
+    await narrationService.discardPendingDownload(pendingDownload.flightNumber);
+    setPendingDownload(null);
+  };
+
   const toggleTracking = async () => {
     if (isTracking) {
       stopTracking();
@@ -261,6 +569,9 @@ function AppContent() {
     downloadBtnText: { ...styles.downloadBtnText, color: colors.primaryDark },
     narrationContainer: { ...styles.narrationContainer, backgroundColor: colors.backgroundSecondary },
     narrationText: { ...styles.narrationText, color: colors.text },
+    downloadStatusText: { ...styles.downloadStatusText, color: colors.textSecondary },
+    cancelDownloadBtn: { ...styles.cancelDownloadBtn, borderColor: colors.primary },
+    cancelDownloadText: { ...styles.cancelDownloadText, color: colors.primary },
     button: { ...styles.button, backgroundColor: colors.primary },
     buttonText: { ...styles.buttonText, color: colors.primaryDark },
     buttonSecondary: { ...styles.buttonSecondary, backgroundColor: 'transparent', borderColor: colors.primary },
@@ -317,6 +628,17 @@ function AppContent() {
           />
         )}
 
+        {/* Interrupted Download */}
+        {pendingDownload && !isLoading && (
+          <ResumeDownloadBanner
+            job={pendingDownload}
+            detail={downloadJobService.describeJob(pendingDownload)}
+            onResume={resumePendingDownload}
+            onDiscard={discardPendingDownload}
+            style={styles.resumeBanner}
+          />
+        )}
+
         {/* Sun Tracker */}
         {location && (
           <SunTrackerDisplay
@@ -348,7 +670,7 @@ function AppContent() {
           <View style={styles.inputContainer} accessibilityRole="search">
             <TextInput
               style={themedStyles.input}
-              placeholder="Enter Flight Number (e.g., BA284)"
+              placeholder="Flight number (e.g., BA284 or BA284, EK30)"
               placeholderTextColor={colors.textMuted}
               value={flightNumber}
               onChangeText={(text) => {
@@ -357,7 +679,7 @@ function AppContent() {
               }}
               autoCapitalize="characters"
               accessibilityLabel="Flight number"
-              accessibilityHint="Enter your flight number to download narration pack"
+              accessibilityHint="Enter your flight number to download narration pack. Separate several flight numbers with commas for a multi-leg trip"
             />
             <TouchableOpacity
               style={themedStyles.browseBtn}
@@ -393,14 +715,26 @@ function AppContent() {
 
         </View>
 
+        {/* Offline Readiness */}
+        {flightPackReady && (
+          <PackReadinessBadge
+            report={packReadiness}
+            isChecking={isCheckingPack}
+            status={readinessStatus}
+            onRepair={repairPack}
+            onRecheck={() => checkPackReadiness(packReadiness?.packId)}
+            style={styles.readinessBadge}
+          />
+        )}
+
         {/* Map View - wrapped in try/catch via error boundary */}
         {flightPackReady && (
           <ErrorBoundary>
             <FlightMap
-              route={flightRoute}
-              checkpoints={checkpoints}
+              route={tripView?.route || flightRoute}
+              checkpoints={tripView?.checkpoints || checkpoints}
               location={location}
-              triggeredCheckpoints={triggeredCheckpoints}
+              triggeredCheckpoints={tripView?.triggered || triggeredCheckpoints}
               isExpanded={mapExpanded}
               onToggleExpand={() => setMapExpanded(!mapExpanded)}
             />
@@ -411,9 +745,11 @@ function AppContent() {
         {flightPackReady && flightRoute.length > 0 && (
           <FlightProgressBar
             location={location}
-            route={flightRoute}
-            origin={flightOrigin}
-            destination={flightDestination}
+            route={tripView?.route || flightRoute}
+            origin={tripView?.origin || flightOrigin}
+            destination={tripView?.destination || flightDestination}
+            stops={tripView?.stops}
+            legLabel={activeTrip ? `Leg ${activeTrip.legIndex + 1} of ${activeTrip.packs.length}` : undefined}
             style={styles.progressBar}
           />
         )}
@@ -421,9 +757,15 @@ function AppContent() {
         {/* Checkpoint List */}
         {flightPackReady && checkpoints.length > 0 ? (
           <CheckpointList
-            checkpoints={checkpoints}
-            triggeredCheckpoints={triggeredCheckpoints}
+            checkpoints={tripView?.checkpoints || checkpoints}
+            triggeredCheckpoints={tripView?.triggered || triggeredCheckpoints}
+            missedCheckpoints={tripView?.missed || missedCheckpoints}
+            onPlayMissed={playMissedCheckpoint}
+            legs={tripLegs}
             location={location}
+            onRegenerateNarration={narrationService.hasNarrationSupport() ? regenerateCheckpointNarration : undefined}
+            onSaveNarration={saveCheckpointNarration}
+            onRegenerateAudio={narrationService.hasAudioSupport() ? regenerateCheckpointAudio : undefined}
             style={styles.checkpointList}
           />
         ) : isLoading && flightNumber.trim() ? (
@@ -449,11 +791,36 @@ function AppContent() {
           accessibilityLiveRegion="polite"
         >
           {isLoading ? (
-            <NarrationSkeleton />
+            <>
+              <NarrationSkeleton />
+              {downloadStatus && (
+                <View style={styles.downloadStatusRow}>
+                  <Text style={themedStyles.downloadStatusText} numberOfLines={1}>
+                    {downloadStatus}
+                  </Text>
+                  <TouchableOpacity
+                    style={themedStyles.cancelDownloadBtn}
+                    onPress={cancelDownload}
+                    accessibilityLabel="Cancel download"
+                    accessibilityHint="Stops the download and removes partially downloaded files"
+                    accessibilityRole="button"
+                  >
+                    <Text style={themedStyles.cancelDownloadText}>Cancel</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+            </>
           ) : (
-            <Text style={themedStyles.narrationText} accessibilityRole="text">
-              {narration}
-            </Text>
+            <>
+              {cachedNarration !== null && narration === cachedNarration && (
+                <Text style={styles.cachedLabel} accessibilityLabel="Cached narration">
+                  CACHED
+                </Text>
+              )}
+              <Text style={themedStyles.narrationText} accessibilityRole="text">
+                {narration}
+              </Text>
+            </>
           )}
         </View>
 
@@ -519,6 +886,11 @@ function AppContent() {
       <FlightHistoryModal
         visible={historyVisible}
         onClose={() => setHistoryVisible(false)}
+        onSelectTrip={(trip) => {
+          const flightNumbers = trip.legs.map(leg => leg.flightNumber);
+          setFlightNumber(flightNumbers.join(', '));
+          downloadTrip(flightNumbers);
+        }}
         onSelectFlight={(flight) => {
           setFlightNumber(flight.flightNumber);
           setHistoryVisible(false);
@@ -531,10 +903,10 @@ function AppContent() {
 
       {/* Route Preview Modal */}
       <RoutePreview
-        flightNumber={flightNumber.toUpperCase()}
+        flightNumber={parseTripInput(flightNumber)[0] || ''}
         visible={previewVisible}
         onClose={() => setPreviewVisible(false)}
-        onDownload={downloadFlightPack}
+        onDownload={(options) => downloadFlightPack(undefined, options)}
       />
 
       {/* Flight Search Modal */}
@@ -660,6 +1032,12 @@ const styles = StyleSheet.create({
   errorBanner: {
     marginBottom: 10,
   },
+  resumeBanner: {
+    marginBottom: 10,
+  },
+  readinessBadge: {
+    marginBottom: 10,
+  },
   sunTracker: {
     marginBottom: 10,
   },
@@ -774,11 +1152,41 @@ const styles = StyleSheet.create({
   narrationCollapsed: {
     maxHeight: 100,
   },
+  downloadStatusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  downloadStatusText: {
+    flex: 1,
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 13,
+    marginRight: 10,
+  },
+  cancelDownloadBtn: {
+    borderWidth: 1,
+    borderColor: '#00d4ff',
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+  },
+  cancelDownloadText: {
+    color: '#00d4ff',
+    fontSize: 13,
+    fontWeight: '600',
+  },
   narrationText: {
     color: '#ffffff',
     fontSize: 18,
     lineHeight: 28,
   },
+  cachedLabel: {
+    color: '#00d4ff',
+    fontSize: 11,
+    fontWeight: '600',
+    letterSpacing: 1,
+    marginBottom: 6,
+  },
   buttonRow: {
     flexDirection: 'row',
   },
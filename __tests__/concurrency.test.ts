@@ -0,0 +1,131 @@
+import { ConcurrencyPool, mapWithConcurrency } from '../utils/concurrency';
+import { isAbortError } from '../utils/abort';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Task that records how many tasks were running at once
+function createTracker() {
+  const tracker = {
+    active: 0,
+    maxActive: 0,
+    task: (result: unknown, ms = 10) => async () => {
+      tracker.active++;
+      tracker.maxActive = Math.max(tracker.maxActive, tracker.active);
+      await delay(ms);
+      tracker.active--;
+      return result;
+    },
+  };
+  return tracker;
+}
+
+describe('ConcurrencyPool', () => {
+  it('should never run more tasks than its concurrency', async () => {
+    const pool = new ConcurrencyPool({ concurrency: 2 });
+    const tracker = createTracker();
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => pool.run(tracker.task(n))));
+    expect(results).toEqual([1, 2, 3, 4, 5]);
+    expect(tracker.maxActive).toBe(2);
+  });
+
+  it('should start queued tasks in FIFO order', async () => {
+    const pool = new ConcurrencyPool({ concurrency: 1 });
+    const started: number[] = [];
+    await Promise.all([1, 2, 3].map(n => pool.run(async () => { started.push(n); await delay(1); })));
+    expect(started).toEqual([1, 2, 3]);
+  });
+
+  it('should pass on a task failure without blocking the queue', async () => {
+    const pool = new ConcurrencyPool({ concurrency: 1 });
+    const failing = pool.run(async () => { throw new Error('boom'); });
+    const next = pool.run(async () => 'next');
+    await expect(failing).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('next');
+  });
+
+  it('should reject immediately with an already aborted signal', async () => {
+    const pool = new ConcurrencyPool({ concurrency: 1 });
+    const controller = new AbortController();
+    controller.abort();
+    const task = jest.fn();
+    await expect(pool.run(task, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(task).not.toHaveBeenCalled();
+  });
+
+  it('should drop a queued task when its signal aborts', async () => {
+    const pool = new ConcurrencyPool({ concurrency: 1 });
+    const controller = new AbortController();
+    const queuedTask = jest.fn();
+    const running = pool.run(() => delay(20));
+    const queued = pool.run(queuedTask, { signal: controller.signal });
+    controller.abort();
+    await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+    await running;
+    expect(queuedTask).not.toHaveBeenCalled();
+  });
+
+  it('should hold back new tasks while paused', async () => {
+    const pool = new ConcurrencyPool({ concurrency: 2 });
+    const start = Date.now();
+    pool.pause(60);
+    const startedAt = await pool.run(async () => Date.now());
+    expect(startedAt - start).toBeGreaterThanOrEqual(50);
+  });
+
+  it('should start waiting tasks when the concurrency is raised', async () => {
+    const pool = new ConcurrencyPool({ concurrency: 1 });
+    const tracker = createTracker();
+    const all = Promise.all([1, 2, 3].map(n => pool.run(tracker.task(n, 20))));
+    pool.setConcurrency(3);
+    await all;
+    expect(tracker.maxActive).toBe(3);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('should limit concurrent workers', async () => {
+    const tracker = createTracker();
+    await mapWithConcurrency([1, 2, 3, 4, 5, 6], (n: number) => tracker.task(n)(), { concurrency: 3 });
+    expect(tracker.maxActive).toBe(3);
+  });
+
+  it('should keep results in input order when items finish out of order', async () => {
+    const results = await mapWithConcurrency(
+      [30, 5, 15, 1],
+      async (ms: number, index: number) => { await delay(ms); return index; },
+      { concurrency: 4 }
+    );
+    expect(results).toEqual([0, 1, 2, 3]);
+  });
+
+  it('should report progress after each item', async () => {
+    const onProgress = jest.fn();
+    await mapWithConcurrency(['a', 'b'], async (item: string) => item, { concurrency: 1, onProgress });
+    expect(onProgress.mock.calls).toEqual([[1, 2, 0], [2, 2, 1]]);
+  });
+
+  it('should stop picking up items once aborted', async () => {
+    const controller = new AbortController();
+    const worker = jest.fn(async (n: number) => {
+      if (n === 2) controller.abort();
+      return n;
+    });
+    const error = await mapWithConcurrency([1, 2, 3, 4], worker, { concurrency: 1, signal: controller.signal })
+      .catch(e => e);
+    expect(isAbortError(error)).toBe(true);
+    expect(worker).toHaveBeenCalledTimes(2);
+  });
+
+  it('should stop after the first failure', async () => {
+    const worker = jest.fn(async (n: number) => {
+      if (n === 1) throw new Error('failed');
+      return n;
+    });
+    await expect(mapWithConcurrency([1, 2, 3], worker, { concurrency: 1 })).rejects.toThrow('failed');
+    expect(worker).toHaveBeenCalledTimes(1);
+  });
+
+  it('should handle an empty list', async () => {
+    await expect(mapWithConcurrency([], jest.fn())).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,51 @@
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  __esModule: true,
+  default: {},
+}));
+
+jest.mock('../utils/logger', () => ({
+  createLogger: () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }),
+}));
+
+import { downloadJobService, DOWNLOAD_STAGES } from '../services/DownloadJobService';
+
+const flightData = {
+  origin: { code: 'LHR' },
+  destination: { code: 'JFK' },
+  departureTime: '2026-10-19T09:00:00Z',
+  route: [
+    { latitude: 51.47, longitude: -0.4543 },
+    { latitude: 55, longitude: -30 },
+    { latitude: 40.6413, longitude: -73.7781 },
+  ],
+};
+
+describe('DownloadJobService', () => {
+  it('should create jobs at the route stage with their creation time', () => {
+    const job = downloadJobService.createJob('BA117', 'BA 117');
+    expect(job).toMatchObject({ packId: 'BA117', stage: DOWNLOAD_STAGES.ROUTE, routeSignature: null });
+    expect(downloadJobService.isJobExpired(job)).toBe(false);
+  });
+
+  it('should expire jobs older than a day', () => {
+    const job = downloadJobService.createJob('BA117', 'BA 117');
+    const createdAt = Date.parse(job.createdAt);
+    expect(downloadJobService.isJobExpired(job, createdAt + 23 * 3600 * 1000)).toBe(false);
+    expect(downloadJobService.isJobExpired(job, createdAt + 25 * 3600 * 1000)).toBe(true);
+  });
+
+  it('should treat jobs without a creation time as expired', () => {
+    expect(downloadJobService.isJobExpired({})).toBe(true);
+  });
+
+  it('should keep the route signature while the track grows', () => {
+    const growing = { ...flightData, route: [flightData.route[0], { latitude: 52, longitude: -5 }, ...flightData.route.slice(1)] };
+    expect(downloadJobService.getRouteSignature(growing)).toBe(downloadJobService.getRouteSignature(flightData));
+  });
+
+  it('should change the route signature for another day or route', () => {
+    const signature = downloadJobService.getRouteSignature(flightData);
+    expect(downloadJobService.getRouteSignature({ ...flightData, departureTime: '2026-10-22T09:00:00Z' })).not.toBe(signature);
+    expect(downloadJobService.getRouteSignature({ ...flightData, destination: { code: 'BOS' } })).not.toBe(signature);
+  });
+});
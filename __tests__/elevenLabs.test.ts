@@ -0,0 +1,102 @@
+jest.mock('react-native', () => ({ Platform: { OS: 'ios' } }));
+
+jest.mock('expo-file-system', () => ({
+  File: class {},
+  Directory: class {
+    exists = true;
+    create() {}
+  },
+  Paths: {},
+}));
+
+jest.mock('../services/PackDatabaseService', () => ({
+  packDatabaseService: { isAvailable: () => false },
+  IDB_AUDIO_SCHEME: 'idb-audio://',
+}));
+
+jest.mock('../services/UsageService', () => ({
+  usageService: { assertWithinBudget: jest.fn(async () => {}), record: jest.fn(async () => ({})) },
+}));
+
+jest.mock('../utils/logger', () => ({
+  createLogger: () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }),
+}));
+
+import { ElevenLabsService } from '../services/ElevenLabsService';
+
+const TEXT = 'The Alps are below us.';
+const URI = 'file:///cache/audio/voice.mp3';
+
+// A promise the test settles by hand
+function deferred<T>() {
+  let resolve!: (value: T) => void;
+  let reject!: (error: Error) => void;
+  const promise = new Promise<T>((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+describe('ElevenLabsService.generateAndSaveAudio', () => {
+  let service: any;
+  let speech: ReturnType<typeof deferred<Blob>>;
+  let speechSignal: AbortSignal | undefined;
+
+  beforeEach(() => {
+    service = new ElevenLabsService();
+    speech = deferred<Blob>();
+    speechSignal = undefined;
+    jest.spyOn(service, 'findCachedAudio').mockResolvedValue(null);
+    jest.spyOn(service, 'saveAudioBlob').mockResolvedValue(URI);
+    jest.spyOn(service, 'generateSpeech').mockImplementation(async (_text: any, options: any) => {
+      speechSignal = options.signal;
+      return speech.promise;
+    });
+  });
+
+  it('should share one request between callers asking for the same audio', async () => {
+    const first = service.generateAndSaveAudio(TEXT);
+    const second = service.generateAndSaveAudio(TEXT);
+    speech.resolve({ size: 10 } as Blob);
+
+    await expect(first).resolves.toBe(URI);
+    await expect(second).resolves.toBe(URI);
+    expect(service.generateSpeech).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep the request going for others when one caller cancels', async () => {
+    const controller = new AbortController();
+    const first = service.generateAndSaveAudio(TEXT, { signal: controller.signal });
+    const second = service.generateAndSaveAudio(TEXT);
+    await new Promise(resolve => setImmediate(resolve));
+
+    controller.abort();
+    await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+    expect(speechSignal?.aborted).toBe(false);
+
+    speech.resolve({ size: 10 } as Blob);
+    await expect(second).resolves.toBe(URI);
+  });
+
+  it('should cancel the request once every caller has cancelled', async () => {
+    const a = new AbortController();
+    const b = new AbortController();
+    const first = service.generateAndSaveAudio(TEXT, { signal: a.signal });
+    const second = service.generateAndSaveAudio(TEXT, { signal: b.signal });
+    await new Promise(resolve => setImmediate(resolve));
+
+    a.abort();
+    await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+    expect(speechSignal?.aborted).toBe(false);
+
+    b.abort();
+    await expect(second).rejects.toMatchObject({ name: 'AbortError' });
+    expect(speechSignal?.aborted).toBe(true);
+  });
+
+  it('should reject at once for a caller that has already cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(service.generateAndSaveAudio(TEXT, { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
@@ -0,0 +1,182 @@
+jest.mock('react-native', () => ({ Platform: { OS: 'ios' } }));
+
+jest.mock('expo-file-system', () => ({
+  File: class {},
+  Directory: class {
+    exists = false;
+  },
+  Paths: {},
+}));
+
+jest.mock('../utils/logger', () => ({
+  createLogger: () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }),
+}));
+
+import { GazetteerService } from '../services/GazetteerService';
+
+// Test entries sit in the open South Pacific, away from the bundled datasets
+const LAT = -40;
+const LON = -140;
+const KM_PER_DEGREE_LAT = 111.32;
+
+const entry = (id: string, area: object) => ({ id, name: id, type: 'landmark', narration: `About ${id}.`, ...area });
+const circle = (id: string, latitude: number, longitude: number, radius: number) =>
+  entry(id, { center: { latitude, longitude }, radius });
+
+describe('GazetteerService', () => {
+  let gazetteer: any;
+
+  beforeEach(() => {
+    gazetteer = new GazetteerService();
+  });
+
+  describe('findNearby', () => {
+    it('should rank areas the point is inside before nearer outside ones', () => {
+      gazetteer.addRegion({
+        id: 'test',
+        entries: [
+          circle('close_outside', LAT, LON + 0.2, 5000),
+          entry('wide_area', { bounds: { north: LAT + 2, south: LAT - 2, east: LON + 3, west: LON - 1 } }),
+        ],
+      });
+
+      const ids = gazetteer.findNearby(LAT, LON).map((match: any) => match.entry.id);
+      expect(ids).toEqual(['wide_area', 'close_outside']);
+    });
+
+    it('should rank the most central area first among those containing the point', () => {
+      gazetteer.addRegion({
+        id: 'test',
+        entries: [
+          circle('off_center', LAT + 0.2, LON, 40000),
+          circle('centered', LAT, LON, 40000),
+        ],
+      });
+
+      const matches = gazetteer.findNearby(LAT, LON);
+      expect(matches.map((match: any) => match.entry.id)).toEqual(['centered', 'off_center']);
+      expect(matches.every((match: any) => match.inside && match.distance === 0)).toBe(true);
+    });
+
+    it('should rank outside areas by distance to their edge', () => {
+      gazetteer.addRegion({
+        id: 'test',
+        entries: [
+          circle('far', LAT + 0.8, LON, 1000),
+          circle('near', LAT + 0.3, LON, 1000),
+        ],
+      });
+
+      const matches = gazetteer.findNearby(LAT, LON);
+      expect(matches.map((match: any) => match.entry.id)).toEqual(['near', 'far']);
+      expect(matches[0].distance).toBeCloseTo(0.3 * KM_PER_DEGREE_LAT * 1000 - 1000, -3);
+    });
+
+    it('should leave out areas beyond maxDistance', () => {
+      gazetteer.addRegion({ id: 'test', entries: [circle('far', LAT + 1, LON, 1000)] });
+
+      expect(gazetteer.findNearby(LAT, LON, { maxDistance: 50000 })).toEqual([]);
+      expect(gazetteer.findNearby(LAT, LON, { maxDistance: 150000 })).toHaveLength(1);
+    });
+
+    it('should skip excluded entries', () => {
+      gazetteer.addRegion({
+        id: 'test',
+        entries: [circle('first', LAT, LON, 20000), circle('second', LAT, LON + 0.1, 20000)],
+      });
+
+      const ids = gazetteer.findNearby(LAT, LON, { exclude: new Set(['first']) })
+        .map((match: any) => match.entry.id);
+      expect(ids).toEqual(['second']);
+    });
+  });
+
+  describe('findNarration', () => {
+    // 60 km north of the test point
+    beforeEach(() => {
+      gazetteer.addRegion({ id: 'test', entries: [circle('island', LAT + 60 / KM_PER_DEGREE_LAT, LON, 1000)] });
+    });
+
+    it('should narrate a landmark within sight of the aircraft', () => {
+      expect(gazetteer.findNarration({ latitude: LAT, longitude: LON, altitude: 10000 }))
+        .toMatchObject({ id: 'island', narration: 'About island.', generic: false });
+    });
+
+    it('should fall back to a generic narration when the landmark is below the horizon', () => {
+      const result = gazetteer.findNarration({ latitude: LAT, longitude: LON, altitude: 100, type: 'ocean' });
+      expect(result.generic).toBe(true);
+      expect(result.id).not.toBe('island');
+    });
+
+    it('should fall back to a generic narration when the landmark was already narrated', () => {
+      const result = gazetteer.findNarration(
+        { latitude: LAT, longitude: LON, altitude: 10000 },
+        { exclude: new Set(['island']) }
+      );
+      expect(result.generic).toBe(true);
+    });
+  });
+
+  describe('getSightDistance', () => {
+    it('should follow the horizon within its limits', () => {
+      expect(gazetteer.getSightDistance(0)).toBe(20000);
+      expect(gazetteer.getSightDistance(400)).toBeCloseTo(3570 * 20);
+      expect(gazetteer.getSightDistance(12000)).toBe(150000);
+      expect(gazetteer.getSightDistance(undefined)).toBe(20000);
+    });
+  });
+
+  describe('addRegion', () => {
+    it('should replace a region with the same id', () => {
+      gazetteer.addRegion({ id: 'test', entries: [circle('old', LAT, LON, 20000)] });
+      gazetteer.addRegion({ id: 'test', entries: [circle('new', LAT, LON, 20000)] });
+
+      const ids = gazetteer.findNearby(LAT, LON).map((match: any) => match.entry.id);
+      expect(ids).toEqual(['new']);
+      expect(gazetteer.getRegions().filter((region: any) => region.id === 'test')).toHaveLength(1);
+    });
+
+    it('should drop a removed region from lookups', () => {
+      gazetteer.addRegion({ id: 'test', entries: [circle('gone', LAT, LON, 20000)] });
+      gazetteer.removeRegion('test');
+
+      expect(gazetteer.findNearby(LAT, LON)).toEqual([]);
+    });
+
+    it('should reject entries that cannot be used', () => {
+      const added = gazetteer.addRegion({
+        id: 'test',
+        entries: [
+          circle('valid', LAT, LON, 20000),
+          { ...circle('no_narration', LAT, LON, 20000), narration: '  ' },
+          { ...circle('no_id', LAT, LON, 20000), id: 42 },
+          circle('no_radius', LAT, LON, 0),
+          circle('bad_latitude', 95, LON, 20000),
+          entry('no_area', {}),
+          entry('inverted_bounds', { bounds: { north: LAT - 1, south: LAT + 1, east: LON + 1, west: LON - 1 } }),
+          entry('antimeridian', { bounds: { north: LAT + 1, south: LAT - 1, east: -179, west: 179 } }),
+          null,
+        ],
+      });
+
+      expect(added).toBe(1);
+      expect(gazetteer.findNearby(LAT, LON).map((match: any) => match.entry.id)).toEqual(['valid']);
+    });
+
+    it('should ignore a region without an id or entries', () => {
+      expect(gazetteer.addRegion({ entries: [] })).toBe(0);
+      expect(gazetteer.addRegion({ id: 'test' })).toBe(0);
+      expect(gazetteer.getRegions().some((region: any) => region.id === 'test')).toBe(false);
+    });
+
+    it('should default the name to the id and trim the narration', () => {
+      gazetteer.addRegion({
+        id: 'test',
+        entries: [{ id: 'unnamed', center: { latitude: LAT, longitude: LON }, radius: 20000, narration: ' Waves. ' }],
+      });
+
+      const [match] = gazetteer.findNearby(LAT, LON);
+      expect(match.entry).toMatchObject({ id: 'unnamed', name: 'unnamed', type: 'landmark', narration: 'Waves.', regionId: 'test' });
+    });
+  });
+});
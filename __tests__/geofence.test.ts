@@ -7,6 +7,11 @@ import {
   bearingToCompass,
   calculateRouteDistance,
   interpolatePosition,
+  getHorizonDistance,
+  getTriggerRadius,
+  distanceToSegment,
+  projectOntoRoute,
+  checkAbeam,
   Checkpoint,
   Coordinate,
 } from '../utils/geofence';
@@ -125,6 +130,93 @@ describe('checkGeofences', () => {
   });
 });
 
+describe('getHorizonDistance', () => {
+  it('should return 0 on the ground', () => {
+    expect(getHorizonDistance(0)).toBe(0);
+  });
+
+  it('should be about 370 km at 35,000 ft', () => {
+    const distance = getHorizonDistance(10668);
+    expect(distance).toBeGreaterThan(360000);
+    expect(distance).toBeLessThan(380000);
+  });
+});
+
+describe('getTriggerRadius', () => {
+  const checkpoint: Checkpoint = {
+    id: '1', name: 'Checkpoint', latitude: 45.0, longitude: 7.0, radius: 15000,
+  };
+
+  it('should use the checkpoint radius without motion', () => {
+    expect(getTriggerRadius(checkpoint)).toBe(15000);
+    expect(getTriggerRadius(checkpoint, { altitude: null, speed: -1 })).toBe(15000);
+  });
+
+  it('should widen with altitude and speed at cruise', () => {
+    const cruise = getTriggerRadius(checkpoint, { altitude: 10668, speed: 247 });
+    const climb = getTriggerRadius(checkpoint, { altitude: 3000, speed: 130 });
+    expect(cruise).toBeGreaterThan(climb);
+    expect(climb).toBeGreaterThan(checkpoint.radius);
+  });
+
+  it('should never exceed 60 km', () => {
+    expect(getTriggerRadius(checkpoint, { altitude: 18000, speed: 400 })).toBe(60000);
+  });
+
+  it('should keep a larger checkpoint radius', () => {
+    expect(getTriggerRadius({ ...checkpoint, radius: 80000 }, { altitude: 15000, speed: 300 })).toBe(80000);
+  });
+});
+
+describe('distanceToSegment', () => {
+  const point: Coordinate = { latitude: 45.0, longitude: 7.0 };
+
+  it('should measure to the closest point between the ends', () => {
+    // Track running north-south 0.1 degrees (~7.9 km) east of the point
+    const distance = distanceToSegment(point, { latitude: 44.5, longitude: 7.1 }, { latitude: 45.5, longitude: 7.1 });
+    expect(distance).toBeGreaterThan(7500);
+    expect(distance).toBeLessThan(8200);
+  });
+
+  it('should measure to the nearest end beyond the segment', () => {
+    const start = { latitude: 45.2, longitude: 7.0 };
+    const distance = distanceToSegment(point, start, { latitude: 45.3, longitude: 7.0 });
+    expect(distance).toBeCloseTo(calculateDistance(45.0, 7.0, 45.2, 7.0), -2);
+  });
+
+  it('should handle a segment that is a single point', () => {
+    expect(distanceToSegment(point, point, point)).toBe(0);
+  });
+});
+
+describe('checkGeofences with motion', () => {
+  const checkpoints: Checkpoint[] = [
+    { id: '1', name: 'Checkpoint 1', latitude: 45.0, longitude: 7.0, radius: 5000 },
+  ];
+
+  it('should trigger further out at cruise altitude and speed', () => {
+    // ~22 km south of the checkpoint
+    expect(checkGeofences(44.8, 7.0, checkpoints).length).toBe(0);
+    expect(checkGeofences(44.8, 7.0, checkpoints, new Set(), { altitude: 10668, speed: 247 }).length).toBe(1);
+  });
+
+  it('should trigger when the track between fixes passed through', () => {
+    // Fixes ~44 km either side of the checkpoint, both outside any radius
+    const motion = { previous: { latitude: 44.6, longitude: 7.0 } };
+    expect(checkGeofences(45.4, 7.0, checkpoints, new Set(), motion).length).toBe(1);
+  });
+
+  it('should not trigger when the track passed beside it', () => {
+    const motion = { previous: { latitude: 44.6, longitude: 7.5 } };
+    expect(checkGeofences(45.4, 7.5, checkpoints, new Set(), motion).length).toBe(0);
+  });
+
+  it('should ignore a jump between distant fixes', () => {
+    const motion = { previous: { latitude: 40.0, longitude: 7.0 } };
+    expect(checkGeofences(50.0, 7.0, checkpoints, new Set(), motion).length).toBe(0);
+  });
+});
+
 describe('calculateBearing', () => {
   it('should return 0 for due north', () => {
     const bearing = calculateBearing(40.0, -74.0, 41.0, -74.0);
@@ -230,3 +322,89 @@ describe('interpolatePosition', () => {
     expect(pos.longitude).toBe(0);
   });
 });
+
+describe('projectOntoRoute', () => {
+  // Due north along the prime meridian, about 1112 km
+  const route: Coordinate[] = [
+    { latitude: 0, longitude: 0 },
+    { latitude: 5, longitude: 0 },
+    { latitude: 10, longitude: 0 },
+  ];
+
+  it('should measure along-track and cross-track distance', () => {
+    const projection = projectOntoRoute({ latitude: 5, longitude: 0.5 }, route);
+    expect(projection.alongTrack).toBeCloseTo(556000, -4);
+    expect(projection.crossTrack).toBeCloseTo(55400, -3);
+  });
+
+  it('should tell which side of the route a point is on', () => {
+    expect(projectOntoRoute({ latitude: 3, longitude: -0.5 }, route).side).toBe('left');
+    expect(projectOntoRoute({ latitude: 3, longitude: 0.5 }, route).side).toBe('right');
+  });
+
+  it('should clamp to the ends of the route', () => {
+    expect(projectOntoRoute({ latitude: -1, longitude: 0 }, route).alongTrack).toBe(0);
+    const beyond = projectOntoRoute({ latitude: 11, longitude: 0 }, route);
+    expect(beyond.alongTrack).toBeCloseTo(calculateRouteDistance(route), 0);
+  });
+});
+
+describe('checkAbeam', () => {
+  const route: Coordinate[] = [
+    { latitude: 0, longitude: 0 },
+    { latitude: 10, longitude: 0 },
+  ];
+  const checkpoints: Checkpoint[] = [
+    { id: 'dep', name: 'Departure', latitude: 0, longitude: 0, radius: 5000 },
+    { id: 'a', name: 'A', latitude: 3, longitude: 0, radius: 5000 },
+    { id: 'b', name: 'B', latitude: 6, longitude: 0, radius: 5000 },
+  ];
+  const at = (latitude: number) => projectOntoRoute({ latitude, longitude: 0 }, route).alongTrack;
+
+  it('should trigger when passing abeam of a checkpoint off the route', () => {
+    const result = checkAbeam(3.1, 0.5, route, checkpoints, new Set(['dep']), {
+      previousAlongTrack: at(2.9),
+    });
+    expect(result.triggered.map(c => c.id)).toEqual(['a']);
+    expect(result.missed).toHaveLength(0);
+    expect(result.crossTrack).toBeGreaterThan(50000);
+  });
+
+  it('should not trigger before reaching abeam', () => {
+    const result = checkAbeam(2.9, 0.5, route, checkpoints, new Set(['dep']), {
+      previousAlongTrack: at(2.8),
+    });
+    expect(result.triggered).toHaveLength(0);
+  });
+
+  it('should report checkpoints passed beyond the cross-track limit as missed', () => {
+    const result = checkAbeam(3.1, 2, route, checkpoints, new Set(['dep']), {
+      previousAlongTrack: at(2.9),
+      maxCrossTrack: 100000,
+    });
+    expect(result.triggered).toHaveLength(0);
+    expect(result.missed.map(c => c.id)).toEqual(['a']);
+  });
+
+  it('should catch several checkpoints passed between fixes', () => {
+    const result = checkAbeam(6.5, 0, route, checkpoints, new Set(['dep']), {
+      previousAlongTrack: at(2),
+    });
+    expect(result.triggered.map(c => c.id)).toEqual(['a', 'b']);
+  });
+
+  it('should trigger departure at the gate and miss checkpoints behind on the first fix', () => {
+    expect(checkAbeam(0.01, 0, route, checkpoints).triggered.map(c => c.id)).toEqual(['dep']);
+
+    const midFlight = checkAbeam(4, 0, route, checkpoints);
+    expect(midFlight.triggered).toHaveLength(0);
+    expect(midFlight.missed.map(c => c.id)).toEqual(['dep', 'a']);
+  });
+
+  it('should skip checkpoints already handled', () => {
+    const result = checkAbeam(6.5, 0, route, checkpoints, new Set(['dep', 'a']), {
+      previousAlongTrack: at(2),
+    });
+    expect(result.triggered.map(c => c.id)).toEqual(['b']);
+  });
+});
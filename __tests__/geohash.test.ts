@@ -0,0 +1,27 @@
+import { encodeGeohash } from '../utils/geohash';
+
+describe('encodeGeohash', () => {
+  it('should match reference geohashes', () => {
+    expect(encodeGeohash(57.64911, 10.40744, 11)).toBe('u4pruydqqvj');
+    expect(encodeGeohash(42.6, -5.6, 5)).toBe('ezs42');
+  });
+
+  it('should default to precision 5', () => {
+    expect(encodeGeohash(51.5074, -0.1278)).toHaveLength(5);
+  });
+
+  it('should give nearby points the same cell and distant ones different cells', () => {
+    expect(encodeGeohash(51.5074, -0.1278, 4)).toBe(encodeGeohash(51.52, -0.1, 4));
+    expect(encodeGeohash(51.5074, -0.1278, 4)).not.toBe(encodeGeohash(48.8566, 2.3522, 4));
+  });
+
+  it('should share a prefix with coarser precisions', () => {
+    const fine = encodeGeohash(35.6762, 139.6503, 8);
+    expect(fine.startsWith(encodeGeohash(35.6762, 139.6503, 4))).toBe(true);
+  });
+
+  it('should handle the extremes of the map', () => {
+    expect(encodeGeohash(-90, -180, 4)).toBe('0000');
+    expect(encodeGeohash(90, 180, 4)).toBe('zzzz');
+  });
+});
@@ -0,0 +1,116 @@
+const mockStorage = new Map<string, string>();
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  __esModule: true,
+  default: {
+    getItem: jest.fn(async (key: string) => mockStorage.get(key) ?? null),
+    setItem: jest.fn(async (key: string, value: string) => { mockStorage.set(key, value); }),
+    removeItem: jest.fn(async (key: string) => { mockStorage.delete(key); }),
+  },
+}));
+
+jest.mock('../utils/logger', () => ({
+  createLogger: () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }),
+}));
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { LiveNarrationCacheService } from '../services/LiveNarrationCacheService';
+
+const LONDON = { latitude: 51.5074, longitude: -0.1278 };
+const PREFERENCES = { language: 'en', contentFocus: 'mixed', length: 'medium', persona: 'historian' };
+
+describe('LiveNarrationCacheService', () => {
+  let cache: LiveNarrationCacheService;
+
+  beforeEach(() => {
+    mockStorage.clear();
+    jest.clearAllMocks();
+    cache = new LiveNarrationCacheService();
+  });
+
+  afterEach(() => {
+    cache.cancelScheduledPersist();
+    jest.useRealTimers();
+  });
+
+  it('should return a narration stored in the same cell with the same preferences', async () => {
+    await cache.put(LONDON.latitude, LONDON.longitude, PREFERENCES, 'The Thames below.');
+    const entry = await cache.get(51.52, -0.1, PREFERENCES);
+    expect(entry).toMatchObject({ text: 'The Thames below.', language: 'en' });
+  });
+
+  it('should miss when the preferences differ', async () => {
+    await cache.put(LONDON.latitude, LONDON.longitude, PREFERENCES, 'The Thames below.');
+    expect(await cache.get(LONDON.latitude, LONDON.longitude, { ...PREFERENCES, length: 'long' })).toBeNull();
+  });
+
+  it('should persist new entries straight away', async () => {
+    await cache.put(LONDON.latitude, LONDON.longitude, PREFERENCES, 'The Thames below.');
+    expect(AsyncStorage.setItem).toHaveBeenCalledTimes(1);
+
+    const reloaded = new LiveNarrationCacheService();
+    expect(await reloaded.getCount()).toBe(1);
+  });
+
+  it('should batch recency updates from cache hits into one later write', async () => {
+    jest.useFakeTimers();
+    await cache.put(LONDON.latitude, LONDON.longitude, PREFERENCES, 'The Thames below.');
+    (AsyncStorage.setItem as jest.Mock).mockClear();
+
+    await cache.get(LONDON.latitude, LONDON.longitude, PREFERENCES);
+    await cache.get(LONDON.latitude, LONDON.longitude, PREFERENCES);
+    expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+
+    jest.runOnlyPendingTimers();
+    expect(AsyncStorage.setItem).toHaveBeenCalledTimes(1);
+  });
+
+  it('should evict the least recently used entries beyond the cap', async () => {
+    // Distinct cells along the equator, each used a little later than the last
+    const base = Date.parse('2026-01-01T00:00:00Z');
+    const nowSpy = jest.spyOn(Date.prototype, 'toISOString');
+    for (let i = 0; i <= 500; i++) {
+      nowSpy.mockReturnValue(new Date(base + i * 1000).toJSON());
+      await cache.put(0, -170 + i * 0.6, PREFERENCES, `Cell ${i}`);
+    }
+    nowSpy.mockRestore();
+
+    expect(await cache.getCount()).toBe(500);
+    expect(await cache.get(0, -170, PREFERENCES)).toBeNull();
+    expect(await cache.get(0, -170 + 500 * 0.6, PREFERENCES)).toMatchObject({ text: 'Cell 500' });
+  });
+
+  describe('findInCell', () => {
+    it('should prefer the requested language', async () => {
+      await cache.put(LONDON.latitude, LONDON.longitude, { ...PREFERENCES, language: 'fr' }, 'La Tamise.');
+      await cache.put(LONDON.latitude, LONDON.longitude, { ...PREFERENCES, length: 'long', language: 'en' }, 'The Thames.');
+      await cache.put(LONDON.latitude, LONDON.longitude, { ...PREFERENCES, persona: 'poet', language: 'de' }, 'Die Themse.');
+
+      expect(await cache.findInCell(LONDON.latitude, LONDON.longitude, { language: 'fr' }))
+        .toMatchObject({ text: 'La Tamise.' });
+    });
+
+    it('should fall back to the most recently used entry', async () => {
+      const nowSpy = jest.spyOn(Date.prototype, 'toISOString');
+      nowSpy.mockReturnValue('2026-01-01T00:00:00.000Z');
+      await cache.put(LONDON.latitude, LONDON.longitude, { ...PREFERENCES, language: 'fr' }, 'La Tamise.');
+      nowSpy.mockReturnValue('2026-01-02T00:00:00.000Z');
+      await cache.put(LONDON.latitude, LONDON.longitude, { ...PREFERENCES, language: 'de' }, 'Die Themse.');
+      nowSpy.mockRestore();
+
+      expect(await cache.findInCell(LONDON.latitude, LONDON.longitude, { language: 'ja' }))
+        .toMatchObject({ text: 'Die Themse.' });
+    });
+
+    it('should return null for an empty cell', async () => {
+      expect(await cache.findInCell(LONDON.latitude, LONDON.longitude, { language: 'en' })).toBeNull();
+    });
+  });
+
+  it('should forget everything on clear', async () => {
+    await cache.put(LONDON.latitude, LONDON.longitude, PREFERENCES, 'The Thames below.');
+    await cache.clear();
+    expect(await cache.getCount()).toBe(0);
+    expect(await new LiveNarrationCacheService().getCount()).toBe(0);
+  });
+});
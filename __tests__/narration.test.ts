@@ -0,0 +1,101 @@
+import {
+  REPETITION_THRESHOLD,
+  narrationSimilarity,
+  findRepetition,
+  getNarrationOpening,
+  summarizeNarrations,
+  normalizeNarration,
+} from '../utils/narration';
+
+const thames = {
+  title: 'The Thames Estuary',
+  body: 'Below the left wing the Thames widens into its estuary, where the river meets the North Sea after flowing through London. Sandbanks here have wrecked ships for centuries.',
+  funFact: 'The estuary holds the wreck of a wartime ammunition ship.',
+};
+
+// Same content, lightly reworded: a repeat
+const thamesAgain = {
+  title: 'Thames Estuary',
+  body: 'Off to the left the Thames widens into its estuary, where the river meets the North Sea after flowing through London. Shifting sandbanks have wrecked ships for centuries.',
+};
+
+const alps = {
+  title: 'The Swiss Alps',
+  body: 'Ahead on the right, the Alps rise above the clouds. These peaks were pushed up when the African plate collided with Europe, folding ancient seabed into mountains.',
+  funFact: 'Marine fossils are found near the summit of Mont Blanc.',
+};
+
+describe('narrationSimilarity', () => {
+  it('should score near-duplicates above the repetition threshold', () => {
+    expect(narrationSimilarity(thames, thamesAgain)).toBeGreaterThanOrEqual(REPETITION_THRESHOLD);
+  });
+
+  it('should score distinct narrations well below the threshold', () => {
+    expect(narrationSimilarity(thames, alps)).toBeLessThan(REPETITION_THRESHOLD / 2);
+  });
+
+  it('should return 0 when either narration is empty', () => {
+    expect(narrationSimilarity(thames, null)).toBe(0);
+    expect(narrationSimilarity('', alps)).toBe(0);
+  });
+});
+
+describe('findRepetition', () => {
+  it('should flag a near-duplicate of an earlier narration', () => {
+    const repetition = findRepetition(thamesAgain, [alps, thames]);
+    expect(repetition).not.toBeNull();
+    expect(repetition!.narration).toBe(thames);
+    expect(repetition!.sameOpening).toBe(false);
+  });
+
+  it('should not flag distinct narrations', () => {
+    expect(findRepetition(alps, [thames])).toBeNull();
+  });
+
+  it('should flag narrations that open with the same words', () => {
+    const sameOpening = { body: 'Below the left wing you can see the fields of Kent, a patchwork of orchards and hop gardens.' };
+    const repetition = findRepetition(sameOpening, [thames]);
+    expect(repetition?.sameOpening).toBe(true);
+  });
+
+  it('should report the most similar of several repeats', () => {
+    const repetition = findRepetition(thames, [thamesAgain, thames]);
+    expect(repetition!.narration).toBe(thames);
+    expect(repetition!.similarity).toBe(1);
+  });
+
+  it('should accept plain string narrations and skip empty entries', () => {
+    expect(findRepetition(thames.body, [null, thames.body])).not.toBeNull();
+  });
+});
+
+describe('getNarrationOpening', () => {
+  it('should normalize case and punctuation', () => {
+    expect(getNarrationOpening({ body: 'Below, the LEFT wing: rivers' })).toBe('below the left wing');
+  });
+});
+
+describe('summarizeNarrations', () => {
+  it('should keep title, first sentence and fun fact per narration', () => {
+    expect(summarizeNarrations([thames])).toEqual([
+      'The Thames Estuary: Below the left wing the Thames widens into its estuary, where the river meets the North Sea after flowing through London. (Fact: The estuary holds the wreck of a wartime ammunition ship.)',
+    ]);
+  });
+
+  it('should drop the oldest lines to fit the length limit', () => {
+    const lines = summarizeNarrations([thames, alps, 'A short one.'], { maxLength: 200 });
+    expect(lines[lines.length - 1]).toBe('A short one.');
+    expect(lines.some(line => line.startsWith('The Thames Estuary'))).toBe(false);
+  });
+
+  it('should always keep the most recent narration', () => {
+    expect(summarizeNarrations([alps], { maxLength: 10 })).toHaveLength(1);
+  });
+});
+
+describe('normalizeNarration', () => {
+  it('should wrap legacy strings', () => {
+    expect(normalizeNarration('  Hello there. ')).toMatchObject({ body: 'Hello there.' });
+    expect(normalizeNarration('   ')).toBeNull();
+  });
+});
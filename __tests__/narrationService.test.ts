@@ -0,0 +1,108 @@
+jest.mock('react-native', () => ({ Platform: { OS: 'ios' } }));
+
+jest.mock('expo-file-system', () => ({
+  File: class {},
+  Directory: class {
+    exists = true;
+    create() {}
+  },
+  Paths: {},
+}));
+
+jest.mock('../services/ClaudeService', () => ({
+  claudeService: {
+    isConfigured: jest.fn(() => true),
+    generateNarration: jest.fn(async () => null),
+  },
+}));
+
+jest.mock('../services/AudioService', () => ({
+  audioService: { initialize: jest.fn(async () => {}) },
+}));
+
+jest.mock('../services/SpeechService', () => ({
+  speechService: { subscribe: jest.fn() },
+}));
+
+jest.mock('../services/ElevenLabsService', () => ({ elevenLabsService: {} }));
+jest.mock('../services/FlightDataService', () => ({ flightDataService: {} }));
+jest.mock('../services/LandmarkService', () => ({ landmarkService: {} }));
+jest.mock('../services/LiveNarrationCacheService', () => ({ liveNarrationCacheService: {} }));
+jest.mock('../services/MapTileService', () => ({ mapTileService: {} }));
+jest.mock('../services/DownloadJobService', () => ({ downloadJobService: {}, DOWNLOAD_STAGES: {} }));
+jest.mock('../services/PackDatabaseService', () => ({ packDatabaseService: {} }));
+jest.mock('../services/UsageService', () => ({ usageService: {} }));
+
+jest.mock('../utils/logger', () => ({
+  createLogger: () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }),
+}));
+
+import { NarrationService } from '../services/NarrationService';
+import { claudeService } from '../services/ClaudeService';
+import { createNarration } from '../utils/narration';
+
+const claude = claudeService as jest.Mocked<any>;
+
+// One checkpoint over downtown Chicago (a bundled gazetteer entry)
+function createPack(): any {
+  return {
+    id: 'UA100',
+    airline: 'United',
+    checkpoints: [
+      { id: 'cp_1', name: 'Chicago', type: 'city', latitude: 41.88, longitude: -87.63, altitude: 10000 },
+    ],
+  };
+}
+
+describe('NarrationService.narrateCheckpoint', () => {
+  let service: any;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    claude.isConfigured.mockReturnValue(true);
+    claude.generateNarration.mockResolvedValue(null);
+    service = new NarrationService();
+  });
+
+  it('should use the nearest gazetteer narration when Claude returns nothing', async () => {
+    const used = new Set<string>();
+    const result = await service.narrateCheckpoint(createPack(), 0, { used });
+
+    expect(claude.generateNarration).toHaveBeenCalled();
+    expect(result.generated).toBe(false);
+    expect(result.narration).toMatchObject({ title: 'Chicago' });
+    expect(result.narration.body).toContain('Lake Michigan');
+    expect(used.has('chicago')).toBe(true);
+  });
+
+  it('should use the gazetteer when Claude throws', async () => {
+    claude.generateNarration.mockRejectedValue(new Error('Network down'));
+    const result = await service.narrateCheckpoint(createPack(), 0);
+
+    expect(result.generated).toBe(false);
+    expect(result.narration.body).toContain('Lake Michigan');
+  });
+
+  it('should use the gazetteer without asking Claude when it is not configured', async () => {
+    claude.isConfigured.mockReturnValue(false);
+    const result = await service.narrateCheckpoint(createPack(), 0);
+
+    expect(claude.generateNarration).not.toHaveBeenCalled();
+    expect(result.narration.body).toContain('Lake Michigan');
+  });
+
+  it('should keep a narration Claude wrote', async () => {
+    const narration = createNarration({ title: 'The Loop', body: 'Elevated trains circle the Loop below.' });
+    claude.generateNarration.mockResolvedValue(narration);
+    const result = await service.narrateCheckpoint(createPack(), 0);
+
+    expect(result).toEqual({ narration, generated: true });
+  });
+
+  it('should pass cancellation through', async () => {
+    const abort = Object.assign(new Error('Operation cancelled'), { name: 'AbortError' });
+    claude.generateNarration.mockRejectedValue(abort);
+
+    await expect(service.narrateCheckpoint(createPack(), 0)).rejects.toBe(abort);
+  });
+});
@@ -0,0 +1,143 @@
+import {
+  CURRENT_PACK_SCHEMA_VERSION,
+  PACK_MIGRATIONS,
+  migratePack,
+  parseStoredPack,
+  validatePack,
+} from '../utils/packSchema';
+import { normalizeNarration } from '../utils/narration';
+
+// A pack as saved before schema versioning
+function createLegacyPack(): any {
+  return {
+    id: 'BA123',
+    route: [{ latitude: 51.47, longitude: -0.45 }, { latitude: 40.64, longitude: -73.78 }],
+    checkpoints: [
+      {
+        id: 'checkpoint_0',
+        latitude: 51.47,
+        longitude: -0.45,
+        narration: 'Welcome aboard.',
+        audioPath: null,
+        landmark: { name: 'Heathrow', type: 'airport', category: 'transport', region: 'England', country: 'UK', nearbyFeatures: [] },
+      },
+      {
+        id: 'checkpoint_1',
+        latitude: 40.64,
+        longitude: -73.78,
+        narration: 'Welcome to New York.',
+        audioPath: 'file:///cache/audio/abc.mp3',
+      },
+    ],
+  };
+}
+
+describe('migratePack', () => {
+  it('should have a migration for every version', () => {
+    for (let version = 1; version <= CURRENT_PACK_SCHEMA_VERSION; version++) {
+      expect(typeof (PACK_MIGRATIONS as any)[version]).toBe('function');
+    }
+  });
+
+  it('should upgrade an unversioned pack to the current version', () => {
+    const { pack, migrated } = migratePack(createLegacyPack());
+    expect(migrated).toBe(true);
+    expect(pack).toMatchObject({ schemaVersion: CURRENT_PACK_SCHEMA_VERSION });
+  });
+
+  it('should leave a current pack alone', () => {
+    const { pack: current } = migratePack(createLegacyPack());
+    const snapshot = JSON.parse(JSON.stringify(current));
+    const { pack, migrated } = migratePack(current);
+    expect(migrated).toBe(false);
+    expect(pack).toEqual(snapshot);
+  });
+
+  it('should refuse packs from a newer app version', () => {
+    const pack = { ...createLegacyPack(), schemaVersion: CURRENT_PACK_SCHEMA_VERSION + 1 };
+    expect(() => migratePack(pack)).toThrow(expect.objectContaining({ newerSchema: true }));
+  });
+
+  it('v1: should set offline flags and drop empty audio paths', () => {
+    const pack = PACK_MIGRATIONS[1](createLegacyPack());
+    expect(pack.hasOfflineMaps).toBe(false);
+    expect(pack.mapTilesDownloaded).toBe(0);
+    expect('audioPath' in pack.checkpoints[0]).toBe(false);
+    expect(pack.hasAudio).toBe(true);
+  });
+
+  it('v2: should turn string narrations into structured ones', () => {
+    const pack = PACK_MIGRATIONS[2](createLegacyPack());
+    expect(pack.checkpoints[0].narration).toMatchObject({ body: 'Welcome aboard.', title: null, tags: [] });
+  });
+
+  it('v3: should keep IndexedDB audio references and drop invalid paths', () => {
+    const legacy = createLegacyPack();
+    legacy.checkpoints[0].audioPath = 'idb-audio://abc123';
+    legacy.checkpoints[1].audioPath = 42;
+    const pack = PACK_MIGRATIONS[3](legacy);
+    expect(pack.checkpoints[0].audioPath).toBe('idb-audio://abc123');
+    expect('audioPath' in pack.checkpoints[1]).toBe(false);
+    expect(pack.hasAudio).toBe(true);
+  });
+
+  it('v4: should give packs a complete usage record', () => {
+    const pack = PACK_MIGRATIONS[4](createLegacyPack());
+    expect(pack.usage).toMatchObject({ cost: 0, requestCount: 0, requests: [] });
+
+    const partial = PACK_MIGRATIONS[4]({ ...createLegacyPack(), usage: { cost: 0.5, overBudgetApproved: true } });
+    expect(partial.usage).toMatchObject({ cost: 0.5, inputTokens: 0, requests: [] });
+    expect(partial.usage.overBudgetApproved).toBeUndefined();
+  });
+
+  it('v5: should give landmarks a position and offset from the route', () => {
+    const pack = PACK_MIGRATIONS[5](createLegacyPack());
+    expect(pack.checkpoints[0].landmark).toMatchObject({
+      name: 'Heathrow',
+      type: 'airport',
+      latitude: 51.47,
+      longitude: -0.45,
+      distance: 0,
+      side: null,
+    });
+    expect(pack.checkpoints[1].landmark).toBeUndefined();
+  });
+
+  it('v5: should keep the position of landmarks placed beside the route', () => {
+    const legacy = createLegacyPack();
+    legacy.checkpoints[0].landmark = { name: 'Windsor', type: null, latitude: 51.48, longitude: -0.6, distance: 8000, side: 'left' };
+    const pack = PACK_MIGRATIONS[5](legacy);
+    expect(pack.checkpoints[0].landmark).toMatchObject({ latitude: 51.48, distance: 8000, side: 'left', nearbyFeatures: [] });
+  });
+});
+
+describe('parseStoredPack', () => {
+  it('should parse, validate and migrate', () => {
+    const { pack } = parseStoredPack(JSON.stringify(createLegacyPack()));
+    expect(pack).toMatchObject({ schemaVersion: CURRENT_PACK_SCHEMA_VERSION });
+  });
+
+  it('should reject corrupted JSON and invalid packs', () => {
+    expect(() => parseStoredPack('{"id":')).toThrow('Pack JSON is corrupted');
+    expect(() => parseStoredPack(JSON.stringify({ id: 'x' }))).toThrow('Pack has no checkpoint list');
+  });
+});
+
+describe('validatePack', () => {
+  it('should point at a checkpoint without a position', () => {
+    const pack = createLegacyPack();
+    pack.checkpoints[1].latitude = 'north';
+    expect(validatePack(pack)).toBe('Checkpoint 1 has no valid position');
+  });
+});
+
+describe('normalizeNarration', () => {
+  it('should keep the fields of a structured narration without a body', () => {
+    expect(normalizeNarration({ title: 'Lake Geneva', funFact: 'It is crescent shaped.', windowSide: 'LEFT' }))
+      .toMatchObject({ title: 'Lake Geneva', body: null, funFact: 'It is crescent shaped.', windowSide: 'left' });
+  });
+
+  it('should return null for an empty narration', () => {
+    expect(normalizeNarration({ body: '  ', tags: ['unknown'] })).toBeNull();
+  });
+});
@@ -0,0 +1,118 @@
+import { withRetry, calculateDelay, isRetryableError, sleep } from '../utils/retry';
+import { ConcurrencyPool } from '../utils/concurrency';
+import { isAbortError } from '../utils/abort';
+
+function httpError(status: number) {
+  const error: Error & { status?: number } = new Error(`HTTP ${status}`);
+  error.status = status;
+  return error;
+}
+
+describe('calculateDelay', () => {
+  it('should grow exponentially up to the maximum', () => {
+    const config = { initialDelayMs: 100, maxDelayMs: 1000, backoffMultiplier: 2, jitterFactor: 0 };
+    expect(calculateDelay(0, config)).toBe(100);
+    expect(calculateDelay(2, config)).toBe(400);
+    expect(calculateDelay(10, config)).toBe(1000);
+  });
+});
+
+describe('isRetryableError', () => {
+  it('should recognize network failures only', () => {
+    expect(isRetryableError(new Error('Network request failed'))).toBe(true);
+    expect(isRetryableError(new Error('Invalid API key'))).toBe(false);
+  });
+});
+
+describe('sleep', () => {
+  it('should reject when aborted', async () => {
+    const controller = new AbortController();
+    const sleeping = sleep(10000, controller.signal);
+    controller.abort();
+    await expect(sleeping).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
+
+describe('withRetry', () => {
+  it('should retry until the function succeeds', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(new Error('fetch failed'))
+      .mockResolvedValueOnce('ok');
+    const onRetry = jest.fn();
+    await expect(withRetry(fn, { initialDelayMs: 1, onRetry })).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, maxRetries: 3 }));
+  });
+
+  it('should not retry errors the condition rejects', async () => {
+    const fn = jest.fn().mockRejectedValue(new Error('Invalid API key'));
+    await expect(withRetry(fn, { initialDelayMs: 1 })).rejects.toThrow('Invalid API key');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should give up after maxRetries', async () => {
+    const fn = jest.fn().mockRejectedValue(new Error('fetch failed'));
+    await expect(withRetry(fn, { maxRetries: 2, initialDelayMs: 1 })).rejects.toThrow('fetch failed');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it('should never retry a cancelled request', async () => {
+    const controller = new AbortController();
+    const fn = jest.fn(async () => {
+      controller.abort();
+      throw new Error('fetch failed');
+    });
+    const error = await withRetry(fn, { initialDelayMs: 1, signal: controller.signal }).catch(e => e);
+    expect(error.message).toBe('fetch failed');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop waiting between attempts when aborted', async () => {
+    const controller = new AbortController();
+    const fn = jest.fn().mockRejectedValue(new Error('fetch failed'));
+    const retrying = withRetry(fn, { initialDelayMs: 10000, signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+    const error = await retrying.catch(e => e);
+    expect(isAbortError(error)).toBe(true);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  describe('with a pool', () => {
+    it('should run each attempt inside the pool', async () => {
+      const pool = new ConcurrencyPool({ concurrency: 1 });
+      const run = jest.spyOn(pool, 'run');
+      const fn = jest.fn()
+        .mockRejectedValueOnce(new Error('fetch failed'))
+        .mockResolvedValueOnce('ok');
+      await expect(withRetry(fn, { initialDelayMs: 1, pool })).resolves.toBe('ok');
+      expect(run).toHaveBeenCalledTimes(2);
+    });
+
+    it('should pause the whole pool after a rate limit', async () => {
+      const pool = new ConcurrencyPool({ concurrency: 2 });
+      const shouldRetry = (error: { status?: number }) => error.status === 429;
+      const limited = jest.fn()
+        .mockRejectedValueOnce(httpError(429))
+        .mockResolvedValueOnce('limited');
+
+      const start = Date.now();
+      const first = withRetry(limited, { initialDelayMs: 100, shouldRetry, pool });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      // Another caller's request waits out the shared backoff
+      const otherStartedAt = await pool.run(async () => Date.now());
+      expect(otherStartedAt - start).toBeGreaterThanOrEqual(80);
+      await expect(first).resolves.toBe('limited');
+    });
+
+    it('should not pause the pool for other retryable errors', async () => {
+      const pool = new ConcurrencyPool({ concurrency: 2 });
+      const pause = jest.spyOn(pool, 'pause');
+      const fn = jest.fn()
+        .mockRejectedValueOnce(httpError(500))
+        .mockResolvedValueOnce('ok');
+      await withRetry(fn, { initialDelayMs: 1, shouldRetry: () => true, pool });
+      expect(pause).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import {
+  routeToCheckpoints,
+  getCheckpointOptions,
+  CHECKPOINT_DENSITIES,
+} from '../utils/routeUtils';
+import { calculateRouteDistance, projectOntoRoute, Coordinate } from '../utils/geofence';
+
+// Due east along the equator, about 2224 km, with a point every degree
+const route: Coordinate[] = Array.from({ length: 21 }, (_, i) => ({ latitude: 0, longitude: i }));
+const totalDistance = calculateRouteDistance(route);
+
+// About 111 km per degree at the equator
+const feature = (id: string, longitude: number, options: { relevance?: number; offset?: number; sightRange?: number } = {}) => ({
+  id,
+  name: id,
+  latitude: options.offset ?? 0.1,
+  longitude,
+  type: 'mountain_peak',
+  category: 'geological',
+  relevance: options.relevance ?? 50,
+  sightRange: options.sightRange ?? 60000,
+});
+
+const alongTrack = (checkpoint: Coordinate) => projectOntoRoute(checkpoint, route).alongTrack;
+
+describe('routeToCheckpoints', () => {
+  it('should space checkpoints evenly without features', () => {
+    const checkpoints = routeToCheckpoints(route, { numCheckpoints: 5, minSpacing: 50000 });
+    expect(checkpoints[0].type).toBe('departure');
+    expect(checkpoints[checkpoints.length - 1].type).toBe('arrival');
+    expect(checkpoints.length).toBeLessThanOrEqual(5);
+  });
+
+  it('should return nothing for a route without two points', () => {
+    expect(routeToCheckpoints([route[0]])).toEqual([]);
+  });
+
+  describe('on route features', () => {
+    const minSpacing = 80000;
+
+    it('should prefer high-scoring features over nearby low-scoring ones', () => {
+      const checkpoints = routeToCheckpoints(route, {
+        numCheckpoints: 3,
+        minSpacing,
+        features: [feature('Hill', 10, { relevance: 10 }), feature('Summit', 10.3, { relevance: 90 })],
+      });
+      const landmarks = checkpoints.filter(c => c.type === 'landmark');
+      expect(landmarks.map(c => c.name)).toEqual(['Summit']);
+    });
+
+    it('should rank features further from the path lower', () => {
+      const checkpoints = routeToCheckpoints(route, {
+        numCheckpoints: 3,
+        minSpacing,
+        features: [
+          feature('Distant', 10, { relevance: 60, offset: 0.5 }),
+          feature('Close', 10.3, { relevance: 50, offset: 0.05 }),
+        ],
+      });
+      expect(checkpoints.filter(c => c.type === 'landmark').map(c => c.name)).toEqual(['Close']);
+    });
+
+    it('should ignore features out of sight of the route', () => {
+      const checkpoints = routeToCheckpoints(route, {
+        numCheckpoints: 3,
+        minSpacing,
+        features: [feature('Far away', 10, { offset: 1, sightRange: 50000 })],
+      });
+      expect(checkpoints.some(c => c.type === 'landmark')).toBe(false);
+    });
+
+    it('should never place two checkpoints closer than the minimum spacing', () => {
+      // A cluster of features every 20 km, and some near the airports
+      const features = [
+        ...Array.from({ length: 30 }, (_, i) => feature(`Peak ${i}`, 5 + i * 0.18, { relevance: 20 + (i % 7) * 10 })),
+        feature('Near departure', 0.3, { relevance: 100 }),
+        feature('Near arrival', 19.7, { relevance: 100 }),
+      ];
+      const checkpoints = routeToCheckpoints(route, { numCheckpoints: 20, minSpacing, features });
+      const positions = checkpoints.map(alongTrack);
+
+      for (let i = 1; i < positions.length; i++) {
+        expect(positions[i] - positions[i - 1]).toBeGreaterThanOrEqual(minSpacing - 1);
+      }
+      expect(checkpoints.length).toBeLessThanOrEqual(20);
+      expect(checkpoints.some(c => c.name === 'Near departure' || c.name === 'Near arrival')).toBe(false);
+    });
+
+    it('should anchor checkpoints abeam of features and fill the gaps with waypoints', () => {
+      const checkpoints = routeToCheckpoints(route, {
+        numCheckpoints: 6,
+        minSpacing,
+        features: [feature('Summit', 10, { offset: -0.2, sightRange: 80000 })],
+      });
+      const landmark: any = checkpoints.find(c => c.type === 'landmark');
+      expect(landmark.latitude).toBeCloseTo(0, 5);
+      expect(landmark.longitude).toBeCloseTo(10, 1);
+      expect(landmark.landmark).toMatchObject({ name: 'Summit', side: 'right', latitude: -0.2, longitude: 10 });
+      expect(landmark.landmark.distance).toBeCloseTo(22239, -2);
+      expect(checkpoints.filter(c => c.type === 'waypoint').length).toBe(3);
+      expect(checkpoints.map(c => c.id)).toEqual(checkpoints.map((_, i) => `checkpoint_${i}`));
+    });
+  });
+});
+
+describe('getCheckpointOptions', () => {
+  it.each(Object.entries(CHECKPOINT_DENSITIES))('should size the %s profile to the route', (density, profile) => {
+    const options: any = getCheckpointOptions(route, { density, geofenceRadius: 12000 });
+    const expectedCount = Math.min(profile.max, Math.max(profile.min, Math.round(totalDistance / profile.spacing) + 1));
+
+    expect(options.minSpacing).toBe(profile.minSpacing);
+    expect(options.geofenceRadius).toBe(12000);
+    expect(options.fillSpacing).toBeCloseTo(totalDistance / (expectedCount - 1));
+    expect(options.numCheckpoints).toBe('everyLandmark' in profile ? profile.max : expectedCount);
+  });
+
+  it('should give denser profiles more checkpoints', () => {
+    const count = (density: string) => routeToCheckpoints(route, getCheckpointOptions(route, { density })).length;
+    expect(count('sparse')).toBeLessThan(count('standard'));
+    expect(count('standard')).toBeLessThan(count('dense'));
+  });
+
+  it('should keep short routes at the profile minimum', () => {
+    const short = [{ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 1 }];
+    expect(getCheckpointOptions(short, { density: 'standard' })).toMatchObject({ numCheckpoints: CHECKPOINT_DENSITIES.standard.min });
+  });
+
+  it('should fall back to the standard profile for an unknown density', () => {
+    expect(getCheckpointOptions(route, { density: 'unknown' })).toEqual(getCheckpointOptions(route, { density: 'standard' }));
+  });
+
+  it('should use a fixed count for the custom density', () => {
+    const options = getCheckpointOptions(route, { density: 'custom', checkpointsPerFlight: 12, geofenceRadius: 20000 });
+    expect(options).toEqual({ numCheckpoints: 12, minSpacing: 80000, geofenceRadius: 20000 });
+    expect(routeToCheckpoints(route, options).length).toBeLessThanOrEqual(12);
+  });
+});
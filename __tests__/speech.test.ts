@@ -0,0 +1,201 @@
+jest.mock('../services/AudioService', () => ({
+  audioService: {
+    subscribe: jest.fn(),
+    playUri: jest.fn(async () => true),
+    stop: jest.fn(async () => {}),
+  },
+}));
+
+jest.mock('../services/ElevenLabsService', () => ({
+  elevenLabsService: {
+    isConfigured: jest.fn(() => true),
+    generateAndSaveAudio: jest.fn(async () => 'file:///cache/audio/voice.mp3'),
+    resolveAudioUri: jest.fn(async (uri: string) => uri),
+    saveAudioBlob: jest.fn(async (key: string) => `file:///cache/audio/${key}.mp3`),
+  },
+}));
+
+jest.mock('../services/FreeTTSService', () => ({
+  freeTTSService: {
+    isConfigured: jest.fn(() => true),
+    speak: jest.fn(async () => true),
+    stop: jest.fn(async () => {}),
+    subscribe: jest.fn(),
+    updateVoiceSettings: jest.fn(),
+  },
+}));
+
+jest.mock('../utils/logger', () => ({
+  createLogger: () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }),
+}));
+
+import { SpeechService } from '../services/SpeechService';
+import { audioService } from '../services/AudioService';
+import { elevenLabsService } from '../services/ElevenLabsService';
+import { freeTTSService } from '../services/FreeTTSService';
+
+const audio = audioService as jest.Mocked<any>;
+const elevenLabs = elevenLabsService as jest.Mocked<any>;
+const deviceVoice = freeTTSService as jest.Mocked<any>;
+
+const TEXT = 'The Alps are below us.';
+
+// A promise the test settles by hand
+function deferred<T>() {
+  let resolve!: (value: T) => void;
+  let reject!: (error: Error) => void;
+  const promise = new Promise<T>((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+describe('SpeechService', () => {
+  const originalFetch = global.fetch;
+  let speech: SpeechService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    speech = new SpeechService();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.useRealTimers();
+  });
+
+  describe('speak', () => {
+    it('should use the first provider that plays', async () => {
+      await expect(speech.speak(TEXT)).resolves.toBe('elevenlabs');
+      expect(deviceVoice.speak).not.toHaveBeenCalled();
+      expect(speech.lastProvider).toBe('elevenlabs');
+    });
+
+    it('should fall back to the next provider when one fails', async () => {
+      elevenLabs.generateAndSaveAudio.mockRejectedValueOnce(new Error('quota exceeded'));
+      await expect(speech.speak(TEXT)).resolves.toBe('device');
+      expect(deviceVoice.speak).toHaveBeenCalledWith(TEXT);
+    });
+
+    it('should fall back when a provider does not play', async () => {
+      audio.playUri.mockResolvedValueOnce(false);
+      await expect(speech.speak(TEXT)).resolves.toBe('device');
+    });
+
+    it('should follow the configured order and skip disabled or unavailable providers', async () => {
+      speech.setProviderOrder(['local', 'device', 'elevenlabs']);
+      await expect(speech.speak(TEXT)).resolves.toBe('device');
+      expect(elevenLabs.generateAndSaveAudio).not.toHaveBeenCalled();
+
+      speech.setProviderOrder(['elevenlabs']);
+      elevenLabs.generateAndSaveAudio.mockRejectedValueOnce(new Error('offline'));
+      await expect(speech.speak(TEXT)).resolves.toBeNull();
+      expect(deviceVoice.speak).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not speak empty text', async () => {
+      await expect(speech.speak('  ')).resolves.toBeNull();
+      expect(elevenLabs.generateAndSaveAudio).not.toHaveBeenCalled();
+    });
+
+    it('should not hand the text to the next provider after stop()', async () => {
+      const synthesis = deferred<string | null>();
+      elevenLabs.generateAndSaveAudio.mockReturnValueOnce(synthesis.promise);
+
+      const speaking = speech.speak(TEXT);
+      await speech.stop();
+      // The cut-off provider reports that it didn't play
+      synthesis.resolve(null);
+
+      await expect(speaking).resolves.toBeNull();
+      expect(deviceVoice.speak).not.toHaveBeenCalled();
+      expect(audio.stop).toHaveBeenCalled();
+      expect(deviceVoice.stop).toHaveBeenCalled();
+    });
+
+    it('should not treat a provider failing after stop() as a reason to fall back', async () => {
+      const synthesis = deferred<string | null>();
+      elevenLabs.generateAndSaveAudio.mockReturnValueOnce(synthesis.promise);
+
+      const speaking = speech.speak(TEXT);
+      await speech.stop();
+      synthesis.reject(new Error('player released'));
+
+      await expect(speaking).resolves.toBeNull();
+      expect(deviceVoice.speak).not.toHaveBeenCalled();
+    });
+
+    it('should stop at a cancellation instead of trying the next provider', async () => {
+      const controller = new AbortController();
+      elevenLabs.generateAndSaveAudio.mockImplementationOnce(async () => {
+        controller.abort();
+        const error = new Error('Operation cancelled');
+        error.name = 'AbortError';
+        throw error;
+      });
+
+      await expect(speech.speak(TEXT, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+      expect(deviceVoice.speak).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('local server', () => {
+    beforeEach(() => {
+      speech.setProviderOrder(['local', 'device']);
+      speech.setLocalEndpoint(' http://tts.local:5002/api/tts ');
+    });
+
+    it('should request the text from the server and play the answer', async () => {
+      global.fetch = jest.fn(async () => ({ ok: true, blob: async () => 'audio' })) as any;
+
+      await expect(speech.speak(TEXT)).resolves.toBe('local');
+      expect(global.fetch).toHaveBeenCalledWith(
+        `http://tts.local:5002/api/tts?text=${encodeURIComponent(TEXT)}`,
+        expect.anything()
+      );
+      expect(elevenLabs.saveAudioBlob).toHaveBeenCalledWith(expect.stringMatching(/^local_/), 'audio');
+    });
+
+    it('should fall back when the server returns an error', async () => {
+      global.fetch = jest.fn(async () => ({ ok: false, status: 500 })) as any;
+      await expect(speech.speak(TEXT)).resolves.toBe('device');
+    });
+
+    it('should give up on a server that does not answer and fall back', async () => {
+      jest.useFakeTimers();
+      global.fetch = jest.fn((url: string, { signal }: { signal: AbortSignal }) => new Promise((_, reject) => {
+        signal.addEventListener('abort', () => {
+          const error = new Error('Aborted');
+          error.name = 'AbortError';
+          reject(error);
+        });
+      })) as any;
+
+      const speaking = speech.speak(TEXT);
+      await jest.advanceTimersByTimeAsync(10000);
+
+      await expect(speaking).resolves.toBe('device');
+    });
+
+    it('should be unavailable without an endpoint', async () => {
+      speech.setLocalEndpoint('');
+      global.fetch = jest.fn() as any;
+      await expect(speech.speak(TEXT)).resolves.toBe('device');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('speakCheckpoint', () => {
+    it('should play pre-generated audio first', async () => {
+      const checkpoint = { id: 'checkpoint_1', audioPath: 'file:///cache/audio/pack.mp3', narration: { body: TEXT } };
+      await expect(speech.speakCheckpoint(checkpoint)).resolves.toBe('pack');
+      expect(audio.playUri).toHaveBeenCalledWith('file:///cache/audio/pack.mp3');
+      expect(elevenLabs.generateAndSaveAudio).not.toHaveBeenCalled();
+    });
+
+    it('should speak the narration when the audio file is missing', async () => {
+      elevenLabs.resolveAudioUri.mockResolvedValueOnce(null);
+      const checkpoint = { id: 'checkpoint_1', audioPath: 'file:///cache/audio/gone.mp3', narration: { body: TEXT } };
+      await expect(speech.speakCheckpoint(checkpoint)).resolves.toBe('elevenlabs');
+      expect(elevenLabs.generateAndSaveAudio).toHaveBeenCalledWith(TEXT, expect.anything());
+    });
+  });
+});
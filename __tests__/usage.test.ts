@@ -0,0 +1,47 @@
+import { getRequestCost, estimatePackUsage, estimateTokens } from '../utils/usage';
+
+describe('getRequestCost', () => {
+  it('should price Claude tokens by model', () => {
+    const request = { service: 'anthropic', inputTokens: 1e6, outputTokens: 1e6 };
+    expect(getRequestCost({ ...request, model: 'claude-sonnet-4-20250514' })).toBeCloseTo(18);
+    expect(getRequestCost({ ...request, model: 'claude-opus-4-1-20250805' })).toBeCloseTo(90);
+    expect(getRequestCost({ ...request, model: 'claude-3-5-haiku-20241022' })).toBeCloseTo(4.8);
+  });
+
+  it('should prefer the longest matching model prefix', () => {
+    const request = { service: 'anthropic', inputTokens: 1e6, outputTokens: 1e6 };
+    expect(getRequestCost({ ...request, model: 'claude-opus-4-5-20251101' })).toBeCloseTo(30);
+  });
+
+  it('should price an unlisted model at the default price', () => {
+    const request = { service: 'anthropic', inputTokens: 1e6, outputTokens: 1e6 };
+    expect(getRequestCost({ ...request, model: 'claude-future' })).toBeCloseTo(18);
+    expect(getRequestCost(request)).toBeCloseTo(18);
+  });
+
+  it('should price speech by character and flight data by call', () => {
+    expect(getRequestCost({ service: 'elevenlabs', characters: 2000 })).toBeCloseTo(0.3);
+    expect(getRequestCost({ service: 'aeroapi', calls: 3 })).toBeCloseTo(0.03);
+  });
+
+  it('should treat a self-hosted provider and an unknown service as free', () => {
+    expect(getRequestCost({ service: 'openai', inputTokens: 1e6, outputTokens: 1e6 })).toBe(0);
+    expect(getRequestCost({ service: 'unknown', calls: 5 })).toBe(0);
+  });
+});
+
+describe('estimateTokens', () => {
+  it('should estimate about four characters per token', () => {
+    expect(estimateTokens('a'.repeat(400))).toBe(100);
+    expect(estimateTokens('')).toBe(0);
+  });
+});
+
+describe('estimatePackUsage', () => {
+  it('should price the narrations at the chosen model', () => {
+    const options = { checkpoints: 10, llmProvider: 'anthropic', length: 'medium' };
+    const sonnet: any = estimatePackUsage({ ...options, model: 'claude-sonnet-4-20250514' });
+    const opus: any = estimatePackUsage({ ...options, model: 'claude-opus-4-20250514' });
+    expect(opus.cost).toBeCloseTo(sonnet.cost * 5);
+  });
+});
@@ -1,15 +1,62 @@
 import React, { useState, useMemo } from 'react';
-import { View, Text, TouchableOpacity, ScrollView, StyleSheet, Pressable } from 'react-native';
+import { View, Text, TextInput, TouchableOpacity, ScrollView, StyleSheet, Pressable, ActivityIndicator } from 'react-native';
 import { calculateDistance } from '../utils/geofence';
+import { normalizeNarration, formatWindowSide } from '../utils/narration';
 
+const FOCUS_CHOICES = [
+  { value: 'geological', label: 'Geology' },
+  { value: 'historical', label: 'History' },
+  { value: 'cultural', label: 'Culture' },
+  { value: 'mixed', label: 'Mixed' },
+];
+
+const LENGTH_CHOICES = [
+  { value: 'short', label: 'Short' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'long', label: 'Long' },
+];
+
+/**
+ * CheckpointList - Collapsible list of the pack's checkpoints with a detail
+ * panel for the selected one. When the edit handlers are provided, the panel
+ * can regenerate, hand-edit and re-voice that checkpoint's narration.
+ *
+ * @param {Object} props
+ * @param {Array} props.checkpoints - Pack checkpoints
+ * @param {Set} [props.triggeredCheckpoints] - Ids (or indices) already narrated
+ * @param {Set} [props.missedCheckpoints] - Ids passed without triggering
+ *   (too far off the route)
+ * @param {function} [props.onPlayMissed] - (checkpoint) plays a missed checkpoint
+ * @param {Object} [props.location] - Current GPS location
+ * @param {function} [props.onRegenerateNarration] - async (checkpoint, { contentFocus, length })
+ * @param {function} [props.onSaveNarration] - async (checkpoint, { title, body })
+ * @param {function} [props.onRegenerateAudio] - async (checkpoint)
+ * @param {Array} [props.legs] - Multi-leg trips: [{ title, detail }] per leg,
+ *   shown above the first checkpoint with that legIndex
+ * @param {Object} [props.style] - Additional styles
+ */
 export function CheckpointList({
   checkpoints = [],
   triggeredCheckpoints = new Set(),
+  missedCheckpoints = new Set(),
+  onPlayMissed,
   location,
+  onRegenerateNarration,
+  onSaveNarration,
+  onRegenerateAudio,
+  legs,
   style,
 }) {
   const [expanded, setExpanded] = useState(false);
   const [selectedIndex, setSelectedIndex] = useState(null);
+  // Detail panel actions: mode is null, 'edit' or 'regenerate'
+  const [mode, setMode] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+  const [draftBody, setDraftBody] = useState('');
+  const [regenFocus, setRegenFocus] = useState(null);
+  const [regenLength, setRegenLength] = useState(null);
+  const [busyAction, setBusyAction] = useState(null);
+  const [actionError, setActionError] = useState(null);
 
   // Calculate distances and find next checkpoint
   const checkpointData = useMemo(() => {
@@ -18,6 +65,7 @@ export function CheckpointList({
     return checkpoints.map((checkpoint, index) => {
       const isTriggered = triggeredCheckpoints.has(checkpoint.id) ||
                           triggeredCheckpoints.has(index);
+      const isMissed = !isTriggered && missedCheckpoints.has(checkpoint.id);
 
       let distance = null;
       if (location?.coords) {
@@ -33,19 +81,55 @@ export function CheckpointList({
         ...checkpoint,
         index,
         isTriggered,
+        isMissed,
         distance,
       };
     });
-  }, [checkpoints, triggeredCheckpoints, location]);
+  }, [checkpoints, triggeredCheckpoints, missedCheckpoints, location]);
 
-  // Find next (first untriggered) checkpoint
-  const nextIndex = checkpointData.findIndex(c => !c.isTriggered);
+  // Find next (first untriggered) checkpoint still ahead
+  const nextIndex = checkpointData.findIndex(c => !c.isTriggered && !c.isMissed);
 
   const triggeredCount = checkpointData.filter(c => c.isTriggered).length;
 
   if (checkpoints.length === 0) return null;
 
   const selectedCheckpoint = selectedIndex !== null ? checkpointData[selectedIndex] : null;
+  const selectedNarration = selectedCheckpoint ? normalizeNarration(selectedCheckpoint.narration) : null;
+  const canEdit = !!(onRegenerateNarration || onSaveNarration || onRegenerateAudio);
+
+  const selectCheckpoint = (index) => {
+    setSelectedIndex(index);
+    setMode(null);
+    setActionError(null);
+  };
+
+  const startEditing = () => {
+    setDraftTitle(selectedNarration?.title || '');
+    setDraftBody(selectedNarration?.body || '');
+    setActionError(null);
+    setMode('edit');
+  };
+
+  const startRegenerating = () => {
+    setRegenFocus(null);
+    setRegenLength(null);
+    setActionError(null);
+    setMode('regenerate');
+  };
+
+  const runAction = async (action, task) => {
+    setBusyAction(action);
+    setActionError(null);
+    try {
+      await task();
+      setMode(null);
+    } catch (error) {
+      setActionError(error?.message || 'Something went wrong');
+    } finally {
+      setBusyAction(null);
+    }
+  };
 
   return (
     <View style={[styles.container, style]}>
@@ -72,6 +156,7 @@ export function CheckpointList({
               style={[
                 styles.dot,
                 cp.isTriggered && styles.dotTriggered,
+                cp.isMissed && styles.dotMissed,
                 i === nextIndex && styles.dotNext,
               ]}
             />
@@ -84,46 +169,62 @@ export function CheckpointList({
         <View style={styles.expandedList}>
           <ScrollView style={styles.listScroll} nestedScrollEnabled={true}>
             {checkpointData.map((checkpoint, index) => (
-              <Pressable
-                key={checkpoint.id || index}
-                style={[
-                  styles.listItem,
-                  checkpoint.isTriggered && styles.listItemTriggered,
-                  index === nextIndex && styles.listItemNext,
-                  selectedIndex === index && styles.listItemSelected,
-                ]}
-                onPress={() => setSelectedIndex(selectedIndex === index ? null : index)}
-              >
-                <View style={styles.listItemLeft}>
-                  <View style={[
-                    styles.listItemDot,
-                    checkpoint.isTriggered && styles.listItemDotTriggered,
-                    index === nextIndex && styles.listItemDotNext,
-                  ]}>
-                    {checkpoint.isTriggered && (
-                      <Text style={styles.checkmark}>✓</Text>
+              <React.Fragment key={checkpoint.id || index}>
+                {legs?.[checkpoint.legIndex] && checkpointData[index - 1]?.legIndex !== checkpoint.legIndex && (
+                  <View style={styles.legHeader}>
+                    <Text style={styles.legTitle}>{legs[checkpoint.legIndex].title}</Text>
+                    {legs[checkpoint.legIndex].detail && (
+                      <Text style={styles.legDetail}>{legs[checkpoint.legIndex].detail}</Text>
                     )}
                   </View>
-                  <View style={styles.listItemInfo}>
-                    <Text style={[
-                      styles.listItemName,
-                      checkpoint.isTriggered && styles.listItemNameTriggered,
-                    ]} numberOfLines={1}>
-                      {checkpoint.name}
-                    </Text>
-                    {checkpoint.landmark?.type && (
-                      <Text style={styles.listItemType} numberOfLines={1}>
-                        {checkpoint.landmark.type.replace(/_/g, ' ')}
+                )}
+                <Pressable
+                  style={[
+                    styles.listItem,
+                    checkpoint.isTriggered && styles.listItemTriggered,
+                    index === nextIndex && styles.listItemNext,
+                    selectedIndex === index && styles.listItemSelected,
+                  ]}
+                  onPress={() => selectCheckpoint(selectedIndex === index ? null : index)}
+                >
+                  <View style={styles.listItemLeft}>
+                    <View style={[
+                      styles.listItemDot,
+                      checkpoint.isTriggered && styles.listItemDotTriggered,
+                      index === nextIndex && styles.listItemDotNext,
+                      checkpoint.isMissed && styles.listItemDotMissed,
+                    ]}>
+                      {checkpoint.isTriggered && (
+                        <Text style={styles.checkmark}>✓</Text>
+                      )}
+                    </View>
+                    <View style={styles.listItemInfo}>
+                      <Text style={[
+                        styles.listItemName,
+                        checkpoint.isTriggered && styles.listItemNameTriggered,
+                      ]} numberOfLines={1}>
+                        {checkpoint.name}
                       </Text>
-                    )}
+                      {checkpoint.isMissed ? (
+                        <Text style={styles.listItemMissed} numberOfLines={1}>
+                          Missed — passed too far off the route
+                        </Text>
+                      ) : checkpoint.landmark?.type && (
+                        <Text style={styles.listItemType} numberOfLines={1}>
+                          {checkpoint.landmark.type.replace(/_/g, ' ')}
+                        </Text>
+                      )}
+                    </View>
                   </View>
-                </View>
-                {checkpoint.distance && (
-                  <Text style={styles.listItemDistance}>
-                    {formatDistance(checkpoint.distance)}
-                  </Text>
-                )}
-              </Pressable>
+                  {checkpoint.isMissed && onPlayMissed ? (
+                    <ActionButton label="Play anyway" onPress={() => onPlayMissed(checkpoint)} />
+                  ) : checkpoint.distance && (
+                    <Text style={styles.listItemDistance}>
+                      {formatDistance(checkpoint.distance)}
+                    </Text>
+                  )}
+                </Pressable>
+              </React.Fragment>
             ))}
           </ScrollView>
 
@@ -132,7 +233,7 @@ export function CheckpointList({
             <View style={styles.detailInline}>
               <View style={styles.detailHeader}>
                 <Text style={styles.detailTitle}>{selectedCheckpoint.name}</Text>
-                <Pressable onPress={() => setSelectedIndex(null)} style={styles.detailClose}>
+                <Pressable onPress={() => selectCheckpoint(null)} style={styles.detailClose}>
                   <Text style={styles.detailCloseText}>✕</Text>
                 </Pressable>
               </View>
@@ -141,15 +242,135 @@ export function CheckpointList({
                   {selectedCheckpoint.landmark.type.replace(/_/g, ' ')}
                 </Text>
               )}
-              {selectedCheckpoint.narration ? (
-                <Text style={styles.detailNarrationText} numberOfLines={4}>
-                  {selectedCheckpoint.narration}
-                </Text>
+              {mode === 'edit' ? (
+                <View>
+                  <TextInput
+                    style={styles.editTitleInput}
+                    value={draftTitle}
+                    onChangeText={setDraftTitle}
+                    placeholder="Title"
+                    placeholderTextColor="rgba(255, 255, 255, 0.4)"
+                    accessibilityLabel="Narration title"
+                  />
+                  <TextInput
+                    style={styles.editBodyInput}
+                    value={draftBody}
+                    onChangeText={setDraftBody}
+                    placeholder="Narration"
+                    placeholderTextColor="rgba(255, 255, 255, 0.4)"
+                    multiline
+                    accessibilityLabel="Narration text"
+                  />
+                </View>
+              ) : selectedNarration ? (
+                <View>
+                  {selectedNarration.title && selectedNarration.title !== selectedCheckpoint.name && (
+                    <Text style={styles.detailNarrationTitle}>{selectedNarration.title}</Text>
+                  )}
+                  {selectedNarration.windowSide && (
+                    <View style={styles.windowBadge}>
+                      <Text style={styles.windowBadgeText}>
+                        {formatWindowSide(selectedNarration.windowSide)}
+                      </Text>
+                    </View>
+                  )}
+                  <Text style={styles.detailNarrationText} numberOfLines={6}>
+                    {selectedNarration.body}
+                  </Text>
+                  {selectedNarration.funFact && (
+                    <View style={styles.funFact}>
+                      <Text style={styles.funFactLabel}>FUN FACT</Text>
+                      <Text style={styles.funFactText}>{selectedNarration.funFact}</Text>
+                    </View>
+                  )}
+                  {selectedNarration.pronunciation && (
+                    <Text style={styles.pronunciation}>Say it: {selectedNarration.pronunciation}</Text>
+                  )}
+                  {selectedNarration.tags.length > 0 && (
+                    <View style={styles.tagRow}>
+                      {selectedNarration.tags.map(tag => (
+                        <View key={tag} style={styles.tag}>
+                          <Text style={styles.tagText}>{tag}</Text>
+                        </View>
+                      ))}
+                    </View>
+                  )}
+                </View>
               ) : (
                 <Text style={styles.detailNoNarration}>
                   No narration available
                 </Text>
               )}
+
+              {mode === 'regenerate' && (
+                <View style={styles.regenOptions}>
+                  <ChoiceRow
+                    label="Focus"
+                    choices={FOCUS_CHOICES}
+                    value={regenFocus}
+                    onChange={setRegenFocus}
+                  />
+                  <ChoiceRow
+                    label="Length"
+                    choices={LENGTH_CHOICES}
+                    value={regenLength}
+                    onChange={setRegenLength}
+                  />
+                </View>
+              )}
+
+              {actionError && (
+                <Text style={styles.actionError} accessibilityRole="alert">{actionError}</Text>
+              )}
+
+              {canEdit && (
+                <View style={styles.actionRow}>
+                  {busyAction ? (
+                    <View style={styles.actionBusy}>
+                      <ActivityIndicator size="small" color="#00d4ff" />
+                      <Text style={styles.actionBusyText}>
+                        {busyAction === 'audio' ? 'Generating voice...' : busyAction === 'save' ? 'Saving...' : 'Regenerating...'}
+                      </Text>
+                    </View>
+                  ) : mode === 'edit' ? (
+                    <>
+                      <ActionButton label="Cancel" onPress={() => setMode(null)} />
+                      <ActionButton
+                        label="Save"
+                        primary
+                        onPress={() => runAction('save', () =>
+                          onSaveNarration(selectedCheckpoint, { title: draftTitle, body: draftBody })
+                        )}
+                      />
+                    </>
+                  ) : mode === 'regenerate' ? (
+                    <>
+                      <ActionButton label="Cancel" onPress={() => setMode(null)} />
+                      <ActionButton
+                        label="Regenerate"
+                        primary
+                        onPress={() => runAction('narration', () =>
+                          onRegenerateNarration(selectedCheckpoint, {
+                            contentFocus: regenFocus,
+                            length: regenLength,
+                          })
+                        )}
+                      />
+                    </>
+                  ) : (
+                    <>
+                      {onSaveNarration && <ActionButton label="Edit" onPress={startEditing} />}
+                      {onRegenerateNarration && <ActionButton label="Regenerate" onPress={startRegenerating} />}
+                      {onRegenerateAudio && selectedNarration && (
+                        <ActionButton
+                          label={selectedCheckpoint.audioPath ? 'Re-voice' : 'Voice'}
+                          onPress={() => runAction('audio', () => onRegenerateAudio(selectedCheckpoint))}
+                        />
+                      )}
+                    </>
+                  )}
+                </View>
+              )}
             </View>
           )}
         </View>
@@ -158,6 +379,43 @@ export function CheckpointList({
   );
 }
 
+function ActionButton({ label, onPress, primary }) {
+  return (
+    <TouchableOpacity
+      style={[styles.actionButton, primary && styles.actionButtonPrimary]}
+      onPress={onPress}
+      accessibilityRole="button"
+      accessibilityLabel={label}
+    >
+      <Text style={[styles.actionButtonText, primary && styles.actionButtonTextPrimary]}>{label}</Text>
+    </TouchableOpacity>
+  );
+}
+
+// Optional override picker; tapping the selected choice clears it (use the setting)
+function ChoiceRow({ label, choices, value, onChange }) {
+  return (
+    <View style={styles.choiceRow}>
+      <Text style={styles.choiceLabel}>{label}</Text>
+      <View style={styles.choiceOptions}>
+        {choices.map(choice => (
+          <Pressable
+            key={choice.value}
+            style={[styles.choice, value === choice.value && styles.choiceSelected]}
+            onPress={() => onChange(value === choice.value ? null : choice.value)}
+            accessibilityRole="button"
+            accessibilityState={{ selected: value === choice.value }}
+          >
+            <Text style={[styles.choiceText, value === choice.value && styles.choiceTextSelected]}>
+              {choice.label}
+            </Text>
+          </Pressable>
+        ))}
+      </View>
+    </View>
+  );
+}
+
 function formatDistance(meters) {
   if (meters < 1000) {
     return `${Math.round(meters)} m`;
@@ -226,6 +484,9 @@ const styles = StyleSheet.create({
   dotNext: {
     backgroundColor: '#00d4ff',
   },
+  dotMissed: {
+    backgroundColor: '#ffd93d',
+  },
 
   // Expanded list
   expandedList: {
@@ -237,6 +498,21 @@ const styles = StyleSheet.create({
     paddingHorizontal: 8,
     paddingVertical: 8,
   },
+  legHeader: {
+    paddingHorizontal: 12,
+    paddingTop: 10,
+    paddingBottom: 4,
+  },
+  legTitle: {
+    color: '#00d4ff',
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  legDetail: {
+    color: 'rgba(255, 255, 255, 0.5)',
+    fontSize: 11,
+    marginTop: 1,
+  },
   listItem: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -275,6 +551,9 @@ const styles = StyleSheet.create({
   listItemDotNext: {
     backgroundColor: '#00d4ff',
   },
+  listItemDotMissed: {
+    backgroundColor: '#ffd93d',
+  },
   checkmark: {
     color: '#0a1628',
     fontSize: 12,
@@ -296,6 +575,11 @@ const styles = StyleSheet.create({
     fontSize: 11,
     marginTop: 2,
   },
+  listItemMissed: {
+    color: '#ffd93d',
+    fontSize: 11,
+    marginTop: 2,
+  },
   listItemDistance: {
     color: '#00d4ff',
     fontSize: 12,
@@ -338,16 +622,174 @@ const styles = StyleSheet.create({
     marginTop: 2,
     marginBottom: 6,
   },
+  detailNarrationTitle: {
+    color: '#ffffff',
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  windowBadge: {
+    alignSelf: 'flex-start',
+    backgroundColor: 'rgba(0, 255, 136, 0.15)',
+    borderRadius: 6,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    marginBottom: 6,
+  },
+  windowBadgeText: {
+    color: '#00ff88',
+    fontSize: 11,
+    fontWeight: '600',
+  },
   detailNarrationText: {
     color: 'rgba(255, 255, 255, 0.9)',
     fontSize: 13,
     lineHeight: 18,
   },
+  funFact: {
+    borderLeftWidth: 2,
+    borderLeftColor: '#00d4ff',
+    paddingLeft: 8,
+    marginTop: 8,
+  },
+  funFactLabel: {
+    color: '#00d4ff',
+    fontSize: 9,
+    fontWeight: '700',
+    marginBottom: 2,
+  },
+  funFactText: {
+    color: 'rgba(255, 255, 255, 0.8)',
+    fontSize: 12,
+    lineHeight: 16,
+  },
+  pronunciation: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 11,
+    fontStyle: 'italic',
+    marginTop: 6,
+  },
+  tagRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  tag: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginRight: 4,
+    marginBottom: 4,
+  },
+  tagText: {
+    color: 'rgba(255, 255, 255, 0.7)',
+    fontSize: 10,
+    textTransform: 'capitalize',
+  },
   detailNoNarration: {
     color: 'rgba(255, 255, 255, 0.4)',
     fontSize: 12,
     fontStyle: 'italic',
   },
+
+  // Edit / regenerate actions
+  editTitleInput: {
+    color: '#ffffff',
+    fontSize: 13,
+    fontWeight: '600',
+    backgroundColor: 'rgba(0, 0, 0, 0.2)',
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    marginBottom: 6,
+  },
+  editBodyInput: {
+    color: 'rgba(255, 255, 255, 0.9)',
+    fontSize: 13,
+    lineHeight: 18,
+    backgroundColor: 'rgba(0, 0, 0, 0.2)',
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    minHeight: 100,
+    textAlignVertical: 'top',
+  },
+  regenOptions: {
+    marginTop: 8,
+  },
+  choiceRow: {
+    marginBottom: 6,
+  },
+  choiceLabel: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 10,
+    fontWeight: '700',
+    marginBottom: 4,
+  },
+  choiceOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  choice: {
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.2)',
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    marginRight: 4,
+    marginBottom: 4,
+  },
+  choiceSelected: {
+    borderColor: '#00d4ff',
+    backgroundColor: 'rgba(0, 212, 255, 0.2)',
+  },
+  choiceText: {
+    color: 'rgba(255, 255, 255, 0.7)',
+    fontSize: 11,
+  },
+  choiceTextSelected: {
+    color: '#00d4ff',
+    fontWeight: '600',
+  },
+  actionError: {
+    color: '#ff6b6b',
+    fontSize: 12,
+    marginTop: 8,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 10,
+  },
+  actionButton: {
+    borderWidth: 1,
+    borderColor: '#00d4ff',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    marginLeft: 6,
+  },
+  actionButtonPrimary: {
+    backgroundColor: '#00d4ff',
+  },
+  actionButtonText: {
+    color: '#00d4ff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  actionButtonTextPrimary: {
+    color: '#0a1628',
+  },
+  actionBusy: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  actionBusyText: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 12,
+    marginLeft: 6,
+  },
 });
 
 export default CheckpointList;
@@ -2,11 +2,28 @@ import React, { useMemo } from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import { calculateDistance } from '../utils/geofence';
 
+/**
+ * FlightProgressBar - Progress along the route with ETA
+ *
+ * For multi-leg trips pass the whole trip's route, plus its layover stops
+ * (from buildTripView) and a label for the leg being flown.
+ *
+ * @param {Object} props
+ * @param {Object} [props.location] - Current GPS location
+ * @param {Array} props.route - Route points
+ * @param {Object} [props.origin] - Origin airport ({ code })
+ * @param {Object} [props.destination] - Destination airport ({ code })
+ * @param {Array} [props.stops] - Layovers as [{ airport, fraction }]
+ * @param {string} [props.legLabel] - e.g. "Leg 2 of 3"
+ * @param {Object} [props.style] - Additional styles
+ */
 export function FlightProgressBar({
   location,
   route = [],
   origin,
   destination,
+  stops = [],
+  legLabel,
   style,
 }) {
   const progress = useMemo(() => {
@@ -119,6 +136,15 @@ export function FlightProgressBar({
         <View style={styles.progressContainer}>
           <View style={styles.progressTrack}>
             <View style={[styles.progressFill, { width: `${progressPercent}%` }]} />
+            {stops.map((stop, index) => (
+              <View
+                key={`${stop.airport?.code || 'stop'}_${index}`}
+                style={[styles.stopMarker, { left: `${stop.fraction * 100}%` }]}
+              >
+                <View style={styles.stopDot} />
+                <Text style={styles.stopCode}>{stop.airport?.code || '•'}</Text>
+              </View>
+            ))}
             <View style={[styles.planeIndicator, { left: `${progressPercent}%` }]}>
               <Text style={styles.planeIcon}>✈</Text>
             </View>
@@ -127,7 +153,9 @@ export function FlightProgressBar({
         <Text style={styles.airportCode}>{destCode}</Text>
       </View>
       <View style={styles.statsRow}>
-        <Text style={styles.progressText}>{progressPercent}% complete</Text>
+        <Text style={styles.progressText}>
+          {progressPercent}% complete{legLabel ? ` • ${legLabel}` : ''}
+        </Text>
         {etaText && <Text style={styles.etaText}>ETA: {etaText}</Text>}
       </View>
     </View>
@@ -183,6 +211,28 @@ const styles = StyleSheet.create({
     color: '#ffffff',
     transform: [{ rotate: '90deg' }],
   },
+  stopMarker: {
+    position: 'absolute',
+    top: -4,
+    marginLeft: -14,
+    width: 28,
+    alignItems: 'center',
+  },
+  stopDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: '#0a1628',
+    borderWidth: 2,
+    borderColor: '#00d4ff',
+  },
+  stopCode: {
+    color: 'rgba(255, 255, 255, 0.7)',
+    fontSize: 9,
+    fontWeight: '700',
+    fontFamily: 'monospace',
+    marginTop: 2,
+  },
   statsRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -1,6 +1,7 @@
 import React, { useMemo } from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import { calculateDistance } from '../utils/geofence';
+import { normalizeNarration, formatWindowSide } from '../utils/narration';
 
 export function NextCheckpointDisplay({
   location,
@@ -57,6 +58,8 @@ export function NextCheckpointDisplay({
   }
 
   const distanceText = formatDistance(nextCheckpoint.distance);
+  const narration = normalizeNarration(nextCheckpoint.narration);
+  const windowHint = formatWindowSide(narration?.windowSide);
 
   return (
     <View style={[styles.container, style]}>
@@ -66,6 +69,18 @@ export function NextCheckpointDisplay({
           {nextCheckpoint.name}
         </Text>
       </View>
+      {(narration?.title || windowHint) && (
+        <View style={styles.narrationRow}>
+          {narration?.title && narration.title !== nextCheckpoint.name && (
+            <Text style={styles.narrationTitle} numberOfLines={1}>
+              {narration.title}
+            </Text>
+          )}
+          {windowHint && (
+            <Text style={styles.windowHint}>{windowHint}</Text>
+          )}
+        </View>
+      )}
       <View style={styles.dataRow}>
         <View style={styles.dataItem}>
           <Text style={styles.dataValue}>{distanceText}</Text>
@@ -133,6 +148,20 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     flex: 1,
   },
+  narrationRow: {
+    marginBottom: 8,
+  },
+  narrationTitle: {
+    color: 'rgba(255, 255, 255, 0.8)',
+    fontSize: 12,
+    fontStyle: 'italic',
+  },
+  windowHint: {
+    color: '#00ff88',
+    fontSize: 11,
+    fontWeight: '600',
+    marginTop: 2,
+  },
   dataRow: {
     flexDirection: 'row',
     justifyContent: 'space-around',
@@ -0,0 +1,130 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ActivityIndicator, StyleSheet } from 'react-native';
+
+function describeMissing({ narrations, audio, maps }) {
+  const parts = [];
+  if (narrations.length > 0) parts.push(`${narrations.length} narration${narrations.length === 1 ? '' : 's'}`);
+  if (audio.length > 0) parts.push(`${audio.length} audio file${audio.length === 1 ? '' : 's'}`);
+  if (maps.length > 0) parts.push(`${maps.length} map file${maps.length === 1 ? '' : 's'}`);
+  return `Missing ${parts.join(', ')}`;
+}
+
+/**
+ * PackReadinessBadge - Shows whether the loaded flight pack is complete
+ * enough to go offline, with a one-tap repair when it isn't
+ *
+ * @param {Object} props
+ * @param {Object} [props.report] - Report from narrationService.verifyFlightPack()
+ * @param {boolean} [props.isChecking] - Verification or repair in progress
+ * @param {string} [props.status] - Progress text while repairing
+ * @param {function} props.onRepair - Called when the user taps Repair
+ * @param {function} [props.onRecheck] - Called when the user taps a ready badge
+ * @param {Object} [props.style] - Additional styles
+ */
+export function PackReadinessBadge({ report, isChecking, status, onRepair, onRecheck, style }) {
+  if (!report && !isChecking) return null;
+
+  if (isChecking) {
+    return (
+      <View style={[styles.container, styles.checking, style]} accessibilityLiveRegion="polite">
+        <ActivityIndicator size="small" color="#00d4ff" />
+        <Text style={styles.checkingText}>{status || 'Checking pack...'}</Text>
+      </View>
+    );
+  }
+
+  if (report.ready) {
+    return (
+      <TouchableOpacity
+        style={[styles.container, styles.ready, style]}
+        onPress={onRecheck}
+        disabled={!onRecheck}
+        accessibilityRole="button"
+        accessibilityLabel="Flight pack ready for offline use. Tap to check again."
+      >
+        <Text style={[styles.title, styles.readyText]}>✓ Ready for offline</Text>
+      </TouchableOpacity>
+    );
+  }
+
+  const detail = describeMissing(report.missing);
+  return (
+    <View
+      style={[styles.container, styles.incomplete, style]}
+      accessibilityRole="alert"
+      accessibilityLabel={`Flight pack incomplete. ${detail}`}
+    >
+      <View style={styles.textContainer}>
+        <Text style={[styles.title, styles.incompleteText]}>Pack incomplete</Text>
+        <Text style={styles.detail}>{detail}</Text>
+      </View>
+      <TouchableOpacity
+        style={styles.repairButton}
+        onPress={onRepair}
+        accessibilityRole="button"
+        accessibilityLabel="Repair flight pack"
+        accessibilityHint="Regenerates only the missing pieces"
+      >
+        <Text style={styles.repairText}>Repair</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 8,
+    borderLeftWidth: 4,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  checking: {
+    backgroundColor: 'rgba(0, 212, 255, 0.1)',
+    borderLeftColor: '#00d4ff',
+  },
+  ready: {
+    backgroundColor: 'rgba(0, 255, 136, 0.12)',
+    borderLeftColor: '#00ff88',
+  },
+  incomplete: {
+    backgroundColor: 'rgba(255, 170, 0, 0.15)',
+    borderLeftColor: '#ffaa00',
+  },
+  textContainer: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  readyText: {
+    color: '#00ff88',
+  },
+  incompleteText: {
+    color: '#ffaa00',
+  },
+  detail: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  checkingText: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 12,
+    marginLeft: 8,
+  },
+  repairButton: {
+    backgroundColor: '#ffaa00',
+    borderRadius: 8,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginLeft: 8,
+  },
+  repairText: {
+    color: '#0a1628',
+    fontWeight: 'bold',
+    fontSize: 13,
+  },
+});
@@ -0,0 +1,92 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+
+/**
+ * ResumeDownloadBanner - Offers to resume a flight pack download that was
+ * interrupted (e.g. the app was killed at the gate)
+ *
+ * @param {Object} props
+ * @param {Object} props.job - Pending download job from narrationService.getPendingDownloads()
+ * @param {string} [props.detail] - Where the download stopped
+ * @param {function} props.onResume - Called when the user taps Resume
+ * @param {function} props.onDiscard - Called when the user discards the partial download
+ * @param {Object} [props.style] - Additional styles
+ */
+export function ResumeDownloadBanner({ job, detail, onResume, onDiscard, style }) {
+  if (!job) return null;
+
+  return (
+    <View
+      style={[styles.container, style]}
+      accessibilityRole="alert"
+      accessibilityLabel={`Resume download for ${job.flightNumber}. ${detail || ''}`}
+    >
+      <View style={styles.textContainer}>
+        <Text style={styles.title}>Resume download for {job.flightNumber}</Text>
+        {detail ? <Text style={styles.detail}>{detail}</Text> : null}
+      </View>
+      <TouchableOpacity
+        style={styles.resumeButton}
+        onPress={onResume}
+        accessibilityLabel={`Resume download for ${job.flightNumber}`}
+        accessibilityRole="button"
+      >
+        <Text style={styles.resumeText}>Resume</Text>
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={styles.discardButton}
+        onPress={onDiscard}
+        accessibilityLabel="Discard partial download"
+        accessibilityRole="button"
+        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+      >
+        <Text style={styles.discardText}>×</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 212, 255, 0.15)',
+    borderLeftWidth: 4,
+    borderLeftColor: '#00d4ff',
+    borderRadius: 8,
+    padding: 12,
+  },
+  textContainer: {
+    flex: 1,
+  },
+  title: {
+    color: '#ffffff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  detail: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  resumeButton: {
+    backgroundColor: '#00d4ff',
+    borderRadius: 8,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginLeft: 8,
+  },
+  resumeText: {
+    color: '#0a1628',
+    fontWeight: 'bold',
+    fontSize: 13,
+  },
+  discardButton: {
+    paddingHorizontal: 8,
+    marginLeft: 4,
+  },
+  discardText: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 22,
+  },
+});
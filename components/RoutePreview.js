@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -8,8 +8,12 @@ import {
   Modal,
   ActivityIndicator,
   Platform,
+  Alert,
 } from 'react-native';
-import { flightDataService, narrationService } from '../services';
+import { flightDataService, narrationService, usageService } from '../services';
+import { formatCost } from '../utils/usage';
+import { CHECKPOINT_DENSITIES } from '../utils/routeUtils';
+import { useSettings } from '../contexts';
 
 /**
  * RoutePreview - Shows route preview before downloading full flight pack
@@ -18,6 +22,10 @@ export function RoutePreview({ flightNumber, visible, onClose, onDownload }) {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [routeData, setRouteData] = useState(null);
+  const [placing, setPlacing] = useState(false);
+  const placementRef = useRef(0);
+  const { settings, updateNarrationSettings } = useSettings();
+  const { density, checkpointsPerFlight } = settings.narration;
 
   useEffect(() => {
     if (visible && flightNumber) {
@@ -29,6 +37,8 @@ export function RoutePreview({ flightNumber, visible, onClose, onDownload }) {
     setLoading(true);
     setError(null);
     setRouteData(null);
+    placementRef.current++;
+    setPlacing(false);
 
     try {
       // Fetch route data without generating narrations or audio
@@ -38,17 +48,7 @@ export function RoutePreview({ flightNumber, visible, onClose, onDownload }) {
         throw new Error('Could not find route data for this flight');
       }
 
-      // Generate checkpoint locations (without full narrations)
-      let checkpointLocations = [];
-      try {
-        checkpointLocations = await narrationService.getCheckpointLocationsOnly(
-          flightData.route,
-          flightNumber
-        );
-      } catch (checkpointError) {
-        console.warn('Failed to generate checkpoint locations:', checkpointError);
-        // Continue without checkpoints - they'll be generated during download
-      }
+      const placement = await placeCheckpoints(flightData.route, density);
 
       setRouteData({
         flightNumber,
@@ -56,7 +56,7 @@ export function RoutePreview({ flightNumber, visible, onClose, onDownload }) {
         destination: flightData.destination || { code: '???', name: 'Unknown' },
         route: flightData.route,
         estimatedDuration: flightData.estimatedDuration,
-        checkpoints: checkpointLocations || [],
+        ...placement,
       });
     } catch (err) {
       console.error('Route preview error:', err);
@@ -66,9 +66,70 @@ export function RoutePreview({ flightNumber, visible, onClose, onDownload }) {
     }
   };
 
+  // Checkpoint locations (without full narrations) at a density, and what
+  // downloading them would spend with the current settings
+  const placeCheckpoints = async (route, checkpointDensity) => {
+    let checkpoints = [];
+    try {
+      checkpoints = await narrationService.getCheckpointLocationsOnly(route, flightNumber, {
+        density: checkpointDensity,
+      });
+    } catch (checkpointError) {
+      console.warn('Failed to generate checkpoint locations:', checkpointError);
+      // Continue without checkpoints - they'll be generated during download
+    }
+
+    const estimate = narrationService.estimateDownloadUsage(checkpoints.length);
+    const overBudget = await usageService.checkBudget({ estimate: estimate.cost });
+    return { checkpoints, estimate, overBudget };
+  };
+
+  // Density is a setting, so the download uses whatever was chosen here
+  const handleDensityChange = async (nextDensity) => {
+    if (nextDensity === density || !routeData) return;
+    updateNarrationSettings({ density: nextDensity });
+
+    const placement = ++placementRef.current;
+    setPlacing(true);
+    const result = await placeCheckpoints(routeData.route, nextDensity);
+    // A later choice supersedes this one
+    if (placement !== placementRef.current) return;
+    setRouteData(current => (current ? { ...current, ...result } : current));
+    setPlacing(false);
+  };
+
+  const densityOptions = Object.entries(CHECKPOINT_DENSITIES).map(([value, profile]) => ({
+    value,
+    label: profile.label,
+  }));
+  if (density === 'custom') {
+    densityOptions.push({ value: 'custom', label: `Fixed (${checkpointsPerFlight})` });
+  }
+
   const handleDownload = () => {
-    onClose();
-    onDownload();
+    const { overBudget } = routeData;
+    if (!overBudget) {
+      onClose();
+      onDownload();
+      return;
+    }
+
+    // Asking here means the download won't stop at the cap to ask again
+    const confirmDownload = () => {
+      onClose();
+      onDownload({ approveBudget: true });
+    };
+    const message = `This download may take you over your ${overBudget.cap === 'pack' ? 'per-pack' : 'monthly'} budget of ${formatCost(overBudget.limit)}.`;
+    if (Platform.OS === 'web') {
+      if (confirm(`${message} Download anyway?`)) {
+        confirmDownload();
+      }
+    } else {
+      Alert.alert('Over Budget', message, [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Download Anyway', onPress: confirmDownload },
+      ]);
+    }
   };
 
   if (!visible) return null;
@@ -149,10 +210,37 @@ export function RoutePreview({ flightNumber, visible, onClose, onDownload }) {
                 )}
               </View>
 
+              {/* Checkpoint Density */}
+              <View style={styles.densitySection}>
+                <View style={styles.densityOptions}>
+                  {densityOptions.map(option => (
+                    <TouchableOpacity
+                      key={option.value}
+                      style={[styles.densityOption, option.value === density && styles.densityOptionSelected]}
+                      onPress={() => handleDensityChange(option.value)}
+                      accessibilityLabel={`${option.label} checkpoint density`}
+                      accessibilityRole="button"
+                      accessibilityState={{ selected: option.value === density }}
+                    >
+                      <Text style={[styles.densityOptionText, option.value === density && styles.densityOptionTextSelected]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                <Text style={styles.densityDescription}>
+                  {CHECKPOINT_DENSITIES[density]?.description || 'The same number of checkpoints on every flight'}
+                </Text>
+              </View>
+
               {/* Stats */}
               <View style={styles.statsRow}>
                 <View style={styles.statItem}>
-                  <Text style={styles.statValue}>{routeData.checkpoints?.length || 0}</Text>
+                  {placing ? (
+                    <ActivityIndicator size="small" color="#00d4ff" style={styles.statSpinner} />
+                  ) : (
+                    <Text style={styles.statValue}>{routeData.checkpoints?.length || 0}</Text>
+                  )}
                   <Text style={styles.statLabel}>Checkpoints</Text>
                 </View>
                 <View style={styles.statDivider} />
@@ -162,6 +250,28 @@ export function RoutePreview({ flightNumber, visible, onClose, onDownload }) {
                 </View>
               </View>
 
+              {/* Cost Estimate */}
+              {routeData.estimate && (
+                <View style={styles.estimateCard}>
+                  <View style={styles.estimateHeader}>
+                    <Text style={styles.estimateTitle}>Estimated Cost</Text>
+                    <Text style={styles.estimateCost}>{formatCost(routeData.estimate.cost)}</Text>
+                  </View>
+                  <Text style={styles.estimateDetail}>
+                    {`~${(routeData.estimate.inputTokens + routeData.estimate.outputTokens).toLocaleString()} AI tokens • ` +
+                      `${routeData.estimate.ttsCharacters.toLocaleString()} voice characters • ` +
+                      `${routeData.estimate.flightApiCalls} flight data calls`}
+                  </Text>
+                  {routeData.overBudget && (
+                    <Text style={styles.estimateWarning}>
+                      {routeData.overBudget.cap === 'pack'
+                        ? `Over your per-pack budget of ${formatCost(routeData.overBudget.limit)}`
+                        : `Would exceed your monthly budget (${formatCost(routeData.overBudget.spent)} of ${formatCost(routeData.overBudget.limit)} spent)`}
+                    </Text>
+                  )}
+                </View>
+              )}
+
               {/* Checkpoint Preview List */}
               <View style={styles.checkpointSection}>
                 <Text style={styles.sectionTitle}>Points of Interest</Text>
@@ -210,8 +320,9 @@ export function RoutePreview({ flightNumber, visible, onClose, onDownload }) {
         {routeData && (
           <View style={styles.footer}>
             <TouchableOpacity
-              style={styles.downloadButton}
+              style={[styles.downloadButton, placing && styles.downloadButtonDisabled]}
               onPress={handleDownload}
+              disabled={placing}
               accessibilityLabel={`Download flight pack for ${flightNumber}`}
               accessibilityRole="button"
             >
@@ -341,6 +452,41 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginTop: 16,
   },
+  densitySection: {
+    marginBottom: 16,
+  },
+  densityOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginHorizontal: -4,
+  },
+  densityOption: {
+    backgroundColor: 'rgba(255, 255, 255, 0.08)',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    margin: 4,
+  },
+  densityOptionSelected: {
+    backgroundColor: '#00d4ff',
+  },
+  densityOptionText: {
+    color: '#ffffff',
+    fontSize: 13,
+  },
+  densityOptionTextSelected: {
+    color: '#0a1628',
+    fontWeight: '600',
+  },
+  densityDescription: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 12,
+    marginTop: 6,
+    marginHorizontal: 4,
+  },
+  statSpinner: {
+    height: 38,
+  },
   statsRow: {
     flexDirection: 'row',
     backgroundColor: 'rgba(255, 255, 255, 0.05)',
@@ -367,6 +513,37 @@ const styles = StyleSheet.create({
     backgroundColor: 'rgba(255, 255, 255, 0.1)',
     marginHorizontal: 16,
   },
+  estimateCard: {
+    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  estimateHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  estimateTitle: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  estimateCost: {
+    color: '#00d4ff',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  estimateDetail: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 12,
+    marginTop: 8,
+  },
+  estimateWarning: {
+    color: '#ffd93d',
+    fontSize: 13,
+    marginTop: 8,
+  },
   checkpointSection: {
     marginBottom: 16,
   },
@@ -448,6 +625,9 @@ const styles = StyleSheet.create({
     paddingVertical: 16,
     alignItems: 'center',
   },
+  downloadButtonDisabled: {
+    opacity: 0.5,
+  },
   downloadButtonText: {
     color: '#0a1628',
     fontSize: 16,
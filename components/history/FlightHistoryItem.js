@@ -7,6 +7,7 @@ export function FlightHistoryItem({
   onSelect,
   onDelete,
   onShare,
+  onExport,
 }) {
   const formatDate = (isoString) => {
     if (!isoString) return '';
@@ -90,6 +91,21 @@ export function FlightHistoryItem({
           </Text>
         </TouchableOpacity>
 
+        {/* Export pack button */}
+        {flight.packCached && onExport && (
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={(e) => {
+              e.stopPropagation();
+              onExport();
+            }}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            accessibilityLabel={`Export ${flight.flightNumber} flight pack`}
+          >
+            <Text style={styles.exportIcon}>⇪</Text>
+          </TouchableOpacity>
+        )}
+
         {/* Delete button */}
         <TouchableOpacity
           style={styles.actionButton}
@@ -175,6 +191,10 @@ const styles = StyleSheet.create({
     fontSize: 22,
     color: 'rgba(255, 255, 255, 0.5)',
   },
+  exportIcon: {
+    fontSize: 22,
+    color: 'rgba(255, 255, 255, 0.5)',
+  },
   deleteIcon: {
     fontSize: 28,
     color: 'rgba(255, 255, 255, 0.4)',
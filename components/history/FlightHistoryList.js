@@ -8,6 +8,7 @@ export function FlightHistoryList({
   onSelectFlight,
   onDeleteFlight,
   onShareFlight,
+  onExportFlight,
   emptyMessage,
 }) {
   const renderItem = ({ item }) => (
@@ -17,6 +18,7 @@ export function FlightHistoryList({
       onSelect={() => onSelectFlight(item)}
       onDelete={() => onDeleteFlight(item.id)}
       onShare={() => onShareFlight(item)}
+      onExport={onExportFlight ? () => onExportFlight(item) : undefined}
     />
   );
 
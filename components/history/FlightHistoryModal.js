@@ -12,15 +12,53 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { FlightHistoryTabs } from './FlightHistoryTabs';
 import { FlightHistoryList } from './FlightHistoryList';
+import { TripHistoryList } from './TripHistoryList';
 import { useFlightHistory } from '../../contexts';
-import { narrationService, shareService } from '../../services';
+import { narrationService, shareService, flightPackBundleService } from '../../services';
 
-export function FlightHistoryModal({ visible, onClose, onSelectFlight }) {
+function showMessage(title, message) {
+  if (Platform.OS === 'web') {
+    alert(message);
+  } else {
+    Alert.alert(title, message);
+  }
+}
+
+// Ask before an imported bundle replaces a pack that is already downloaded
+function confirmReplacePack({ flightNumber, existing, incoming }) {
+  const describe = ({ downloadedAt, checkpointCount }) => [
+    `${checkpointCount} checkpoints`,
+    downloadedAt ? `downloaded ${new Date(downloadedAt).toLocaleDateString()}` : null,
+  ].filter(Boolean).join(', ');
+  const message = `${flightNumber} is already downloaded (${describe(existing)}). ` +
+    `Replace it with the imported pack (${describe(incoming)})?`;
+
+  if (Platform.OS === 'web') {
+    return Promise.resolve(confirm(message));
+  }
+  return new Promise((resolve) => {
+    Alert.alert(
+      'Replace Flight Pack',
+      message,
+      [
+        { text: 'Cancel', style: 'cancel', onPress: () => resolve(false) },
+        { text: 'Replace', style: 'destructive', onPress: () => resolve(true) },
+      ],
+      { cancelable: true, onDismiss: () => resolve(false) }
+    );
+  });
+}
+
+export function FlightHistoryModal({ visible, onClose, onSelectFlight, onSelectTrip }) {
   const [activeTab, setActiveTab] = useState('all');
+  const [isImporting, setIsImporting] = useState(false);
   const {
     history,
+    trips,
     toggleFavorite,
     removeFromHistory,
+    addFlightToHistory,
+    removeTrip,
   } = useFlightHistory();
 
   const favorites = useMemo(
@@ -56,6 +94,11 @@ export function FlightHistoryModal({ visible, onClose, onSelectFlight }) {
     onClose();
   };
 
+  const handleSelectTrip = (trip) => {
+    onSelectTrip(trip);
+    onClose();
+  };
+
   const handleShareFlight = async (flight) => {
     try {
       // Load the full pack from cache
@@ -91,6 +134,36 @@ export function FlightHistoryModal({ visible, onClose, onSelectFlight }) {
     }
   };
 
+  const handleExportFlight = async (flight) => {
+    const result = await flightPackBundleService.exportFlightPack(flight.flightNumber);
+    if (!result.success && result.error) {
+      showMessage('Export Error', `Export failed: ${result.error}`);
+    }
+  };
+
+  const handleImportPack = async () => {
+    setIsImporting(true);
+    try {
+      const pack = await flightPackBundleService.pickAndImport({ confirmReplace: confirmReplacePack });
+      if (!pack) return;
+
+      addFlightToHistory({
+        flightNumber: pack.flightNumber,
+        airline: pack.airline,
+        origin: pack.origin,
+        destination: pack.destination,
+        checkpointCount: pack.checkpoints?.length || 0,
+        hasAudio: pack.hasAudio,
+      });
+      showMessage('Pack Imported', `${pack.flightNumber} is ready for offline use.`);
+    } catch (error) {
+      console.error('Import failed:', error);
+      showMessage('Import Error', error?.message || 'Could not import flight pack.');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
   const emptyMessage = activeTab === 'all'
     ? 'No flights yet.\nDownload a flight pack to get started.'
     : 'No favorite flights.\nTap the star on any flight to add it here.';
@@ -108,9 +181,22 @@ export function FlightHistoryModal({ visible, onClose, onSelectFlight }) {
         {/* Header */}
         <View style={styles.header}>
           <Text style={styles.title}>Flight History</Text>
-          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
-            <Text style={styles.closeButtonText}>Done</Text>
-          </TouchableOpacity>
+          <View style={styles.headerActions}>
+            <TouchableOpacity
+              style={styles.closeButton}
+              onPress={handleImportPack}
+              disabled={isImporting}
+              accessibilityLabel="Import flight pack"
+              accessibilityRole="button"
+            >
+              <Text style={[styles.closeButtonText, isImporting && styles.disabledText]}>
+                {isImporting ? 'Importing…' : 'Import'}
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Text style={styles.closeButtonText}>Done</Text>
+            </TouchableOpacity>
+          </View>
         </View>
 
         {/* Content */}
@@ -120,15 +206,26 @@ export function FlightHistoryModal({ visible, onClose, onSelectFlight }) {
             onTabChange={setActiveTab}
             allCount={history.length}
             favoritesCount={favorites.length}
+            tripsCount={trips.length}
           />
-          <FlightHistoryList
-            flights={displayedFlights}
-            onToggleFavorite={toggleFavorite}
-            onSelectFlight={handleSelectFlight}
-            onDeleteFlight={handleDeleteFlight}
-            onShareFlight={handleShareFlight}
-            emptyMessage={emptyMessage}
-          />
+          {activeTab === 'trips' ? (
+            <TripHistoryList
+              trips={trips}
+              onSelectTrip={handleSelectTrip}
+              onDeleteTrip={removeTrip}
+              emptyMessage={'No trips yet.\nEnter several flight numbers separated by commas (e.g. UA901, EK30) to download a multi-leg trip.'}
+            />
+          ) : (
+            <FlightHistoryList
+              flights={displayedFlights}
+              onToggleFavorite={toggleFavorite}
+              onSelectFlight={handleSelectFlight}
+              onDeleteFlight={handleDeleteFlight}
+              onShareFlight={handleShareFlight}
+              onExportFlight={handleExportFlight}
+              emptyMessage={emptyMessage}
+            />
+          )}
         </View>
       </SafeAreaView>
     </Modal>
@@ -154,6 +251,10 @@ const styles = StyleSheet.create({
     fontSize: 24,
     fontWeight: 'bold',
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   closeButton: {
     paddingVertical: 8,
     paddingHorizontal: 16,
@@ -163,6 +264,9 @@ const styles = StyleSheet.create({
     fontSize: 17,
     fontWeight: '600',
   },
+  disabledText: {
+    opacity: 0.5,
+  },
   content: {
     flex: 1,
     padding: 20,
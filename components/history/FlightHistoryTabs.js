@@ -6,6 +6,7 @@ export function FlightHistoryTabs({
   onTabChange,
   allCount,
   favoritesCount,
+  tripsCount,
 }) {
   return (
     <View style={styles.container}>
@@ -25,6 +26,14 @@ export function FlightHistoryTabs({
           Favorites ({favoritesCount})
         </Text>
       </TouchableOpacity>
+      <TouchableOpacity
+        style={[styles.tab, activeTab === 'trips' && styles.activeTab]}
+        onPress={() => onTabChange('trips')}
+      >
+        <Text style={[styles.tabText, activeTab === 'trips' && styles.activeTabText]}>
+          Trips ({tripsCount})
+        </Text>
+      </TouchableOpacity>
     </View>
   );
 }
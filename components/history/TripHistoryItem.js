@@ -0,0 +1,110 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { formatLayover } from '../../utils/trip';
+
+export function TripHistoryItem({ trip, onSelect, onDelete }) {
+  const formatDate = (isoString) => {
+    if (!isoString) return '';
+    const date = new Date(isoString);
+    return date.toLocaleDateString(undefined, {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    });
+  };
+
+  const routeText = trip.airports?.length > 1
+    ? trip.airports.join(' → ')
+    : trip.legs.map(leg => leg.flightNumber).join(' → ');
+
+  const layoverText = (trip.layovers || [])
+    .map(layover => {
+      const duration = formatLayover(layover.minutes);
+      return `${layover.airportCode || 'Layover'}${duration ? ` ${duration}` : ''}`;
+    })
+    .join(' • ');
+
+  return (
+    <TouchableOpacity
+      style={styles.container}
+      onPress={onSelect}
+      activeOpacity={0.7}
+      accessibilityRole="button"
+      accessibilityLabel={`Trip ${routeText}`}
+      accessibilityHint="Loads every leg of this trip"
+    >
+      <View style={styles.mainContent}>
+        <Text style={styles.flightNumbers}>
+          {trip.legs.map(leg => leg.flightNumber).join(' + ')}
+        </Text>
+        <Text style={styles.route}>{routeText}</Text>
+        <View style={styles.metaRow}>
+          <Text style={styles.metaText}>
+            {trip.legs.length} legs{layoverText ? ` • ${layoverText}` : ''}
+          </Text>
+          <Text style={styles.dateText}>{formatDate(trip.lastLoadedAt)}</Text>
+        </View>
+      </View>
+
+      <TouchableOpacity
+        style={styles.actionButton}
+        onPress={(e) => {
+          e.stopPropagation();
+          onDelete();
+        }}
+        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+        accessibilityLabel="Remove trip"
+      >
+        <Text style={styles.deleteIcon}>×</Text>
+      </TouchableOpacity>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    backgroundColor: 'rgba(255, 255, 255, 0.08)',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+  },
+  mainContent: {
+    flex: 1,
+  },
+  flightNumbers: {
+    color: '#00d4ff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    letterSpacing: 1,
+    marginBottom: 4,
+  },
+  route: {
+    color: '#ffffff',
+    fontSize: 16,
+    marginBottom: 8,
+  },
+  metaRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+  },
+  metaText: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 14,
+  },
+  dateText: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 14,
+    marginLeft: 'auto',
+  },
+  actionButton: {
+    justifyContent: 'center',
+    paddingLeft: 8,
+  },
+  deleteIcon: {
+    fontSize: 28,
+    color: 'rgba(255, 255, 255, 0.4)',
+    fontWeight: '300',
+  },
+});
@@ -0,0 +1,60 @@
+import React from 'react';
+import { View, Text, FlatList, StyleSheet } from 'react-native';
+import { TripHistoryItem } from './TripHistoryItem';
+
+export function TripHistoryList({
+  trips,
+  onSelectTrip,
+  onDeleteTrip,
+  emptyMessage,
+}) {
+  const renderItem = ({ item }) => (
+    <TripHistoryItem
+      trip={item}
+      onSelect={() => onSelectTrip(item)}
+      onDelete={() => onDeleteTrip(item.id)}
+    />
+  );
+
+  if (trips.length === 0) {
+    return (
+      <View style={styles.emptyContainer}>
+        <Text style={styles.emptyIcon}>✈</Text>
+        <Text style={styles.emptyText}>{emptyMessage}</Text>
+      </View>
+    );
+  }
+
+  return (
+    <FlatList
+      data={trips}
+      renderItem={renderItem}
+      keyExtractor={(item) => item.id}
+      contentContainerStyle={styles.listContent}
+      showsVerticalScrollIndicator={false}
+    />
+  );
+}
+
+const styles = StyleSheet.create({
+  listContent: {
+    paddingBottom: 20,
+  },
+  emptyContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 60,
+  },
+  emptyIcon: {
+    fontSize: 48,
+    marginBottom: 16,
+    opacity: 0.3,
+  },
+  emptyText: {
+    color: 'rgba(255, 255, 255, 0.5)',
+    fontSize: 16,
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
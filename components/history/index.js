@@ -2,3 +2,5 @@ export { FlightHistoryModal } from './FlightHistoryModal';
 export { FlightHistoryTabs } from './FlightHistoryTabs';
 export { FlightHistoryList } from './FlightHistoryList';
 export { FlightHistoryItem } from './FlightHistoryItem';
+export { TripHistoryList } from './TripHistoryList';
+export { TripHistoryItem } from './TripHistoryItem';
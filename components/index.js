@@ -16,3 +16,5 @@ export { FlightMap } from './map';
 export { SettingsModal } from './settings';
 export { FlightHistoryModal } from './history';
 export { OnboardingWalkthrough } from './OnboardingWalkthrough';
+export { ResumeDownloadBanner } from './ResumeDownloadBanner';
+export { PackReadinessBadge } from './PackReadinessBadge';
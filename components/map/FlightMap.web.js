@@ -5,6 +5,7 @@ import 'leaflet/dist/leaflet.css';
 import { COLORS, SIZES, MAP_TILES, containerStyles } from './mapStyles';
 import { getCheckpointIcon, getUserLocationIcon, markerStyles } from './CheckpointMarker';
 import { CachedTileLayer, useOfflineMapStatus } from './CachedTileLayer.web';
+import { getNarrationText } from '../../utils/narration';
 
 // Inject marker styles into document head
 if (Platform.OS === 'web' && typeof document !== 'undefined') {
@@ -185,7 +186,7 @@ export function FlightMap({
                 {checkpoint.narration && (
                   <Popup>
                     <div style={{ maxWidth: '250px', fontFamily: 'system-ui' }}>
-                      <strong style={{ fontSize: '14px' }}>{checkpoint.name}</strong>
+                      <strong style={{ fontSize: '14px' }}>{checkpoint.narration?.title || checkpoint.name}</strong>
                       {checkpoint.landmark?.type && (
                         <div style={{ color: '#666', fontSize: '12px', marginBottom: '8px' }}>
                           {checkpoint.landmark.type.replace(/_/g, ' ')}
@@ -193,7 +194,7 @@ export function FlightMap({
                         </div>
                       )}
                       <p style={{ fontSize: '13px', lineHeight: '1.4', margin: 0 }}>
-                        {checkpoint.narration}
+                        {getNarrationText(checkpoint.narration)}
                       </p>
                     </div>
                   </Popup>
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  StatusBar,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { TEMPLATE_VARIABLES, validateCustomPersona } from '../../utils/personas';
+
+/**
+ * Full-screen editor for a user-defined narration persona
+ * @param {Object} props.persona - { id?, label, template } to edit; a new
+ *   persona starts from a copy of an existing template
+ * @param {Function} props.onSave - Called with { id?, label, template }
+ */
+export function PersonaEditorModal({ visible, persona, onSave, onClose }) {
+  const [label, setLabel] = useState('');
+  const [template, setTemplate] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      setLabel(persona?.label || '');
+      setTemplate(persona?.template || '');
+      setError(null);
+    }
+  }, [visible, persona]);
+
+  const handleSave = () => {
+    const edited = { ...persona, label: label.trim(), template: template.trim() };
+    const problem = validateCustomPersona(edited);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    onSave(edited);
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="fullScreen"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <StatusBar barStyle="light-content" />
+
+        <View style={styles.header}>
+          <TouchableOpacity style={styles.headerButton} onPress={onClose}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>{persona?.id ? 'Edit Persona' : 'New Persona'}</Text>
+          <TouchableOpacity style={styles.headerButton} onPress={handleSave}>
+            <Text style={styles.saveText}>Save</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView style={styles.content} contentContainerStyle={styles.contentInner}>
+          <Text style={styles.fieldLabel}>Name</Text>
+          <TextInput
+            style={styles.input}
+            value={label}
+            onChangeText={setLabel}
+            placeholder="e.g. Geology Professor"
+            placeholderTextColor="rgba(255, 255, 255, 0.3)"
+          />
+
+          <Text style={styles.fieldLabel}>Prompt Template</Text>
+          <TextInput
+            style={[styles.input, styles.templateInput]}
+            value={template}
+            onChangeText={setTemplate}
+            placeholder="You are ... Location: {{location}}"
+            placeholderTextColor="rgba(255, 255, 255, 0.3)"
+            autoCapitalize="none"
+            autoCorrect={false}
+            multiline
+            textAlignVertical="top"
+          />
+          {error && <Text style={styles.errorText}>{error}</Text>}
+
+          <Text style={styles.fieldLabel}>Variables</Text>
+          <Text style={styles.hintText}>
+            Replaced with details of the flight for every narration. The response format and language are added automatically.
+          </Text>
+          {TEMPLATE_VARIABLES.map(variable => (
+            <View key={variable.name} style={styles.variableRow}>
+              <Text style={styles.variableName}>{`{{${variable.name}}}`}</Text>
+              <Text style={styles.variableDescription}>{variable.description}</Text>
+            </View>
+          ))}
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0a1628',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  headerButton: {
+    paddingVertical: 8,
+    minWidth: 60,
+  },
+  cancelText: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 16,
+  },
+  saveText: {
+    color: '#00d4ff',
+    fontSize: 16,
+    fontWeight: '600',
+    textAlign: 'right',
+  },
+  title: {
+    color: '#ffffff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  content: {
+    flex: 1,
+  },
+  contentInner: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  fieldLabel: {
+    color: 'rgba(255, 255, 255, 0.5)',
+    fontSize: 13,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    borderRadius: 8,
+    padding: 12,
+    color: '#ffffff',
+    fontSize: 14,
+  },
+  templateInput: {
+    minHeight: 240,
+    fontFamily: 'monospace',
+    fontSize: 13,
+  },
+  errorText: {
+    color: '#ff453a',
+    fontSize: 13,
+    marginTop: 8,
+  },
+  hintText: {
+    color: 'rgba(255, 255, 255, 0.5)',
+    fontSize: 13,
+    lineHeight: 18,
+    marginBottom: 8,
+  },
+  variableRow: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+  },
+  variableName: {
+    color: '#00d4ff',
+    fontSize: 13,
+    fontFamily: 'monospace',
+    width: 110,
+  },
+  variableDescription: {
+    flex: 1,
+    color: 'rgba(255, 255, 255, 0.7)',
+    fontSize: 13,
+  },
+});
@@ -26,7 +26,7 @@ export function SettingsInput({
 
   const getMaskedValue = () => {
     if (!value) return 'Not set';
-    if (showValue) return value;
+    if (showValue || !secureTextEntry) return value;
     return '••••••••••••' + value.slice(-4);
   };
 
@@ -16,6 +16,7 @@ import { GPSSection } from './sections/GPSSection';
 import { DisplaySection } from './sections/DisplaySection';
 import { StorageSection } from './sections/StorageSection';
 import { APISection } from './sections/APISection';
+import { UsageSection } from './sections/UsageSection';
 import { SettingsSection } from './SettingsSection';
 import { SettingsButton } from './SettingsButton';
 import { DebugLogsModal } from './DebugLogsModal';
@@ -51,6 +52,7 @@ export function SettingsModal({ visible, onClose }) {
           <NarrationSection />
           <GPSSection />
           <StorageSection />
+          <UsageSection />
           <APISection />
 
           {/* Debug Section */}
@@ -0,0 +1,93 @@
+import React from 'react';
+import { View, Text, Switch, TouchableOpacity, StyleSheet, Platform } from 'react-native';
+import { SettingsRow } from './SettingsRow';
+
+/**
+ * Ordered list of providers (speech, narration AI...) that can be switched
+ * on and off and moved up or down the fallback order
+ * @param {Array} props.providers - [{ id, label, description, available }]
+ * @param {string[]} props.order - Enabled provider ids, most preferred first
+ * @param {Function} props.onOrderChange - Called with the new order
+ */
+export function SettingsProviderList({ providers, order = [], onOrderChange }) {
+  // Enabled providers in fallback order, then the disabled ones
+  const rank = (provider) => (order.includes(provider.id) ? order.indexOf(provider.id) : order.length);
+  const sorted = [...providers].sort((a, b) => rank(a) - rank(b));
+
+  const setProviderEnabled = (id, enabled) => {
+    onOrderChange(enabled ? [...order.filter(p => p !== id), id] : order.filter(p => p !== id));
+  };
+
+  const moveProvider = (id, offset) => {
+    const index = order.indexOf(id);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= order.length) return;
+    const next = [...order];
+    [next[index], next[target]] = [next[target], next[index]];
+    onOrderChange(next);
+  };
+
+  return sorted.map((provider) => {
+    const position = order.indexOf(provider.id);
+    const enabled = position !== -1;
+    return (
+      <SettingsRow
+        key={provider.id}
+        label={enabled ? `${position + 1}. ${provider.label}` : provider.label}
+        description={provider.available ? provider.description : `${provider.description} • not set up`}
+      >
+        <View style={styles.providerControls}>
+          {enabled && (
+            <>
+              <TouchableOpacity
+                style={styles.moveButton}
+                onPress={() => moveProvider(provider.id, -1)}
+                disabled={position === 0}
+                accessibilityLabel={`Move ${provider.label} up`}
+              >
+                <Text style={[styles.moveText, position === 0 && styles.moveTextDisabled]}>▲</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.moveButton}
+                onPress={() => moveProvider(provider.id, 1)}
+                disabled={position === order.length - 1}
+                accessibilityLabel={`Move ${provider.label} down`}
+              >
+                <Text style={[styles.moveText, position === order.length - 1 && styles.moveTextDisabled]}>▼</Text>
+              </TouchableOpacity>
+            </>
+          )}
+          <Switch
+            value={enabled}
+            onValueChange={(value) => setProviderEnabled(provider.id, value)}
+            trackColor={{
+              false: 'rgba(255, 255, 255, 0.2)',
+              true: '#00d4ff'
+            }}
+            thumbColor={Platform.OS === 'android' ? '#ffffff' : undefined}
+            ios_backgroundColor="rgba(255, 255, 255, 0.2)"
+            accessibilityLabel={`Use ${provider.label}`}
+          />
+        </View>
+      </SettingsRow>
+    );
+  });
+}
+
+const styles = StyleSheet.create({
+  providerControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  moveButton: {
+    paddingHorizontal: 6,
+    paddingVertical: 4,
+  },
+  moveText: {
+    color: '#00d4ff',
+    fontSize: 14,
+  },
+  moveTextDisabled: {
+    opacity: 0.3,
+  },
+});
@@ -6,4 +6,6 @@ export { SettingsToggle } from './SettingsToggle';
 export { SettingsPicker } from './SettingsPicker';
 export { SettingsInput } from './SettingsInput';
 export { SettingsButton } from './SettingsButton';
+export { SettingsProviderList } from './SettingsProviderList';
 export { DebugLogsModal } from './DebugLogsModal';
+export { PersonaEditorModal } from './PersonaEditorModal';
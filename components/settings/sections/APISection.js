@@ -1,8 +1,10 @@
 import React from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import { useSettings } from '../../../contexts';
+import { claudeService } from '../../../services';
 import { SettingsSection } from '../SettingsSection';
 import { SettingsInput } from '../SettingsInput';
+import { SettingsProviderList } from '../SettingsProviderList';
 
 export function APISection() {
   const { settings, updateApiSettings } = useSettings();
@@ -22,6 +24,47 @@ export function APISection() {
         onValueChange={(claudeApiKey) => updateApiSettings({ claudeApiKey })}
         placeholder="sk-ant-..."
       />
+      <SettingsInput
+        label="Claude Model"
+        description="Leave blank for the default model"
+        value={api.claudeModel}
+        onValueChange={(claudeModel) => updateApiSettings({ claudeModel: claudeModel.trim() })}
+        placeholder="claude-sonnet-4-20250514"
+        secureTextEntry={false}
+      />
+      <View style={styles.infoContainer}>
+        <Text style={styles.infoText}>
+          Narrations are written by the first AI provider in this order that answers. An OpenAI-compatible server can be a llama.cpp or Ollama server on your network.
+        </Text>
+      </View>
+      <SettingsProviderList
+        providers={claudeService.getProviders()}
+        order={api.llmProviders || []}
+        onOrderChange={(llmProviders) => updateApiSettings({ llmProviders })}
+      />
+      <SettingsInput
+        label="AI Server URL"
+        description="Base URL of an OpenAI-compatible chat completions API"
+        value={api.llmBaseUrl}
+        onValueChange={(llmBaseUrl) => updateApiSettings({ llmBaseUrl: llmBaseUrl.trim() })}
+        placeholder="http://192.168.1.20:11434/v1"
+        secureTextEntry={false}
+      />
+      <SettingsInput
+        label="AI Server Model"
+        description="Model name as the server knows it"
+        value={api.llmModel}
+        onValueChange={(llmModel) => updateApiSettings({ llmModel: llmModel.trim() })}
+        placeholder="llama3.1:8b"
+        secureTextEntry={false}
+      />
+      <SettingsInput
+        label="AI Server API Key"
+        description="Only if the server requires one"
+        value={api.llmApiKey}
+        onValueChange={(llmApiKey) => updateApiSettings({ llmApiKey: llmApiKey.trim() })}
+        placeholder="Enter your API key"
+      />
       <SettingsInput
         label="ElevenLabs API Key"
         description="For voice synthesis"
@@ -1,8 +1,15 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, Platform } from 'react-native';
 import { useSettings } from '../../../contexts';
+import { getPersonas, getPersona, CUSTOM_PERSONA_PREFIX } from '../../../utils/personas';
+import { CHECKPOINT_DENSITIES } from '../../../utils/routeUtils';
 import { SettingsSection } from '../SettingsSection';
 import { SettingsSlider } from '../SettingsSlider';
 import { SettingsPicker } from '../SettingsPicker';
+import { SettingsToggle } from '../SettingsToggle';
+import { SettingsRow } from '../SettingsRow';
+import { SettingsButton } from '../SettingsButton';
+import { PersonaEditorModal } from '../PersonaEditorModal';
 
 const CONTENT_FOCUS_OPTIONS = [
   { value: 'mixed', label: 'Mixed (Recommended)' },
@@ -11,6 +18,16 @@ const CONTENT_FOCUS_OPTIONS = [
   { value: 'cultural', label: 'Cultural' },
 ];
 
+const DENSITY_OPTIONS = [
+  ...Object.entries(CHECKPOINT_DENSITIES).map(([value, profile]) => ({ value, label: profile.label })),
+  { value: 'custom', label: 'Fixed Number' },
+];
+
+const TRIGGER_MODE_OPTIONS = [
+  { value: 'geofence', label: 'Near Checkpoint' },
+  { value: 'abeam', label: 'Abeam of Checkpoint' },
+];
+
 const LENGTH_OPTIONS = [
   { value: 'short', label: 'Short (~10 sec)' },
   { value: 'medium', label: 'Medium (~20 sec)' },
@@ -20,9 +37,83 @@ const LENGTH_OPTIONS = [
 export function NarrationSection() {
   const { settings, updateNarrationSettings } = useSettings();
   const { narration } = settings;
+  const [editingPersona, setEditingPersona] = useState(null);
+
+  const customPersonas = narration.customPersonas || [];
+  const personaOptions = getPersonas(customPersonas).map(persona => ({
+    value: persona.id,
+    label: persona.label,
+  }));
+  const selectedPersona = getPersona(narration.persona, customPersonas);
+
+  const handleNewPersona = () => {
+    // Start from the selected persona's template rather than a blank page
+    setEditingPersona({ label: '', template: selectedPersona.template });
+  };
+
+  const handleSavePersona = (persona) => {
+    if (persona.id) {
+      updateNarrationSettings({
+        customPersonas: customPersonas.map(p => (p.id === persona.id ? persona : p)),
+      });
+    } else {
+      const id = `${CUSTOM_PERSONA_PREFIX}${Date.now()}`;
+      updateNarrationSettings({
+        customPersonas: [...customPersonas, { ...persona, id }],
+        persona: id,
+      });
+    }
+    setEditingPersona(null);
+  };
+
+  const handleDeletePersona = (persona) => {
+    const confirmDelete = () => {
+      updateNarrationSettings({
+        customPersonas: customPersonas.filter(p => p.id !== persona.id),
+        ...(narration.persona === persona.id && { persona: 'historian' }),
+      });
+    };
+
+    if (Platform.OS === 'web') {
+      if (confirm(`Delete the "${persona.label}" persona?`)) {
+        confirmDelete();
+      }
+    } else {
+      Alert.alert(
+        'Delete Persona',
+        `Delete the "${persona.label}" persona?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Delete', style: 'destructive', onPress: confirmDelete },
+        ]
+      );
+    }
+  };
 
   return (
     <SettingsSection title="Narration">
+      <SettingsPicker
+        label="Narrator"
+        description={selectedPersona.description}
+        value={selectedPersona.id}
+        onValueChange={(persona) => updateNarrationSettings({ persona })}
+        options={personaOptions}
+      />
+      {customPersonas.map(persona => (
+        <SettingsRow key={persona.id} label={persona.label} description="Custom persona">
+          <View style={styles.personaControls}>
+            <TouchableOpacity style={styles.personaAction} onPress={() => setEditingPersona(persona)}>
+              <Text style={styles.personaActionText}>Edit</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.personaAction} onPress={() => handleDeletePersona(persona)}>
+              <Text style={[styles.personaActionText, styles.personaDeleteText]}>Delete</Text>
+            </TouchableOpacity>
+          </View>
+        </SettingsRow>
+      ))}
+      <View style={styles.buttonContainer}>
+        <SettingsButton label="New Custom Persona" onPress={handleNewPersona} />
+      </View>
       <SettingsPicker
         label="Content Focus"
         value={narration.contentFocus}
@@ -35,17 +126,26 @@ export function NarrationSection() {
         onValueChange={(length) => updateNarrationSettings({ length })}
         options={LENGTH_OPTIONS}
       />
-      <SettingsSlider
-        label="Checkpoints per Flight"
-        value={narration.checkpointsPerFlight}
-        onValueChange={(checkpointsPerFlight) =>
-          updateNarrationSettings({ checkpointsPerFlight: Math.round(checkpointsPerFlight) })
-        }
-        minimumValue={5}
-        maximumValue={50}
-        step={1}
-        formatValue={(v) => `${Math.round(v)}`}
+      <SettingsPicker
+        label="Checkpoint Density"
+        description={CHECKPOINT_DENSITIES[narration.density]?.description || 'The same number on every flight'}
+        value={narration.density}
+        onValueChange={(density) => updateNarrationSettings({ density })}
+        options={DENSITY_OPTIONS}
       />
+      {narration.density === 'custom' && (
+        <SettingsSlider
+          label="Checkpoints per Flight"
+          value={narration.checkpointsPerFlight}
+          onValueChange={(checkpointsPerFlight) =>
+            updateNarrationSettings({ checkpointsPerFlight: Math.round(checkpointsPerFlight) })
+          }
+          minimumValue={5}
+          maximumValue={50}
+          step={1}
+          formatValue={(v) => `${Math.round(v)}`}
+        />
+      )}
       <SettingsSlider
         label="Geofence Radius"
         value={narration.geofenceRadius}
@@ -56,8 +156,66 @@ export function NarrationSection() {
         maximumValue={50000}
         step={1000}
         formatValue={(v) => `${(v / 1000).toFixed(0)} km`}
+      />
+      <SettingsPicker
+        label="Trigger"
+        description={narration.triggerMode === 'abeam'
+          ? 'When passing level with a checkpoint, even off the planned route'
+          : 'When the aircraft comes within the geofence radius'}
+        value={narration.triggerMode}
+        onValueChange={(triggerMode) => updateNarrationSettings({ triggerMode })}
+        options={TRIGGER_MODE_OPTIONS}
+      />
+      {narration.triggerMode === 'abeam' && (
+        <SettingsSlider
+          label="Max Distance Off Route"
+          value={narration.maxCrossTrack}
+          onValueChange={(maxCrossTrack) =>
+            updateNarrationSettings({ maxCrossTrack: Math.round(maxCrossTrack) })
+          }
+          minimumValue={25000}
+          maximumValue={300000}
+          step={5000}
+          formatValue={(v) => `${(v / 1000).toFixed(0)} km`}
+        />
+      )}
+      <SettingsToggle
+        label="Batch Generation"
+        description="Write the flight in a few large requests so narrations don't repeat each other"
+        value={narration.batchGeneration}
+        onValueChange={(batchGeneration) => updateNarrationSettings({ batchGeneration })}
         isLast
       />
+      <PersonaEditorModal
+        visible={!!editingPersona}
+        persona={editingPersona}
+        onSave={handleSavePersona}
+        onClose={() => setEditingPersona(null)}
+      />
     </SettingsSection>
   );
 }
+
+const styles = StyleSheet.create({
+  personaControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  personaAction: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  personaActionText: {
+    color: '#00d4ff',
+    fontSize: 14,
+  },
+  personaDeleteText: {
+    color: '#ff453a',
+  },
+  buttonContainer: {
+    padding: 16,
+    paddingTop: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(255, 255, 255, 0.08)',
+  },
+});
@@ -3,26 +3,56 @@ import { View, Text, StyleSheet, Alert, Platform } from 'react-native';
 import { SettingsSection } from '../SettingsSection';
 import { SettingsRow } from '../SettingsRow';
 import { SettingsButton } from '../SettingsButton';
-import { elevenLabsService, narrationService, mapTileService } from '../../../services';
+import { SettingsSlider } from '../SettingsSlider';
+import { SettingsToggle } from '../SettingsToggle';
+import {
+  elevenLabsService,
+  narrationService,
+  mapTileService,
+  storageService,
+  liveNarrationCacheService,
+} from '../../../services';
 import { formatBytes } from '../../../utils/formatBytes';
-import { useFlightHistory } from '../../../contexts';
+import { useFlightHistory, useSettings } from '../../../contexts';
+
+const PROTECTION_LABELS = {
+  current: 'In use',
+  favorite: 'Favourite',
+  upcoming: 'Upcoming',
+};
+
+function describePackSizes(pack) {
+  const parts = [`Narration ${formatBytes(pack.narrationBytes)}`];
+  if (pack.audioBytes > 0) parts.push(`Audio ${formatBytes(pack.audioBytes)}`);
+  if (pack.mapBytes > 0) parts.push(`Maps ${formatBytes(pack.mapBytes)}`);
+  return parts.join(' • ');
+}
 
 export function StorageSection() {
   const [cacheSize, setCacheSize] = useState(0);
   const [cacheSizes, setCacheSizes] = useState({ audio: 0, narration: 0, map: 0 });
+  const [packUsage, setPackUsage] = useState([]);
+  const [liveNarrationCount, setLiveNarrationCount] = useState(0);
   const [isClearing, setIsClearing] = useState(false);
+  const [isCollecting, setIsCollecting] = useState(false);
   const [refreshKey, setRefreshKey] = useState(0);
   const { markAllUncached } = useFlightHistory();
+  const { settings, updateStorageSettings } = useSettings();
+  const { storage } = settings;
 
   const loadCacheSize = useCallback(async () => {
     try {
-      const [audioSize, narrationSize, mapSize] = await Promise.all([
+      const [audioSize, narrationSize, mapSize, packs, liveCount] = await Promise.all([
         elevenLabsService.getCacheSize(),
         narrationService.getCacheSize(),
         mapTileService.getCacheSize(),
+        storageService.getPackUsage(),
+        liveNarrationCacheService.getCount(),
       ]);
       setCacheSizes({ audio: audioSize, narration: narrationSize, map: mapSize });
       setCacheSize(audioSize + narrationSize + mapSize);
+      setPackUsage(packs);
+      setLiveNarrationCount(liveCount);
     } catch (error) {
       console.error('Failed to get cache size:', error);
     }
@@ -32,6 +62,36 @@ export function StorageSection() {
     loadCacheSize();
   }, [loadCacheSize, refreshKey]);
 
+  // Refresh after the budget evicts packs
+  useEffect(() => {
+    return storageService.subscribe((event) => {
+      if (event.type === 'evicted') {
+        setRefreshKey(k => k + 1);
+      }
+    });
+  }, []);
+
+  // Audio no pack references any more (edited narrations, Scan Horizon speech)
+  const handleCollectAudio = async () => {
+    setIsCollecting(true);
+    try {
+      const { deleted, freedBytes } = await narrationService.collectOrphanedAudio({ minAgeMs: 0 });
+      const message = deleted > 0
+        ? `Removed ${deleted} unused audio file${deleted === 1 ? '' : 's'} (${formatBytes(freedBytes)}).`
+        : 'No unused audio found.';
+      if (Platform.OS === 'web') {
+        alert(message);
+      } else {
+        Alert.alert('Unused Audio', message);
+      }
+      setRefreshKey(k => k + 1);
+    } catch (error) {
+      console.error('Failed to remove unused audio:', error);
+    } finally {
+      setIsCollecting(false);
+    }
+  };
+
   const handleClearCache = async () => {
     const confirmClear = () => {
       setIsClearing(true);
@@ -39,6 +99,7 @@ export function StorageSection() {
         elevenLabsService.clearAudioCache(),
         narrationService.clearAllFlightPacks(),
         mapTileService.clearAllTileCache(),
+        liveNarrationCacheService.clear(),
       ])
         .then(() => {
           markAllUncached();
@@ -79,10 +140,54 @@ export function StorageSection() {
       <SettingsRow label="Narrations">
         <Text style={styles.cacheSizeDetail}>{formatBytes(cacheSizes.narration)}</Text>
       </SettingsRow>
-      <SettingsRow label="Map Tiles" isLast>
+      <SettingsRow label="Map Tiles">
         <Text style={styles.cacheSizeDetail}>{formatBytes(cacheSizes.map)}</Text>
       </SettingsRow>
+      <SettingsRow label="Scan Horizon" description="Narrations reused when scanning the same area">
+        <Text style={styles.cacheSizeDetail}>{liveNarrationCount} cached</Text>
+      </SettingsRow>
+      <SettingsToggle
+        label="Storage Budget"
+        description="Remove least recently flown packs when over budget. Favourites and upcoming flights are kept."
+        value={storage.budgetEnabled}
+        onValueChange={(budgetEnabled) => updateStorageSettings({ budgetEnabled })}
+        isLast={!storage.budgetEnabled && packUsage.length === 0}
+      />
+      {storage.budgetEnabled && (
+        <SettingsSlider
+          label="Budget"
+          value={storage.budgetMB}
+          onValueChange={(budgetMB) => updateStorageSettings({ budgetMB: Math.round(budgetMB) })}
+          minimumValue={100}
+          maximumValue={5000}
+          step={100}
+          formatValue={(v) => formatBytes(Math.round(v) * 1024 * 1024)}
+          isLast={packUsage.length === 0}
+        />
+      )}
+      {packUsage.map((pack, index) => (
+        <SettingsRow
+          key={pack.id}
+          label={pack.flightNumber || pack.id}
+          description={describePackSizes(pack)}
+          isLast={index === packUsage.length - 1}
+        >
+          <View style={styles.packSize}>
+            <Text style={styles.cacheSizeDetail}>{formatBytes(pack.totalBytes)}</Text>
+            {pack.protection && (
+              <Text style={styles.protectionLabel}>{PROTECTION_LABELS[pack.protection]}</Text>
+            )}
+          </View>
+        </SettingsRow>
+      ))}
       <View style={styles.buttonContainer}>
+        <SettingsButton
+          label="Remove Unused Audio"
+          onPress={handleCollectAudio}
+          loading={isCollecting}
+          disabled={cacheSizes.audio === 0 || isClearing}
+        />
+        <View style={styles.buttonSpacer} />
         <SettingsButton
           label="Clear All Cache"
           onPress={handleClearCache}
@@ -105,8 +210,19 @@ const styles = StyleSheet.create({
     color: 'rgba(255, 255, 255, 0.6)',
     fontSize: 14,
   },
+  packSize: {
+    alignItems: 'flex-end',
+  },
+  protectionLabel: {
+    color: '#00d4ff',
+    fontSize: 11,
+    marginTop: 2,
+  },
   buttonContainer: {
     padding: 16,
     paddingTop: 8,
   },
+  buttonSpacer: {
+    height: 8,
+  },
 });
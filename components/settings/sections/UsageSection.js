@@ -0,0 +1,142 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, Text, StyleSheet, Alert, Platform } from 'react-native';
+import { SettingsSection } from '../SettingsSection';
+import { SettingsRow } from '../SettingsRow';
+import { SettingsButton } from '../SettingsButton';
+import { SettingsSlider } from '../SettingsSlider';
+import { usageService } from '../../../services';
+import { createUsage, formatCost } from '../../../utils/usage';
+import { useSettings } from '../../../contexts';
+
+// "2026-10" -> "October 2026"
+function formatMonth(month) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(year, monthIndex - 1, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+}
+
+const formatCap = (value) => (value > 0 ? formatCost(value) : 'No limit');
+
+export function UsageSection() {
+  const [current, setCurrent] = useState(() => ({ month: null, ...createUsage() }));
+  const [history, setHistory] = useState([]);
+  const [isClearing, setIsClearing] = useState(false);
+  const { settings, updateUsageSettings } = useSettings();
+  const { usage } = settings;
+
+  const loadHistory = useCallback(async () => {
+    try {
+      const [month, months] = await Promise.all([
+        usageService.getMonthUsage(),
+        usageService.getHistory(),
+      ]);
+      setCurrent(month);
+      setHistory(months);
+    } catch (error) {
+      console.error('Failed to load usage history:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  // Earlier months, newest first
+  const earlier = history.filter(entry => entry.month !== current.month).slice(0, 6);
+
+  const handleReset = () => {
+    const confirmReset = () => {
+      setIsClearing(true);
+      usageService.clear()
+        .then(loadHistory)
+        .finally(() => setIsClearing(false));
+    };
+
+    if (Platform.OS === 'web') {
+      if (confirm('Reset usage history? Monthly totals are cleared; packs keep their own usage.')) {
+        confirmReset();
+      }
+    } else {
+      Alert.alert(
+        'Reset Usage History',
+        'Monthly totals are cleared. Packs keep their own usage records.',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Reset', style: 'destructive', onPress: confirmReset },
+        ]
+      );
+    }
+  };
+
+  return (
+    <SettingsSection title="Usage & Budget">
+      <SettingsRow label="This Month" description="Estimated from list prices">
+        <Text style={styles.cost}>{formatCost(current.cost)}</Text>
+      </SettingsRow>
+      <SettingsRow label="AI Tokens" description="Prompt / response">
+        <Text style={styles.detail}>
+          {current.inputTokens.toLocaleString()} / {current.outputTokens.toLocaleString()}
+        </Text>
+      </SettingsRow>
+      <SettingsRow label="Voice Characters">
+        <Text style={styles.detail}>{current.ttsCharacters.toLocaleString()}</Text>
+      </SettingsRow>
+      <SettingsRow label="Flight Data Calls">
+        <Text style={styles.detail}>{current.flightApiCalls.toLocaleString()}</Text>
+      </SettingsRow>
+      <SettingsSlider
+        label="Monthly Budget"
+        value={usage.monthlyCap}
+        onValueChange={(monthlyCap) => updateUsageSettings({ monthlyCap: Math.round(monthlyCap) })}
+        minimumValue={0}
+        maximumValue={50}
+        step={1}
+        formatValue={(v) => formatCap(Math.round(v))}
+      />
+      <SettingsSlider
+        label="Per-Pack Budget"
+        value={usage.packCap}
+        onValueChange={(packCap) => updateUsageSettings({ packCap: Math.round(packCap * 4) / 4 })}
+        minimumValue={0}
+        maximumValue={5}
+        step={0.25}
+        formatValue={(v) => formatCap(Math.round(v * 4) / 4)}
+        isLast={earlier.length === 0}
+      />
+      {earlier.map((entry, index) => (
+        <SettingsRow
+          key={entry.month}
+          label={formatMonth(entry.month)}
+          description={`${entry.requestCount} requests`}
+          isLast={index === earlier.length - 1}
+        >
+          <Text style={styles.detail}>{formatCost(entry.cost)}</Text>
+        </SettingsRow>
+      ))}
+      <View style={styles.buttonContainer}>
+        <SettingsButton
+          label="Reset Usage History"
+          onPress={handleReset}
+          variant="danger"
+          loading={isClearing}
+          disabled={history.length === 0}
+        />
+      </View>
+    </SettingsSection>
+  );
+}
+
+const styles = StyleSheet.create({
+  cost: {
+    color: '#00d4ff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  detail: {
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: 14,
+  },
+  buttonContainer: {
+    padding: 16,
+    paddingTop: 8,
+  },
+});
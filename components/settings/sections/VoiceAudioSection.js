@@ -1,9 +1,13 @@
 import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
 import { useSettings } from '../../../contexts';
+import { speechService } from '../../../services';
 import { SettingsSection } from '../SettingsSection';
 import { SettingsSlider } from '../SettingsSlider';
 import { SettingsToggle } from '../SettingsToggle';
 import { SettingsPicker } from '../SettingsPicker';
+import { SettingsProviderList } from '../SettingsProviderList';
+import { SettingsInput } from '../SettingsInput';
 
 const VOICE_OPTIONS = [
   { value: 'EXAVITQu4vr4xnSDxMaL', label: 'Sarah (Default)' },
@@ -61,8 +65,39 @@ export function VoiceAudioSection() {
         maximumValue={1}
         step={0.05}
         formatValue={(v) => `${Math.round(v * 100)}%`}
+      />
+      <View style={styles.infoContainer}>
+        <Text style={styles.infoText}>
+          Speech providers are tried in this order. Checkpoints with downloaded voice audio play that first.
+        </Text>
+      </View>
+      <SettingsProviderList
+        providers={speechService.getProviders()}
+        order={voice.ttsProviders || []}
+        onOrderChange={(ttsProviders) => updateVoiceSettings({ ttsProviders })}
+      />
+      <SettingsInput
+        label="Local TTS Server"
+        description="URL answering GET ?text=... with audio (Coqui TTS, Piper, MaryTTS)"
+        value={voice.localTtsUrl}
+        onValueChange={(localTtsUrl) => updateVoiceSettings({ localTtsUrl: localTtsUrl.trim() })}
+        placeholder="http://192.168.1.20:5002/api/tts"
+        secureTextEntry={false}
         isLast
       />
     </SettingsSection>
   );
 }
+
+const styles = StyleSheet.create({
+  infoContainer: {
+    paddingHorizontal: 16,
+    paddingTop: 14,
+    paddingBottom: 4,
+  },
+  infoText: {
+    color: 'rgba(255, 255, 255, 0.5)',
+    fontSize: 13,
+    lineHeight: 18,
+  },
+});
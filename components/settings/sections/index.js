@@ -2,4 +2,5 @@ export { VoiceAudioSection } from './VoiceAudioSection';
 export { NarrationSection } from './NarrationSection';
 export { GPSSection } from './GPSSection';
 export { StorageSection } from './StorageSection';
+export { UsageSection } from './UsageSection';
 export { APISection } from './APISection';
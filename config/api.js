@@ -7,16 +7,46 @@ export const API_CONFIG = {
     apiKey: process.env.EXPO_PUBLIC_CLAUDE_API_KEY || 'YOUR_CLAUDE_API_KEY',
     model: 'claude-sonnet-4-20250514',
     maxTokens: 500,
+    batchMaxTokens: 8000,  // Cap for batch narration (all checkpoints in one request)
+    concurrency: 3,  // Max narration requests in flight
+    // List prices in USD, for usage estimates. Keyed by model id prefix (the
+    // longest match wins); an unlisted model is priced as `default`.
+    pricing: {
+      models: {
+        'claude-opus-4-5': { inputPerMillionTokens: 5, outputPerMillionTokens: 25 },
+        'claude-opus-4': { inputPerMillionTokens: 15, outputPerMillionTokens: 75 },
+        'claude-sonnet-4': { inputPerMillionTokens: 3, outputPerMillionTokens: 15 },
+        'claude-3-7-sonnet': { inputPerMillionTokens: 3, outputPerMillionTokens: 15 },
+        'claude-haiku-4-5': { inputPerMillionTokens: 1, outputPerMillionTokens: 5 },
+        'claude-3-5-haiku': { inputPerMillionTokens: 0.8, outputPerMillionTokens: 4 },
+      },
+      default: { inputPerMillionTokens: 3, outputPerMillionTokens: 15 },
+    },
+  },
+  openaiCompatible: {
+    // Any server with an OpenAI-style /chat/completions endpoint, e.g. a
+    // llama.cpp or Ollama server on the local network (http://host:11434/v1)
+    baseUrl: process.env.EXPO_PUBLIC_LLM_BASE_URL || '',
+    apiKey: process.env.EXPO_PUBLIC_LLM_API_KEY || '',  // Only if the server requires one
+    model: process.env.EXPO_PUBLIC_LLM_MODEL || '',
+    timeoutMs: 120000,  // Local models can be slow; no answer by then counts as down
+    concurrency: 1,  // Most local servers generate one response at a time
+    pricing: { inputPerMillionTokens: 0, outputPerMillionTokens: 0 },  // Self-hosted
   },
   elevenLabs: {
     apiKey: process.env.EXPO_PUBLIC_ELEVENLABS_API_KEY || 'YOUR_ELEVENLABS_API_KEY',
     voiceId: 'EXAVITQu4vr4xnSDxMaL', // Default: Sarah
+    concurrency: 2,  // Max TTS requests in flight (free tier allows 2)
+    // Approximate USD per 1,000 characters with the turbo models; depends on plan
+    pricing: { perThousandCharacters: 0.15 },
   },
   flightData: {
     // AeroAPI (FlightAware) - https://flightaware.com/aeroapi/
     // Sign up for API access at https://flightaware.com/commercial/aeroapi/
     apiKey: process.env.EXPO_PUBLIC_FLIGHT_API_KEY || 'YOUR_FLIGHT_API_KEY',
     provider: 'aeroapi', // Currently only aeroapi is supported
+    // Approximate USD per query (flight lookup and track are billed separately)
+    pricing: { perCall: 0.01 },
   },
   landmark: {
     // OpenStreetMap Nominatim and Overpass API settings
@@ -2,11 +2,14 @@ import React, { createContext, useContext, useState, useEffect, useCallback } fr
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 const HISTORY_STORAGE_KEY = '@window_seat_flight_history';
+// Multi-leg trips; each leg is also a regular history entry
+const TRIPS_STORAGE_KEY = '@window_seat_trips';
 
 const FlightHistoryContext = createContext(null);
 
 export function FlightHistoryProvider({ children }) {
   const [history, setHistory] = useState([]);
+  const [trips, setTrips] = useState([]);
   const [isLoaded, setIsLoaded] = useState(false);
 
   // Load history from AsyncStorage on mount
@@ -16,10 +19,16 @@ export function FlightHistoryProvider({ children }) {
 
   const loadHistory = async () => {
     try {
-      const stored = await AsyncStorage.getItem(HISTORY_STORAGE_KEY);
+      const [stored, storedTrips] = await Promise.all([
+        AsyncStorage.getItem(HISTORY_STORAGE_KEY),
+        AsyncStorage.getItem(TRIPS_STORAGE_KEY),
+      ]);
       if (stored) {
         setHistory(JSON.parse(stored));
       }
+      if (storedTrips) {
+        setTrips(JSON.parse(storedTrips));
+      }
     } catch (error) {
       console.error('Failed to load flight history:', error);
     } finally {
@@ -35,6 +44,14 @@ export function FlightHistoryProvider({ children }) {
     }
   };
 
+  const saveTrips = async (newTrips) => {
+    try {
+      await AsyncStorage.setItem(TRIPS_STORAGE_KEY, JSON.stringify(newTrips));
+    } catch (error) {
+      console.error('Failed to save trips:', error);
+    }
+  };
+
   const addFlightToHistory = useCallback((flightData) => {
     setHistory(prev => {
       // Check if this flight already exists (by flight number)
@@ -130,7 +147,28 @@ export function FlightHistoryProvider({ children }) {
 
   const clearHistory = useCallback(async () => {
     setHistory([]);
-    await saveHistory([]);
+    setTrips([]);
+    await Promise.all([saveHistory([]), saveTrips([])]);
+  }, []);
+
+  // Add or refresh a trip ({ id, name, legs, layovers }), moving it to the top
+  const addTrip = useCallback((trip) => {
+    setTrips(prev => {
+      const newTrips = [
+        { ...trip, lastLoadedAt: new Date().toISOString() },
+        ...prev.filter(entry => entry.id !== trip.id),
+      ];
+      saveTrips(newTrips);
+      return newTrips;
+    });
+  }, []);
+
+  const removeTrip = useCallback((tripId) => {
+    setTrips(prev => {
+      const newTrips = prev.filter(entry => entry.id !== tripId);
+      saveTrips(newTrips);
+      return newTrips;
+    });
   }, []);
 
   // Getters
@@ -144,6 +182,7 @@ export function FlightHistoryProvider({ children }) {
 
   const value = {
     history,
+    trips,
     isLoaded,
     addFlightToHistory,
     toggleFavorite,
@@ -152,6 +191,8 @@ export function FlightHistoryProvider({ children }) {
     markAllUncached,
     removeFromHistory,
     clearHistory,
+    addTrip,
+    removeTrip,
     getFavorites,
     getRecentFlights,
   };
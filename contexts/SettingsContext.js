@@ -3,6 +3,9 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 
 const SETTINGS_STORAGE_KEY = '@window_seat_settings';
 
+// checkpointsPerFlight default from before density profiles
+const LEGACY_CHECKPOINTS_PER_FLIGHT = 20;
+
 const DEFAULT_SETTINGS = {
   voice: {
     voiceId: 'EXAVITQu4vr4xnSDxMaL',
@@ -10,12 +13,20 @@ const DEFAULT_SETTINGS = {
     similarityBoost: 0.75,
     useSpeakerBoost: true,
     volume: 0.8,
+    ttsProviders: ['elevenlabs', 'local', 'device'], // Enabled speech providers, tried in order
+    localTtsUrl: '',           // e.g. http://192.168.1.20:5002/api/tts (GET ?text=)
   },
   narration: {
     contentFocus: 'mixed', // geological, historical, cultural, mixed
     length: 'medium',      // short, medium, long
+    density: 'standard',   // sparse, standard, dense, everyLandmark, or custom (checkpointsPerFlight)
     checkpointsPerFlight: 20,
     geofenceRadius: 15000, // meters
+    triggerMode: 'geofence', // geofence (within the radius) or abeam (passing level with it along the route)
+    maxCrossTrack: 100000, // meters off the route beyond which abeam checkpoints are missed
+    batchGeneration: false, // Few large requests per pack (falls back per checkpoint)
+    persona: 'historian',  // Narrator persona, see utils/personas.js
+    customPersonas: [],    // User-defined templates: [{ id, label, template }]
   },
   gps: {
     accuracy: 'high',       // high, balanced, low
@@ -30,10 +41,23 @@ const DEFAULT_SETTINGS = {
     offlineEnabled: true,      // Enable offline map caching
     includeHighDetail: false,  // Include zoom level 8 (larger download)
   },
+  storage: {
+    budgetEnabled: false,      // Evict least recently used packs over the budget
+    budgetMB: 1000,            // Budget for packs, audio and maps combined
+  },
+  usage: {
+    monthlyCap: 0,             // USD spend cap per calendar month; 0 for none
+    packCap: 0,                // USD spend cap per flight pack; 0 for none
+  },
   api: {
     claudeApiKey: '',
     elevenLabsApiKey: '',
     flightApiKey: '',
+    llmProviders: ['anthropic', 'openai'], // Enabled narration AI providers, tried in order
+    claudeModel: '',           // Blank uses the model in config/api.js
+    llmBaseUrl: '',            // OpenAI-compatible server, e.g. http://192.168.1.20:11434/v1
+    llmModel: '',              // e.g. llama3.1:8b
+    llmApiKey: '',             // Only if the server requires one
   },
 };
 
@@ -52,7 +76,7 @@ export function SettingsProvider({ children }) {
     try {
       const stored = await AsyncStorage.getItem(SETTINGS_STORAGE_KEY);
       if (stored) {
-        const parsed = JSON.parse(stored);
+        const parsed = migrateSettings(JSON.parse(stored));
         // Deep merge with defaults to handle new settings fields
         setSettings(deepMerge(DEFAULT_SETTINGS, parsed));
       }
@@ -109,6 +133,14 @@ export function SettingsProvider({ children }) {
     updateSettings('api', updates);
   }, [updateSettings]);
 
+  const updateStorageSettings = useCallback((updates) => {
+    updateSettings('storage', updates);
+  }, [updateSettings]);
+
+  const updateUsageSettings = useCallback((updates) => {
+    updateSettings('usage', updates);
+  }, [updateSettings]);
+
   const resetSettings = useCallback(async () => {
     setSettings(DEFAULT_SETTINGS);
     await saveSettings(DEFAULT_SETTINGS);
@@ -123,6 +155,8 @@ export function SettingsProvider({ children }) {
     updateDisplaySettings,
     updateMapSettings,
     updateApiSettings,
+    updateStorageSettings,
+    updateUsageSettings,
     resetSettings,
     DEFAULT_SETTINGS,
   };
@@ -142,6 +176,19 @@ export function useSettings() {
   return context;
 }
 
+// Carry stored settings from older builds over to the current meaning
+function migrateSettings(stored) {
+  const narration = stored?.narration;
+  // Before density profiles, checkpointsPerFlight alone set the count; keep a
+  // count the user changed instead of switching them to a profile
+  if (narration && narration.density === undefined &&
+    narration.checkpointsPerFlight !== undefined &&
+    narration.checkpointsPerFlight !== LEGACY_CHECKPOINTS_PER_FLIGHT) {
+    return { ...stored, narration: { ...narration, density: 'custom' } };
+  }
+  return stored;
+}
+
 // Deep merge helper
 function deepMerge(target, source) {
   const result = { ...target };
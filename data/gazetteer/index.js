@@ -0,0 +1,19 @@
+/**
+ * Bundled gazetteer regions, loaded by GazetteerService next to the built-in
+ * landmarkNarrations dataset
+ *
+ * To add a region, drop a JSON file in this directory and list it below:
+ *   { "id": "region-id", "name": "Region name",
+ *     "entries": [{ "id", "name", "type", "narration",
+ *                   "center": { "latitude", "longitude" }, "radius" (meters)
+ *                   or "bounds": { "north", "south", "east", "west" } }] }
+ *
+ * Bounds must not cross the antimeridian: east has to be at least west, and
+ * an entry with east < west is skipped with a warning. Split such an area
+ * into two entries, one either side of 180°.
+ */
+
+// CommonJS exports for React Native compatibility
+module.exports = [
+  require('./north-america.json'),
+];
@@ -1,3 +1,4 @@
 export { useLocationTracking } from './useLocationTracking';
 export { useSettingsSync } from './useSettingsSync';
+export { useStorageBudget } from './useStorageBudget';
 export { useTheme } from './useTheme';
@@ -1,22 +1,52 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { locationService } from '../services/LocationService';
-import { checkGeofences } from '../utils/geofence';
-
+import { checkGeofences, checkAbeam, getCheckpointPositions } from '../utils/geofence';
+
+/**
+ * GPS tracking and checkpoint triggering
+ *
+ * options.triggerMode picks how checkpoints fire: 'geofence' (default) when
+ * the aircraft comes within a checkpoint's trigger radius, or 'abeam' when
+ * it passes level with the checkpoint along options.route, however far off
+ * the route it is up to options.maxCrossTrack (meters). In abeam mode,
+ * checkpoints passed beyond that or already behind when tracking starts are
+ * reported to options.onCheckpointMissed and kept in missedCheckpoints, so
+ * they can still be played with markCheckpointTriggered.
+ */
 export function useLocationTracking(options = {}) {
   const [location, setLocation] = useState(null);
   const [isTracking, setIsTracking] = useState(false);
   const [error, setError] = useState(null);
   const [permissionGranted, setPermissionGranted] = useState(false);
   const [triggeredCheckpoints, setTriggeredCheckpoints] = useState(new Set());
+  const [missedCheckpoints, setMissedCheckpoints] = useState(new Set());
 
   const triggeredCheckpointsRef = useRef(new Set());
   const checkpointsRef = useRef(options.checkpoints || []);
+  const missedCheckpointsRef = useRef(new Set());
+  const previousFixRef = useRef(null);
+  const previousAlongTrackRef = useRef(null);
+  const abeamRef = useRef({ route: null, positions: null, maxCrossTrack: options.maxCrossTrack });
 
   // Update checkpoints ref when they change
   useEffect(() => {
     checkpointsRef.current = options.checkpoints || [];
   }, [options.checkpoints]);
 
+  // Checkpoint positions along the route, for abeam triggering
+  const abeamRoute = options.triggerMode === 'abeam' && options.route?.length > 1 ? options.route : null;
+  const checkpointPositions = useMemo(() => (
+    abeamRoute ? getCheckpointPositions(abeamRoute, options.checkpoints || []) : null
+  ), [abeamRoute, options.checkpoints]);
+
+  useEffect(() => {
+    abeamRef.current = {
+      route: abeamRoute,
+      positions: checkpointPositions,
+      maxCrossTrack: options.maxCrossTrack,
+    };
+  }, [abeamRoute, checkpointPositions, options.maxCrossTrack]);
+
   // Subscribe to error events from LocationService
   useEffect(() => {
     const unsubscribeError = locationService.onError((err) => {
@@ -39,26 +69,51 @@ export function useLocationTracking(options = {}) {
   useEffect(() => {
     const unsubscribe = locationService.subscribe((newLocation) => {
       setLocation(newLocation);
-
-      // Check geofences if we have checkpoints
-      if (checkpointsRef.current.length > 0 && options.onCheckpointEntered) {
-        const newlyTriggered = checkGeofences(
-          newLocation.coords.latitude,
-          newLocation.coords.longitude,
+      const { latitude, longitude, altitude, speed } = newLocation.coords;
+      const previous = previousFixRef.current;
+      previousFixRef.current = { latitude, longitude };
+
+      if (checkpointsRef.current.length === 0 || !options.onCheckpointEntered) return;
+
+      let newlyTriggered;
+      const { route, positions, maxCrossTrack } = abeamRef.current;
+      if (route) {
+        // Abeam: progress along the route past each checkpoint
+        const handled = new Set([...triggeredCheckpointsRef.current, ...missedCheckpointsRef.current]);
+        const result = checkAbeam(latitude, longitude, route, checkpointsRef.current, handled, {
+          previousAlongTrack: previousAlongTrackRef.current,
+          maxCrossTrack,
+          positions,
+        });
+        previousAlongTrackRef.current = result.alongTrack;
+        newlyTriggered = result.triggered;
+
+        if (result.missed.length > 0) {
+          result.missed.forEach(checkpoint => missedCheckpointsRef.current.add(checkpoint.id));
+          setMissedCheckpoints(new Set(missedCheckpointsRef.current));
+          result.missed.forEach(checkpoint => options.onCheckpointMissed?.(checkpoint));
+        }
+      } else {
+        // Geofences: trigger radius follows altitude and speed, and
+        // checkpoints passed between fixes count
+        newlyTriggered = checkGeofences(
+          latitude,
+          longitude,
           checkpointsRef.current,
-          triggeredCheckpointsRef.current
+          triggeredCheckpointsRef.current,
+          { altitude, speed, previous }
         );
-
-        newlyTriggered.forEach(checkpoint => {
-          triggeredCheckpointsRef.current.add(checkpoint.id);
-          setTriggeredCheckpoints(new Set(triggeredCheckpointsRef.current));
-          options.onCheckpointEntered(checkpoint);
-        });
       }
+
+      newlyTriggered.forEach(checkpoint => {
+        triggeredCheckpointsRef.current.add(checkpoint.id);
+        setTriggeredCheckpoints(new Set(triggeredCheckpointsRef.current));
+        options.onCheckpointEntered(checkpoint);
+      });
     });
 
     return unsubscribe;
-  }, [options.onCheckpointEntered]);
+  }, [options.onCheckpointEntered, options.onCheckpointMissed]);
 
   const getCurrentPosition = useCallback(async () => {
     setError(null);
@@ -87,12 +142,27 @@ export function useLocationTracking(options = {}) {
 
   const stopTracking = useCallback(() => {
     locationService.stopTracking();
+    previousFixRef.current = null;
+    previousAlongTrackRef.current = null;
     setIsTracking(false);
   }, []);
 
   const resetTriggeredCheckpoints = useCallback(() => {
     triggeredCheckpointsRef.current.clear();
+    missedCheckpointsRef.current.clear();
+    previousFixRef.current = null;
+    previousAlongTrackRef.current = null;
     setTriggeredCheckpoints(new Set());
+    setMissedCheckpoints(new Set());
+  }, []);
+
+  // Count a checkpoint as triggered without passing it, e.g. a missed one
+  // played anyway
+  const markCheckpointTriggered = useCallback((checkpointId) => {
+    triggeredCheckpointsRef.current.add(checkpointId);
+    missedCheckpointsRef.current.delete(checkpointId);
+    setTriggeredCheckpoints(new Set(triggeredCheckpointsRef.current));
+    setMissedCheckpoints(new Set(missedCheckpointsRef.current));
   }, []);
 
   const clearError = useCallback(() => {
@@ -106,10 +176,12 @@ export function useLocationTracking(options = {}) {
     error,
     permissionGranted,
     triggeredCheckpoints,
+    missedCheckpoints,
     getCurrentPosition,
     startTracking,
     stopTracking,
     resetTriggeredCheckpoints,
+    markCheckpointTriggered,
     clearError,
   };
 }
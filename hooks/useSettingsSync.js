@@ -5,6 +5,9 @@ import {
   audioService,
   locationService,
   claudeService,
+  speechService,
+  usageService,
+  narrationService,
 } from '../services';
 
 /**
@@ -26,6 +29,14 @@ export function useSettingsSync() {
     });
   }, [isLoaded, settings.voice]);
 
+  // Sync the speech provider chain
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    speechService.setProviderOrder(settings.voice.ttsProviders);
+    speechService.setLocalEndpoint(settings.voice.localTtsUrl);
+  }, [isLoaded, settings.voice.ttsProviders, settings.voice.localTtsUrl]);
+
   // Sync volume to audio service
   useEffect(() => {
     if (!isLoaded) return;
@@ -51,8 +62,34 @@ export function useSettingsSync() {
     claudeService.updateNarrationPreferences({
       contentFocus: settings.narration.contentFocus,
       length: settings.narration.length,
+      batchGeneration: settings.narration.batchGeneration,
+      persona: settings.narration.persona,
+      customPersonas: settings.narration.customPersonas,
+    });
+  }, [
+    isLoaded,
+    settings.narration.contentFocus,
+    settings.narration.length,
+    settings.narration.batchGeneration,
+    settings.narration.persona,
+    settings.narration.customPersonas,
+  ]);
+
+  // Sync checkpoint density to the narration service
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    narrationService.setCheckpointSettings({
+      density: settings.narration.density,
+      checkpointsPerFlight: settings.narration.checkpointsPerFlight,
+      geofenceRadius: settings.narration.geofenceRadius,
     });
-  }, [isLoaded, settings.narration.contentFocus, settings.narration.length]);
+  }, [
+    isLoaded,
+    settings.narration.density,
+    settings.narration.checkpointsPerFlight,
+    settings.narration.geofenceRadius,
+  ]);
 
   // Sync language to Claude service
   useEffect(() => {
@@ -61,8 +98,39 @@ export function useSettingsSync() {
     claudeService.updateNarrationPreferences({
       language: settings.display?.language || 'en',
     });
+    speechService.setLanguage(settings.display?.language || 'en');
   }, [isLoaded, settings.display?.language]);
 
+  // Sync the narration AI provider chain
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    claudeService.setProviderOrder(settings.api.llmProviders);
+    claudeService.updateModel(settings.api.claudeModel);
+    claudeService.updateOpenAICompatibleSettings({
+      baseUrl: settings.api.llmBaseUrl,
+      model: settings.api.llmModel,
+      apiKey: settings.api.llmApiKey,
+    });
+  }, [
+    isLoaded,
+    settings.api.llmProviders,
+    settings.api.claudeModel,
+    settings.api.llmBaseUrl,
+    settings.api.llmModel,
+    settings.api.llmApiKey,
+  ]);
+
+  // Sync spend caps to the usage ledger
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    usageService.setBudget({
+      monthlyCap: settings.usage.monthlyCap,
+      packCap: settings.usage.packCap,
+    });
+  }, [isLoaded, settings.usage]);
+
   // Sync API keys to services
   useEffect(() => {
     if (!isLoaded) return;
@@ -0,0 +1,53 @@
+import { useEffect, useRef } from 'react';
+import { useSettings, useFlightHistory } from '../contexts';
+import { storageService } from '../services';
+
+const ENFORCE_DELAY_MS = 1500;
+
+const toPackId = (flightNumber) => String(flightNumber).toUpperCase().replace(/\s/g, '');
+
+/**
+ * Hook that keeps the storage manager in step with the storage budget
+ * setting and favourite flights, and marks evicted packs as uncached in
+ * flight history. Should be called once at the app root level.
+ */
+export function useStorageBudget() {
+  const { settings, isLoaded } = useSettings();
+  const { history, isLoaded: historyLoaded, updatePackCached } = useFlightHistory();
+  const historyRef = useRef(history);
+  historyRef.current = history;
+
+  // Favourites are never evicted
+  useEffect(() => {
+    storageService.setFavoritePacks(
+      history.filter(entry => entry.isFavorite).map(entry => entry.flightNumber)
+    );
+  }, [history]);
+
+  // Apply the budget (only once favourites are known, so none get evicted)
+  useEffect(() => {
+    if (!isLoaded || !historyLoaded) return;
+
+    const { budgetEnabled, budgetMB } = settings.storage;
+    storageService.setBudget(budgetEnabled ? budgetMB * 1024 * 1024 : null);
+
+    // Wait for the budget slider to settle before evicting anything
+    const timer = setTimeout(() => {
+      storageService.enforceBudget().catch((error) => {
+        console.warn('Failed to enforce storage budget:', error?.message);
+      });
+    }, ENFORCE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [isLoaded, historyLoaded, settings.storage.budgetEnabled, settings.storage.budgetMB]);
+
+  // Evicted packs need re-downloading
+  useEffect(() => {
+    return storageService.subscribe((event) => {
+      if (event.type !== 'evicted') return;
+      const evicted = new Set(event.packIds);
+      historyRef.current
+        .filter(entry => evicted.has(toPackId(entry.flightNumber)))
+        .forEach(entry => updatePackCached(entry.flightNumber, false));
+    });
+  }, [updatePackCached]);
+}
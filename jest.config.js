@@ -2,14 +2,15 @@ module.exports = {
   preset: 'ts-jest',
   testEnvironment: 'node',
   roots: ['<rootDir>'],
-  testMatch: ['**/__tests__/**/*.ts', '**/*.test.ts'],
+  testMatch: ['**/__tests__/**/*.[jt]s', '**/*.test.[jt]s'],
   transform: {
-    '^.+\\.tsx?$': 'ts-jest',
+    // Plain JS modules (utils, services) go through ts-jest too; tsconfig has allowJs
+    '^.+\\.[jt]sx?$': 'ts-jest',
   },
   moduleFileExtensions: ['ts', 'tsx', 'js', 'jsx', 'json'],
   collectCoverageFrom: [
-    'utils/**/*.ts',
-    'services/**/*.ts',
+    'utils/**/*.{js,ts}',
+    'services/**/*.{js,ts}',
     '!**/*.d.ts',
   ],
 };
@@ -1,26 +1,197 @@
-import { API_CONFIG, isApiKeyConfigured } from '../config/api';
+/**
+ * ClaudeService - Writes narrations with a large language model
+ *
+ * Requests go through an ordered chain of LLM providers; the first one that
+ * answers wins. Each provider implements:
+ *   { id, label, description, pool, isAvailable(): boolean,
+ *     complete(prompt, { signal, maxTokens }):
+ *       Promise<{ text, model, inputTokens, outputTokens }> }
+ * and throws errors carrying the HTTP `status` so retries and error
+ * messages work the same whichever provider failed. Token counts go to
+ * UsageService. Built in:
+ * - anthropic: the Claude Messages API
+ * - openai:    any OpenAI-compatible /chat/completions server (llama.cpp,
+ *              Ollama, vLLM, LM Studio...), e.g. on the local network
+ */
+
+import { API_CONFIG } from '../config/api';
 import { withRetry, isRetryableStatus } from '../utils/retry';
+import { isAbortError } from '../utils/abort';
+import { isBudgetError, getRequestCost, estimateTokens } from '../utils/usage';
+import { ConcurrencyPool, mapWithConcurrency } from '../utils/concurrency';
+import { createNarration, validateNarration, summarizeNarrations, NARRATION_TAGS } from '../utils/narration';
+import { getPersona, renderTemplate, DEFAULT_PERSONA_ID } from '../utils/personas';
+import { usageService } from './UsageService';
 
 const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
 
+export const DEFAULT_LLM_PROVIDER_ORDER = ['anthropic', 'openai'];
+
 // User-friendly error messages
 const ERROR_MESSAGES = {
-  API_KEY_MISSING: 'Claude API key not configured. Add your key in Settings to enable AI narrations.',
+  API_KEY_MISSING: 'No AI service configured. Add a Claude API key or a local AI server in Settings to enable AI narrations.',
   NETWORK_ERROR: 'Unable to connect to AI service. Check your internet connection.',
   RATE_LIMITED: 'AI service is busy. Narrations will retry automatically.',
-  INVALID_KEY: 'Claude API key is invalid. Please check your key in Settings.',
+  INVALID_KEY: 'AI service API key is invalid. Please check your key in Settings.',
   SERVER_ERROR: 'AI service is temporarily unavailable. Using fallback narrations.',
   UNKNOWN: 'Unable to generate narration. Using fallback.',
 };
 
+const isUsableKey = (key) => !!key && key.length > 10 && !key.startsWith('YOUR_');
+
+// Error for a failed response, with the status for retry and error mapping
+async function createResponseError(response) {
+  const errorData = await response.json().catch(() => ({}));
+  const errorMessage = errorData.error?.message || '';
+  const error = new Error(errorMessage || `HTTP ${response.status}`);
+  error.status = response.status;
+  error.errorData = errorData;
+
+  // Don't retry auth errors
+  if (response.status === 401) {
+    error.noRetry = true;
+  }
+  return error;
+}
+
+function createAnthropicProvider(service) {
+  return {
+    id: 'anthropic',
+    label: 'Anthropic Claude',
+    description: 'Claude API (API key, online)',
+    pool: new ConcurrencyPool({ name: 'claude', concurrency: service.config.concurrency }),
+    isAvailable: () => isUsableKey(service.config.apiKey),
+    async complete(prompt, { signal, maxTokens }) {
+      const response = await fetch(ANTHROPIC_API_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': service.config.apiKey,
+          'anthropic-version': '2023-06-01',
+        },
+        body: JSON.stringify({
+          model: service.config.model,
+          max_tokens: maxTokens,
+          messages: [
+            {
+              role: 'user',
+              content: prompt,
+            },
+          ],
+        }),
+        signal,
+      });
+
+      if (!response.ok) {
+        throw await createResponseError(response);
+      }
+
+      const data = await response.json();
+      return {
+        text: data.content[0].text,
+        model: data.model || service.config.model,
+        inputTokens: data.usage?.input_tokens || 0,
+        outputTokens: data.usage?.output_tokens || 0,
+      };
+    },
+  };
+}
+
+function createOpenAICompatibleProvider(service) {
+  return {
+    id: 'openai',
+    label: 'OpenAI-compatible server',
+    description: 'Chat completions API (llama.cpp, Ollama, vLLM...)',
+    pool: new ConcurrencyPool({ name: 'openai-compatible', concurrency: API_CONFIG.openaiCompatible.concurrency }),
+    isAvailable: () => !!service.openaiCompatible.baseUrl && !!service.openaiCompatible.model,
+    async complete(prompt, { signal, maxTokens }) {
+      const { baseUrl, model, apiKey } = service.openaiCompatible;
+      const url = /\/chat\/completions$/.test(baseUrl) ? baseUrl : `${baseUrl}/chat/completions`;
+
+      // A server that doesn't answer in time is treated as down, not cancelled
+      const controller = new AbortController();
+      let timedOut = false;
+      const timeout = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, API_CONFIG.openaiCompatible.timeoutMs);
+      const onAbort = () => controller.abort();
+      signal?.addEventListener('abort', onAbort);
+
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+          },
+          body: JSON.stringify({
+            model,
+            max_tokens: maxTokens,
+            messages: [
+              {
+                role: 'user',
+                content: prompt,
+              },
+            ],
+          }),
+          signal: controller.signal,
+        });
+
+        if (!response.ok) {
+          throw await createResponseError(response);
+        }
+
+        const data = await response.json();
+        const text = data.choices?.[0]?.message?.content;
+        if (typeof text !== 'string') {
+          throw new Error('Chat completion response has no message content');
+        }
+        return {
+          text,
+          model: data.model || model,
+          inputTokens: data.usage?.prompt_tokens || 0,
+          outputTokens: data.usage?.completion_tokens || 0,
+        };
+      } catch (error) {
+        if (timedOut && !signal?.aborted) {
+          const timeoutError = new Error(`No response from ${baseUrl}`);
+          timeoutError.status = 504;
+          timeoutError.noRetry = true;
+          throw timeoutError;
+        }
+        throw error;
+      } finally {
+        clearTimeout(timeout);
+        signal?.removeEventListener('abort', onAbort);
+      }
+    },
+  };
+}
+
 class ClaudeService {
   constructor() {
     this.config = API_CONFIG.claude;
+    this.openaiCompatible = {
+      baseUrl: '',
+      model: '',
+      apiKey: '',
+    };
     this.lastError = null;
+    this.providers = new Map();
+    this.order = [...DEFAULT_LLM_PROVIDER_ORDER];
+    this.lastProvider = null;
+
+    this.registerProvider(createAnthropicProvider(this));
+    this.registerProvider(createOpenAICompatibleProvider(this));
+    this.updateOpenAICompatibleSettings();
     this.narrationPreferences = {
       contentFocus: 'mixed', // geological, historical, cultural, mixed
       length: 'medium',      // short, medium, long
       language: 'en',        // Language code for narrations
+      batchGeneration: false, // Narrate a flight pack in a few large requests
+      persona: DEFAULT_PERSONA_ID, // Prompt template, see utils/personas.js
+      customPersonas: [],    // User-defined templates: [{ id, label, template }]
     };
   }
 
@@ -41,6 +212,13 @@ class ClaudeService {
     return this.lastError;
   }
 
+  // Each provider has its own pool, shared by every narration request so
+  // parallel downloads stay within its limit
+  getConcurrency() {
+    const [provider] = this.getChain();
+    return provider ? provider.pool.concurrency : this.config.concurrency;
+  }
+
   clearError() {
     this.lastError = null;
   }
@@ -71,188 +249,523 @@ class ClaudeService {
     console.log('[Claude] API key updated:', apiKey ? 'set' : 'cleared');
   }
 
+  /**
+   * @param {string} [model] - Claude model id; blank uses config/api.js
+   */
+  updateModel(model) {
+    this.config = {
+      ...this.config,
+      model: model?.trim() || API_CONFIG.claude.model,
+    };
+  }
+
+  /**
+   * Model a provider sends requests to
+   * @param {string} providerId
+   * @returns {string|null}
+   */
+  getModel(providerId) {
+    if (providerId === 'anthropic') return this.config.model;
+    if (providerId === 'openai') return this.openaiCompatible.model || null;
+    return null;
+  }
+
+  /**
+   * @param {Object} [settings] - { baseUrl, model, apiKey }; blank values
+   *   use config/api.js
+   */
+  updateOpenAICompatibleSettings({ baseUrl, model, apiKey } = {}) {
+    const defaults = API_CONFIG.openaiCompatible;
+    this.openaiCompatible = {
+      baseUrl: (baseUrl?.trim() || defaults.baseUrl).replace(/\/+$/, ''),
+      model: model?.trim() || defaults.model,
+      apiKey: apiKey?.trim() || defaults.apiKey,
+    };
+  }
+
   getNarrationPreferences() {
     return { ...this.narrationPreferences };
   }
 
+  registerProvider(provider) {
+    this.providers.set(provider.id, provider);
+  }
+
+  /**
+   * @param {string[]} order - Enabled provider ids, most preferred first
+   */
+  setProviderOrder(order) {
+    this.order = (order || []).filter(id => this.providers.has(id));
+  }
+
+  // Every registered provider, for the settings screen
+  getProviders() {
+    return [...this.providers.values()].map(({ id, label, description, isAvailable }) => ({
+      id,
+      label,
+      description,
+      available: isAvailable(),
+      enabled: this.order.includes(id),
+    }));
+  }
+
+  // Enabled, usable providers in fallback order
+  getChain() {
+    return this.order
+      .map(id => this.providers.get(id))
+      .filter(provider => provider?.isAvailable());
+  }
+
   isConfigured() {
-    // Check runtime config first (set via settings), then static config
-    const key = this.config?.apiKey;
-    return key && key.length > 10 && !key.startsWith('YOUR_');
+    return this.getChain().length > 0;
   }
 
-  async generateNarration(latitude, longitude, altitude, context = {}) {
+  /**
+   * Narrate a single location
+   *
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {Object} [options.style] - contentFocus / length overriding the
+   *   narration preferences for this request only
+   * @param {Object} [options.usage] - Pack usage record to charge; a pack over
+   *   its spend cap rejects with a BudgetExceededError
+   * @returns {Promise<Object|null>} Narration object, or null on failure
+   */
+  async generateNarration(latitude, longitude, altitude, context = {}, options = {}) {
+    const { signal, style, usage } = options;
+
     if (!this.isConfigured()) {
       this._setError('API_KEY_MISSING');
       return null;
     }
 
-    const prompt = this.buildNarrationPrompt(latitude, longitude, altitude, context);
+    const prompt = this.buildNarrationPrompt(latitude, longitude, altitude, context, style);
 
     try {
-      const data = await withRetry(
-        async (attempt) => {
-          if (attempt > 0) {
-            console.log(`ClaudeService: Retry attempt ${attempt} for narration`);
-          }
+      const text = await this.requestCompletion(prompt, { signal, usage });
+      this.clearError();
+      return this.parseNarrationResponse(text);
+    } catch (error) {
+      // Cancellation (or a spend cap) is not a failure - let the caller stop
+      if (isAbortError(error) || isBudgetError(error)) throw error;
 
-          const response = await fetch(ANTHROPIC_API_URL, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'x-api-key': this.config.apiKey,
-              'anthropic-version': '2023-06-01',
-            },
-            body: JSON.stringify({
-              model: this.config.model,
-              max_tokens: this.config.maxTokens,
-              messages: [
-                {
-                  role: 'user',
-                  content: prompt,
-                },
-              ],
-            }),
-          });
-
-          if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            const errorMessage = errorData.error?.message || '';
-            const error = new Error(errorMessage || `HTTP ${response.status}`);
-            error.status = response.status;
-            error.errorData = errorData;
-
-            // Don't retry auth errors
-            if (response.status === 401) {
-              error.noRetry = true;
-            }
+      this._setRequestError(error);
+      return null;
+    }
+  }
 
-            throw error;
-          }
+  /**
+   * Turn a single-narration response into a narration object. A response
+   * that isn't valid JSON is kept as the body rather than thrown away.
+   */
+  parseNarrationResponse(text) {
+    if (typeof text !== 'string' || !text.trim()) return null;
+
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try {
+        const narration = validateNarration(JSON.parse(text.slice(start, end + 1)));
+        if (narration) return narration;
+      } catch (error) {
+        // Fall through to plain text
+      }
+    }
 
-          return response.json();
-        },
-        {
-          maxRetries: 3,
-          initialDelayMs: 1000,
-          shouldRetry: (error) => {
-            // Don't retry auth errors
-            if (error.noRetry) return false;
-            // Retry rate limits and server errors
-            if (error.status && isRetryableStatus(error.status)) return true;
-            // Retry network errors
-            if (error.name === 'TypeError') return true;
-            return false;
-          },
-          onRetry: ({ attempt, delay, error }) => {
-            console.log(`ClaudeService: Will retry in ${delay}ms (attempt ${attempt}, error: ${error.message})`);
-          },
-        }
+    console.warn('ClaudeService: Narration response did not match the schema, using it as plain text');
+    return createNarration({ body: text.trim() });
+  }
+
+  /**
+   * Narrate several checkpoints in as few requests as the output cap allows.
+   * The model sees the route in chunks, so it can vary themes instead of
+   * repeating itself at every stop.
+   *
+   * Checkpoints are split into chunks of batchMaxTokens / maxTokens, so a
+   * reply truncated at the cap only loses its own chunk. Each chunk is told
+   * what the chunks before it said.
+   *
+   * Resolves with { [checkpointId]: narration object } for every checkpoint the
+   * responses covered (possibly a subset), or null if every request failed or
+   * no response could be parsed. Callers fall back to generateNarration
+   * for checkpoints missing from the result.
+   */
+  async generateBatchNarrations(checkpoints, context = {}, options = {}) {
+    if (!this.isConfigured()) {
+      this._setError('API_KEY_MISSING');
+      return null;
+    }
+    if (!checkpoints?.length) {
+      return {};
+    }
+
+    const batchMaxTokens = this.config.batchMaxTokens || 8000;
+    const chunkSize = Math.max(1, Math.floor(batchMaxTokens / this.config.maxTokens));
+    const written = [];
+    let narrations = null;
+
+    for (let start = 0; start < checkpoints.length; start += chunkSize) {
+      const chunk = checkpoints.slice(start, start + chunkSize);
+      const previousNarrations = [
+        ...(context.previousNarrations || []),
+        ...summarizeNarrations(written),
+      ];
+      const result = await this.generateBatchChunk(
+        chunk,
+        { ...context, previousNarrations },
+        options
       );
+      if (!result) continue;
 
+      narrations = { ...narrations, ...result };
+      chunk.forEach(({ id }) => {
+        if (result[id]) written.push(result[id]);
+      });
+    }
+
+    return narrations;
+  }
+
+  // One batch request; null if it failed or the reply could not be parsed
+  async generateBatchChunk(checkpoints, context, options = {}) {
+    const { signal, usage } = options;
+    const prompt = this.buildBatchNarrationPrompt(checkpoints, context);
+    const maxTokens = Math.min(
+      this.config.maxTokens * checkpoints.length,
+      this.config.batchMaxTokens || 8000
+    );
+
+    try {
+      const text = await this.requestCompletion(prompt, { signal, maxTokens, usage });
+      const narrations = this.parseBatchResponse(text, checkpoints.map(c => c.id));
+      if (!narrations) {
+        console.warn('ClaudeService: Batch narration response was not valid JSON');
+        return null;
+      }
       this.clearError();
-      return data.content[0].text;
+      return narrations;
+    } catch (error) {
+      if (isAbortError(error) || isBudgetError(error)) throw error;
+
+      this._setRequestError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Validate a batch response: a JSON array of narration objects, each with
+   * the checkpoint id. Returns { [id]: narration } for valid entries with
+   * known ids, or null if nothing usable was found.
+   */
+  parseBatchResponse(text, checkpointIds) {
+    if (typeof text !== 'string') return null;
+
+    // Tolerate code fences or a sentence around the array
+    const start = text.indexOf('[');
+    const end = text.lastIndexOf(']');
+    if (start === -1 || end <= start) return null;
+
+    let items;
+    try {
+      items = JSON.parse(text.slice(start, end + 1));
     } catch (error) {
-      // Set appropriate error based on final failure
-      if (error.status === 401) {
-        this._setError('INVALID_KEY', error.message);
-      } else if (error.status === 429) {
-        this._setError('RATE_LIMITED', error.message);
-      } else if (error.status >= 500) {
-        this._setError('SERVER_ERROR', error.message);
-      } else if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        this._setError('NETWORK_ERROR', error.message);
-      } else {
-        this._setError('UNKNOWN', error.message);
-      }
       return null;
     }
+    if (!Array.isArray(items)) return null;
+
+    const knownIds = new Set(checkpointIds);
+    const narrations = {};
+    for (const item of items) {
+      if (!item || typeof item.id !== 'string' || !knownIds.has(item.id)) continue;
+      if (narrations[item.id]) continue;
+      const narration = validateNarration(item);
+      if (narration) {
+        narrations[item.id] = narration;
+      }
+    }
+
+    return Object.keys(narrations).length > 0 ? narrations : null;
   }
 
-  buildNarrationPrompt(latitude, longitude, altitude, context) {
+  /**
+   * Send a single-turn prompt and return the response text. Tries each
+   * provider in the chain, retrying transient failures within the
+   * provider's pool; throws the last provider's error if none answered.
+   * Token usage is recorded, and charged to options.usage if given.
+   */
+  async requestCompletion(prompt, { signal, maxTokens = this.config.maxTokens, usage } = {}) {
+    const chain = this.getChain();
+    if (chain.length === 0) {
+      throw new Error('No AI provider configured');
+    }
+    if (usage) {
+      // Priced as the first provider answering with its full output allowance
+      const estimate = getRequestCost({
+        service: chain[0].id,
+        model: this.getModel(chain[0].id),
+        inputTokens: estimateTokens(prompt),
+        outputTokens: maxTokens,
+      });
+      await usageService.assertWithinBudget(usage, estimate);
+    }
+
+    let lastError = null;
+    for (const provider of chain) {
+      try {
+        const result = await withRetry(
+          async (attempt) => {
+            if (attempt > 0) {
+              console.log(`ClaudeService: Retry attempt ${attempt} for narration (${provider.id})`);
+            }
+            return provider.complete(prompt, { signal, maxTokens });
+          },
+          {
+            maxRetries: 3,
+            initialDelayMs: 1000,
+            signal,
+            pool: provider.pool,
+            shouldRetry: (error) => {
+              // Don't retry auth errors
+              if (error.noRetry) return false;
+              // Retry rate limits and server errors
+              if (error.status && isRetryableStatus(error.status)) return true;
+              // Retry network errors
+              if (error.name === 'TypeError') return true;
+              return false;
+            },
+            onRetry: ({ attempt, delay, error }) => {
+              console.log(`ClaudeService: Will retry in ${delay}ms (attempt ${attempt}, error: ${error.message})`);
+            },
+          }
+        );
+        this.lastProvider = provider.id;
+        await usageService.record({
+          service: provider.id,
+          model: result.model,
+          inputTokens: result.inputTokens,
+          outputTokens: result.outputTokens,
+        }, { usage });
+        return result.text;
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+
+        lastError = error;
+        if (provider !== chain[chain.length - 1]) {
+          console.warn(`ClaudeService: ${provider.label} failed, trying next provider (${error.message})`);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  // Set appropriate error based on final failure
+  _setRequestError(error) {
+    if (error.status === 401) {
+      this._setError('INVALID_KEY', error.message);
+    } else if (error.status === 429) {
+      this._setError('RATE_LIMITED', error.message);
+    } else if (error.status >= 500) {
+      this._setError('SERVER_ERROR', error.message);
+    } else if (error.name === 'TypeError' && error.message.includes('fetch')) {
+      this._setError('NETWORK_ERROR', error.message);
+    } else {
+      this._setError('UNKNOWN', error.message);
+    }
+  }
+
+  isBatchEnabled() {
+    return !!this.narrationPreferences.batchGeneration;
+  }
+
+  /**
+   * The selected persona, or the default one if it no longer exists
+   * @param {string} [id] - Overrides the persona preference
+   */
+  getPersona(id) {
+    return getPersona(id || this.narrationPreferences.persona, this.narrationPreferences.customPersonas);
+  }
+
+  buildNarrationPrompt(latitude, longitude, altitude, context, style = {}) {
     const altitudeFeet = altitude ? Math.round(altitude * 3.28084) : null;
-    const altitudeContext = altitudeFeet
-      ? `The observer is at approximately ${altitudeFeet.toLocaleString()} feet altitude.`
-      : '';
+    const { focusInstruction, lengthInstruction, languageInstruction } = this.buildStyleInstructions(style);
+
+    const personaPrompt = renderTemplate(this.getPersona(style.persona).template, {
+      location: `${latitude.toFixed(4)}°, ${longitude.toFixed(4)}°`,
+      altitude: altitudeFeet
+        ? `The observer is at approximately ${altitudeFeet.toLocaleString()} feet altitude.`
+        : '',
+      heading: typeof context.heading === 'number'
+        ? `Aircraft heading: ${Math.round(context.heading)}° true.`
+        : '',
+      flight: context.flightInfo ? `Flight: ${context.flightInfo}` : '',
+      route: this.buildRouteContext(context),
+      progress: this.buildProgressContext(context),
+      landmark: this.buildLandmarkContext(context),
+      focus: focusInstruction,
+      length: lengthInstruction,
+    });
+
+    // What earlier checkpoints already covered
+    const continuityContext = this.buildContinuityContext(context);
+
+    return `${[personaPrompt, continuityContext, languageInstruction].filter(Boolean).join('\n\n')}
+
+${this.buildSchemaInstruction()}
+Respond with ONLY this JSON object:
+{"title": "...", "body": "<narration text>", "windowSide": "left", "funFact": "...", "tags": ["geology"], "pronunciation": null}`;
+  }
+
+  /**
+   * Prompt for generateBatchNarrations: the same persona and style as
+   * buildNarrationPrompt, with every checkpoint listed in route order
+   */
+  buildBatchNarrationPrompt(checkpoints, context) {
+    const { focusInstruction, lengthInstruction, languageInstruction } = this.buildStyleInstructions();
+    const continuityContext = this.buildContinuityContext(context);
+    const total = context.totalCheckpoints || checkpoints.length;
+
+    // Per-checkpoint details go in the list below the persona's instructions
+    const personaPrompt = renderTemplate(this.getPersona().template, {
+      location: 'each checkpoint listed below',
+      flight: context.flightInfo ? `Flight: ${context.flightInfo}` : '',
+      route: this.buildRouteContext({ origin: context.origin, destination: context.destination }),
+      focus: focusInstruction,
+      length: `${lengthInstruction} (per checkpoint)`,
+    });
+
+    const checkpointList = checkpoints.map((checkpoint, i) => {
+      const position = (checkpoint.index ?? i) + 1;
+      const altitudeFeet = checkpoint.altitude ? Math.round(checkpoint.altitude * 3.28084) : null;
+      const lines = [
+        `### id: ${checkpoint.id}`,
+        `Checkpoint ${position} of ${total}${checkpoint.type ? ` (${checkpoint.type})` : ''}`,
+        `Location: ${checkpoint.latitude.toFixed(4)}°, ${checkpoint.longitude.toFixed(4)}°`,
+      ];
+      if (altitudeFeet) {
+        lines.push(`Altitude: ~${altitudeFeet.toLocaleString()} ft`);
+      }
+      if (typeof checkpoint.heading === 'number') {
+        lines.push(`Heading: ${Math.round(checkpoint.heading)}° true`);
+      }
+      const landmarkContext = this.buildLandmarkContext({ checkpoint });
+      if (landmarkContext) {
+        lines.push(landmarkContext);
+      }
+      return lines.join('\n');
+    }).join('\n\n');
+
+    return `${[
+      personaPrompt,
+      `Below are ${checkpoints.length} checkpoints along the route, in the order the aircraft passes them. ` +
+        'Write one narration for EACH checkpoint, following the instructions above. Treat the narrations as one ' +
+        'continuous journey: build on earlier checkpoints and never repeat a theme, fact or turn of phrase.',
+      checkpointList,
+      continuityContext,
+      languageInstruction,
+    ].filter(Boolean).join('\n\n')}
+
+${this.buildSchemaInstruction()}
+Respond with ONLY a JSON array, one object per checkpoint, using the ids above:
+[{"id": "<checkpoint id>", "title": "...", "body": "<narration text>", "windowSide": "left", "funFact": "...", "tags": ["geology"], "pronunciation": null}]`;
+  }
+
+  /**
+   * Field descriptions for the structured narration schema (see utils/narration.js)
+   */
+  buildSchemaInstruction() {
+    return `Narration fields:
+- "title": a short heading for the place (max 6 words)
+- "body": the narration itself, following the style above
+- "windowSide": which side of the aircraft to look out of given the heading - "left", "right" or "both"
+- "funFact": one surprising sentence not already in the body
+- "tags": any of ${NARRATION_TAGS.map(tag => `"${tag}"`).join(', ')} that the body covers
+- "pronunciation": a respelling for hard-to-say place names, e.g. "Reykjavík (RAYK-ya-veek)", or null`;
+  }
+
+  /**
+   * Focus, length and language instructions from the narration preferences
+   * @param {Object} [style] - contentFocus / length overrides
+   */
+  buildStyleInstructions(style = {}) {
+    const preferences = {
+      contentFocus: style.contentFocus || this.narrationPreferences.contentFocus,
+      length: style.length || this.narrationPreferences.length,
+      language: this.narrationPreferences.language,
+    };
 
-    // Build content focus instruction
     const focusInstructions = {
       geological: 'Focus primarily on geological features, rock formations, and natural landscape evolution.',
       historical: 'Focus primarily on historical events, ancient sites, and human history of the region.',
       cultural: 'Focus primarily on cultural landmarks, modern cities, and contemporary human activity.',
       mixed: 'Include a balanced mix of geological, historical, and cultural information.',
     };
-    const focusInstruction = focusInstructions[this.narrationPreferences.contentFocus] || focusInstructions.mixed;
+    const focusInstruction = focusInstructions[preferences.contentFocus] || focusInstructions.mixed;
 
-    // Build length instruction
     const lengthInstructions = {
       short: 'Write 1-2 sentences that take about 10 seconds to read aloud.',
       medium: 'Write 2-3 sentences that take about 20 seconds to read aloud.',
       long: 'Write 3-4 sentences that take about 30 seconds to read aloud.',
     };
-    const lengthInstruction = lengthInstructions[this.narrationPreferences.length] || lengthInstructions.medium;
-
-    // Build landmark context if available
-    const landmarkContext = this.buildLandmarkContext(context);
-
-    // Build flight route context
-    const routeContext = this.buildRouteContext(context);
+    const lengthInstruction = lengthInstructions[preferences.length] || lengthInstructions.medium;
 
-    // Build language instruction
-    const language = this.narrationPreferences.language || 'en';
+    const language = preferences.language || 'en';
     const languageName = ClaudeService.LANGUAGE_NAMES[language] || 'English';
     const languageInstruction = language !== 'en'
       ? `IMPORTANT: Write the narration in ${languageName}. The entire response must be in ${languageName}.`
       : '';
 
-    return `You are an expert Aerial Historian and Geographer narrating for the "Window Seat" flight companion app.
-
-Location: ${latitude.toFixed(4)}°, ${longitude.toFixed(4)}°
-${altitudeContext}
-${context.flightInfo ? `Flight: ${context.flightInfo}` : ''}
-${routeContext}
-${landmarkContext}
-
-Your task: Describe what's visible within a 50-mile radius in the direction of travel. Weave together 3 layers of interest:
-1. **Geological:** The deep story - how the land formed, ancient forces that shaped it
-2. **Historical:** Human history - battles fought, civilizations that rose, events that echoed
-3. **Modern:** What's there now - cities, industry, how people use this land today
-
-Tone & Style:
-- Wonder-filled, conversational, vivid
-- Write like a letter to a curious traveler, not a textbook
-- ${lengthInstruction}
-- Be specific about what's visible (rivers, mountains, cities, coastlines)
-- If over ocean: maritime features, shipping routes, underwater geography
-- Weave journey context naturally (where we came from, where we're headed)
-
-Rules:
-- NEVER say "as an AI" or use listicle formatting
-- Don't mention coordinates - describe the place
-- No hedging ("might be", "possibly") - speak with confident knowledge
-${languageInstruction}
-
-Respond with ONLY the narration text.`;
+    return { focusInstruction, lengthInstruction, languageInstruction };
   }
 
   /**
    * Build flight route context string for the prompt
    */
   buildRouteContext(context) {
-    const parts = [];
-    
     if (context.origin && context.destination) {
-      parts.push(`Route: ${context.origin} → ${context.destination}`);
+      return `Route: ${context.origin} → ${context.destination}`;
     } else if (context.origin) {
-      parts.push(`Departed from: ${context.origin}`);
+      return `Departed from: ${context.origin}`;
     } else if (context.destination) {
-      parts.push(`Heading to: ${context.destination}`);
+      return `Heading to: ${context.destination}`;
+    }
+    return '';
+  }
+
+  /**
+   * Build checkpoint progress string for the prompt
+   */
+  buildProgressContext(context) {
+    if (context.checkpointIndex === undefined || !context.totalCheckpoints) return '';
+
+    const progress = Math.round((context.checkpointIndex / context.totalCheckpoints) * 100);
+    return `Journey progress: ${progress}% (checkpoint ${context.checkpointIndex + 1} of ${context.totalCheckpoints})`;
+  }
+
+  /**
+   * Build the "already said on this flight" part of the prompt
+   * @param {Object} context
+   * @param {string[]} [context.previousNarrations] - Running summary from
+   *   summarizeNarrations, oldest first
+   * @param {Object} [context.repeated] - { title, opening } of an earlier
+   *   narration the last attempt repeated
+   */
+  buildContinuityContext(context) {
+    const parts = [];
+
+    if (context.previousNarrations?.length > 0) {
+      parts.push(
+        'Already narrated on this flight (do not repeat these facts, themes or openings; build on them instead):',
+        ...context.previousNarrations.map(line => `- ${line}`)
+      );
     }
 
-    // Add checkpoint progress if available
-    if (context.checkpointIndex !== undefined && context.totalCheckpoints) {
-      const progress = Math.round((context.checkpointIndex / context.totalCheckpoints) * 100);
-      parts.push(`Journey progress: ${progress}% (checkpoint ${context.checkpointIndex + 1} of ${context.totalCheckpoints})`);
+    if (context.repeated) {
+      const { title, opening } = context.repeated;
+      parts.push(
+        `Your previous attempt repeated an earlier narration${title ? ` ("${title}")` : ''}. ` +
+        `Take a different angle${opening ? ` and do not open with "${opening}"` : ''}.`
+      );
     }
 
     return parts.join('\n');
@@ -274,6 +787,11 @@ Respond with ONLY the narration text.`;
         parts.push(`Type: ${landmark.type.replace(/_/g, ' ')}`);
       }
 
+      // Checkpoints placed on a route feature are abeam of it, not over it
+      if (landmark.distance > 0 && landmark.side) {
+        parts.push(`Position: about ${Math.round(landmark.distance / 1000)} km to the ${landmark.side} of the flight path`);
+      }
+
       if (landmark.region || landmark.country) {
         const regionParts = [landmark.region, landmark.country].filter(Boolean);
         parts.push(`Region: ${regionParts.join(', ')}`);
@@ -300,31 +818,33 @@ Respond with ONLY the narration text.`;
   }
 
   async generateCheckpointNarrations(checkpoints, flightInfo = '') {
-    const narrations = [];
-
-    for (const checkpoint of checkpoints) {
-      const narration = await this.generateNarration(
-        checkpoint.latitude,
-        checkpoint.longitude,
-        checkpoint.altitude || 35000 / 3.28084, // Default cruise altitude
-        { flightInfo, checkpoint }
-      );
+    const narrations = await mapWithConcurrency(
+      checkpoints,
+      async (checkpoint) => {
+        const narration = await this.generateNarration(
+          checkpoint.latitude,
+          checkpoint.longitude,
+          checkpoint.altitude || 35000 / 3.28084, // Default cruise altitude
+          { flightInfo, checkpoint }
+        );
+
+        if (narration) {
+          return {
+            ...checkpoint,
+            narration,
+          };
+        }
 
-      if (narration) {
-        narrations.push({
-          ...checkpoint,
-          narration,
-        });
-      } else {
         // Use fallback narration when API fails
         console.warn(`Using fallback narration for ${checkpoint.name}`);
-        narrations.push({
+        return {
           ...checkpoint,
-          narration: `Approaching ${checkpoint.name}.`,
+          narration: createNarration({ title: checkpoint.name, body: `Approaching ${checkpoint.name}.` }),
           fallback: true,
-        });
-      }
-    }
+        };
+      },
+      { concurrency: this.getConcurrency() }
+    );
 
     return { narrations, error: this.lastError };
   }
@@ -0,0 +1,152 @@
+/**
+ * DownloadJobService - Persists in-progress flight pack downloads
+ *
+ * NarrationService.downloadFlightPack runs as a sequence of stages. After each
+ * completed stage (and after every narration/audio item) the partial pack is
+ * written to AsyncStorage so a download interrupted by an app restart resumes
+ * from the last completed step instead of starting over.
+ *
+ * A job only resumes for the same flight it was started for: jobs older than
+ * MAX_JOB_AGE_MS are dropped, and a resumed job whose route signature no
+ * longer matches the flight data (the same flight number on another day or
+ * route) starts over.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('DownloadJobService');
+
+const JOB_KEY_PREFIX = '@window_seat_download_job_';
+
+// Flight numbers repeat daily, so a day-old job is likely for another flight
+const MAX_JOB_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Stages run in this order; a job's `stage` is the next stage to run
+export const DOWNLOAD_STAGES = {
+  ROUTE: 'route',
+  CHECKPOINTS: 'checkpoints',
+  LANDMARKS: 'landmarks',
+  NARRATIONS: 'narrations',
+  MAPS: 'maps',
+  AUDIO: 'audio',
+  SAVE: 'save',
+};
+
+class DownloadJobService {
+  createJob(packId, flightNumber) {
+    const now = new Date().toISOString();
+    return {
+      packId,
+      flightNumber,
+      stage: DOWNLOAD_STAGES.ROUTE,
+      createdAt: now,
+      updatedAt: now,
+      routeSignature: null,
+      usingMockData: false,
+      narrationIndex: 0,
+      pack: null,
+    };
+  }
+
+  /**
+   * Identifies one flight's route: airports, scheduled departure and the
+   * route's end points. Track points are left out since they grow while the
+   * flight is in the air.
+   * @param {Object} flightData - From FlightDataService.getFlightRoute
+   * @returns {string}
+   */
+  getRouteSignature(flightData) {
+    const route = flightData?.route || [];
+    const point = (p) => (p ? `${p.latitude.toFixed(2)},${p.longitude.toFixed(2)}` : '');
+    return [
+      flightData?.origin?.code || '',
+      flightData?.destination?.code || '',
+      flightData?.departureTime || '',
+      point(route[0]),
+      point(route[route.length - 1]),
+    ].join('|');
+  }
+
+  isJobExpired(job, now = Date.now()) {
+    const createdAt = Date.parse(job.createdAt);
+    return !Number.isFinite(createdAt) || now - createdAt > MAX_JOB_AGE_MS;
+  }
+
+  async saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    try {
+      await AsyncStorage.setItem(`${JOB_KEY_PREFIX}${job.packId}`, JSON.stringify(job));
+    } catch (error) {
+      // Losing a checkpoint only costs a re-run of the current stage
+      log.warn('Failed to persist download job', { packId: job.packId, error: error?.message });
+    }
+  }
+
+  async loadJob(packId) {
+    try {
+      const stored = await AsyncStorage.getItem(`${JOB_KEY_PREFIX}${packId}`);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      log.warn('Failed to load download job', { packId, error: error?.message });
+      return null;
+    }
+  }
+
+  async clearJob(packId) {
+    try {
+      await AsyncStorage.removeItem(`${JOB_KEY_PREFIX}${packId}`);
+    } catch (error) {
+      log.warn('Failed to clear download job', { packId, error: error?.message });
+    }
+  }
+
+  // All unfinished jobs, most recently updated first
+  async listJobs() {
+    try {
+      const keys = (await AsyncStorage.getAllKeys()).filter(k => k.startsWith(JOB_KEY_PREFIX));
+      if (keys.length === 0) return [];
+
+      const entries = await AsyncStorage.multiGet(keys);
+      const jobs = [];
+      for (const [key, value] of entries) {
+        try {
+          if (value) jobs.push(JSON.parse(value));
+        } catch (error) {
+          log.warn('Discarding unreadable download job', { key });
+          await AsyncStorage.removeItem(key);
+        }
+      }
+      return jobs.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    } catch (error) {
+      log.warn('Failed to list download jobs', { error: error?.message });
+      return [];
+    }
+  }
+
+  // Short human-readable description of where a job stopped
+  describeJob(job) {
+    const total = job.pack?.checkpoints?.length || 0;
+    switch (job.stage) {
+      case DOWNLOAD_STAGES.ROUTE:
+        return 'Stopped before fetching the route';
+      case DOWNLOAD_STAGES.CHECKPOINTS:
+        return 'Route fetched';
+      case DOWNLOAD_STAGES.LANDMARKS:
+        return `${total} checkpoints created`;
+      case DOWNLOAD_STAGES.NARRATIONS:
+        return `Narration ${job.narrationIndex || 0} of ${total} done`;
+      case DOWNLOAD_STAGES.MAPS:
+        return 'Narrations complete';
+      case DOWNLOAD_STAGES.AUDIO: {
+        const voiced = job.pack?.checkpoints?.filter(c => c.audioPath).length || 0;
+        return `Voice ${voiced} of ${total} done`;
+      }
+      default:
+        return 'Almost finished';
+    }
+  }
+}
+
+export const downloadJobService = new DownloadJobService();
+export { DownloadJobService };
@@ -2,7 +2,14 @@ import { Platform } from 'react-native';
 import { File, Directory, Paths } from 'expo-file-system';
 import { API_CONFIG, isApiKeyConfigured } from '../config/api';
 import { withRetry, isRetryableStatus } from '../utils/retry';
+import { isAbortError, createAbortError, throwIfAborted } from '../utils/abort';
+import { isBudgetError, getRequestCost } from '../utils/usage';
+import { ConcurrencyPool, mapWithConcurrency } from '../utils/concurrency';
+import { getNarrationText } from '../utils/narration';
+import { hashContent } from '../utils/hash';
 import { createLogger } from '../utils/logger';
+import { packDatabaseService, IDB_AUDIO_SCHEME } from './PackDatabaseService';
+import { usageService } from './UsageService';
 
 const log = createLogger('ElevenLabsService');
 const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
@@ -10,6 +17,11 @@ const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
 // Audio cache directory using new expo-file-system API
 let audioCacheDir = null;
 
+// Synthesized speech is stored as `tts_<hash>` where the hash covers the text
+// and every voice setting that changes the audio, so identical requests share
+// one file (and one API call) across packs, rebuilds and Scan Horizon
+const SPEECH_KEY_PREFIX = 'tts_';
+
 class ElevenLabsService {
   constructor() {
     this.config = API_CONFIG.elevenLabs;
@@ -19,6 +31,13 @@ class ElevenLabsService {
       similarityBoost: 0.75,
       useSpeakerBoost: true,
     };
+    // Shared by every TTS request so parallel generation stays within the plan's limit
+    this.pool = new ConcurrencyPool({ name: 'elevenLabs', concurrency: this.config.concurrency });
+    // Object URLs handed out for IndexedDB audio on web, by audio key
+    this.objectUrls = new Map();
+    // Generations in progress by cache key, so concurrent identical requests
+    // share one API call: { key, promise, controller, waiting }
+    this.pending = new Map();
     this.ensureCacheDir();
   }
 
@@ -77,20 +96,79 @@ class ElevenLabsService {
     return data.voices;
   }
 
+  // Stored settings merged with per-request options, with API defaults filled in
+  resolveSpeechOptions(voiceOptions = {}) {
+    const merged = { ...this.voiceSettings, ...voiceOptions };
+    return {
+      voiceId: merged.voiceId || this.config.voiceId,
+      modelId: merged.modelId || 'eleven_turbo_v2_5',
+      stability: merged.stability ?? 0.5,
+      similarityBoost: merged.similarityBoost ?? 0.75,
+      style: merged.style || 0.0,
+      useSpeakerBoost: merged.useSpeakerBoost ?? true,
+    };
+  }
+
+  /**
+   * Cache key for the audio generateSpeech would return for this text
+   * @param {string} text - Text to speak
+   * @param {Object} [options] - Voice options, as for generateSpeech
+   * @returns {string}
+   */
+  getSpeechCacheKey(text, options = {}) {
+    const { signal, ...voiceOptions } = options;
+    const { voiceId, modelId, stability, similarityBoost, style, useSpeakerBoost } =
+      this.resolveSpeechOptions(voiceOptions);
+    return `${SPEECH_KEY_PREFIX}${hashContent([
+      text, voiceId, modelId, stability, similarityBoost, style, useSpeakerBoost,
+    ])}`;
+  }
+
+  // URI of audio already stored under a cache key, or null
+  async findCachedAudio(key) {
+    try {
+      if (Platform.OS === 'web') {
+        if (!packDatabaseService.isAvailable()) return null;
+        return (await packDatabaseService.getAudio(key)) ? `${IDB_AUDIO_SCHEME}${key}` : null;
+      }
+      const cacheDir = await this.ensureCacheDir();
+      if (!cacheDir) return null;
+      const file = new File(cacheDir, `${key}.mp3`);
+      return file.exists ? file.uri : null;
+    } catch (error) {
+      log.warn('Failed to look up cached audio', { key, error: error?.message });
+      return null;
+    }
+  }
+
+  /**
+   * Synthesize speech (always calls the API; see generateAndSaveAudio)
+   * @param {string} text - Text to speak
+   * @param {Object} [options] - Voice options, plus:
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {Object} [options.usage] - Pack usage record to charge; a pack over
+   *   its spend cap rejects with a BudgetExceededError
+   * @returns {Promise<Blob>} Audio
+   */
   async generateSpeech(text, options = {}) {
-    log.info('generateSpeech called', { textLength: text?.length, hasOptions: !!Object.keys(options).length });
+    const { signal, usage, ...voiceOptions } = options;
+    log.info('generateSpeech called', { textLength: text?.length, hasOptions: !!Object.keys(voiceOptions).length });
     
     if (!this.isConfigured()) {
       log.error('API key not configured');
       throw new Error('ElevenLabs API key not configured');
     }
 
-    // Merge stored settings with provided options
-    const mergedOptions = { ...this.voiceSettings, ...options };
-    const voiceId = mergedOptions.voiceId || this.config.voiceId;
+    const { voiceId, modelId, stability, similarityBoost, style, useSpeakerBoost } =
+      this.resolveSpeechOptions(voiceOptions);
     log.debug('Using voice', { voiceId });
 
-    return withRetry(
+    if (usage) {
+      const estimate = getRequestCost({ service: 'elevenlabs', characters: text?.length || 0 });
+      await usageService.assertWithinBudget(usage, estimate);
+    }
+
+    const blob = await withRetry(
       async (attempt) => {
         if (attempt > 0) {
           log.warn(`Retry attempt ${attempt} for speech generation`);
@@ -107,14 +185,15 @@ class ElevenLabsService {
             },
             body: JSON.stringify({
               text,
-              model_id: mergedOptions.modelId || 'eleven_turbo_v2_5',
+              model_id: modelId,
               voice_settings: {
-                stability: mergedOptions.stability ?? 0.5,
-                similarity_boost: mergedOptions.similarityBoost ?? 0.75,
-                style: mergedOptions.style || 0.0,
-                use_speaker_boost: mergedOptions.useSpeakerBoost ?? true,
+                stability,
+                similarity_boost: similarityBoost,
+                style,
+                use_speaker_boost: useSpeakerBoost,
               },
             }),
+            signal,
           }
         );
 
@@ -139,6 +218,8 @@ class ElevenLabsService {
       {
         maxRetries: 3,
         initialDelayMs: 1000,
+        signal,
+        pool: this.pool,
         shouldRetry: (error) => {
           if (error.noRetry) return false;
           if (error.status && isRetryableStatus(error.status)) return true;
@@ -150,108 +231,206 @@ class ElevenLabsService {
         },
       }
     );
+
+    // Billed by character
+    await usageService.record({ service: 'elevenlabs', model: modelId, characters: text.length }, { usage });
+    return blob;
   }
 
-  async generateAndSaveAudio(text, filename, options = {}) {
-    log.info('generateAndSaveAudio called', { filename, textLength: text?.length });
-    
-    // Audio file saving not supported on web
-    if (Platform.OS === 'web') {
-      log.warn('Audio file saving not supported on web');
+  /**
+   * Voice text and store the audio under its content hash. Audio already in
+   * the cache for the same text and voice settings is returned without
+   * calling the API.
+   * @param {string} text - Text to speak
+   * @param {Object} [options] - Voice options, signal and usage, as for generateSpeech
+   * @returns {Promise<string|null>} Stored audio URI, or null on failure
+   */
+  async generateAndSaveAudio(text, options = {}) {
+    const key = this.getSpeechCacheKey(text, options);
+    log.info('generateAndSaveAudio called', { key, textLength: text?.length });
+
+    // Don't pay for speech there is nowhere to keep
+    if (Platform.OS === 'web' ? !packDatabaseService.isAvailable() : !(await this.ensureCacheDir())) {
+      log.error('Audio storage not available');
       return null;
     }
 
-    const cacheDir = await this.ensureCacheDir();
-    if (!cacheDir) {
-      log.error('Cache dir not available');
-      return null;
+    const cached = await this.findCachedAudio(key);
+    if (cached) {
+      log.info('Using cached audio', { key });
+      return cached;
     }
-    log.debug('Cache dir ready', { uri: cacheDir.uri });
 
+    // Callers asking for the same audio share one request. It runs on its
+    // own signal (charged to the first caller's usage), so one caller
+    // cancelling doesn't fail the others.
+    throwIfAborted(options.signal);
+    let shared = this.pending.get(key);
+    if (!shared) {
+      const controller = new AbortController();
+      shared = { key, controller, waiting: 0 };
+      shared.promise = this.synthesizeAndSave(text, key, { ...options, signal: controller.signal })
+        .finally(() => {
+          if (this.pending.get(key) === shared) this.pending.delete(key);
+        });
+      this.pending.set(key, shared);
+    }
+    return this.waitForSynthesis(shared, options.signal);
+  }
+
+  // Wait for a shared synthesis, or reject when this caller's signal aborts.
+  // The request itself is cancelled once every caller waiting for it has.
+  waitForSynthesis(shared, signal) {
+    shared.waiting++;
+
+    return new Promise((resolve, reject) => {
+      let released = false;
+      const release = () => {
+        if (released) return false;
+        released = true;
+        signal?.removeEventListener('abort', onAbort);
+        shared.waiting--;
+        return true;
+      };
+      const onAbort = () => {
+        if (!release()) return;
+        if (shared.waiting === 0) {
+          // Later callers start afresh rather than join a cancelled request
+          if (this.pending.get(shared.key) === shared) this.pending.delete(shared.key);
+          shared.controller.abort();
+        }
+        reject(createAbortError());
+      };
+
+      signal?.addEventListener('abort', onAbort);
+      shared.promise.then(
+        (uri) => {
+          if (release()) resolve(uri);
+        },
+        (error) => {
+          if (release()) reject(error);
+        }
+      );
+    });
+  }
+
+  async synthesizeAndSave(text, key, options) {
     try {
       // Generate speech using fetch (returns blob)
       log.debug('Calling generateSpeech...');
       const audioBlob = await this.generateSpeech(text, options);
-      
+
       if (!audioBlob) {
         log.error('No audio blob returned from generateSpeech');
         return null;
       }
       log.debug('Got audio blob', { size: audioBlob.size, type: audioBlob.type });
 
-      // Convert blob to base64 using FileReader (React Native compatible)
-      log.debug('Converting blob to base64...');
-      const base64Data = await new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onloadend = () => {
-          // FileReader returns data:audio/mpeg;base64,XXXX - strip the prefix
-          const base64 = reader.result?.split(',')[1];
-          if (base64) {
-            resolve(base64);
-          } else {
-            reject(new Error('Failed to convert blob to base64'));
-          }
-        };
-        reader.onerror = () => reject(reader.error);
-        reader.readAsDataURL(audioBlob);
-      });
-      log.debug('Base64 conversion complete', { base64Length: base64Data.length });
-
-      // Use new File API to write base64 data
-      const filePath = `${cacheDir.uri}/${filename}.mp3`;
-      log.debug('Writing to file', { filePath });
-      
-      // Create File instance and write base64 data
-      const audioFile = new File(cacheDir, `${filename}.mp3`);
-      await audioFile.write(base64Data, { encoding: 'base64' });
-
-      log.info('Audio saved successfully', { filePath: audioFile.uri });
-      return audioFile.uri;
+      return await this.saveAudioBlob(key, audioBlob);
     } catch (error) {
+      if (isAbortError(error) || isBudgetError(error)) throw error;
       log.error('Failed to generate/save audio', { error: error?.message, stack: error?.stack });
       return null;
     }
   }
 
-  async generateFlightPackAudio(checkpoints, onProgress) {
+  /**
+   * Store synthesized audio in the cache: an mp3 file on native, an
+   * IndexedDB blob on web. Also used by the other speech providers.
+   * @returns {Promise<string|null>} Stored audio URI
+   */
+  async saveAudioBlob(filename, audioBlob) {
+    if (Platform.OS === 'web') {
+      if (!packDatabaseService.isAvailable()) return null;
+      const uri = await packDatabaseService.putAudio(filename, audioBlob);
+      this.revokeObjectUrl(filename);
+      log.info('Audio saved to IndexedDB', { uri, size: audioBlob.size });
+      return uri;
+    }
+
+    const cacheDir = await this.ensureCacheDir();
+    if (!cacheDir) {
+      log.error('Cache dir not available');
+      return null;
+    }
+
+    // Convert blob to base64 using FileReader (React Native compatible)
+    log.debug('Converting blob to base64...');
+    const base64Data = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onloadend = () => {
+        // FileReader returns data:audio/mpeg;base64,XXXX - strip the prefix
+        const base64 = reader.result?.split(',')[1];
+        if (base64) {
+          resolve(base64);
+        } else {
+          reject(new Error('Failed to convert blob to base64'));
+        }
+      };
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(audioBlob);
+    });
+    log.debug('Base64 conversion complete', { base64Length: base64Data.length });
+
+    // Create File instance and write base64 data
+    const audioFile = new File(cacheDir, `${filename}.mp3`);
+    await audioFile.write(base64Data, { encoding: 'base64' });
+
+    log.info('Audio saved successfully', { filePath: audioFile.uri });
+    return audioFile.uri;
+  }
+
+  async generateFlightPackAudio(checkpoints, onProgress, options = {}) {
+    // Audio is stored by content hash, so packs (and checkpoints) with the
+    // same narration share a file; unchanged checkpoints cost nothing to rebuild
+    const { onCheckpointComplete, signal, usage } = options;
     log.info('generateFlightPackAudio started', { checkpointCount: checkpoints?.length });
-    const audioFiles = [];
-    let completed = 0;
 
-    for (const checkpoint of checkpoints) {
-      if (!checkpoint.narration) {
-        log.debug('Skipping checkpoint without narration', { id: checkpoint.id });
-        continue;
-      }
+    // Checkpoints are voiced in parallel (bounded by the pool); progress counts
+    // every checkpoint, including skipped and failed ones, so it ends at total
+    const results = await mapWithConcurrency(
+      checkpoints,
+      async (checkpoint) => {
+        const text = getNarrationText(checkpoint.narration);
+        if (!text) {
+          log.debug('Skipping checkpoint without narration', { id: checkpoint.id });
+          return null;
+        }
 
-      try {
-        const filename = `checkpoint_${checkpoint.id}`;
-        log.debug('Processing checkpoint', { id: checkpoint.id, narrationLength: checkpoint.narration.length });
-        
-        const filePath = await this.generateAndSaveAudio(
-          checkpoint.narration,
-          filename
-        );
+        try {
+          log.debug('Processing checkpoint', { id: checkpoint.id, narrationLength: text.length });
 
-        audioFiles.push({
-          checkpointId: checkpoint.id,
-          filePath,
-        });
-        log.debug('Checkpoint audio complete', { id: checkpoint.id, filePath });
+          const filePath = await this.generateAndSaveAudio(text, { signal, usage });
 
-        completed++;
-        if (onProgress) {
-          onProgress(completed, checkpoints.length);
+          const audioFile = {
+            checkpointId: checkpoint.id,
+            filePath,
+          };
+          log.debug('Checkpoint audio complete', { id: checkpoint.id, filePath });
+
+          if (onCheckpointComplete) {
+            await onCheckpointComplete(audioFile);
+          }
+          return audioFile;
+        } catch (error) {
+          if (isAbortError(error) || isBudgetError(error)) throw error;
+          log.error('Failed to generate audio for checkpoint', { id: checkpoint.id, error: error.message });
+          return {
+            checkpointId: checkpoint.id,
+            filePath: null,
+            error: error.message,
+          };
         }
-      } catch (error) {
-        log.error('Failed to generate audio for checkpoint', { id: checkpoint.id, error: error.message });
-        audioFiles.push({
-          checkpointId: checkpoint.id,
-          filePath: null,
-          error: error.message,
-        });
+      },
+      {
+        concurrency: this.pool.concurrency,
+        signal,
+        onProgress: (completed, total) => {
+          if (onProgress) onProgress(completed, total);
+        },
       }
-    }
+    );
+    const audioFiles = results.filter(Boolean);
 
     log.info('generateFlightPackAudio complete', { 
       total: checkpoints.length, 
@@ -261,6 +440,159 @@ class ElevenLabsService {
     return audioFiles;
   }
 
+  // Write already-encoded audio into the cache (used when importing pack
+  // bundles): an mp3 file on native, an IndexedDB blob on web
+  async saveAudioFile(filename, base64Data) {
+    if (Platform.OS === 'web') {
+      const bytes = Uint8Array.from(atob(base64Data), c => c.charCodeAt(0));
+      // IndexedDB keys have no extension (see createBundle)
+      return this.saveAudioBlob(filename.replace(/\.mp3$/, ''), new Blob([bytes], { type: 'audio/mpeg' }));
+    }
+    const cacheDir = await this.ensureCacheDir();
+    if (!cacheDir) return null;
+
+    const audioFile = new File(cacheDir, filename);
+    audioFile.write(base64Data, { encoding: 'base64' });
+    log.debug('Audio file restored', { filename, uri: audioFile.uri });
+    return audioFile.uri;
+  }
+
+  // Key of an audio blob stored in IndexedDB, or null for a file URI
+  getWebAudioKey(uri) {
+    return uri?.startsWith(IDB_AUDIO_SCHEME) ? uri.slice(IDB_AUDIO_SCHEME.length) : null;
+  }
+
+  revokeObjectUrl(key) {
+    const url = this.objectUrls.get(key);
+    if (url) {
+      URL.revokeObjectURL(url);
+      this.objectUrls.delete(key);
+    }
+  }
+
+  /**
+   * Turn a stored audio URI into something the player can load. File URIs
+   * pass through; IndexedDB audio becomes an object URL (cached per key).
+   * @param {string} uri - checkpoint.audioPath or a generateAndSaveAudio result
+   * @returns {Promise<string|null>} Playable URI, or null if the audio is gone
+   */
+  async resolveAudioUri(uri) {
+    const key = this.getWebAudioKey(uri);
+    if (!key) return uri || null;
+
+    if (this.objectUrls.has(key)) {
+      return this.objectUrls.get(key);
+    }
+    try {
+      const record = await packDatabaseService.getAudio(key);
+      if (!record) return null;
+      const url = URL.createObjectURL(record.blob);
+      this.objectUrls.set(key, url);
+      return url;
+    } catch (error) {
+      log.warn('Failed to load audio from IndexedDB', { uri, error: error?.message });
+      return null;
+    }
+  }
+
+  // Read stored audio back as base64 (used when exporting pack bundles)
+  async readAudioBase64(uri) {
+    const key = this.getWebAudioKey(uri);
+    if (!key) {
+      return new File(uri).base64();
+    }
+
+    const record = await packDatabaseService.getAudio(key);
+    if (!record) {
+      throw new Error(`Audio not found: ${uri}`);
+    }
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onloadend = () => resolve(reader.result?.split(',')[1] || '');
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(record.blob);
+    });
+  }
+
+  // Remove a single cached audio file (e.g. left behind by a cancelled download)
+  async deleteAudioFile(uri) {
+    if (!uri) return;
+    try {
+      const key = this.getWebAudioKey(uri);
+      if (key) {
+        this.revokeObjectUrl(key);
+        await packDatabaseService.deleteAudio(key);
+        return;
+      }
+      if (Platform.OS === 'web') return;
+
+      const file = new File(uri);
+      if (file.exists) {
+        file.delete();
+      }
+    } catch (error) {
+      log.warn('Failed to delete audio file', { uri, error: error?.message });
+    }
+  }
+
+  // Whether cached audio is still there (the OS may evict Paths.cache, and
+  // browsers may clear site data)
+  async audioFileExists(uri) {
+    if (!uri) return false;
+    try {
+      const key = this.getWebAudioKey(uri);
+      if (key) {
+        return !!(await packDatabaseService.getAudio(key));
+      }
+      if (Platform.OS === 'web') return false;
+      return new File(uri).exists;
+    } catch (error) {
+      log.warn('Failed to check audio file', { uri, error: error?.message });
+      return false;
+    }
+  }
+
+  async getAudioFileSize(uri) {
+    if (!uri) return 0;
+    try {
+      const key = this.getWebAudioKey(uri);
+      if (key) {
+        return (await packDatabaseService.getAudio(key))?.size || 0;
+      }
+      if (Platform.OS === 'web') return 0;
+      const file = new File(uri);
+      return file.exists ? (file.size || 0) : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Everything in the audio cache, for garbage collection
+   * @returns {Promise<Array>} [{ uri, size, createdAt (ms since epoch, or null) }]
+   */
+  async listCachedAudio() {
+    if (Platform.OS === 'web') {
+      if (!packDatabaseService.isAvailable()) return [];
+      const records = await packDatabaseService.listAudio();
+      return records.map(record => ({
+        uri: `${IDB_AUDIO_SCHEME}${record.key}`,
+        size: record.size || 0,
+        createdAt: record.createdAt ? Date.parse(record.createdAt) : null,
+      }));
+    }
+
+    const cacheDir = await this.ensureCacheDir();
+    if (!cacheDir || !cacheDir.exists) return [];
+    return cacheDir.list()
+      .filter(item => item instanceof File && item.uri.endsWith('.mp3'))
+      .map(file => ({
+        uri: file.uri,
+        size: file.size || 0,
+        createdAt: file.modificationTime ?? null,
+      }));
+  }
+
   async getAudioFilePath(checkpointId) {
     if (Platform.OS === 'web') return null;
     const cacheDir = await this.ensureCacheDir();
@@ -271,7 +603,14 @@ class ElevenLabsService {
   }
 
   async clearAudioCache() {
-    if (Platform.OS === 'web') return;
+    if (Platform.OS === 'web') {
+      this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+      this.objectUrls.clear();
+      if (packDatabaseService.isAvailable()) {
+        await packDatabaseService.clearAudio();
+      }
+      return;
+    }
     if (audioCacheDir && audioCacheDir.exists) {
       audioCacheDir.delete();
       audioCacheDir = null;
@@ -280,7 +619,14 @@ class ElevenLabsService {
   }
 
   async getCacheSize() {
-    if (Platform.OS === 'web') return 0;
+    if (Platform.OS === 'web') {
+      if (!packDatabaseService.isAvailable()) return 0;
+      try {
+        return await packDatabaseService.getAudioSize();
+      } catch (error) {
+        return 0;
+      }
+    }
     const cacheDir = await this.ensureCacheDir();
     if (!cacheDir || !cacheDir.exists) return 0;
 
@@ -1,5 +1,8 @@
 import { API_CONFIG, isApiKeyConfigured } from '../config/api';
 import { withRetry, isRetryableStatus } from '../utils/retry';
+import { isAbortError } from '../utils/abort';
+import { isBudgetError, getRequestCost } from '../utils/usage';
+import { usageService } from './UsageService';
 
 const AEROAPI_BASE_URL = 'https://aeroapi.flightaware.com/aeroapi';
 
@@ -43,8 +46,10 @@ class FlightDataService {
     return isApiKeyConfigured('flightData');
   }
 
-  // Main method to get flight route
-  async getFlightRoute(flightNumber) {
+  // Main method to get flight route. Pass options.usage to charge the
+  // AeroAPI queries to a pack (and stop at its spend cap).
+  async getFlightRoute(flightNumber, options = {}) {
+    const { signal, usage } = options;
     this.clearError();
 
     if (!this.isConfigured()) {
@@ -55,9 +60,11 @@ class FlightDataService {
 
     try {
       // Try AeroAPI first
-      const route = await this.fetchFromAeroAPI(flightNumber);
+      const route = await this.fetchFromAeroAPI(flightNumber, { signal, usage });
       return { ...route, usingMockData: false };
     } catch (error) {
+      // A cancelled (or over-budget) download must not fall back to the demo route
+      if (isAbortError(error) || isBudgetError(error)) throw error;
       // Error already set in fetchFromAeroAPI or aeroAPIRequest
       const mockRoute = this.getMockRoute(flightNumber);
       return { ...mockRoute, usingMockData: true, error: this.lastError };
@@ -65,11 +72,11 @@ class FlightDataService {
   }
 
   // AeroAPI (FlightAware) integration
-  async fetchFromAeroAPI(flightNumber) {
+  async fetchFromAeroAPI(flightNumber, { signal, usage } = {}) {
     const normalizedFlight = this.normalizeFlightNumber(flightNumber);
 
     // Get flight info first
-    const flightInfo = await this.aeroAPIRequest(`/flights/${normalizedFlight}`);
+    const flightInfo = await this.aeroAPIRequest(`/flights/${normalizedFlight}`, { signal, usage });
 
     if (!flightInfo.flights || flightInfo.flights.length === 0) {
       this._setError('FLIGHT_NOT_FOUND', `Flight ${normalizedFlight} not found in database`);
@@ -82,9 +89,10 @@ class FlightDataService {
     let trackPoints = [];
     if (flight.fa_flight_id) {
       try {
-        const track = await this.aeroAPIRequest(`/flights/${flight.fa_flight_id}/track`);
+        const track = await this.aeroAPIRequest(`/flights/${flight.fa_flight_id}/track`, { signal, usage });
         trackPoints = track.positions || [];
       } catch (e) {
+        if (isAbortError(e) || isBudgetError(e)) throw e;
         console.log('Track not available, using route waypoints');
       }
     }
@@ -117,9 +125,15 @@ class FlightDataService {
     };
   }
 
-  async aeroAPIRequest(endpoint) {
+  async aeroAPIRequest(endpoint, options = {}) {
+    const { signal, usage } = options;
+
     try {
-      return await withRetry(
+      if (usage) {
+        await usageService.assertWithinBudget(usage, getRequestCost({ service: 'aeroapi', calls: 1 }));
+      }
+
+      const data = await withRetry(
         async (attempt) => {
           if (attempt > 0) {
             console.log(`FlightDataService: Retry attempt ${attempt} for ${endpoint}`);
@@ -129,6 +143,7 @@ class FlightDataService {
             headers: {
               'x-apikey': this.config.apiKey,
             },
+            signal,
           });
 
           if (!response.ok) {
@@ -150,6 +165,7 @@ class FlightDataService {
         {
           maxRetries: 3,
           initialDelayMs: 1000,
+          signal,
           shouldRetry: (error) => {
             if (error.noRetry) return false;
             if (error.status && isRetryableStatus(error.status)) return true;
@@ -161,7 +177,13 @@ class FlightDataService {
           },
         }
       );
+
+      // AeroAPI bills per query
+      await usageService.record({ service: 'aeroapi', calls: 1 }, { usage });
+      return data;
     } catch (error) {
+      if (isAbortError(error) || isBudgetError(error)) throw error;
+
       // Set appropriate error based on final failure
       if (error.status === 401) {
         this._setError('INVALID_KEY', error.message);
@@ -0,0 +1,365 @@
+/**
+ * FlightPackBundleService - Portable flight pack export/import
+ *
+ * A bundle is a single JSON archive holding a manifest, the pack JSON and
+ * every asset the pack needs offline (ElevenLabs audio, static maps or
+ * IndexedDB tiles). Asset references inside the bundled pack are relative
+ * (`audio/<file>.mp3`) and are rewritten to local cache URIs on import.
+ * Map entries use the same layout whichever platform exported them (see
+ * MapTileService.exportFlightAssets).
+ *
+ * Importing a pack that is already cached would replace it, so the import
+ * stops with a PackConflictError until the user confirms.
+ */
+
+import { Platform } from 'react-native';
+import { File, Directory, Paths } from 'expo-file-system';
+import { narrationService } from './NarrationService';
+import { elevenLabsService } from './ElevenLabsService';
+import { mapTileService } from './MapTileService';
+import { parseStoredPack } from '../utils/packSchema';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('FlightPackBundleService');
+
+const BUNDLE_FORMAT = 'windowseat-flightpack';
+const BUNDLE_VERSION = 1;
+const BUNDLE_EXTENSION = '.wspack';
+const PACK_ENTRY = 'pack.json';
+const AUDIO_PREFIX = 'audio/';
+const MAPS_PREFIX = 'maps/';
+// Audio file names a bundle may write into the audio cache; anything else
+// (path separators, `..`, other extensions) is skipped
+const AUDIO_FILE_PATTERN = /^[\w-]+\.mp3$/;
+
+/**
+ * Create the error that stops an import which would replace a cached pack
+ * @param {Object} existing - The cached pack
+ * @param {Object} incoming - The bundled pack
+ * @returns {Error}
+ */
+export function createPackConflictError(existing, incoming) {
+  const error = new Error(`Flight pack ${incoming.flightNumber || incoming.id} is already downloaded.`);
+  error.name = 'PackConflictError';
+  error.conflict = {
+    packId: incoming.id,
+    flightNumber: incoming.flightNumber || incoming.id,
+    existing: { downloadedAt: existing.downloadedAt || null, checkpointCount: existing.checkpoints?.length || 0 },
+    incoming: { downloadedAt: incoming.downloadedAt || null, checkpointCount: incoming.checkpoints?.length || 0 },
+  };
+  return error;
+}
+
+/**
+ * Check if an import stopped because the pack is already cached
+ * @param {Error} error - The error to check
+ * @returns {boolean}
+ */
+export function isPackConflictError(error) {
+  return error?.name === 'PackConflictError';
+}
+
+let Sharing = null;
+let DocumentPicker = null;
+
+if (Platform.OS !== 'web') {
+  Sharing = require('expo-sharing');
+  DocumentPicker = require('expo-document-picker');
+}
+
+class FlightPackBundleService {
+  /**
+   * Build a bundle object for a cached flight pack
+   */
+  async createBundle(flightNumber) {
+    const pack = await narrationService.loadFlightPack(flightNumber);
+    if (!pack) {
+      throw new Error(`Flight pack ${flightNumber} is not cached. Download it first.`);
+    }
+
+    const files = {};
+    const manifestFiles = [];
+    const addEntry = (path, type, encoding, data) => {
+      files[path] = data;
+      manifestFiles.push({ path, type, encoding, size: data.length });
+    };
+
+    // Copy audio and rewrite absolute audioPath URIs to bundle-relative paths
+    const bundledPack = {
+      ...pack,
+      checkpoints: (pack.checkpoints || []).map(checkpoint => ({ ...checkpoint })),
+    };
+
+    for (const checkpoint of bundledPack.checkpoints) {
+      if (!checkpoint.audioPath) continue;
+
+      // IndexedDB audio keys (web) have no extension; bundles always use .mp3
+      const fileName = checkpoint.audioPath.split('/').pop().replace(/(\.mp3)?$/, '.mp3');
+      const relativePath = `${AUDIO_PREFIX}${fileName}`;
+      try {
+        if (!(await elevenLabsService.audioFileExists(checkpoint.audioPath))) {
+          log.warn('Audio file missing, exporting without it', { checkpointId: checkpoint.id });
+          delete checkpoint.audioPath;
+          continue;
+        }
+        if (!files[relativePath]) {
+          addEntry(relativePath, 'audio', 'base64', await elevenLabsService.readAudioBase64(checkpoint.audioPath));
+        }
+        checkpoint.audioPath = relativePath;
+      } catch (error) {
+        log.warn('Failed to read audio file', { checkpointId: checkpoint.id, error: error?.message });
+        delete checkpoint.audioPath;
+      }
+    }
+    bundledPack.hasAudio = bundledPack.checkpoints.some(c => c.audioPath);
+
+    // Map assets (static maps on native, tiles on web)
+    try {
+      const mapEntries = await mapTileService.exportFlightAssets(pack.id);
+      for (const entry of mapEntries) {
+        addEntry(`${MAPS_PREFIX}${entry.path}`, 'map', entry.encoding, entry.data);
+      }
+    } catch (error) {
+      log.warn('Failed to export map assets', { packId: pack.id, error: error?.message });
+    }
+
+    addEntry(PACK_ENTRY, 'pack', 'utf8', JSON.stringify(bundledPack));
+
+    const manifest = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      packId: pack.id,
+      flightNumber: pack.flightNumber,
+      exportedAt: new Date().toISOString(),
+      platform: Platform.OS,
+      files: manifestFiles,
+    };
+
+    log.info('Bundle created', {
+      packId: pack.id,
+      audioFiles: manifestFiles.filter(f => f.type === 'audio').length,
+      mapFiles: manifestFiles.filter(f => f.type === 'map').length,
+    });
+
+    return { manifest, files };
+  }
+
+  /**
+   * Export a cached pack as a bundle file and hand it to the share sheet
+   * (native) or trigger a browser download (web)
+   */
+  async exportFlightPack(flightNumber) {
+    try {
+      const bundle = await this.createBundle(flightNumber);
+      const fileName = `${bundle.manifest.packId}${BUNDLE_EXTENSION}`;
+      const content = JSON.stringify(bundle);
+
+      if (Platform.OS === 'web') {
+        const blob = new Blob([content], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        return { success: true, fileName };
+      }
+
+      const exportDir = new Directory(Paths.cache, 'exports');
+      if (!exportDir.exists) {
+        exportDir.create();
+      }
+      const file = new File(exportDir, fileName);
+      file.write(content);
+
+      const isAvailable = await Sharing.isAvailableAsync();
+      if (!isAvailable) {
+        return { success: false, error: 'Sharing not available on this device' };
+      }
+
+      await Sharing.shareAsync(file.uri, {
+        mimeType: 'application/json',
+        dialogTitle: `Export ${bundle.manifest.packId} Flight Pack`,
+        UTI: 'public.json',
+      });
+
+      return { success: true, fileName };
+    } catch (error) {
+      log.error('Export failed', { flightNumber, error: error?.message });
+      return { success: false, error: error?.message || 'Export failed' };
+    }
+  }
+
+  /**
+   * Let the user choose a bundle file. Resolves with its text, or null if cancelled.
+   */
+  async pickBundleFile() {
+    if (Platform.OS === 'web') {
+      return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = `${BUNDLE_EXTENSION},application/json`;
+        input.onchange = async () => {
+          const selected = input.files?.[0];
+          resolve(selected ? await selected.text() : null);
+        };
+        input.oncancel = () => resolve(null);
+        input.click();
+      });
+    }
+
+    const result = await DocumentPicker.getDocumentAsync({
+      type: '*/*',
+      copyToCacheDirectory: true,
+    });
+    if (result.canceled || !result.assets?.length) {
+      return null;
+    }
+    return new File(result.assets[0].uri).text();
+  }
+
+  /**
+   * Validate a parsed bundle. Returns an error message, or null if valid.
+   */
+  validateBundle(bundle) {
+    const manifest = bundle?.manifest;
+    if (!manifest || manifest.format !== BUNDLE_FORMAT) {
+      return 'This file is not a Window Seat flight pack.';
+    }
+    if (typeof manifest.version !== 'number' || manifest.version > BUNDLE_VERSION) {
+      return 'This flight pack was exported by a newer version of the app.';
+    }
+    if (!bundle.files || typeof bundle.files[PACK_ENTRY] !== 'string') {
+      return 'Flight pack bundle is missing its narration data.';
+    }
+    const missing = (manifest.files || []).filter(f => typeof bundle.files[f.path] !== 'string');
+    if (missing.length > 0) {
+      return `Flight pack bundle is incomplete (${missing.length} files missing).`;
+    }
+    return null;
+  }
+
+  /**
+   * Import a bundle (string or parsed object), rehydrating the narration,
+   * audio and map caches. Returns the imported pack.
+   *
+   * Throws a PackConflictError, before writing anything, if the pack is
+   * already cached and options.replaceExisting is not set.
+   */
+  async importBundle(bundleContent, options = {}) {
+    const { replaceExisting = false } = options;
+    let bundle;
+    try {
+      bundle = typeof bundleContent === 'string' ? JSON.parse(bundleContent) : bundleContent;
+    } catch (error) {
+      throw new Error('Flight pack file is corrupted and could not be read.');
+    }
+
+    const validationError = this.validateBundle(bundle);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    // Bundles exported by older builds carry older pack schemas
+    let pack;
+    try {
+      ({ pack } = parseStoredPack(bundle.files[PACK_ENTRY]));
+    } catch (error) {
+      log.warn('Bundled pack rejected', { error: error?.message });
+      throw new Error('Flight pack bundle contains an invalid pack.');
+    }
+
+    const existing = await narrationService.loadFlightPack(pack.id);
+    if (existing && !replaceExisting) {
+      throw createPackConflictError(existing, pack);
+    }
+    if (existing) {
+      log.info('Replacing cached pack with imported bundle', { packId: pack.id });
+    }
+
+    const entries = bundle.manifest.files || [];
+
+    // Audio: write each file into the ElevenLabs cache and remember its new URI
+    const audioUris = {};
+    for (const entry of entries.filter(e => e.type === 'audio')) {
+      const fileName = entry.path.slice(AUDIO_PREFIX.length);
+      if (!AUDIO_FILE_PATTERN.test(fileName)) {
+        log.warn('Skipping audio file with an invalid name', { path: entry.path });
+        continue;
+      }
+      try {
+        const uri = await elevenLabsService.saveAudioFile(fileName, bundle.files[entry.path]);
+        if (uri) {
+          audioUris[entry.path] = uri;
+        }
+      } catch (error) {
+        log.warn('Failed to restore audio file', { path: entry.path, error: error?.message });
+      }
+    }
+
+    for (const checkpoint of pack.checkpoints) {
+      if (!checkpoint.audioPath) continue;
+      if (audioUris[checkpoint.audioPath]) {
+        checkpoint.audioPath = audioUris[checkpoint.audioPath];
+      } else {
+        delete checkpoint.audioPath;
+      }
+    }
+    pack.hasAudio = pack.checkpoints.some(c => c.audioPath);
+
+    // Maps
+    const mapEntries = entries
+      .filter(e => e.type === 'map')
+      .map(e => ({
+        path: e.path.slice(MAPS_PREFIX.length),
+        encoding: e.encoding,
+        data: bundle.files[e.path],
+      }));
+    let mapsRestored = 0;
+    try {
+      await mapTileService.clearTileCache(pack.id);
+      mapsRestored = await mapTileService.importFlightAssets(pack.id, mapEntries);
+    } catch (error) {
+      log.warn('Failed to restore map assets', { packId: pack.id, error: error?.message });
+    }
+    pack.hasOfflineMaps = mapsRestored > 0;
+    pack.mapTilesDownloaded = mapsRestored;
+
+    await narrationService.cacheFlightPack(pack);
+
+    log.info('Bundle imported', {
+      packId: pack.id,
+      audioFiles: Object.keys(audioUris).length,
+      mapFiles: mapsRestored,
+    });
+
+    return pack;
+  }
+
+  /**
+   * Pick a bundle file and import it. Resolves with null if the user cancelled
+   * the picker or declined to replace a cached pack.
+   * @param {Object} [options]
+   * @param {Function} [options.confirmReplace] - (conflict) => Promise<boolean>,
+   *   asked when the pack is already cached; without it the import throws
+   *   the PackConflictError
+   */
+  async pickAndImport(options = {}) {
+    const { confirmReplace } = options;
+    const content = await this.pickBundleFile();
+    if (!content) return null;
+
+    try {
+      return await this.importBundle(content);
+    } catch (error) {
+      if (!isPackConflictError(error) || !confirmReplace) throw error;
+      if (!(await confirmReplace(error.conflict))) return null;
+      return this.importBundle(content, { replaceExisting: true });
+    }
+  }
+}
+
+export const flightPackBundleService = new FlightPackBundleService();
+export { FlightPackBundleService };
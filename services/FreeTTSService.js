@@ -1,4 +1,5 @@
 import { Platform } from 'react-native';
+import { getNarrationText } from '../utils/narration';
 
 // Lazy load expo-speech to prevent crashes if native module isn't available
 let Speech = null;
@@ -218,13 +219,14 @@ class FreeTTSService {
    * Speak a checkpoint narration
    */
   async speakCheckpoint(checkpoint) {
-    if (!checkpoint?.narration) {
+    const narrationText = getNarrationText(checkpoint?.narration);
+    if (!narrationText) {
       return false;
     }
 
     // Add a brief intro for context
     const intro = checkpoint.name ? `Now approaching: ${checkpoint.name}. ` : '';
-    const text = intro + checkpoint.narration;
+    const text = intro + narrationText;
 
     return await this.speak(text);
   }
@@ -0,0 +1,315 @@
+/**
+ * GazetteerService - Offline lookup of curated landmark narrations
+ *
+ * Regions are loaded from three places; a region replaces an earlier one
+ * with the same id:
+ * - the built-in dataset in data/landmarkNarrations.js
+ * - JSON regions bundled in data/gazetteer/
+ * - JSON files added to <documents>/gazetteer/ on the device (native only)
+ *
+ * Every entry has a type and an area (center + radius in meters, or
+ * north/south/east/west bounds). findNarration() picks the entry most
+ * relevant to a position: one the point lies inside (the most central one
+ * first), else the nearest one within sight of the aircraft, else a generic
+ * narration for the checkpoint type. Used when Claude isn't available.
+ */
+
+import { Platform } from 'react-native';
+import { File, Directory, Paths } from 'expo-file-system';
+import { LANDMARK_NARRATIONS, findEntryForCheckpoint } from '../data/landmarkNarrations';
+import bundledRegions from '../data/gazetteer';
+import { calculateDistance } from '../utils/geofence';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('GazetteerService');
+
+const BUILT_IN_REGION_ID = 'builtin';
+const USER_REGION_DIR = 'gazetteer';
+
+// Entries are bucketed into cells of this many degrees for lookup
+const INDEX_CELL_DEGREES = 10;
+
+// How far away a landmark can be and still be worth narrating: the distance
+// to the horizon at the current altitude, within these limits (meters)
+const MIN_SIGHT_DISTANCE = 20000;
+const MAX_SIGHT_DISTANCE = 150000;
+
+const METERS_PER_DEGREE = 111320;
+
+const isCoordinate = (point) =>
+  Number.isFinite(point?.latitude) && Math.abs(point.latitude) <= 90 &&
+  Number.isFinite(point?.longitude) && Math.abs(point.longitude) <= 180;
+
+/**
+ * Validate a raw gazetteer entry
+ * @returns {Object|null} Normalized entry, or null if it can't be used
+ */
+function normalizeEntry(raw, regionId) {
+  if (!raw || typeof raw.id !== 'string' || typeof raw.narration !== 'string' || !raw.narration.trim()) {
+    return null;
+  }
+
+  const entry = {
+    id: raw.id,
+    name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : raw.id,
+    type: typeof raw.type === 'string' ? raw.type : 'landmark',
+    narration: raw.narration.trim(),
+    regionId,
+  };
+
+  if (isCoordinate(raw.center) && raw.radius > 0) {
+    entry.center = { latitude: raw.center.latitude, longitude: raw.center.longitude };
+    entry.radius = raw.radius;
+    const latSpan = raw.radius / METERS_PER_DEGREE;
+    const lonSpan = latSpan / Math.max(Math.cos(raw.center.latitude * Math.PI / 180), 0.01);
+    entry.box = {
+      north: Math.min(90, raw.center.latitude + latSpan),
+      south: Math.max(-90, raw.center.latitude - latSpan),
+      east: Math.min(180, raw.center.longitude + lonSpan),
+      west: Math.max(-180, raw.center.longitude - lonSpan),
+    };
+    return entry;
+  }
+
+  // Bounds wrapping the antimeridian (east < west) aren't supported; see
+  // data/gazetteer/index.js
+  const bounds = raw.bounds;
+  if (bounds &&
+      isCoordinate({ latitude: bounds.north, longitude: bounds.east }) &&
+      isCoordinate({ latitude: bounds.south, longitude: bounds.west }) &&
+      bounds.north >= bounds.south && bounds.east >= bounds.west) {
+    entry.bounds = { north: bounds.north, south: bounds.south, east: bounds.east, west: bounds.west };
+    entry.box = entry.bounds;
+    return entry;
+  }
+
+  return null;
+}
+
+/**
+ * How a point relates to an entry's area
+ * @returns {{ inside: boolean, distance: number, centrality: number }}
+ *   distance in meters to the area (0 inside); centrality from 0 (center)
+ *   to 1 (edge) when inside
+ */
+function measure(entry, latitude, longitude) {
+  if (entry.center) {
+    const d = calculateDistance(latitude, longitude, entry.center.latitude, entry.center.longitude);
+    return d <= entry.radius
+      ? { inside: true, distance: 0, centrality: d / entry.radius }
+      : { inside: false, distance: d - entry.radius, centrality: 1 };
+  }
+
+  const { north, south, east, west } = entry.bounds;
+  if (latitude >= south && latitude <= north && longitude >= west && longitude <= east) {
+    const halfLat = (north - south) / 2 || 1;
+    const halfLon = (east - west) / 2 || 1;
+    return {
+      inside: true,
+      distance: 0,
+      centrality: Math.max(
+        Math.abs(latitude - (north + south) / 2) / halfLat,
+        Math.abs(longitude - (east + west) / 2) / halfLon
+      ),
+    };
+  }
+  const nearestLat = Math.min(north, Math.max(south, latitude));
+  const nearestLon = Math.min(east, Math.max(west, longitude));
+  return {
+    inside: false,
+    distance: calculateDistance(latitude, longitude, nearestLat, nearestLon),
+    centrality: 1,
+  };
+}
+
+const cellIndex = (degrees, offset) => Math.floor((degrees + offset) / INDEX_CELL_DEGREES);
+
+class GazetteerService {
+  constructor() {
+    this.regions = new Map(); // id -> { id, name, source, entries }
+    this.index = new Map(); // "latCell:lonCell" -> [entry]
+
+    this.addRegion({
+      id: BUILT_IN_REGION_ID,
+      name: 'Built-in landmarks',
+      entries: Object.entries(LANDMARK_NARRATIONS).map(([id, entry]) => ({ id, ...entry })),
+    }, { source: 'builtin' });
+    for (const region of bundledRegions) {
+      this.addRegion(region, { source: 'bundled' });
+    }
+    this.ready = this.loadUserRegions();
+  }
+
+  /**
+   * Add (or replace) a region of entries
+   * @param {Object} region - { id, name, entries: [...] }
+   * @param {Object} [options]
+   * @param {string} [options.source] - Where it came from, for getRegions()
+   * @returns {number} Number of usable entries added
+   */
+  addRegion(region, { source = 'user' } = {}) {
+    if (!region || typeof region.id !== 'string' || !Array.isArray(region.entries)) {
+      log.warn('Ignoring gazetteer region without an id or entries', { source });
+      return 0;
+    }
+
+    const entries = [];
+    for (const raw of region.entries) {
+      const entry = normalizeEntry(raw, region.id);
+      if (entry) {
+        entries.push(entry);
+      } else if (source !== 'builtin') {
+        // Built-in generic narrations have no area on purpose
+        log.warn('Skipping invalid gazetteer entry', { region: region.id, id: raw?.id });
+      }
+    }
+
+    this.regions.set(region.id, {
+      id: region.id,
+      name: region.name || region.id,
+      source,
+      entries,
+    });
+    this.rebuildIndex();
+    log.info('Gazetteer region loaded', { region: region.id, source, entries: entries.length });
+    return entries.length;
+  }
+
+  removeRegion(regionId) {
+    if (this.regions.delete(regionId)) {
+      this.rebuildIndex();
+    }
+  }
+
+  getRegions() {
+    return [...this.regions.values()].map(({ id, name, source, entries }) => ({
+      id,
+      name,
+      source,
+      entryCount: entries.length,
+    }));
+  }
+
+  rebuildIndex() {
+    this.index.clear();
+    for (const region of this.regions.values()) {
+      for (const entry of region.entries) {
+        const { north, south, east, west } = entry.box;
+        for (let lat = cellIndex(south, 90); lat <= cellIndex(north, 90); lat++) {
+          for (let lon = cellIndex(west, 180); lon <= cellIndex(east, 180); lon++) {
+            const key = `${lat}:${lon}`;
+            if (!this.index.has(key)) this.index.set(key, []);
+            this.index.get(key).push(entry);
+          }
+        }
+      }
+    }
+  }
+
+  // Regions the user copied into <documents>/gazetteer/
+  async loadUserRegions() {
+    if (Platform.OS === 'web') return 0;
+
+    let loaded = 0;
+    try {
+      const dir = new Directory(Paths.document, USER_REGION_DIR);
+      if (!dir.exists) return 0;
+
+      for (const item of dir.list()) {
+        if (!(item instanceof File) || !item.uri.endsWith('.json')) continue;
+        try {
+          if (this.addRegion(JSON.parse(await item.text()), { source: 'user' }) > 0) {
+            loaded++;
+          }
+        } catch (error) {
+          log.warn('Failed to load gazetteer region file', { uri: item.uri, error: error?.message });
+        }
+      }
+    } catch (error) {
+      log.warn('Failed to read gazetteer directory', { error: error?.message });
+    }
+    return loaded;
+  }
+
+  /**
+   * How far from the aircraft a landmark is still relevant
+   * @param {number} [altitude] - Meters
+   * @returns {number} Meters
+   */
+  getSightDistance(altitude) {
+    const horizon = 3570 * Math.sqrt(Math.max(altitude || 0, 0));
+    return Math.min(MAX_SIGHT_DISTANCE, Math.max(MIN_SIGHT_DISTANCE, horizon));
+  }
+
+  /**
+   * Entries around a position, most relevant first: areas the point lies
+   * inside (most central first), then the others by distance
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {Object} [options]
+   * @param {number} [options.maxDistance] - Meters from the area's edge
+   * @param {Set<string>} [options.exclude] - Entry ids to skip
+   * @returns {Array} [{ entry, inside, distance }]
+   */
+  findNearby(latitude, longitude, { maxDistance = MAX_SIGHT_DISTANCE, exclude } = {}) {
+    const latSpan = maxDistance / METERS_PER_DEGREE;
+    const lonSpan = latSpan / Math.max(Math.cos(latitude * Math.PI / 180), 0.01);
+    const seen = new Set();
+    const matches = [];
+
+    for (let lat = cellIndex(Math.max(-90, latitude - latSpan), 90);
+      lat <= cellIndex(Math.min(90, latitude + latSpan), 90); lat++) {
+      for (let lon = cellIndex(Math.max(-180, longitude - lonSpan), 180);
+        lon <= cellIndex(Math.min(180, longitude + lonSpan), 180); lon++) {
+        for (const entry of this.index.get(`${lat}:${lon}`) || []) {
+          if (seen.has(entry) || exclude?.has(entry.id)) continue;
+          seen.add(entry);
+          const { inside, distance, centrality } = measure(entry, latitude, longitude);
+          if (distance <= maxDistance) {
+            matches.push({ entry, inside, distance, centrality });
+          }
+        }
+      }
+    }
+
+    return matches
+      .sort((a, b) => (a.inside === b.inside
+        ? (a.inside ? a.centrality - b.centrality : a.distance - b.distance)
+        : (a.inside ? -1 : 1)))
+      .map(({ entry, inside, distance }) => ({ entry, inside, distance }));
+  }
+
+  /**
+   * The most relevant curated narration for a checkpoint or position
+   * @param {Object} point - { latitude, longitude, altitude?, name?, type?, landmark? }
+   * @param {Object} [options]
+   * @param {Set<string>} [options.exclude] - Entry ids already narrated (e.g.
+   *   earlier checkpoints of the same pack); skipped in favour of the next
+   *   best or a generic narration
+   * @returns {{ id, name, type, narration, generic: boolean }}
+   */
+  findNarration(point, { exclude } = {}) {
+    if (isCoordinate(point)) {
+      const [match] = this.findNearby(point.latitude, point.longitude, {
+        maxDistance: this.getSightDistance(point.altitude),
+        exclude,
+      });
+      if (match) {
+        const { id, name, type, narration } = match.entry;
+        return { id, name, type, narration, generic: false };
+      }
+    }
+
+    const fallback = findEntryForCheckpoint(point);
+    return {
+      id: fallback.key,
+      name: fallback.name,
+      type: fallback.type,
+      narration: fallback.narration,
+      generic: !fallback.center && !fallback.bounds,
+    };
+  }
+}
+
+export const gazetteerService = new GazetteerService();
+export { GazetteerService };
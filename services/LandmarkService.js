@@ -3,14 +3,27 @@
  *
  * Uses:
  * - Nominatim for reverse geocoding (city/region names)
- * - Overpass API for nearby POIs (parks, mountains, rivers, etc.)
+ * - Overpass API for nearby POIs (parks, mountains, rivers, etc.) and for
+ *   the notable features along a whole route that checkpoints are placed on
  */
 
 import { API_CONFIG } from '../config/api';
+import { sleep } from '../utils/retry';
+import { isAbortError, throwIfAborted } from '../utils/abort';
+import { calculateDistance } from '../utils/geofence';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('LandmarkService');
 
 const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/reverse';
 const OVERPASS_URL = 'https://overpass-api.de/api/interpreter';
 
+// Route corridor queries: the route is split into stretches of about this
+// length, each sampled every CORRIDOR_SAMPLE_SPACING for the polyline
+const CORRIDOR_CHUNK_LENGTH = 600000;
+const CORRIDOR_SAMPLE_SPACING = 25000;
+const CORRIDOR_RESULT_LIMIT = 150;
+
 class LandmarkService {
   constructor() {
     this.config = API_CONFIG.landmark || {
@@ -24,13 +37,13 @@ class LandmarkService {
   /**
    * Rate limiter to comply with Nominatim usage policy (1 req/sec)
    */
-  async rateLimit() {
+  async rateLimit(signal) {
     const now = Date.now();
     const elapsed = now - this.lastRequestTime;
     const delay = this.config.requestDelayMs;
 
     if (elapsed < delay) {
-      await new Promise(resolve => setTimeout(resolve, delay - elapsed));
+      await sleep(delay - elapsed, signal);
     }
     this.lastRequestTime = Date.now();
   }
@@ -39,22 +52,30 @@ class LandmarkService {
    * Main method: Enrich all checkpoints with landmark data
    */
   async enrichCheckpoints(checkpoints, options = {}) {
-    const { onProgress } = options;
+    const { onProgress, signal } = options;
     const enriched = [];
 
     console.log(`[LandmarkService] Enriching ${checkpoints.length} checkpoints...`);
 
     for (let i = 0; i < checkpoints.length; i++) {
       const checkpoint = checkpoints[i];
+      throwIfAborted(signal);
 
       try {
         if (onProgress) {
           onProgress(i + 1, checkpoints.length);
         }
 
+        // Checkpoints placed on a route feature keep it; only add where it is
+        if (checkpoint.landmark) {
+          enriched.push(await this.addLandmarkRegion(checkpoint, { signal }));
+          continue;
+        }
+
         const landmark = await this.lookupLandmark(
           checkpoint.latitude,
-          checkpoint.longitude
+          checkpoint.longitude,
+          { signal }
         );
 
         if (landmark) {
@@ -69,6 +90,7 @@ class LandmarkService {
           enriched.push(checkpoint);
         }
       } catch (error) {
+        if (isAbortError(error)) throw error;
         console.warn(`[LandmarkService] Checkpoint ${i} lookup failed:`, error.message);
         enriched.push(checkpoint);
       }
@@ -78,16 +100,233 @@ class LandmarkService {
     return enriched;
   }
 
+  /**
+   * Fill in the region and country of a checkpoint's landmark
+   */
+  async addLandmarkRegion(checkpoint, options = {}) {
+    const { signal } = options;
+    const { landmark } = checkpoint;
+    const geocodeResult = await this.reverseGeocode(
+      landmark.latitude ?? checkpoint.latitude,
+      landmark.longitude ?? checkpoint.longitude,
+      signal
+    );
+    const address = geocodeResult?.address;
+    if (!address) return checkpoint;
+
+    return {
+      ...checkpoint,
+      landmark: {
+        ...landmark,
+        region: address.state || address.region || null,
+        country: address.country || null,
+      },
+    };
+  }
+
+  /**
+   * Notable features within sight of a route, for placing checkpoints on
+   * (see routeToCheckpoints). Features are queried one stretch of the route
+   * at a time; a stretch that fails is skipped.
+   * @param {Array} route - Route points
+   * @param {Object} [options]
+   * @param {number} [options.corridorRadius] - How far either side of the route to look (meters)
+   * @param {Function} [options.onProgress] - (done, total) after each stretch
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Array>} [{ id, name, latitude, longitude, type, category, relevance, sightRange }]
+   */
+  async findRouteFeatures(route, options = {}) {
+    const { corridorRadius = this.config.searchRadius, onProgress, signal } = options;
+    const chunks = this.splitRoute(route);
+    const features = new Map();
+
+    for (let i = 0; i < chunks.length; i++) {
+      throwIfAborted(signal);
+      await this.rateLimit(signal);
+      const elements = await this.queryCorridorFeatures(chunks[i], corridorRadius, signal);
+      for (const element of elements) {
+        const feature = this.toRouteFeature(element, corridorRadius);
+        // Stretches overlap at their ends
+        if (feature && !features.has(feature.id)) {
+          features.set(feature.id, feature);
+        }
+      }
+      if (onProgress) onProgress(i + 1, chunks.length);
+    }
+
+    log.info('Found route features', { count: features.size });
+    return [...features.values()];
+  }
+
+  /**
+   * Split a route into overlapping stretches of sampled points
+   */
+  splitRoute(route) {
+    const chunks = [];
+    let chunk = [route[0]];
+    let chunkLength = 0;
+    let sinceSample = 0;
+
+    for (let i = 1; i < route.length; i++) {
+      const step = calculateDistance(
+        route[i - 1].latitude,
+        route[i - 1].longitude,
+        route[i].latitude,
+        route[i].longitude
+      );
+      chunkLength += step;
+      sinceSample += step;
+
+      const isLast = i === route.length - 1;
+      if (sinceSample >= CORRIDOR_SAMPLE_SPACING || isLast || chunkLength >= CORRIDOR_CHUNK_LENGTH) {
+        chunk.push(route[i]);
+        sinceSample = 0;
+      }
+      if (chunkLength >= CORRIDOR_CHUNK_LENGTH && !isLast) {
+        chunks.push(chunk);
+        chunk = [route[i]];
+        chunkLength = 0;
+      }
+    }
+    chunks.push(chunk);
+    return chunks;
+  }
+
+  /**
+   * Query Overpass for notable features around a polyline
+   */
+  async queryCorridorFeatures(points, radius, signal) {
+    try {
+      const polyline = points
+        .map(p => `${p.latitude.toFixed(4)},${p.longitude.toFixed(4)}`)
+        .join(',');
+      const around = `(around:${radius},${polyline})`;
+      // Only features well known enough to have a Wikidata entry, so a
+      // stretch of the Alps doesn't return every named rock
+      const query = `
+        [out:json][timeout:25];
+        (
+          node["natural"~"^(peak|volcano)$"]["name"]["wikidata"]${around};
+          nwr["natural"~"^(glacier|mountain_range)$"]["name"]["wikidata"]${around};
+          nwr["natural"="water"]["name"]["wikidata"]${around};
+          nwr["boundary"="national_park"]["name"]${around};
+          node["place"="city"]["name"]${around};
+          node["tourism"="attraction"]["name"]["wikidata"]${around};
+        );
+        out tags center ${CORRIDOR_RESULT_LIMIT};
+      `;
+
+      const response = await fetch(OVERPASS_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: `data=${encodeURIComponent(query)}`,
+        signal,
+      });
+
+      if (!response.ok) {
+        throw new Error(`Overpass API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.elements || [];
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      log.warn('Route corridor query failed', { error: error?.message });
+      return [];
+    }
+  }
+
+  /**
+   * Turn an Overpass element into a scored route feature
+   */
+  toRouteFeature(element, corridorRadius) {
+    const tags = element.tags || {};
+    const latitude = element.lat ?? element.center?.lat;
+    const longitude = element.lon ?? element.center?.lon;
+    if (!tags.name || !Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      return null;
+    }
+
+    const isCity = tags.place === 'city';
+    return {
+      id: `${element.type}/${element.id}`,
+      name: tags.name,
+      latitude,
+      longitude,
+      type: this.getRouteFeatureType(element),
+      category: isCity ? 'settlement' : this.determineCategory(null, [element]),
+      relevance: this.getFeatureRelevance(element),
+      sightRange: this.getSightRange(element, corridorRadius),
+    };
+  }
+
+  /**
+   * Location type of a route feature, as determineLocationType names them
+   */
+  getRouteFeatureType(poi) {
+    const tags = poi.tags || {};
+    if (tags.place === 'city') return 'city';
+    if (tags.natural === 'water') return 'lake';
+    if (tags.tourism === 'attraction') return 'attraction';
+    return this.determineLocationType(null, [poi]);
+  }
+
+  /**
+   * How worth pointing out a route feature is: the POI relevance score,
+   * plus fame (Wikipedia) and size (height of a peak, population of a city)
+   */
+  getFeatureRelevance(poi) {
+    const tags = poi.tags || {};
+    let score = this.getRelevanceScore(poi);
+
+    if (tags.place === 'city') score += 40;
+    if (tags.wikipedia) score += 20;
+    const elevation = parseFloat(tags.ele);
+    if (Number.isFinite(elevation)) score += Math.min(40, elevation / 100);
+    const population = parseInt(tags.population, 10);
+    if (population > 0) score += Math.min(40, Math.max(0, Math.log10(population) - 4) * 15);
+
+    return score;
+  }
+
+  /**
+   * How far from the flight path a feature can still be made out (meters).
+   * High peaks and large areas stand out from further away.
+   */
+  getSightRange(poi, corridorRadius) {
+    const tags = poi.tags || {};
+    let range = 30000;
+
+    if (tags.natural === 'peak' || tags.natural === 'volcano') {
+      const elevation = parseFloat(tags.ele);
+      range = 30000 + (Number.isFinite(elevation) ? elevation * 10 : 0);
+    } else if (tags.boundary === 'national_park' || tags.natural === 'mountain_range') {
+      range = corridorRadius;
+    } else if (tags.natural === 'water' || tags.natural === 'glacier') {
+      range = 40000;
+    } else if (tags.place === 'city') {
+      range = 35000;
+    } else if (tags.tourism === 'attraction') {
+      range = 15000;
+    }
+
+    return Math.min(range, corridorRadius);
+  }
+
   /**
    * Look up landmark data for a single coordinate
    */
-  async lookupLandmark(latitude, longitude) {
+  async lookupLandmark(latitude, longitude, options = {}) {
+    const { signal } = options;
+
     // Get place name via reverse geocoding
-    const geocodeResult = await this.reverseGeocode(latitude, longitude);
+    const geocodeResult = await this.reverseGeocode(latitude, longitude, signal);
 
     // Query nearby POIs (skip if over ocean to avoid unnecessary API calls)
     const isOverOcean = this.isOverOcean(geocodeResult);
-    const pois = isOverOcean ? [] : await this.queryNearbyPOIs(latitude, longitude, this.config.searchRadius);
+    const pois = isOverOcean ? [] : await this.queryNearbyPOIs(latitude, longitude, this.config.searchRadius, signal);
 
     // Build landmark object
     const name = this.extractBestName(geocodeResult, pois);
@@ -107,6 +346,11 @@ class LandmarkService {
         name: poi.tags?.name || poi.tags?.natural || poi.tags?.tourism || 'Unknown',
         type: this.getPoiType(poi),
       })),
+      // Looked up at the position itself, not beside the route
+      latitude,
+      longitude,
+      distance: 0,
+      side: null,
     };
 
     return landmark;
@@ -136,8 +380,8 @@ class LandmarkService {
   /**
    * Reverse geocode coordinates using Nominatim
    */
-  async reverseGeocode(latitude, longitude) {
-    await this.rateLimit();
+  async reverseGeocode(latitude, longitude, signal) {
+    await this.rateLimit(signal);
 
     try {
       const url = `${NOMINATIM_URL}?lat=${latitude}&lon=${longitude}&format=json&zoom=10&addressdetails=1`;
@@ -146,6 +390,7 @@ class LandmarkService {
         headers: {
           'User-Agent': this.config.nominatimUserAgent,
         },
+        signal,
       });
 
       if (!response.ok) {
@@ -155,6 +400,7 @@ class LandmarkService {
       const data = await response.json();
       return data;
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.warn('Reverse geocoding failed:', error.message);
       return null;
     }
@@ -163,7 +409,7 @@ class LandmarkService {
   /**
    * Query nearby POIs using Overpass API
    */
-  async queryNearbyPOIs(latitude, longitude, radius) {
+  async queryNearbyPOIs(latitude, longitude, radius, signal) {
     try {
       // Query for natural features, tourism attractions, and notable places
       const query = `
@@ -187,6 +433,7 @@ class LandmarkService {
           'Content-Type': 'application/x-www-form-urlencoded',
         },
         body: `data=${encodeURIComponent(query)}`,
+        signal,
       });
 
       if (!response.ok) {
@@ -207,6 +454,7 @@ class LandmarkService {
 
       return elements;
     } catch (error) {
+      if (isAbortError(error)) throw error;
       // Silently handle - API rate limits (429) are expected
       return [];
     }
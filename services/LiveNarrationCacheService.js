@@ -0,0 +1,153 @@
+/**
+ * LiveNarrationCacheService - Persists Scan Horizon narrations by map cell
+ *
+ * Live narrations are keyed by the geohash cell they were generated in plus
+ * the language, content focus, length and persona they were written for. Pressing
+ * Scan Horizon again in the same cell reuses the narration instead of calling
+ * Claude, and cells from earlier flights over the same area are available
+ * offline. The cache is kept in AsyncStorage and trimmed least recently used
+ * first. New entries are written straight away; recency updates from cache
+ * hits are batched into one write a few seconds later.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { encodeGeohash } from '../utils/geohash';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('LiveNarrationCacheService');
+
+const CACHE_STORAGE_KEY = '@window_seat_live_narrations';
+
+// ~39 x 20 km: about what you can pick out below from cruise altitude, and a
+// couple of minutes of flying
+const CELL_PRECISION = 4;
+const MAX_ENTRIES = 500;
+const RECENCY_PERSIST_DELAY_MS = 5000;
+
+class LiveNarrationCacheService {
+  constructor() {
+    this.entries = null; // { [key]: entry }, loaded on first use
+    this.persistTimer = null;
+  }
+
+  async load() {
+    if (this.entries) return this.entries;
+    try {
+      const stored = await AsyncStorage.getItem(CACHE_STORAGE_KEY);
+      this.entries = stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      log.warn('Failed to load live narration cache', { error: error?.message });
+      this.entries = {};
+    }
+    return this.entries;
+  }
+
+  async persist() {
+    this.cancelScheduledPersist();
+    try {
+      await AsyncStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify(this.entries));
+    } catch (error) {
+      log.warn('Failed to save live narration cache', { error: error?.message });
+    }
+  }
+
+  // Write soon, once for any number of changes in the meantime
+  schedulePersist() {
+    if (this.persistTimer) return;
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist();
+    }, RECENCY_PERSIST_DELAY_MS);
+  }
+
+  cancelScheduledPersist() {
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+    }
+  }
+
+  getCell(latitude, longitude) {
+    return encodeGeohash(latitude, longitude, CELL_PRECISION);
+  }
+
+  getKey(cell, { language = 'en', contentFocus = 'mixed', length = 'medium', persona = 'historian' } = {}) {
+    return [cell, language, contentFocus, length, persona].join('|');
+  }
+
+  /**
+   * Narration generated in this cell with the same preferences
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {Object} preferences - { language, contentFocus, length, persona }
+   * @returns {Promise<Object|null>} { cell, text, createdAt, lastUsedAt, ... }
+   */
+  async get(latitude, longitude, preferences) {
+    const entries = await this.load();
+    const entry = entries[this.getKey(this.getCell(latitude, longitude), preferences)];
+    if (!entry) return null;
+
+    entry.lastUsedAt = new Date().toISOString();
+    this.schedulePersist();
+    return entry;
+  }
+
+  /**
+   * Any narration for this cell, for when a new one can't be generated.
+   * Prefers the requested language, then the most recently used.
+   */
+  async findInCell(latitude, longitude, { language } = {}) {
+    const entries = await this.load();
+    const cell = this.getCell(latitude, longitude);
+    const [best] = Object.values(entries)
+      .filter(entry => entry.cell === cell)
+      .sort((a, b) => ((b.language === language) - (a.language === language)) ||
+        (b.lastUsedAt || '').localeCompare(a.lastUsedAt || ''));
+    return best || null;
+  }
+
+  async put(latitude, longitude, preferences = {}, text) {
+    if (!text) return;
+    const entries = await this.load();
+    const cell = this.getCell(latitude, longitude);
+    const now = new Date().toISOString();
+
+    entries[this.getKey(cell, preferences)] = {
+      cell,
+      language: preferences.language || 'en',
+      contentFocus: preferences.contentFocus || 'mixed',
+      length: preferences.length || 'medium',
+      persona: preferences.persona || 'historian',
+      text,
+      createdAt: now,
+      lastUsedAt: now,
+    };
+
+    // Drop the least recently used cells beyond the cap
+    const keys = Object.keys(entries);
+    if (keys.length > MAX_ENTRIES) {
+      keys
+        .sort((a, b) => (entries[a].lastUsedAt || '').localeCompare(entries[b].lastUsedAt || ''))
+        .slice(0, keys.length - MAX_ENTRIES)
+        .forEach(key => delete entries[key]);
+    }
+    await this.persist();
+  }
+
+  async getCount() {
+    return Object.keys(await this.load()).length;
+  }
+
+  async clear() {
+    this.cancelScheduledPersist();
+    this.entries = {};
+    try {
+      await AsyncStorage.removeItem(CACHE_STORAGE_KEY);
+    } catch (error) {
+      log.warn('Failed to clear live narration cache', { error: error?.message });
+    }
+  }
+}
+
+export const liveNarrationCacheService = new LiveNarrationCacheService();
+export { LiveNarrationCacheService };
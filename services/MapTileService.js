@@ -10,6 +10,7 @@ import {
   getRouteBounds,
 } from '../utils/tileCalculations';
 import { MAP_TILES } from '../components/map/mapStyles';
+import { isAbortError, throwIfAborted } from '../utils/abort';
 
 // Map cache directory using new expo-file-system API
 let mapCacheDir = null;
@@ -27,6 +28,12 @@ const TILE_SUBDOMAINS = ['a', 'b', 'c'];
 const DEFAULT_ZOOM_LEVELS = [4, 5, 6, 7];
 const HIGH_DETAIL_ZOOM_LEVELS = [4, 5, 6, 7, 8];
 
+// Bundle entry paths: IndexedDB tiles, and files kept flat in a flight's
+// static map directory (reject anything that tries to escape it)
+const BUNDLE_TILE_PATTERN = /^tiles\/(\d+)\/(\d+)\/(\d+)\.png$/;
+const BUNDLE_FILE_PATTERN = /^[^./][^/]*$/;
+const BUNDLE_TILES_DIR = 'tiles';
+
 // Static map generation settings for native
 const STATIC_MAP_SIZES = {
   overview: { width: 800, height: 600, zoom: 4 },
@@ -34,6 +41,38 @@ const STATIC_MAP_SIZES = {
   detail: { width: 800, height: 600, zoom: 8 },
 };
 
+function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => {
+      // Strip data URL prefix to get raw base64
+      const base64Data = reader.result?.split(',')[1];
+      if (base64Data) {
+        resolve(base64Data);
+      } else {
+        reject(new Error('Failed to convert blob to base64'));
+      }
+    };
+    reader.onerror = () => reject(new Error('FileReader error'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Every file below a directory as { file, path } with slash-separated paths
+// relative to it (expo-file-system lists one level at a time)
+function listFilesRecursive(dir, prefix = '') {
+  return dir.list().flatMap(item => (
+    item instanceof Directory
+      ? listFilesRecursive(item, `${prefix}${item.name}/`)
+      : [{ file: item, path: `${prefix}${item.name}` }]
+  ));
+}
+
+async function base64ToBlob(base64Data, mimeType) {
+  const response = await fetch(`data:${mimeType};base64,${base64Data}`);
+  return response.blob();
+}
+
 class MapTileService {
   constructor() {
     this.db = null;
@@ -205,7 +244,7 @@ class MapTileService {
     });
   }
 
-  async getDBCacheSize() {
+  async getDBCacheSize(flightId = null) {
     const db = await this.initIndexedDB();
     if (!db) return 0;
 
@@ -213,7 +252,9 @@ class MapTileService {
       try {
         const transaction = db.transaction([IDB_STORE_NAME], 'readonly');
         const store = transaction.objectStore(IDB_STORE_NAME);
-        const request = store.openCursor();
+        const request = flightId
+          ? store.index('flightId').openCursor(IDBKeyRange.only(flightId))
+          : store.openCursor();
         let totalSize = 0;
 
         request.onsuccess = (event) => {
@@ -244,6 +285,7 @@ class MapTileService {
     const {
       includeHighDetail = false,
       bufferMeters = 100000,
+      signal,
     } = options;
 
     const zoomLevels = includeHighDetail ? HIGH_DETAIL_ZOOM_LEVELS : DEFAULT_ZOOM_LEVELS;
@@ -270,6 +312,8 @@ class MapTileService {
     // Download tiles in batches to avoid overwhelming the network
     const BATCH_SIZE = 10;
     for (let i = 0; i < tiles.length; i += BATCH_SIZE) {
+      throwIfAborted(signal);
+
       const batch = tiles.slice(i, i + BATCH_SIZE);
       const results = await Promise.allSettled(
         batch.map(async (tile) => {
@@ -283,7 +327,7 @@ class MapTileService {
           }
 
           try {
-            const response = await fetch(url);
+            const response = await fetch(url, { signal });
             if (!response.ok) {
               throw new Error(`HTTP ${response.status}`);
             }
@@ -298,6 +342,9 @@ class MapTileService {
         })
       );
 
+      // Tiles aborted mid-batch are not failures
+      throwIfAborted(signal);
+
       for (const result of results) {
         if (result.status === 'fulfilled') {
           downloaded++;
@@ -353,6 +400,8 @@ class MapTileService {
   // ============================================
 
   async downloadStaticMaps(route, flightId, onProgress, options = {}) {
+    const { signal } = options;
+
     if (Platform.OS === 'web') {
       return { success: false, error: 'Not supported on web' };
     }
@@ -399,6 +448,8 @@ class MapTileService {
       let downloaded = 0;
 
       for (const config of mapConfigs) {
+        throwIfAborted(signal);
+
         if (onProgress) {
           onProgress({
             status: `Downloading ${config.name} map...`,
@@ -411,12 +462,20 @@ class MapTileService {
           const url = this.buildStaticMapUrl(route, center, config);
           console.log(`[MapTiles] Fetching ${config.name} map from:`, url);
 
-          // Use fetch instead of File.downloadFileAsync to avoid native crashes
+          // Use fetch instead of File.downloadFileAsync to avoid native crashes.
+          // The request is aborted on timeout or when the caller cancels.
           const controller = new AbortController();
           const timeoutId = setTimeout(() => controller.abort(), 20000);
+          const onAbort = () => controller.abort();
+          signal?.addEventListener('abort', onAbort);
 
-          const response = await fetch(url, { signal: controller.signal });
-          clearTimeout(timeoutId);
+          let response;
+          try {
+            response = await fetch(url, { signal: controller.signal });
+          } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', onAbort);
+          }
 
           if (!response.ok) {
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -432,20 +491,7 @@ class MapTileService {
           console.log(`[MapTiles] ${config.name} fetched, size: ${blob.size} bytes`);
 
           // Convert blob to base64 and write to file
-          const base64 = await new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onloadend = () => {
-              // Strip data URL prefix to get raw base64
-              const base64Data = reader.result?.split(',')[1];
-              if (base64Data) {
-                resolve(base64Data);
-              } else {
-                reject(new Error('Failed to convert blob to base64'));
-              }
-            };
-            reader.onerror = () => reject(new Error('FileReader error'));
-            reader.readAsDataURL(blob);
-          });
+          const base64 = await blobToBase64(blob);
 
           const file = new File(flightCacheDir, `${config.name}.png`);
           file.write(base64, { encoding: 'base64' });
@@ -466,6 +512,7 @@ class MapTileService {
             });
           }
         } catch (error) {
+          throwIfAborted(signal);
           console.warn(`[MapTiles] Failed to download ${config.name} map:`, error?.message || error);
           results.push({
             name: config.name,
@@ -508,6 +555,7 @@ class MapTileService {
         results,
       };
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('[MapTiles] Failed to download static maps:', error);
       return { success: false, error: error?.message || 'Unknown error', mapsDownloaded: 0 };
     }
@@ -599,7 +647,7 @@ class MapTileService {
 
   async getCacheSize(flightId = null) {
     if (Platform.OS === 'web') {
-      return this.getDBCacheSize();
+      return this.getDBCacheSize(flightId);
     }
 
     try {
@@ -678,6 +726,209 @@ class MapTileService {
     return metadata !== null && metadata.maps?.some((m) => m.success);
   }
 
+  // Check that a flight's offline map assets are still cached. Reports
+  // missing file names (native) or tile keys (web).
+  async verifyFlightMaps(route, flightId) {
+    if (Platform.OS === 'web') {
+      const expected = getTilesForRoute(route || [], 100000, DEFAULT_ZOOM_LEVELS)
+        .map((tile) => getTileKey(tile.z, tile.x, tile.y));
+      const cached = new Set(await this.getCachedTileKeys());
+      return {
+        expected: expected.length,
+        missing: expected.filter((key) => !cached.has(key)),
+      };
+    }
+
+    // downloadStaticMaps writes the overview image plus metadata.json, which
+    // hasOfflineMaps relies on
+    const expected = ['overview.png', 'metadata.json'];
+    const missing = [];
+    try {
+      const cacheDir = await this.ensureCacheDir();
+      const flightDir = cacheDir ? new Directory(cacheDir, flightId) : null;
+      for (const name of expected) {
+        if (!flightDir || !new File(flightDir, name).exists) {
+          missing.push(name);
+        }
+      }
+    } catch (error) {
+      console.warn('Error verifying static maps:', error);
+      return { expected: expected.length, missing: expected };
+    }
+
+    return { expected: expected.length, missing };
+  }
+
+  async getCachedTileKeys() {
+    const db = await this.initIndexedDB();
+    if (!db) return [];
+
+    return new Promise((resolve) => {
+      try {
+        const transaction = db.transaction([IDB_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(IDB_STORE_NAME);
+        const request = store.getAllKeys();
+
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => resolve([]);
+      } catch (error) {
+        resolve([]);
+      }
+    });
+  }
+
+  // ============================================
+  // Pack Bundle Export/Import
+  // ============================================
+
+  // Collect the cached map assets for a flight as bundle entries. Both
+  // platforms use one layout: `tiles/<z>/<x>/<y>.png` for map tiles and
+  // flat file names for static maps and their metadata.json.
+  async exportFlightAssets(flightId) {
+    if (Platform.OS === 'web') {
+      const records = await this.getTileRecordsForFlight(flightId);
+      const entries = [];
+      for (const record of records) {
+        try {
+          entries.push({
+            path: `tiles/${record.key}.png`,
+            encoding: 'base64',
+            data: await blobToBase64(record.blob),
+          });
+        } catch (error) {
+          console.warn(`[MapTiles] Failed to export tile ${record.key}:`, error?.message);
+        }
+      }
+      return entries;
+    }
+
+    const cacheDir = await this.ensureCacheDir();
+    if (!cacheDir) return [];
+
+    const flightDir = new Directory(cacheDir, flightId);
+    if (!flightDir.exists) return [];
+
+    const entries = [];
+    const tilesDir = new Directory(flightDir, BUNDLE_TILES_DIR);
+    if (tilesDir.exists) {
+      for (const { file, path } of listFilesRecursive(tilesDir, `${BUNDLE_TILES_DIR}/`)) {
+        if (!BUNDLE_TILE_PATTERN.test(path)) continue;
+        try {
+          entries.push({ path, encoding: 'base64', data: await file.base64() });
+        } catch (error) {
+          console.warn(`[MapTiles] Failed to export ${path}:`, error?.message);
+        }
+      }
+    }
+    for (const item of flightDir.list()) {
+      if (!(item instanceof File)) continue;
+      try {
+        const isJson = item.name.endsWith('.json');
+        entries.push({
+          path: item.name,
+          encoding: isJson ? 'utf8' : 'base64',
+          data: isJson ? await item.text() : await item.base64(),
+        });
+      } catch (error) {
+        console.warn(`[MapTiles] Failed to export ${item.name}:`, error?.message);
+      }
+    }
+    return entries;
+  }
+
+  // Restore bundle entries produced by exportFlightAssets on either platform.
+  // Returns the number of assets this platform can show offline: tiles on
+  // web, static maps on native. Native keeps a web bundle's tiles so the pack
+  // still has them when exported again; web has nowhere to show static maps.
+  async importFlightAssets(flightId, entries = []) {
+    if (entries.length === 0) return 0;
+
+    if (Platform.OS === 'web') {
+      let restored = 0;
+      for (const entry of entries) {
+        const match = entry.path.match(BUNDLE_TILE_PATTERN);
+        if (!match || entry.encoding !== 'base64') continue;
+        const blob = await base64ToBlob(entry.data, 'image/png');
+        if (await this.storeTileInDB(match.slice(1).join('/'), flightId, blob)) {
+          restored++;
+        }
+      }
+      if (restored === 0) {
+        console.warn('[MapTiles] Bundle has no map tiles; maps need downloading on web');
+      }
+      return restored;
+    }
+
+    const cacheDir = await this.ensureCacheDir();
+    if (!cacheDir) return 0;
+
+    const flightDir = new Directory(cacheDir, flightId);
+    if (!flightDir.exists) {
+      flightDir.create();
+    }
+
+    let restored = 0;
+    for (const entry of entries) {
+      const tile = entry.path.match(BUNDLE_TILE_PATTERN);
+      if (!tile && !BUNDLE_FILE_PATTERN.test(entry.path)) continue;
+      try {
+        let dir = flightDir;
+        for (const name of tile ? [BUNDLE_TILES_DIR, tile[1], tile[2]] : []) {
+          dir = new Directory(dir, name);
+          if (!dir.exists) dir.create();
+        }
+        const file = new File(dir, tile ? `${tile[3]}.png` : entry.path);
+        if (entry.encoding === 'base64') {
+          file.write(entry.data, { encoding: 'base64' });
+        } else {
+          file.write(entry.data);
+        }
+        if (!tile && entry.path.endsWith('.png')) restored++;
+      } catch (error) {
+        console.warn(`[MapTiles] Failed to import ${entry.path}:`, error?.message);
+      }
+    }
+
+    // metadata.json references absolute file paths from the exporting device
+    const metadata = await this.getStaticMapMetadata(flightId);
+    if (metadata?.maps) {
+      metadata.maps = metadata.maps.map((map) => {
+        const file = new File(flightDir, `${map.name}.png`);
+        return {
+          ...map,
+          filePath: file.exists ? file.uri : null,
+          success: file.exists,
+        };
+      });
+      new File(flightDir, 'metadata.json').write(JSON.stringify(metadata));
+    }
+
+    return restored;
+  }
+
+  async getTileRecordsForFlight(flightId) {
+    const db = await this.initIndexedDB();
+    if (!db) return [];
+
+    return new Promise((resolve) => {
+      try {
+        const transaction = db.transaction([IDB_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(IDB_STORE_NAME);
+        const index = store.index('flightId');
+        const request = index.getAll(IDBKeyRange.only(flightId));
+
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => {
+          console.error('Failed to read tiles for flight:', request.error);
+          resolve([]);
+        };
+      } catch (error) {
+        console.error('IndexedDB read error:', error);
+        resolve([]);
+      }
+    });
+  }
+
   // Estimate tiles for a route (for UI display)
   estimateTilesForRoute(route, options = {}) {
     const {
@@ -5,13 +5,61 @@ import { elevenLabsService } from './ElevenLabsService';
 import { audioService } from './AudioService';
 import { flightDataService } from './FlightDataService';
 import { landmarkService } from './LandmarkService';
+import { gazetteerService } from './GazetteerService';
+import { liveNarrationCacheService } from './LiveNarrationCacheService';
 import { mapTileService } from './MapTileService';
+import { downloadJobService, DOWNLOAD_STAGES } from './DownloadJobService';
+import { packDatabaseService } from './PackDatabaseService';
+import { speechService } from './SpeechService';
+import { usageService } from './UsageService';
 import { isApiKeyConfigured } from '../config/api';
-import { routeToCheckpoints, estimateFlightDuration, formatDuration } from '../utils/routeUtils';
+import { isAbortError, throwIfAborted } from '../utils/abort';
+import { createUsage, estimatePackUsage, isBudgetError } from '../utils/usage';
+import { mapWithConcurrency } from '../utils/concurrency';
+import { calculateBearing, calculateDistance } from '../utils/geofence';
+import {
+  createNarration,
+  validateNarration,
+  getNarrationText,
+  getNarrationOpening,
+  findRepetition,
+  summarizeNarrations,
+} from '../utils/narration';
+import { CURRENT_PACK_SCHEMA_VERSION, migratePack, parseStoredPack } from '../utils/packSchema';
+import {
+  routeToCheckpoints,
+  getCheckpointOptions,
+  estimateFlightDuration,
+  formatDuration,
+  DEFAULT_CHECKPOINT_DENSITY,
+} from '../utils/routeUtils';
 import { createLogger } from '../utils/logger';
 
 const log = createLogger('NarrationService');
 
+// Packs that fail to parse or validate are moved aside (kept for diagnosis)
+// so one bad file can't break loading the others
+const QUARANTINE_DIR = 'quarantine';
+
+// Unreferenced audio younger than this is left alone by collectOrphanedAudio:
+// it may belong to a generation that hasn't been saved into a pack or job yet,
+// or to a live narration that is still playing
+const AUDIO_GC_GRACE_MS = 60 * 60 * 1000;
+
+// Offline Scan Horizon: a checkpoint this close (or within twice its geofence)
+// is what you're looking at
+const NEAR_CHECKPOINT_DISTANCE = 30000;
+
+const COMPASS_WORDS = ['north', 'north-east', 'east', 'south-east', 'south', 'south-west', 'west', 'north-west'];
+
+// Distances as they'd be read aloud: "about 40 kilometres"
+function describeDistance(meters) {
+  const km = meters / 1000;
+  if (km < 1) return 'less than a kilometre';
+  const rounded = km < 20 ? Math.round(km) : Math.round(km / 10) * 10;
+  return `about ${rounded} kilometre${rounded === 1 ? '' : 's'}`;
+}
+
 // Narration cache directory using new expo-file-system API
 let narrationCacheDir = null;
 
@@ -19,10 +67,22 @@ class NarrationService {
   constructor() {
     this.flightPacks = new Map();
     this.currentFlightPack = null;
+    this.currentTrip = null; // { trip, packs, legIndex } while flying a multi-leg trip
     this.currentCheckpointIndex = 0;
     this.ensureCacheDir();
     this.initAudio();
 
+    // Download in progress: { packId, controller }
+    this.activeDownload = null;
+
+    // How many checkpoints a pack gets (narration settings)
+    this.checkpointSettings = {
+      density: DEFAULT_CHECKPOINT_DENSITY,
+      checkpointsPerFlight: 20,
+      geofenceRadius: 15000,
+    };
+    this.previewFeatures = null; // { route, features } last found for a preview
+
     // Queue state
     this.queueActive = false;
     this.queueIndex = 0;
@@ -32,14 +92,25 @@ class NarrationService {
   async initAudio() {
     await audioService.initialize();
 
-    // Listen for audio completion to advance queue
-    audioService.subscribe((event) => {
+    // Listen for speech completion (any provider) to advance queue
+    speechService.subscribe((event) => {
       if (event === 'finished' && this.queueActive) {
         this.playNextInQueue();
       }
     });
   }
 
+  // Web packs live in IndexedDB; packs left in localStorage by earlier builds
+  // are moved over on first access
+  async ensureWebStore() {
+    if (!this.webStoreReady) {
+      this.webStoreReady = packDatabaseService.migrateFromLocalStorage().catch((error) => {
+        log.warn('localStorage pack migration failed', { error: error?.message });
+      });
+    }
+    await this.webStoreReady;
+  }
+
   async ensureCacheDir() {
     if (Platform.OS === 'web') return null;
     if (!narrationCacheDir) {
@@ -51,225 +122,729 @@ class NarrationService {
     return narrationCacheDir;
   }
 
-  // Generate narration for current position (live mode)
+  /**
+   * Generate narration for the current position (live mode). Narrations are
+   * cached per map cell and narration preferences, so scanning again nearby
+   * (or on a later flight over the same area) doesn't call Claude.
+   * @returns {Promise<{ text: string, cached: boolean }>}
+   */
   async generateLiveNarration(latitude, longitude, altitude) {
-    if (!claudeService.isConfigured()) {
-      return this.getMockNarration();
+    const preferences = claudeService.getNarrationPreferences();
+    const cached = await liveNarrationCacheService.get(latitude, longitude, preferences);
+    if (cached) {
+      log.info('Using cached live narration', { cell: cached.cell });
+      return { text: cached.text, cached: true };
     }
 
-    try {
-      return await claudeService.generateNarration(latitude, longitude, altitude);
-    } catch (error) {
-      log.error('Live narration failed', error);
-      return this.getMockNarration();
+    // A reached spend cap leaves Scan Horizon on cached and offline narrations
+    if (claudeService.isConfigured() && !(await usageService.checkBudget())) {
+      try {
+        const narration = await claudeService.generateNarration(latitude, longitude, altitude);
+        const text = narration ? getNarrationText(narration) : null;
+        if (text) {
+          await liveNarrationCacheService.put(latitude, longitude, preferences, text);
+          return { text, cached: false };
+        }
+      } catch (error) {
+        log.error('Live narration failed', error);
+      }
     }
+
+    // Offline: a narration from an earlier flight over this cell (even with
+    // other preferences) beats a composed one
+    const previous = await liveNarrationCacheService.findInCell(latitude, longitude, preferences);
+    if (previous) {
+      return { text: previous.text, cached: true };
+    }
+    return { text: this.getOfflineNarration(latitude, longitude, altitude), cached: false };
   }
 
-  // Download and cache a complete flight pack
-  async downloadFlightPack(flightNumber, onProgress) {
+  /**
+   * Scan Horizon without Claude. With a pack loaded, describes where you are
+   * on the route (the checkpoint being passed, what's behind and what's next);
+   * the scenery itself comes from the checkpoint's narration or the offline
+   * gazetteer.
+   */
+  getOfflineNarration(latitude, longitude, altitude) {
+    const place = gazetteerService.findNarration({ latitude, longitude, altitude });
+    const checkpoints = this.getCurrentCheckpoints();
+    if (checkpoints.length === 0) {
+      return place.narration;
+    }
+
+    const { previous, next } = this.locateOnRoute(checkpoints, latitude, longitude);
+    const distanceTo = (checkpoint) =>
+      calculateDistance(latitude, longitude, checkpoint.latitude, checkpoint.longitude);
+    const isNear = (checkpoint) => checkpoint &&
+      distanceTo(checkpoint) <= Math.max(NEAR_CHECKPOINT_DISTANCE, 2 * (checkpoint.radius || 0)) &&
+      getNarrationText(checkpoint.narration);
+
+    const parts = [];
+    let lead = null;
+    if (isNear(next)) {
+      lead = next;
+      parts.push(`We're approaching ${next.name}. ${getNarrationText(next.narration)}`);
+    } else if (isNear(previous)) {
+      lead = previous;
+      const passing = previous.type === 'arrival' ? `We're arriving at ${previous.name}.` : `We've just passed ${previous.name}.`;
+      parts.push(`${passing} ${getNarrationText(previous.narration)}`);
+    } else {
+      parts.push(place.narration);
+    }
+
+    if (previous && previous !== lead) {
+      parts.push(`${previous.name} is ${describeDistance(distanceTo(previous))} behind us.`);
+    }
+    if (next && next !== lead) {
+      const bearing = calculateBearing(latitude, longitude, next.latitude, next.longitude);
+      const direction = COMPASS_WORDS[Math.round(bearing / 45) % 8];
+      const label = next.type === 'arrival' ? `our destination, ${next.name}` : next.name;
+      parts.push(`Next up is ${label}, ${describeDistance(distanceTo(next))} to the ${direction}.`);
+    }
+    return parts.join(' ');
+  }
+
+  /**
+   * Where a position falls along a pack's checkpoints
+   * @returns {{ previous: Object|null, next: Object|null }} The last checkpoint
+   *   passed and the one ahead (null before departure / after arrival)
+   */
+  locateOnRoute(checkpoints, latitude, longitude) {
+    let nearest = 0;
+    let nearestDistance = Infinity;
+    checkpoints.forEach((checkpoint, index) => {
+      const distance = calculateDistance(latitude, longitude, checkpoint.latitude, checkpoint.longitude);
+      if (distance < nearestDistance) {
+        nearest = index;
+        nearestDistance = distance;
+      }
+    });
+
+    // Passed the nearest checkpoint if we're on the far side of it, i.e.
+    // within 90° of the direction of travel from it
+    const heading = this.getCheckpointHeading(checkpoints, nearest);
+    const checkpoint = checkpoints[nearest];
+    let passed = false;
+    if (heading !== null && nearestDistance > 0) {
+      const toPosition = calculateBearing(checkpoint.latitude, checkpoint.longitude, latitude, longitude);
+      const offset = Math.abs(((toPosition - heading + 540) % 360) - 180);
+      passed = offset < 90;
+    }
+
+    const nextIndex = passed ? nearest + 1 : nearest;
+    return {
+      previous: checkpoints[nextIndex - 1] || null,
+      next: checkpoints[nextIndex] || null,
+    };
+  }
+
+  // Download and cache a complete flight pack. Progress is persisted after each
+  // stage so an interrupted download resumes where it stopped.
+  //
+  // Pass options.signal (or call cancelDownload()) to cancel. A cancelled
+  // download rejects with an AbortError and removes everything it wrote.
+  //
+  // Paid requests are charged to the pack's usage record. Reaching a spend
+  // cap rejects with a BudgetExceededError and keeps the job; downloading
+  // again with options.approveBudget resumes it past the cap.
+  async downloadFlightPack(flightNumber, onProgress, options = {}) {
     const packId = flightNumber.toUpperCase().replace(/\s/g, '');
-    const timer = log.time(`downloadFlightPack(${packId})`);
-    log.info('Starting flight pack download', { flightNumber, packId });
 
-    // Fetch flight route data
-    if (onProgress) onProgress('Fetching flight route...');
-    let flightData;
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (options.signal?.aborted) {
+      controller.abort();
+    } else {
+      options.signal?.addEventListener('abort', onAbort);
+    }
+    this.activeDownload = { packId, controller };
+
+    let job = await downloadJobService.loadJob(packId);
+    if (job && downloadJobService.isJobExpired(job)) {
+      log.info('Discarding expired download job', { packId, createdAt: job.createdAt });
+      await this.cleanupPartialDownload(job);
+      job = null;
+    }
+    if (job) {
+      log.info('Resuming flight pack download', { packId, stage: job.stage, narrationIndex: job.narrationIndex });
+    } else {
+      log.info('Starting flight pack download', { flightNumber, packId });
+      job = downloadJobService.createJob(packId, flightNumber);
+    }
+    if (!job.usage) {
+      job.usage = createUsage({ detailed: true });
+    }
+    if (options.approveBudget) {
+      job.usage.overBudgetApproved = true;
+    }
+
     try {
-      flightData = await flightDataService.getFlightRoute(flightNumber);
-      log.info('Flight route fetched', { packId, routeLength: flightData?.route?.length, usingMock: flightData?.usingMockData });
+      return await this.runDownloadStages(job, onProgress, controller.signal);
     } catch (error) {
-      log.error('Failed to fetch flight route', { packId, error: error.message });
-      throw new Error(`Could not fetch flight data for ${flightNumber}: ${error.message}`);
+      if (isAbortError(error)) {
+        log.info('Flight pack download cancelled', { packId, stage: job.stage });
+        await this.cleanupPartialDownload(job);
+      } else if (isBudgetError(error)) {
+        log.info('Flight pack download paused at spend cap', { packId, stage: job.stage, ...error.budget });
+        await downloadJobService.saveJob(job);
+      }
+      throw error;
+    } finally {
+      options.signal?.removeEventListener('abort', onAbort);
+      if (this.activeDownload?.controller === controller) {
+        this.activeDownload = null;
+      }
     }
+  }
 
-    if (!flightData || !flightData.route || flightData.route.length < 2) {
-      log.error('Invalid flight data received', { packId, hasData: !!flightData, routeLength: flightData?.route?.length });
-      throw new Error(`No valid route data found for ${flightNumber}. Try a different flight number.`);
+  // Cancel the download in progress. Returns false if nothing is downloading.
+  cancelDownload() {
+    if (!this.activeDownload) return false;
+    log.info('Cancelling flight pack download', { packId: this.activeDownload.packId });
+    this.activeDownload.controller.abort();
+    return true;
+  }
+
+  isDownloading() {
+    return this.activeDownload !== null;
+  }
+
+  async runDownloadStages(job, onProgress, signal) {
+    const { packId, flightNumber } = job;
+    const timer = log.time(`downloadFlightPack(${packId})`);
+
+    // Jobs persisted by an older build hold an older pack schema
+    if (job.pack) {
+      ({ pack: job.pack } = migratePack(job.pack));
     }
 
-    const pack = {
-      id: packId,
-      flightNumber: packId,
-      downloadedAt: new Date().toISOString(),
-      airline: flightData.airline,
-      origin: flightData.origin,
-      destination: flightData.destination,
-      departureTime: flightData.departureTime,
-      arrivalTime: flightData.arrivalTime,
-      aircraft: flightData.aircraft,
-      route: flightData.route,
-      checkpoints: [],
-      estimatedDuration: null,
+    const advance = async (stage) => {
+      throwIfAborted(signal);
+      job.stage = stage;
+      await downloadJobService.saveJob(job);
     };
 
-    // Calculate estimated flight duration
-    if (flightData.route?.length >= 2) {
-      pack.estimatedDuration = estimateFlightDuration(flightData.route);
+    // A resumed job must still be for the same flight: the flight number may
+    // fly a different route or day now. If not (or the job predates route
+    // signatures), its work is thrown away.
+    let flightData = null;
+    if (job.stage !== DOWNLOAD_STAGES.ROUTE) {
+      if (onProgress) onProgress('Checking flight route...');
+      flightData = await this.fetchFlightRoute(job, signal);
+      if (downloadJobService.getRouteSignature(flightData) !== job.routeSignature) {
+        log.info('Flight route changed since the download started, starting over', { packId });
+        const { usage } = job;
+        await this.cleanupPartialDownload(job);
+        Object.assign(job, downloadJobService.createJob(packId, flightNumber), { usage });
+      }
     }
 
-    // Convert route to checkpoints
-    if (onProgress) onProgress('Creating checkpoints...');
-    let checkpoints;
-    try {
-      checkpoints = routeToCheckpoints(flightData.route, {
-        numCheckpoints: 20,
-        minSpacing: 80000, // 80km minimum between checkpoints
-        geofenceRadius: 15000, // 15km trigger radius
-      });
-      log.info('Checkpoints created', { packId, count: checkpoints?.length });
-    } catch (error) {
-      log.error('Failed to create checkpoints', { packId, error: error.message });
-      throw new Error(`Failed to process route for ${flightNumber}: ${error.message}`);
+    // Fetch flight route data
+    if (job.stage === DOWNLOAD_STAGES.ROUTE) {
+      if (!flightData) {
+        if (onProgress) onProgress('Fetching flight route...');
+        flightData = await this.fetchFlightRoute(job, signal);
+      }
+
+      job.usingMockData = !!flightData.usingMockData;
+      job.routeSignature = downloadJobService.getRouteSignature(flightData);
+      job.pack = {
+        schemaVersion: CURRENT_PACK_SCHEMA_VERSION,
+        id: packId,
+        flightNumber: packId,
+        downloadedAt: new Date().toISOString(),
+        airline: flightData.airline,
+        origin: flightData.origin,
+        destination: flightData.destination,
+        departureTime: flightData.departureTime,
+        arrivalTime: flightData.arrivalTime,
+        aircraft: flightData.aircraft,
+        route: flightData.route,
+        checkpoints: [],
+        estimatedDuration: estimateFlightDuration(flightData.route),
+      };
+      await advance(DOWNLOAD_STAGES.CHECKPOINTS);
     }
 
-    // Enrich checkpoints with landmark data (skip in demo mode - no point hitting APIs for mock routes)
-    if (flightData.usingMockData) {
-      log.info('Skipping landmark enrichment (demo mode)', { packId });
-    } else {
-      if (onProgress) onProgress('Identifying landmarks...');
-      try {
-        checkpoints = await landmarkService.enrichCheckpoints(checkpoints, {
+    const pack = job.pack;
+
+    // Convert route to checkpoints, anchored on notable features along it
+    // where there are any (not for mock routes)
+    if (job.stage === DOWNLOAD_STAGES.CHECKPOINTS) {
+      let features = [];
+      if (!job.usingMockData) {
+        if (onProgress) onProgress('Finding landmarks along the route...');
+        features = await this.findRouteFeatures(pack.route, {
+          signal,
           onProgress: (done, total) => {
-            if (onProgress) onProgress(`Identifying landmarks (${done}/${total})...`);
+            if (onProgress) onProgress(`Finding landmarks along the route (${done}/${total})...`);
           },
         });
+      }
+
+      if (onProgress) onProgress('Creating checkpoints...');
+      try {
+        pack.checkpoints = routeToCheckpoints(pack.route, {
+          ...this.getCheckpointOptions(pack.route),
+          features,
+        });
+        log.info('Checkpoints created', {
+          packId,
+          count: pack.checkpoints?.length,
+          onLandmarks: pack.checkpoints?.filter(c => c.type === 'landmark').length,
+        });
       } catch (error) {
-        log.warn('Landmark enrichment failed, using default names', error);
+        log.error('Failed to create checkpoints', { packId, error: error.message });
+        throw new Error(`Failed to process route for ${flightNumber}: ${error.message}`);
+      }
+      await advance(DOWNLOAD_STAGES.LANDMARKS);
+    }
+
+    // Enrich checkpoints with landmark data (skip in demo mode - no point hitting APIs for mock routes)
+    if (job.stage === DOWNLOAD_STAGES.LANDMARKS) {
+      if (job.usingMockData) {
+        log.info('Skipping landmark enrichment (demo mode)', { packId });
+      } else {
+        if (onProgress) onProgress('Identifying landmarks...');
+        try {
+          pack.checkpoints = await landmarkService.enrichCheckpoints(pack.checkpoints, {
+            onProgress: (done, total) => {
+              if (onProgress) onProgress(`Identifying landmarks (${done}/${total})...`);
+            },
+            signal,
+          });
+        } catch (error) {
+          if (isAbortError(error)) throw error;
+          log.warn('Landmark enrichment failed, using default names', error);
+        }
       }
+      job.narrationIndex = 0;
+      await advance(DOWNLOAD_STAGES.NARRATIONS);
     }
 
     // Generate narrations for each checkpoint
-    if (claudeService.isConfigured()) {
-      if (onProgress) onProgress('Generating AI narrations...');
+    if (job.stage === DOWNLOAD_STAGES.NARRATIONS) {
+      const checkpoints = pack.checkpoints;
+      // Gazetteer entries already used by offline fallbacks in this pack
+      const usedLandmarks = new Set();
+
+      if (claudeService.isConfigured()) {
+        if (onProgress) onProgress('Generating AI narrations...');
+
+        // Checkpoints narrated before an interruption already have a narration
+        // key (possibly null if generation failed). The rest run in parallel,
+        // bounded by the Claude pool.
+        const isPending = ({ checkpoint }) => !('narration' in checkpoint);
+        let pending = checkpoints
+          .map((checkpoint, index) => ({ checkpoint, index }))
+          .filter(isPending);
+        let done = checkpoints.length - pending.length;
+        const narrationContext = this.getNarrationContext(pack);
+        // Heading lets the model say which window to look out of
+        const headingAt = (index) => this.getCheckpointHeading(checkpoints, index);
+
+        // Batch mode: a few requests covering every pending checkpoint. Anything
+        // the batch responses miss falls through to per-checkpoint calls.
+        if (claudeService.isBatchEnabled() && pending.length > 1) {
+          if (onProgress) onProgress(`Generating ${pending.length} narrations...`);
+          // A resumed download's earlier narrations carry over as context
+          const firstPending = pending[0].index;
+          const batch = await claudeService.generateBatchNarrations(
+            pending.map(({ checkpoint, index }) => ({ ...checkpoint, heading: headingAt(index) })),
+            {
+              ...narrationContext,
+              previousNarrations: summarizeNarrations(this.getEarlierNarrations(pack, firstPending)),
+            },
+            { signal, usage: job.usage }
+          );
 
-      for (let i = 0; i < checkpoints.length; i++) {
-        const checkpoint = checkpoints[i];
-        try {
-          if (onProgress) {
-            onProgress(`Generating narration ${i + 1}/${checkpoints.length}...`);
+          if (batch) {
+            // Pending is in route order, so each narration is checked against
+            // everything accepted before it. Repeats are left for the
+            // per-checkpoint calls below, which regenerate with context.
+            for (const { checkpoint, index } of pending) {
+              const narration = batch[checkpoint.id];
+              if (!narration) continue;
+              if (findRepetition(narration, this.getEarlierNarrations(pack, index))) {
+                log.info('Batch narration repeats an earlier one', { packId, checkpointId: checkpoint.id });
+                continue;
+              }
+              checkpoint.narration = narration;
+              done++;
+            }
+            job.narrationIndex = done;
+            await downloadJobService.saveJob(job);
+            if (onProgress) onProgress(`Generating narration ${done}/${checkpoints.length}...`);
           }
 
-          checkpoint.narration = await claudeService.generateNarration(
-            checkpoint.latitude,
-            checkpoint.longitude,
-            checkpoint.altitude,
-            {
-              flightInfo: `${pack.airline || ''} flight ${packId}`,
-              checkpoint: {
-                name: checkpoint.name,
-                type: checkpoint.type,
-                landmark: checkpoint.landmark,
-              },
-              origin: pack.origin?.name,
-              destination: pack.destination?.name,
-              checkpointIndex: i,
-              totalCheckpoints: checkpoints.length,
+          pending = pending.filter(isPending);
+          if (pending.length > 0) {
+            log.warn('Batch narration incomplete, falling back to per-checkpoint calls', {
+              packId,
+              missing: pending.length,
+            });
+          }
+        }
+
+        // Parallel calls can't see each other's narrations, so a pool result
+        // may repeat a neighbour that finished after it started. In batch mode
+        // the fallback runs in route order instead, keeping the continuity the
+        // batch was for; otherwise the pool's results are rechecked below.
+        const inOrder = claudeService.isBatchEnabled();
+        const generated = [];
+        await mapWithConcurrency(
+          pending,
+          async ({ checkpoint, index }) => {
+            const { narration, generated: fromClaude } = await this.narrateCheckpoint(pack, index, {
+              signal,
+              usage: job.usage,
+              used: usedLandmarks,
+            });
+            checkpoint.narration = narration;
+            if (fromClaude) generated.push(index);
+
+            // Persist each narration so a restart doesn't pay for it again
+            done++;
+            job.narrationIndex = done;
+            if (onProgress) {
+              onProgress(`Generating narration ${done}/${checkpoints.length}...`);
             }
-          );
-        } catch (error) {
-          log.error(`Failed to generate narration for checkpoint ${i}`, error);
-          checkpoint.narration = this.getDefaultNarration(checkpoint);
+            await downloadJobService.saveJob(job);
+          },
+          { concurrency: inOrder ? 1 : claudeService.getConcurrency(), signal }
+        );
+
+        if (!inOrder) {
+          await this.regenerateRepeatedNarrations(pack, generated.sort((a, b) => a - b), {
+            signal,
+            usage: job.usage,
+          });
+          await downloadJobService.saveJob(job);
         }
+      } else {
+        // Offline narrations from the gazetteer
+        checkpoints.forEach(checkpoint => {
+          checkpoint.narration = this.getDefaultNarration(checkpoint, { used: usedLandmarks });
+        });
       }
-    } else {
-      // Use default narrations
-      checkpoints.forEach(checkpoint => {
-        checkpoint.narration = this.getDefaultNarration(checkpoint);
-      });
-    }
 
-    pack.checkpoints = checkpoints;
-    log.info('Checkpoints assigned to pack', { packId, count: checkpoints.length });
+      log.info('Checkpoints assigned to pack', { packId, count: checkpoints.length });
+      await advance(DOWNLOAD_STAGES.MAPS);
+    }
 
     // Download offline map tiles (skip in demo mode — no point caching maps for mock routes)
-    if (flightData.usingMockData) {
-      log.info('Skipping map download (demo mode)', { packId });
-      pack.hasOfflineMaps = false;
-      pack.mapTilesDownloaded = 0;
-    } else {
-      if (onProgress) onProgress('Downloading offline maps...');
-      log.info('Starting map tile download', { routeLength: flightData.route?.length, packId });
-      try {
-        if (flightData.route && flightData.route.length >= 2) {
-          const mapResult = await mapTileService.preCacheTilesForRoute(
-            flightData.route,
-            packId,
-            (mapProgress) => {
-              if (onProgress && mapProgress && mapProgress.status === 'downloading') {
-                const pct = Math.round((mapProgress.current / mapProgress.total) * 100);
-                onProgress(`Downloading maps (${pct}%)...`);
-              }
-            },
-            { includeHighDetail: false }
-          );
-          pack.hasOfflineMaps = mapResult?.success || false;
-          pack.mapTilesDownloaded = mapResult?.tilesDownloaded || mapResult?.mapsDownloaded || 0;
-        } else {
-          log.warn('Skipping map download - invalid route');
-          pack.hasOfflineMaps = false;
-        }
-      } catch (error) {
-        log.warn('Map tile download failed, continuing without offline maps', error);
+    if (job.stage === DOWNLOAD_STAGES.MAPS) {
+      if (job.usingMockData) {
+        log.info('Skipping map download (demo mode)', { packId });
         pack.hasOfflineMaps = false;
         pack.mapTilesDownloaded = 0;
+      } else {
+        if (onProgress) onProgress('Downloading offline maps...');
+        log.info('Starting map tile download', { routeLength: pack.route?.length, packId });
+        try {
+          if (pack.route && pack.route.length >= 2) {
+            const mapResult = await mapTileService.preCacheTilesForRoute(
+              pack.route,
+              packId,
+              (mapProgress) => {
+                if (onProgress && mapProgress && mapProgress.status === 'downloading') {
+                  const pct = Math.round((mapProgress.current / mapProgress.total) * 100);
+                  onProgress(`Downloading maps (${pct}%)...`);
+                }
+              },
+              { includeHighDetail: false, signal }
+            );
+            pack.hasOfflineMaps = mapResult?.success || false;
+            pack.mapTilesDownloaded = mapResult?.tilesDownloaded || mapResult?.mapsDownloaded || 0;
+          } else {
+            log.warn('Skipping map download - invalid route');
+            pack.hasOfflineMaps = false;
+          }
+        } catch (error) {
+          if (isAbortError(error)) throw error;
+          log.warn('Map tile download failed, continuing without offline maps', error);
+          pack.hasOfflineMaps = false;
+          pack.mapTilesDownloaded = 0;
+        }
       }
+      await advance(DOWNLOAD_STAGES.AUDIO);
     }
 
     // Generate audio for narrations if ElevenLabs is configured
     // Use elevenLabsService.isConfigured() to check runtime config (set via Settings)
-    const elevenLabsConfigured = elevenLabsService.isConfigured();
-    log.info('ElevenLabs configured check', { configured: elevenLabsConfigured });
-    
-    if (elevenLabsConfigured) {
-      if (onProgress) onProgress('Generating voice narrations...');
-      log.info('Starting audio generation', { checkpointCount: pack.checkpoints?.length });
-      try {
-        const audioResult = await this.generateFlightPackAudio(pack, (done, total) => {
-          if (onProgress) onProgress(`Generating voice ${done}/${total}...`);
-        });
-        pack.hasAudio = audioResult?.checkpoints?.some(c => c.audioPath) || false;
-        log.info('Audio generation complete', { hasAudio: pack.hasAudio });
-      } catch (error) {
-        log.warn('Audio generation failed, continuing without voice', error);
+    if (job.stage === DOWNLOAD_STAGES.AUDIO) {
+      const elevenLabsConfigured = elevenLabsService.isConfigured();
+      log.info('ElevenLabs configured check', { configured: elevenLabsConfigured });
+
+      if (elevenLabsConfigured) {
+        if (onProgress) onProgress('Generating voice narrations...');
+        log.info('Starting audio generation', { checkpointCount: pack.checkpoints?.length });
+        try {
+          // Checkpoints voiced before an interruption keep their audio
+          await this.generateFlightPackAudio(
+            pack,
+            (done, total) => {
+              if (onProgress) onProgress(`Generating voice ${done}/${total}...`);
+            },
+            {
+              skipExisting: true,
+              save: false,
+              signal,
+              usage: job.usage,
+              onCheckpointAudio: () => downloadJobService.saveJob(job),
+            }
+          );
+          pack.hasAudio = pack.checkpoints?.some(c => c.audioPath) || false;
+          log.info('Audio generation complete', { hasAudio: pack.hasAudio });
+        } catch (error) {
+          if (isAbortError(error) || isBudgetError(error)) throw error;
+          log.warn('Audio generation failed, continuing without voice', error);
+          pack.hasAudio = pack.checkpoints?.some(c => c.audioPath) || false;
+        }
+      } else {
+        log.debug('ElevenLabs not configured, skipping audio generation');
         pack.hasAudio = false;
       }
-    } else {
-      log.debug('ElevenLabs not configured, skipping audio generation');
-      pack.hasAudio = false;
+      await advance(DOWNLOAD_STAGES.SAVE);
     }
 
+    // Approval to go over budget covered this download only
+    delete job.usage.overBudgetApproved;
+    pack.usage = job.usage;
+
     // Save to cache
-    log.info('Saving flight pack to cache', { packId, checkpointCount: pack.checkpoints?.length });
+    log.info('Saving flight pack to cache', { packId, checkpointCount: pack.checkpoints?.length, cost: pack.usage.cost });
     try {
       await this.saveFlightPack(pack);
     } catch (error) {
       log.warn('Failed to save flight pack to cache, continuing anyway', { error: error?.message });
     }
     this.flightPacks.set(packId, pack);
+    await downloadJobService.clearJob(packId);
 
     timer.end({ success: true, hasOfflineMaps: pack.hasOfflineMaps, hasAudio: pack.hasAudio });
     return pack;
   }
 
-  getDefaultNarration(checkpoint) {
-    // Simple inline narrations (no external dependencies)
-    const type = checkpoint?.type?.toLowerCase();
-    if (type === 'departure') {
-      return "We've just departed and are climbing to cruise altitude. Below you can see the landscape transitioning as we gain height.";
+  // Fetch and check the route for a download job
+  async fetchFlightRoute(job, signal) {
+    const { packId, flightNumber } = job;
+    let flightData;
+    try {
+      flightData = await flightDataService.getFlightRoute(flightNumber, { signal, usage: job.usage });
+      log.info('Flight route fetched', { packId, routeLength: flightData?.route?.length, usingMock: flightData?.usingMockData });
+    } catch (error) {
+      if (isAbortError(error) || isBudgetError(error)) throw error;
+      log.error('Failed to fetch flight route', { packId, error: error.message });
+      throw new Error(`Could not fetch flight data for ${flightNumber}: ${error.message}`);
+    }
+
+    if (!flightData || !flightData.route || flightData.route.length < 2) {
+      log.error('Invalid flight data received', { packId, hasData: !!flightData, routeLength: flightData?.route?.length });
+      throw new Error(`No valid route data found for ${flightNumber}. Try a different flight number.`);
+    }
+    return flightData;
+  }
+
+  // Unfinished downloads left behind by an app restart. Expired ones are
+  // cleaned up rather than offered.
+  async getPendingDownloads() {
+    const jobs = await downloadJobService.listJobs();
+    const pending = [];
+    for (const job of jobs) {
+      if (downloadJobService.isJobExpired(job)) {
+        await this.cleanupPartialDownload(job);
+      } else {
+        pending.push(job);
+      }
     }
-    if (type === 'arrival') {
-      return "We're beginning our descent towards our destination. You may notice the landscape becoming more detailed as we descend.";
+    return pending;
+  }
+
+  async discardPendingDownload(flightNumber) {
+    const packId = flightNumber.toUpperCase().replace(/\s/g, '');
+    const job = await downloadJobService.loadJob(packId);
+    if (job) {
+      await this.cleanupPartialDownload(job);
+    }
+  }
+
+  // Remove the audio, maps and job state written by an unfinished download
+  async cleanupPartialDownload(job) {
+    const { packId } = job;
+
+    // Audio and maps are keyed by pack id; leave them alone if a finished
+    // copy of this pack is already cached
+    const cachedPack = await this.loadFlightPack(packId);
+    if (!cachedPack) {
+      await this.releaseAudio(
+        (job.pack?.checkpoints || []).map(c => c.audioPath),
+        { excludePackId: packId }
+      );
+
+      try {
+        await mapTileService.clearTileCache(packId);
+      } catch (error) {
+        log.warn('Failed to clear partial map cache', { packId, error: error?.message });
+      }
     }
-    return "We're cruising at altitude. The landscape below tells a story of geological and human history spanning millions of years.";
+
+    await downloadJobService.clearJob(packId);
+    log.info('Partial download cleaned up', { packId });
+  }
+
+  // Offline narration from the gazetteer. Pass the same options.used set for
+  // every checkpoint of a pack so one landmark isn't narrated over and over;
+  // each curated entry picked is added to it.
+  getDefaultNarration(checkpoint, { used } = {}) {
+    const entry = gazetteerService.findNarration(checkpoint || {}, { exclude: used });
+    if (!entry.generic) {
+      used?.add(entry.id);
+    }
+    return createNarration({
+      title: (entry.generic ? checkpoint?.name : entry.name) || null,
+      body: entry.narration,
+    });
+  }
+
+  /**
+   * Claude's narration for a pack checkpoint, or the nearest curated one
+   * when Claude isn't available or fails (generateNarration resolves with
+   * null rather than throwing). Cancellation and spend caps still throw.
+   * @param {Object} pack
+   * @param {number} index - Checkpoint index
+   * @param {Object} [options] - { signal, usage, used (gazetteer ids already narrated) }
+   * @returns {Promise<{ narration: Object, generated: boolean }>} generated
+   *   is true when Claude wrote it
+   */
+  async narrateCheckpoint(pack, index, options = {}) {
+    const { signal, usage, used } = options;
+    const checkpoint = pack.checkpoints[index];
+    let narration = null;
+    if (claudeService.isConfigured()) {
+      try {
+        narration = await this.generateCheckpointNarration(pack, index, { signal, usage });
+      } catch (error) {
+        if (isAbortError(error) || isBudgetError(error)) throw error;
+        log.error(`Failed to generate narration for checkpoint ${index}`, error);
+      }
+    }
+    if (narration) {
+      return { narration, generated: true };
+    }
+    return { narration: this.getDefaultNarration(checkpoint, { used }), generated: false };
+  }
+
+  // Flight-level context shared by every narration request for a pack
+  getNarrationContext(pack) {
+    return {
+      flightInfo: `${pack.airline || ''} flight ${pack.id}`,
+      origin: pack.origin?.name,
+      destination: pack.destination?.name,
+      totalCheckpoints: pack.checkpoints.length,
+    };
+  }
+
+  // Recheck narrations generated in parallel against their final earlier
+  // neighbours, in route order, and regenerate the ones that repeat. A
+  // regeneration that fails keeps the original.
+  async regenerateRepeatedNarrations(pack, indexes, options = {}) {
+    const { signal, usage } = options;
+    for (const index of indexes) {
+      const checkpoint = pack.checkpoints[index];
+      if (!findRepetition(checkpoint.narration, this.getEarlierNarrations(pack, index))) continue;
+
+      log.info('Parallel narration repeats a neighbour, regenerating', {
+        packId: pack.id,
+        checkpointId: checkpoint.id,
+      });
+      try {
+        const narration = await this.generateCheckpointNarration(pack, index, { signal, usage });
+        if (narration) checkpoint.narration = narration;
+      } catch (error) {
+        if (isAbortError(error) || isBudgetError(error)) throw error;
+        log.error(`Failed to regenerate narration for checkpoint ${index}`, error);
+      }
+    }
+  }
+
+  // Narrations of the checkpoints before index, in route order
+  getEarlierNarrations(pack, index) {
+    return pack.checkpoints.slice(0, index).map(c => c.narration).filter(Boolean);
+  }
+
+  // Ask Claude for one checkpoint's narration (null if generation failed).
+  // options.style overrides contentFocus / length for this request.
+  //
+  // The prompt carries a summary of what earlier checkpoints said; a result
+  // that still repeats one of them is regenerated once with that pointed out.
+  async generateCheckpointNarration(pack, index, options = {}) {
+    const { signal, style, usage } = options;
+    const checkpoint = pack.checkpoints[index];
+    const earlier = this.getEarlierNarrations(pack, index);
+    const context = {
+      ...this.getNarrationContext(pack),
+      checkpoint: {
+        name: checkpoint.name,
+        type: checkpoint.type,
+        landmark: checkpoint.landmark,
+      },
+      checkpointIndex: index,
+      heading: this.getCheckpointHeading(pack.checkpoints, index),
+      previousNarrations: summarizeNarrations(earlier),
+    };
+    const generate = (extraContext = {}) => claudeService.generateNarration(
+      checkpoint.latitude,
+      checkpoint.longitude,
+      checkpoint.altitude,
+      { ...context, ...extraContext },
+      { signal, style, usage }
+    );
+
+    const narration = await generate();
+    const repetition = narration && findRepetition(narration, earlier);
+    if (!repetition) return narration;
+
+    log.info('Narration repeats an earlier one, regenerating', {
+      packId: pack.id,
+      checkpointId: checkpoint.id,
+      similarity: Math.round(repetition.similarity * 100) / 100,
+      sameOpening: repetition.sameOpening,
+    });
+    const retry = await generate({
+      repeated: {
+        title: repetition.narration.title,
+        opening: repetition.sameOpening ? getNarrationOpening(narration) : null,
+      },
+    });
+    // Keep the retry unless it repeats even more
+    const retryRepetition = retry && findRepetition(retry, earlier);
+    if (!retry || (retryRepetition && retryRepetition.similarity > repetition.similarity)) {
+      return narration;
+    }
+    return retry;
+  }
+
+  // Direction of travel at a checkpoint (towards the next one; the last
+  // checkpoint uses the bearing from its predecessor)
+  getCheckpointHeading(checkpoints, index) {
+    const from = index < checkpoints.length - 1 ? checkpoints[index] : checkpoints[index - 1];
+    const to = index < checkpoints.length - 1 ? checkpoints[index + 1] : checkpoints[index];
+    if (!from || !to || from === to) return null;
+    return calculateBearing(from.latitude, from.longitude, to.latitude, to.longitude);
   }
 
   async saveFlightPack(pack) {
-    // On web, use localStorage
+    pack.schemaVersion = CURRENT_PACK_SCHEMA_VERSION;
+
+    // On web, use IndexedDB (localStorage is too small for long routes)
     if (Platform.OS === 'web') {
+      await this.ensureWebStore();
       try {
-        localStorage.setItem(`flightPack_${pack.id}`, JSON.stringify(pack));
+        await packDatabaseService.putPack(pack.id, JSON.stringify(pack));
       } catch (e) {
-        log.warn('Failed to save to localStorage', e);
+        log.error('Failed to save flight pack to IndexedDB', { packId: pack.id, error: e?.message });
+        throw new Error(`Could not save flight pack ${pack.id}: ${e?.message || 'storage unavailable'}`);
       }
       return;
     }
@@ -281,6 +856,14 @@ class NarrationService {
     file.write(JSON.stringify(pack));
   }
 
+  // Persist a pack built outside downloadFlightPack (e.g. an imported bundle)
+  async cacheFlightPack(pack) {
+    ({ pack } = migratePack(pack));
+    await this.saveFlightPack(pack);
+    this.flightPacks.set(pack.id, pack);
+    return pack;
+  }
+
   async loadFlightPack(flightNumber) {
     const packId = flightNumber.toUpperCase().replace(/\s/g, '');
 
@@ -289,17 +872,20 @@ class NarrationService {
       return this.flightPacks.get(packId);
     }
 
-    // On web, check localStorage
+    // On web, check IndexedDB
     if (Platform.OS === 'web') {
+      await this.ensureWebStore();
       try {
-        const stored = localStorage.getItem(`flightPack_${packId}`);
-        if (stored) {
-          const pack = JSON.parse(stored);
-          this.flightPacks.set(packId, pack);
+        const record = await packDatabaseService.getPack(packId);
+        if (record) {
+          const pack = await this.readStoredPack(packId, record.json);
+          if (pack) {
+            this.flightPacks.set(packId, pack);
+          }
           return pack;
         }
       } catch (e) {
-        log.warn('Failed to load from localStorage', e);
+        log.warn('Failed to load from IndexedDB', e);
       }
       return null;
     }
@@ -312,33 +898,112 @@ class NarrationService {
 
     if (file.exists) {
       const content = await file.text();
-      const pack = JSON.parse(content);
-      this.flightPacks.set(packId, pack);
+      const pack = await this.readStoredPack(packId, content, file);
+      if (pack) {
+        this.flightPacks.set(packId, pack);
+      }
       return pack;
     }
 
     return null;
   }
 
+  /**
+   * Parse, validate and migrate a stored pack. Packs from older builds are
+   * upgraded and re-saved; corrupted packs are quarantined.
+   * @param {string} packId - Pack id the storage entry belongs to
+   * @param {string} content - Stored JSON
+   * @param {File} [file] - Native pack file (omitted on web)
+   * @returns {Promise<Object|null>} The pack, or null if it can't be used
+   */
+  async readStoredPack(packId, content, file) {
+    let result;
+    try {
+      result = parseStoredPack(content);
+    } catch (error) {
+      if (error.newerSchema) {
+        // Left in place so a newer build can still open it
+        log.warn('Skipping pack saved by a newer app version', { packId, error: error.message });
+      } else {
+        await this.quarantineFlightPack(packId, content, file, error.message);
+      }
+      return null;
+    }
+
+    if (result.migrated) {
+      log.info('Migrated flight pack', { packId, schemaVersion: result.pack.schemaVersion });
+      try {
+        await this.saveFlightPack(result.pack);
+      } catch (error) {
+        log.warn('Failed to save migrated pack', { packId, error: error?.message });
+      }
+    }
+    return result.pack;
+  }
+
+  // Move an unreadable pack out of the cache so listing and loading skip it
+  async quarantineFlightPack(packId, content, file, reason) {
+    log.error('Quarantining corrupted flight pack', { packId, reason });
+    this.flightPacks.delete(packId);
+
+    try {
+      if (Platform.OS === 'web') {
+        await packDatabaseService.quarantinePack(packId, content, reason);
+        return;
+      }
+
+      if (!file || !narrationCacheDir) return;
+      const quarantineDir = new Directory(narrationCacheDir, QUARANTINE_DIR);
+      if (!quarantineDir.exists) {
+        quarantineDir.create();
+      }
+      const target = new File(quarantineDir, `${packId}_${Date.now()}.json`);
+      target.write(content ?? '');
+      file.delete();
+    } catch (error) {
+      log.warn('Failed to quarantine flight pack', { packId, error: error?.message });
+    }
+  }
+
+  // Summary of a cached pack for listings and storage accounting
+  summarizePack(pack) {
+    return {
+      id: pack.id,
+      flightNumber: pack.flightNumber,
+      downloadedAt: pack.downloadedAt,
+      departureTime: pack.departureTime || null,
+      checkpointCount: pack.checkpoints.length,
+      hasAudio: !!pack.hasAudio,
+      hasOfflineMaps: !!pack.hasOfflineMaps,
+      audioPaths: pack.checkpoints.map(c => c.audioPath).filter(Boolean),
+    };
+  }
+
   async listCachedFlightPacks() {
-    // On web, return memory-cached packs only
+    // On web, enumerate the packs persisted in IndexedDB
     if (Platform.OS === 'web') {
-      return Array.from(this.flightPacks.values()).map(pack => ({
-        id: pack.id,
-        flightNumber: pack.flightNumber,
-        downloadedAt: pack.downloadedAt,
-        checkpointCount: pack.checkpoints.length,
-      }));
+      await this.ensureWebStore();
+      let records = [];
+      try {
+        records = await packDatabaseService.listPacks();
+      } catch (e) {
+        log.warn('Failed to list IndexedDB packs', e);
+      }
+
+      const packs = [];
+      for (const record of records) {
+        const pack = this.flightPacks.get(record.id)
+          || await this.readStoredPack(record.id, record.json);
+        if (pack) {
+          packs.push(this.summarizePack(pack));
+        }
+      }
+      return packs;
     }
 
     const cacheDir = await this.ensureCacheDir();
     if (!cacheDir || !cacheDir.exists) {
-      return Array.from(this.flightPacks.values()).map(pack => ({
-        id: pack.id,
-        flightNumber: pack.flightNumber,
-        downloadedAt: pack.downloadedAt,
-        checkpointCount: pack.checkpoints.length,
-      }));
+      return Array.from(this.flightPacks.values()).map(pack => this.summarizePack(pack));
     }
 
     const items = cacheDir.list();
@@ -346,23 +1011,58 @@ class NarrationService {
 
     for (const item of items) {
       if (item instanceof File && item.uri.endsWith('.json')) {
-        const content = await item.text();
-        const pack = JSON.parse(content);
-        packs.push({
-          id: pack.id,
-          flightNumber: pack.flightNumber,
-          downloadedAt: pack.downloadedAt,
-          checkpointCount: pack.checkpoints.length,
-        });
+        const packId = decodeURIComponent(item.uri.split('/').pop()).replace(/\.json$/, '');
+        let content = null;
+        try {
+          content = await item.text();
+        } catch (error) {
+          log.warn('Failed to read flight pack file', { packId, error: error?.message });
+        }
+        const pack = content === null ? null : await this.readStoredPack(packId, content, item);
+        if (!pack) continue;
+
+        packs.push(this.summarizePack(pack));
       }
     }
 
     return packs;
   }
 
+  // Bytes used by a pack's own JSON (audio and maps are sized by their services)
+  async getFlightPackSize(packId) {
+    if (Platform.OS === 'web') {
+      try {
+        return (await packDatabaseService.getPack(packId))?.size || 0;
+      } catch (e) {
+        return 0;
+      }
+    }
+
+    const cacheDir = await this.ensureCacheDir();
+    if (!cacheDir) return 0;
+    try {
+      const file = new File(cacheDir, `${packId}.json`);
+      return file.exists ? (file.size || 0) : 0;
+    } catch (error) {
+      log.warn('Failed to size flight pack', { packId, error: error?.message });
+      return 0;
+    }
+  }
+
   async deleteFlightPack(flightNumber) {
     const packId = flightNumber.toUpperCase().replace(/\s/g, '');
+
+    // Audio is shared by content hash; find the pack's files before the JSON
+    // is gone and remove the ones no other pack uses
+    let audioPaths = [];
+    try {
+      const pack = await this.loadFlightPack(packId);
+      audioPaths = (pack?.checkpoints || []).map(c => c.audioPath);
+    } catch (e) {
+      log.warn('Failed to find audio for flight', e);
+    }
     this.flightPacks.delete(packId);
+    await this.releaseAudio(audioPaths, { excludePackId: packId });
 
     // Clean up map tile cache for this flight
     try {
@@ -371,12 +1071,12 @@ class NarrationService {
       log.warn('Failed to clear map tile cache for flight', e);
     }
 
-    // On web, clear localStorage
+    // On web, remove from IndexedDB
     if (Platform.OS === 'web') {
       try {
-        localStorage.removeItem(`flightPack_${packId}`);
+        await packDatabaseService.deletePack(packId);
       } catch (e) {
-        log.warn('Failed to remove from localStorage', e);
+        log.warn('Failed to remove from IndexedDB', e);
       }
       return;
     }
@@ -390,6 +1090,89 @@ class NarrationService {
     }
   }
 
+  /**
+   * Audio URIs some pack still needs: cached packs, packs in memory (the
+   * current flight and trip legs) and unfinished downloads
+   * @param {Object} [options]
+   * @param {string} [options.excludePackId] - Ignore this pack's references
+   * @returns {Promise<Set<string>>}
+   */
+  async getReferencedAudio({ excludePackId } = {}) {
+    const [summaries, jobs] = await Promise.all([
+      this.listCachedFlightPacks(),
+      downloadJobService.listJobs(),
+    ]);
+    const packs = [
+      ...this.flightPacks.values(),
+      this.currentFlightPack,
+      ...(this.currentTrip?.packs || []),
+      ...jobs.map(job => job.pack && { ...job.pack, id: job.packId }),
+    ].filter(Boolean);
+
+    const referenced = new Set();
+    for (const summary of summaries) {
+      if (summary.id === excludePackId) continue;
+      summary.audioPaths.forEach(uri => referenced.add(uri));
+    }
+    for (const pack of packs) {
+      if (pack.id === excludePackId) continue;
+      for (const checkpoint of pack.checkpoints || []) {
+        if (checkpoint.audioPath) referenced.add(checkpoint.audioPath);
+      }
+    }
+    return referenced;
+  }
+
+  // Delete audio that was used by a pack going away, unless another pack shares it
+  async releaseAudio(uris, { excludePackId } = {}) {
+    const candidates = [...new Set(uris.filter(Boolean))];
+    if (candidates.length === 0) return;
+    try {
+      const referenced = await this.getReferencedAudio({ excludePackId });
+      for (const uri of candidates.filter(uri => !referenced.has(uri))) {
+        await elevenLabsService.deleteAudioFile(uri);
+      }
+    } catch (error) {
+      log.warn('Failed to release audio', { packId: excludePackId, error: error?.message });
+    }
+  }
+
+  /**
+   * Delete cached audio that no pack references: narrations that were edited
+   * or re-voiced, Scan Horizon speech, and files left by older builds
+   * @param {Object} [options]
+   * @param {number} [options.minAgeMs] - Keep unreferenced audio younger than this
+   * @returns {Promise<{ deleted: number, freedBytes: number }>}
+   */
+  async collectOrphanedAudio({ minAgeMs = AUDIO_GC_GRACE_MS } = {}) {
+    const result = { deleted: 0, freedBytes: 0 };
+    // Audio being generated isn't in the job until its checkpoint completes
+    if (this.isDownloading()) return result;
+
+    try {
+      const [files, referenced] = await Promise.all([
+        elevenLabsService.listCachedAudio(),
+        this.getReferencedAudio(),
+      ]);
+      const cutoff = Date.now() - minAgeMs;
+
+      for (const file of files) {
+        if (referenced.has(file.uri)) continue;
+        if (file.createdAt && file.createdAt > cutoff) continue;
+        await elevenLabsService.deleteAudioFile(file.uri);
+        result.deleted++;
+        result.freedBytes += file.size;
+      }
+    } catch (error) {
+      log.warn('Failed to collect orphaned audio', { error: error?.message });
+    }
+
+    if (result.deleted > 0) {
+      log.info('Orphaned audio collected', result);
+    }
+    return result;
+  }
+
   async clearAllFlightPacks() {
     this.flightPacks.clear();
     this.currentFlightPack = null;
@@ -401,13 +1184,12 @@ class NarrationService {
       log.warn('Failed to clear all map tile cache', e);
     }
 
-    // On web, clear localStorage
+    // On web, clear IndexedDB
     if (Platform.OS === 'web') {
       try {
-        const keys = Object.keys(localStorage).filter(k => k.startsWith('flightPack_'));
-        keys.forEach(k => localStorage.removeItem(k));
+        await packDatabaseService.clearPacks();
       } catch (e) {
-        log.warn('Failed to clear all localStorage', e);
+        log.warn('Failed to clear IndexedDB packs', e);
       }
       return;
     }
@@ -420,16 +1202,11 @@ class NarrationService {
   }
 
   async getCacheSize() {
-    // On web, estimate localStorage size
+    // On web, sum the stored pack sizes
     if (Platform.OS === 'web') {
       try {
-        let size = 0;
-        Object.keys(localStorage)
-          .filter(k => k.startsWith('flightPack_'))
-          .forEach(k => {
-            size += localStorage.getItem(k)?.length || 0;
-          });
-        return size * 2; // UTF-16 = 2 bytes per char
+        await this.ensureWebStore();
+        return await packDatabaseService.getPacksSize();
       } catch (e) {
         return 0;
       }
@@ -446,14 +1223,363 @@ class NarrationService {
     }
   }
 
+  /**
+   * Check that everything a cached pack needs offline is still on the device.
+   * hasAudio / hasOfflineMaps only record what was downloaded; the OS can
+   * evict files from Paths.cache afterwards.
+   *
+   * @param {string} flightNumber - Pack id or flight number
+   * @returns {Promise<Object|null>} Readiness report, or null if the pack isn't cached:
+   *   { packId, checkedAt, ready, missingCount,
+   *     missing: { narrations: [checkpointId], audio: [checkpointId], maps: [name or tile key] } }
+   */
+  async verifyFlightPack(flightNumber) {
+    const pack = await this.loadFlightPack(flightNumber);
+    if (!pack) return null;
+
+    const checkpoints = pack.checkpoints || [];
+    const narrations = checkpoints
+      .filter(c => !getNarrationText(c.narration))
+      .map(c => c.id);
+
+    let audio = [];
+    if (pack.hasAudio) {
+      const present = await Promise.all(
+        checkpoints.map(c => elevenLabsService.audioFileExists(c.audioPath))
+      );
+      audio = checkpoints.filter((c, i) => !present[i]).map(c => c.id);
+    }
+
+    let maps = [];
+    if (pack.hasOfflineMaps) {
+      try {
+        ({ missing: maps } = await mapTileService.verifyFlightMaps(pack.route, pack.id));
+      } catch (error) {
+        log.warn('Map verification failed', { packId: pack.id, error: error?.message });
+      }
+    }
+
+    const missingCount = narrations.length + audio.length + maps.length;
+    const report = {
+      packId: pack.id,
+      checkedAt: new Date().toISOString(),
+      ready: missingCount === 0,
+      missingCount,
+      missing: { narrations, audio, maps },
+    };
+    log.info('Flight pack verified', {
+      packId: pack.id,
+      ready: report.ready,
+      narrations: narrations.length,
+      audio: audio.length,
+      maps: maps.length,
+    });
+    return report;
+  }
+
+  /**
+   * Regenerate only the pieces verifyFlightPack reports as missing
+   *
+   * @param {string} flightNumber - Pack id or flight number
+   * @param {Function} [onProgress] - Called with a status string
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the repair
+   * @returns {Promise<Object>} Readiness report after the repair
+   */
+  async repairFlightPack(flightNumber, onProgress, options = {}) {
+    const { signal } = options;
+    const report = await this.verifyFlightPack(flightNumber);
+    if (!report) {
+      throw new Error(`Flight pack ${flightNumber} is not cached. Download it first.`);
+    }
+    if (report.ready) return report;
+
+    const pack = await this.loadFlightPack(flightNumber);
+    const { narrations, audio, maps } = report.missing;
+    log.info('Repairing flight pack', { packId: pack.id, missing: report.missingCount });
+
+    if (narrations.length > 0) {
+      const missingIds = new Set(narrations);
+      const targets = pack.checkpoints
+        .map((checkpoint, index) => ({ checkpoint, index }))
+        .filter(({ checkpoint }) => missingIds.has(checkpoint.id));
+
+      if (onProgress) onProgress(`Regenerating ${targets.length} narrations...`);
+      await mapWithConcurrency(
+        targets,
+        async ({ checkpoint, index }) => {
+          ({ narration: checkpoint.narration } = await this.narrateCheckpoint(pack, index, {
+            signal,
+            usage: this.getPackUsage(pack),
+          }));
+        },
+        { concurrency: claudeService.getConcurrency(), signal }
+      );
+    }
+
+    // Drop references to evicted files so only those checkpoints are re-voiced
+    if (audio.length > 0 || narrations.length > 0) {
+      const missingIds = new Set([...audio, ...narrations]);
+      for (const checkpoint of pack.checkpoints) {
+        if (missingIds.has(checkpoint.id)) {
+          delete checkpoint.audioPath;
+        }
+      }
+    }
+    if (audio.length > 0 && elevenLabsService.isConfigured()) {
+      if (onProgress) onProgress(`Regenerating ${audio.length} voice narrations...`);
+      await this.generateFlightPackAudio(
+        pack,
+        (done, total) => {
+          if (onProgress) onProgress(`Generating voice ${done}/${total}...`);
+        },
+        { skipExisting: true, save: false, signal, usage: this.getPackUsage(pack) }
+      );
+    }
+    pack.hasAudio = pack.checkpoints.some(c => c.audioPath);
+
+    if (maps.length > 0 && pack.route?.length >= 2) {
+      if (onProgress) onProgress('Downloading missing maps...');
+      try {
+        // Already-cached tiles are skipped, so only the missing ones are fetched
+        const mapResult = await mapTileService.preCacheTilesForRoute(pack.route, pack.id, null, {
+          includeHighDetail: false,
+          signal,
+        });
+        // hasOfflineMaps stays set, so anything still missing shows up on re-verify
+        pack.mapTilesDownloaded = mapResult?.tilesDownloaded || mapResult?.mapsDownloaded || 0;
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        log.warn('Map repair failed', { packId: pack.id, error: error?.message });
+      }
+    }
+
+    await this.saveFlightPack(pack);
+    return this.verifyFlightPack(pack.id);
+  }
+
+  // Usage record that regenerating part of a cached pack is charged to.
+  // Packs downloaded before usage tracking start an empty one.
+  getPackUsage(pack) {
+    if (!pack.usage) {
+      pack.usage = createUsage({ detailed: true });
+    }
+    return pack.usage;
+  }
+
+  // Look up a checkpoint in a cached pack for the per-checkpoint edit APIs
+  async getPackCheckpoint(flightNumber, checkpointId) {
+    const pack = await this.loadFlightPack(flightNumber);
+    if (!pack) {
+      throw new Error(`Flight pack ${flightNumber} is not cached. Download it first.`);
+    }
+    const index = pack.checkpoints.findIndex(c => c.id === checkpointId);
+    if (index === -1) {
+      throw new Error(`Checkpoint ${checkpointId} is not part of flight pack ${pack.id}.`);
+    }
+    return { pack, checkpoint: pack.checkpoints[index], index };
+  }
+
+  // A checkpoint's audio no longer matches once its text changes. The file
+  // stays in the cache (other packs may share it, and reverting the text
+  // reuses it) until collectOrphanedAudio finds nothing referencing it.
+  discardCheckpointAudio(pack, checkpoint) {
+    if (!checkpoint.audioPath) return;
+    delete checkpoint.audioPath;
+    pack.hasAudio = pack.checkpoints.some(c => c.audioPath);
+  }
+
+  /**
+   * Regenerate one checkpoint's narration and save the pack. The checkpoint's
+   * audio is discarded; call regenerateCheckpointAudio to voice the new text.
+   *
+   * @param {string} flightNumber - Pack id or flight number
+   * @param {string} checkpointId - Checkpoint to regenerate
+   * @param {Object} [options]
+   * @param {string} [options.contentFocus] - Overrides the focus setting for this narration
+   * @param {string} [options.length] - Overrides the length setting for this narration
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} The updated checkpoint
+   */
+  async regenerateCheckpointNarration(flightNumber, checkpointId, options = {}) {
+    const { contentFocus, length, signal } = options;
+    if (!claudeService.isConfigured()) {
+      throw new Error('Add a Claude API key in Settings to regenerate narrations.');
+    }
+
+    const { pack, checkpoint, index } = await this.getPackCheckpoint(flightNumber, checkpointId);
+    const narration = await this.generateCheckpointNarration(pack, index, {
+      signal,
+      style: { contentFocus, length },
+      usage: this.getPackUsage(pack),
+    });
+    if (!narration) {
+      throw new Error(claudeService.getLastError()?.message || 'Failed to regenerate narration.');
+    }
+
+    checkpoint.narration = narration;
+    this.discardCheckpointAudio(pack, checkpoint);
+    await this.saveFlightPack(pack);
+    log.info('Checkpoint narration regenerated', { packId: pack.id, checkpointId, contentFocus, length });
+    return checkpoint;
+  }
+
+  /**
+   * Hand-edit one checkpoint's narration and save the pack
+   *
+   * @param {string} flightNumber - Pack id or flight number
+   * @param {string} checkpointId - Checkpoint to edit
+   * @param {Object} changes - Narration fields to replace (title, body, funFact, ...)
+   * @returns {Promise<Object>} The updated checkpoint
+   */
+  async updateCheckpointNarration(flightNumber, checkpointId, changes) {
+    const { pack, checkpoint } = await this.getPackCheckpoint(flightNumber, checkpointId);
+    const previousText = getNarrationText(checkpoint.narration);
+
+    const narration = validateNarration({ ...checkpoint.narration, ...changes });
+    if (!narration) {
+      throw new Error('Narration text cannot be empty.');
+    }
+
+    checkpoint.narration = narration;
+    if (narration.body !== previousText) {
+      this.discardCheckpointAudio(pack, checkpoint);
+    }
+    await this.saveFlightPack(pack);
+    log.info('Checkpoint narration edited', { packId: pack.id, checkpointId });
+    return checkpoint;
+  }
+
+  /**
+   * Regenerate the voice audio for one checkpoint and save the pack
+   *
+   * @param {string} flightNumber - Pack id or flight number
+   * @param {string} checkpointId - Checkpoint to voice
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} The updated checkpoint
+   */
+  async regenerateCheckpointAudio(flightNumber, checkpointId, options = {}) {
+    const { signal } = options;
+    if (!elevenLabsService.isConfigured()) {
+      throw new Error('Add an ElevenLabs API key in Settings to generate voice audio.');
+    }
+
+    const { pack, checkpoint } = await this.getPackCheckpoint(flightNumber, checkpointId);
+    const text = getNarrationText(checkpoint.narration);
+    if (!text) {
+      throw new Error('This checkpoint has no narration to voice.');
+    }
+
+    const filePath = await elevenLabsService.generateAndSaveAudio(text, {
+      signal,
+      usage: this.getPackUsage(pack),
+    });
+    if (!filePath) {
+      throw new Error('Failed to generate voice audio.');
+    }
+
+    checkpoint.audioPath = filePath;
+    pack.hasAudio = true;
+    await this.saveFlightPack(pack);
+    log.info('Checkpoint audio regenerated', { packId: pack.id, checkpointId });
+    return checkpoint;
+  }
+
   setCurrentFlightPack(pack) {
     this.currentFlightPack = pack;
+    // Keep the trip's copy in step when a leg is reloaded (e.g. after repair)
+    const trip = this.currentTrip;
+    const legIndex = trip ? trip.packs.findIndex(p => p.id === pack?.id) : -1;
+    if (legIndex >= 0) {
+      trip.packs[legIndex] = pack;
+    }
   }
 
   getCurrentCheckpoints() {
     return this.currentFlightPack?.checkpoints || [];
   }
 
+  // ============================================
+  // Multi-leg trips
+  // ============================================
+
+  /**
+   * Load (or download) the pack for every leg of a trip, in order
+   * @param {Object} trip - From createTrip()
+   * @param {Function} onProgress - (status) => void
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the remaining legs
+   * @returns {Promise<Array>} One pack per leg
+   */
+  async prepareTrip(trip, onProgress, { signal } = {}) {
+    const packs = [];
+    const total = trip.legs.length;
+
+    for (const [index, leg] of trip.legs.entries()) {
+      throwIfAborted(signal);
+      const label = `Leg ${index + 1}/${total} (${leg.flightNumber})`;
+      const report = (status) => {
+        if (onProgress) onProgress(`${label}: ${status}`);
+      };
+
+      let pack = await this.loadFlightPack(leg.flightNumber);
+      if (!pack) {
+        pack = await this.downloadFlightPack(leg.flightNumber, report, { signal });
+      }
+
+      if (this.hasAudioSupport() && pack.checkpoints.some(c => !c.audioPath)) {
+        try {
+          pack = await this.generateFlightPackAudio(pack, (completed, count) => {
+            report(`Generating voice ${completed}/${count}...`);
+          }, { signal, skipExisting: true });
+        } catch (error) {
+          if (isAbortError(error)) throw error;
+          log.warn('Trip leg audio generation failed', { packId: pack.id, error: error?.message });
+        }
+      }
+      packs.push(pack);
+    }
+
+    log.info('Trip prepared', { tripId: trip.id, legs: packs.map(p => p.id) });
+    return packs;
+  }
+
+  // Start flying a trip from its first leg; tracking follows the current leg
+  setCurrentTrip(trip, packs) {
+    this.currentTrip = { trip, packs, legIndex: 0 };
+    this.setCurrentFlightPack(packs[0]);
+  }
+
+  getCurrentTrip() {
+    return this.currentTrip;
+  }
+
+  clearCurrentTrip() {
+    this.currentTrip = null;
+  }
+
+  /**
+   * Switch to the trip's next leg (called once the current leg's arrival
+   * checkpoint has triggered)
+   * @returns {Object|null} The next leg's pack, or null on the final leg
+   */
+  advanceTripLeg() {
+    const trip = this.currentTrip;
+    if (!trip || trip.legIndex >= trip.packs.length - 1) return null;
+
+    trip.legIndex += 1;
+    const pack = trip.packs[trip.legIndex];
+    this.setCurrentFlightPack(pack);
+    log.info('Switched to next trip leg', { tripId: trip.trip.id, legIndex: trip.legIndex, packId: pack.id });
+    return pack;
+  }
+
+  // Packs of the trip being flown, which the storage budget must not evict
+  isCurrentTripPack(packId) {
+    return !!this.currentTrip?.packs.some(pack => pack.id === packId);
+  }
+
   getCurrentFlightInfo() {
     if (!this.currentFlightPack) return null;
 
@@ -470,17 +1596,47 @@ class NarrationService {
     };
   }
 
+  // Features to anchor checkpoints on. None (evenly spaced checkpoints) if
+  // the lookup fails.
+  async findRouteFeatures(route, { signal, onProgress } = {}) {
+    try {
+      return await landmarkService.findRouteFeatures(route, { signal, onProgress });
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      log.warn('Route feature lookup failed, spacing checkpoints evenly', { error: error?.message });
+      return [];
+    }
+  }
+
+  /**
+   * @param {Object} settings - { density, checkpointsPerFlight, geofenceRadius }
+   *   from the narration settings; see getCheckpointOptions
+   */
+  setCheckpointSettings(settings) {
+    this.checkpointSettings = { ...this.checkpointSettings, ...settings };
+  }
+
+  // routeToCheckpoints options for a route under the current settings, or
+  // with some of them overridden (the preview tries other densities)
+  getCheckpointOptions(route, overrides = {}) {
+    return getCheckpointOptions(route, { ...this.checkpointSettings, ...overrides });
+  }
+
   // Get checkpoint locations only (for preview, without generating narrations)
-  async getCheckpointLocationsOnly(route, flightNumber) {
+  // as a download would place them. options.density previews another
+  // density setting.
+  async getCheckpointLocationsOnly(route, flightNumber, options = {}) {
     if (!route || route.length < 2) {
       return [];
     }
 
-    // Convert route to checkpoints
+    // The preview may place checkpoints on the same route several times
+    if (this.previewFeatures?.route !== route) {
+      this.previewFeatures = { route, features: await this.findRouteFeatures(route) };
+    }
     let checkpoints = routeToCheckpoints(route, {
-      numCheckpoints: 20,
-      minSpacing: 80000,
-      geofenceRadius: 15000,
+      ...this.getCheckpointOptions(route, options),
+      features: this.previewFeatures.features,
     });
 
     // Enrich with landmark data (this is relatively fast)
@@ -505,17 +1661,26 @@ class NarrationService {
     return flightDataService.isConfigured();
   }
 
-  // Mock data for demo/offline mode
-  getMockNarration() {
-    const mockNarrations = [
-      "You are currently over terrain shaped by ancient glaciers. The U-shaped valleys and scattered lakes below are remnants of the last Ice Age, approximately 10,000 years ago. The rivers you see carved their paths as the ice retreated northward.",
-      "Below you lies a patchwork of agricultural fields that tell the story of thousands of years of human cultivation. Those geometric patterns are a testament to farming practices dating back to the Neolithic period.",
-      "The coastline visible on the horizon marks a boundary that has shifted dramatically over millennia. During the last glacial maximum, much of this area was dry land, connecting regions now separated by water.",
-      "You're passing over a major river system that has served as a lifeline for civilizations throughout history. These waterways were the highways of the ancient world, carrying trade, ideas, and people across vast distances.",
-      "The mountain range below was formed by tectonic forces over millions of years. These peaks once stood even taller, but erosion has sculpted them into their current form, creating the dramatic landscape you see today.",
-    ];
+  hasNarrationSupport() {
+    return claudeService.isConfigured();
+  }
 
-    return mockNarrations[Math.floor(Math.random() * mockNarrations.length)];
+  /**
+   * What downloading a pack with the current settings is likely to use
+   * @param {number} checkpointCount - Checkpoints in the pack
+   * @returns {Object} Usage record with estimated totals (see utils/usage.js)
+   */
+  estimateDownloadUsage(checkpointCount) {
+    const [llm] = claudeService.getChain();
+    return estimatePackUsage({
+      checkpoints: checkpointCount,
+      llmProvider: llm?.id,
+      model: llm ? claudeService.getModel(llm.id) : null,
+      batch: claudeService.isBatchEnabled(),
+      length: claudeService.getNarrationPreferences().length,
+      audio: elevenLabsService.isConfigured(),
+      flightData: flightDataService.isConfigured(),
+    });
   }
 
   generateMockCheckpoints(flightNumber) {
@@ -549,15 +1714,35 @@ class NarrationService {
   }
 
   // Audio generation methods
-  async generateFlightPackAudio(pack, onProgress) {
+  async generateFlightPackAudio(pack, onProgress, options = {}) {
+    const { skipExisting = false, save = true, onCheckpointAudio, signal, usage } = options;
+
     if (!elevenLabsService.isConfigured()) {
       log.debug('ElevenLabs not configured in generateFlightPackAudio');
       return pack;
     }
 
+    const pending = skipExisting
+      ? pack.checkpoints.filter(c => !c.audioPath)
+      : pack.checkpoints;
+    const alreadyDone = pack.checkpoints.length - pending.length;
+
     const audioFiles = await elevenLabsService.generateFlightPackAudio(
-      pack.checkpoints,
-      onProgress
+      pending,
+      (done) => {
+        if (onProgress) onProgress(alreadyDone + done, pack.checkpoints.length);
+      },
+      {
+        signal,
+        usage: usage || this.getPackUsage(pack),
+        onCheckpointComplete: async (audioFile) => {
+          const checkpoint = pack.checkpoints.find(c => c.id === audioFile.checkpointId);
+          if (checkpoint && audioFile.filePath) {
+            checkpoint.audioPath = audioFile.filePath;
+          }
+          if (onCheckpointAudio) await onCheckpointAudio(checkpoint);
+        },
+      }
     );
 
     // Update checkpoints with audio file paths
@@ -569,32 +1754,29 @@ class NarrationService {
     }
 
     // Save updated pack
-    await this.saveFlightPack(pack);
+    if (save) {
+      await this.saveFlightPack(pack);
+    }
     return pack;
   }
 
+  // Pre-generated audio first, then the speech provider chain
   async playCheckpointAudio(checkpoint) {
-    // Try pre-generated audio first (ElevenLabs)
-    if (checkpoint.audioPath) {
-      return await audioService.playUri(checkpoint.audioPath);
+    try {
+      return !!(await speechService.speakCheckpoint(checkpoint));
+    } catch (error) {
+      log.error('Checkpoint playback failed', error);
+      return false;
     }
-    return false;
   }
 
   async playCurrentNarration(narrationText) {
-    // Try ElevenLabs if configured
-    if (elevenLabsService.isConfigured()) {
-      try {
-        const filePath = await elevenLabsService.generateAndSaveAudio(
-          narrationText,
-          `live_${Date.now()}`
-        );
-        return await audioService.playUri(filePath);
-      } catch (error) {
-        log.error('ElevenLabs live narration failed', error);
-      }
+    try {
+      return !!(await speechService.speak(narrationText));
+    } catch (error) {
+      log.error('Live narration playback failed', error);
+      return false;
     }
-    return false;
   }
 
   pauseAudio() {
@@ -617,10 +1799,16 @@ class NarrationService {
     return audioService.subscribe(callback);
   }
 
+  // Pre-generated pack audio needs ElevenLabs
   hasAudioSupport() {
     return elevenLabsService.isConfigured();
   }
 
+  // Whether anything in the speech provider chain can talk right now
+  hasSpeechSupport() {
+    return speechService.canSpeak();
+  }
+
   // Queue playback methods
   getQueueCheckpoints() {
     if (!this.currentFlightPack?.checkpoints) return [];
@@ -648,10 +1836,7 @@ class NarrationService {
     const checkpoint = checkpoints[this.queueIndex];
     this.notifyQueueListeners();
 
-    if (checkpoint.audioPath) {
-      return await audioService.playUri(checkpoint.audioPath);
-    }
-    return false;
+    return this.playCheckpointAudio(checkpoint);
   }
 
   async playNextInQueue() {
@@ -675,18 +1860,18 @@ class NarrationService {
   }
 
   async skipNext() {
-    await audioService.stop();
+    await speechService.stop();
     return await this.playNextInQueue();
   }
 
   async skipPrevious() {
-    await audioService.stop();
+    await speechService.stop();
     return await this.playPreviousInQueue();
   }
 
   stopQueue() {
     this.queueActive = false;
-    audioService.stop();
+    speechService.stop();
     this.notifyQueueListeners();
   }
 
@@ -0,0 +1,244 @@
+/**
+ * PackDatabaseService - IndexedDB storage for flight packs on web
+ *
+ * Native builds keep packs and audio as files in Paths.cache. On web the
+ * equivalent lives in the `WindowSeatFlightPacks` database (next to the
+ * `WindowSeatMapTiles` tile database used by MapTileService):
+ *
+ * - packs:      { id, json, size, updatedAt } - pack JSON as saved
+ * - audio:      { key, blob, size, createdAt } - synthesized speech blobs,
+ *               keyed by content hash (see ElevenLabsService)
+ * - quarantine: { id, json, reason, quarantinedAt } - packs that failed to load
+ *
+ * Packs are stored as JSON strings so loading goes through the same
+ * parse/validate/migrate path as native pack files.
+ */
+
+import { Platform } from 'react-native';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('PackDatabaseService');
+
+const IDB_NAME = 'WindowSeatFlightPacks';
+const IDB_VERSION = 1;
+const PACK_STORE = 'packs';
+const AUDIO_STORE = 'audio';
+const QUARANTINE_STORE = 'quarantine';
+
+// Audio stored here is referenced from checkpoints as `idb-audio://<key>`
+export const IDB_AUDIO_SCHEME = 'idb-audio://';
+
+class PackDatabaseService {
+  constructor() {
+    this.db = null;
+    this.initPromise = null;
+  }
+
+  isAvailable() {
+    return Platform.OS === 'web' && typeof indexedDB !== 'undefined';
+  }
+
+  async initIndexedDB() {
+    if (!this.isAvailable()) return null;
+    if (this.db) return this.db;
+    if (this.initPromise) return this.initPromise;
+
+    this.initPromise = new Promise((resolve) => {
+      const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+
+      request.onerror = () => {
+        log.error('Failed to open IndexedDB', { error: request.error?.message });
+        resolve(null);
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(PACK_STORE)) {
+          db.createObjectStore(PACK_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(AUDIO_STORE)) {
+          db.createObjectStore(AUDIO_STORE, { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains(QUARANTINE_STORE)) {
+          db.createObjectStore(QUARANTINE_STORE, { keyPath: 'id' });
+        }
+      };
+    });
+
+    return this.initPromise;
+  }
+
+  /**
+   * Run one request against a store
+   * @param {string} storeName - Object store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - (store) => IDBRequest
+   * @returns {Promise<any>} The request result; rejects if the write failed
+   *   (e.g. quota exceeded) so callers can surface it
+   */
+  async runRequest(storeName, mode, makeRequest) {
+    const db = await this.initIndexedDB();
+    if (!db) {
+      throw new Error('IndexedDB is not available');
+    }
+
+    return new Promise((resolve, reject) => {
+      try {
+        const transaction = db.transaction([storeName], mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        let result;
+        request.onsuccess = () => {
+          result = request.result;
+        };
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error || request.error);
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  // ============================================
+  // Packs
+  // ============================================
+
+  async putPack(id, json) {
+    await this.runRequest(PACK_STORE, 'readwrite', store => store.put({
+      id,
+      json,
+      size: json.length * 2, // UTF-16
+      updatedAt: new Date().toISOString(),
+    }));
+  }
+
+  async getPack(id) {
+    const record = await this.runRequest(PACK_STORE, 'readonly', store => store.get(id));
+    return record || null;
+  }
+
+  async listPacks() {
+    return (await this.runRequest(PACK_STORE, 'readonly', store => store.getAll())) || [];
+  }
+
+  async deletePack(id) {
+    await this.runRequest(PACK_STORE, 'readwrite', store => store.delete(id));
+  }
+
+  async clearPacks() {
+    await this.runRequest(PACK_STORE, 'readwrite', store => store.clear());
+    await this.runRequest(QUARANTINE_STORE, 'readwrite', store => store.clear());
+  }
+
+  async quarantinePack(id, json, reason) {
+    await this.runRequest(QUARANTINE_STORE, 'readwrite', store => store.put({
+      id,
+      json,
+      reason,
+      quarantinedAt: new Date().toISOString(),
+    }));
+    await this.deletePack(id);
+  }
+
+  async getPacksSize() {
+    const records = await this.listPacks();
+    return records.reduce((total, record) => total + (record.size || 0), 0);
+  }
+
+  // ============================================
+  // Audio
+  // ============================================
+
+  async putAudio(key, blob) {
+    await this.runRequest(AUDIO_STORE, 'readwrite', store => store.put({
+      key,
+      blob,
+      size: blob.size,
+      createdAt: new Date().toISOString(),
+    }));
+    return `${IDB_AUDIO_SCHEME}${key}`;
+  }
+
+  async getAudio(key) {
+    const record = await this.runRequest(AUDIO_STORE, 'readonly', store => store.get(key));
+    return record || null;
+  }
+
+  // Every stored audio entry without its blob: [{ key, size, createdAt }]
+  async listAudio() {
+    const records = (await this.runRequest(AUDIO_STORE, 'readonly', store => store.getAll())) || [];
+    return records.map(({ key, size, createdAt }) => ({ key, size, createdAt }));
+  }
+
+  async deleteAudio(key) {
+    await this.runRequest(AUDIO_STORE, 'readwrite', store => store.delete(key));
+  }
+
+  async clearAudio() {
+    await this.runRequest(AUDIO_STORE, 'readwrite', store => store.clear());
+  }
+
+  async getAudioSize() {
+    const records = (await this.runRequest(AUDIO_STORE, 'readonly', store => store.getAll())) || [];
+    return records.reduce((total, record) => total + (record.size || 0), 0);
+  }
+
+  // ============================================
+  // Migration
+  // ============================================
+
+  /**
+   * Move packs saved to localStorage by earlier builds into IndexedDB.
+   * Each entry is removed from localStorage once it is safely stored.
+   * @returns {Promise<number>} Number of packs migrated
+   */
+  async migrateFromLocalStorage() {
+    if (!this.isAvailable() || typeof localStorage === 'undefined') return 0;
+
+    let migrated = 0;
+    const keys = Object.keys(localStorage);
+
+    for (const key of keys.filter(k => k.startsWith('flightPack_'))) {
+      const id = key.slice('flightPack_'.length);
+      try {
+        const json = localStorage.getItem(key);
+        if (json && !(await this.getPack(id))) {
+          await this.putPack(id, json);
+        }
+        localStorage.removeItem(key);
+        migrated++;
+      } catch (error) {
+        // Left in localStorage; the next launch tries again
+        log.warn('Failed to migrate pack from localStorage', { id, error: error?.message });
+      }
+    }
+
+    for (const key of keys.filter(k => k.startsWith('flightPackQuarantine_'))) {
+      const id = key.slice('flightPackQuarantine_'.length);
+      try {
+        await this.runRequest(QUARANTINE_STORE, 'readwrite', store => store.put({
+          id,
+          json: localStorage.getItem(key),
+          reason: 'Quarantined before IndexedDB migration',
+          quarantinedAt: new Date().toISOString(),
+        }));
+        localStorage.removeItem(key);
+      } catch (error) {
+        log.warn('Failed to migrate quarantined pack', { id, error: error?.message });
+      }
+    }
+
+    if (migrated > 0) {
+      log.info('Migrated flight packs from localStorage', { count: migrated });
+    }
+    return migrated;
+  }
+}
+
+export const packDatabaseService = new PackDatabaseService();
+export { PackDatabaseService };
@@ -1,5 +1,6 @@
 import { Platform, Share } from 'react-native';
 import { File, Paths } from 'expo-file-system';
+import { normalizeNarration, formatWindowSide } from '../utils/narration';
 
 let Sharing = null;
 
@@ -39,7 +40,33 @@ class ShareService {
     if (pack.checkpoints && pack.checkpoints.length > 0) {
       for (const checkpoint of pack.checkpoints) {
         lines.push(`--- ${checkpoint.name || 'Checkpoint'} ---`);
-        lines.push(checkpoint.narration || '(No narration available)');
+
+        const narration = normalizeNarration(checkpoint.narration);
+        if (!narration) {
+          lines.push('(No narration available)');
+          lines.push('');
+          continue;
+        }
+
+        if (narration.title && narration.title !== checkpoint.name) {
+          lines.push(narration.title);
+        }
+        const windowHint = formatWindowSide(narration.windowSide);
+        if (windowHint) {
+          lines.push(`[${windowHint}]`);
+        }
+        if (narration.body) {
+          lines.push(narration.body);
+        }
+        if (narration.funFact) {
+          lines.push(`Fun fact: ${narration.funFact}`);
+        }
+        if (narration.pronunciation) {
+          lines.push(`Say it: ${narration.pronunciation}`);
+        }
+        if (narration.tags.length > 0) {
+          lines.push(`Tags: ${narration.tags.join(', ')}`);
+        }
         lines.push('');
       }
     }
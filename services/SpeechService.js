@@ -0,0 +1,230 @@
+/**
+ * SpeechService - Speaks narrations through an ordered chain of TTS providers
+ *
+ * Each provider implements:
+ *   { id, label, description, isAvailable(): boolean,
+ *     speak(text, { signal }): Promise<boolean>, stop(): Promise<void> }
+ *
+ * speak() tries the enabled providers in the user's order and stops at the
+ * first one that plays. Built in:
+ * - elevenlabs: cloud voices (needs an API key and network)
+ * - local:      an HTTP TTS server on the local network (Coqui TTS, Piper,
+ *               MaryTTS...) answering GET <url>?text=... with audio
+ * - device:     on-device expo-speech via FreeTTSService (works offline)
+ *
+ * Checkpoints with pre-generated audio play that file first and only fall
+ * back to the chain if it is missing. Emits 'finished' when playback started
+ * by any provider completes, so the queue can advance.
+ */
+
+import { EventEmitter } from './base';
+import { audioService } from './AudioService';
+import { elevenLabsService } from './ElevenLabsService';
+import { freeTTSService } from './FreeTTSService';
+import { isAbortError, throwIfAborted } from '../utils/abort';
+import { getNarrationText } from '../utils/narration';
+import { hashContent } from '../utils/hash';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('SpeechService');
+
+export const DEFAULT_TTS_PROVIDER_ORDER = ['elevenlabs', 'local', 'device'];
+
+// A local server that doesn't answer quickly is treated as down
+const LOCAL_TTS_TIMEOUT_MS = 10000;
+
+// Synthesize to a cache file, then play it
+async function playSynthesized(uri) {
+  const playable = await elevenLabsService.resolveAudioUri(uri);
+  return playable ? audioService.playUri(playable) : false;
+}
+
+function createElevenLabsProvider() {
+  return {
+    id: 'elevenlabs',
+    label: 'ElevenLabs',
+    description: 'Natural cloud voices (API key, online)',
+    isAvailable: () => elevenLabsService.isConfigured(),
+    async speak(text, { signal } = {}) {
+      // Cached by content hash, so repeating a narration doesn't cost a request
+      const uri = await elevenLabsService.generateAndSaveAudio(text, { signal });
+      return uri ? playSynthesized(uri) : false;
+    },
+    stop: () => audioService.stop(),
+  };
+}
+
+function createLocalProvider(service) {
+  return {
+    id: 'local',
+    label: 'Local TTS server',
+    description: 'HTTP text-to-speech on your network',
+    isAvailable: () => !!service.localEndpoint,
+    async speak(text, { signal } = {}) {
+      const separator = service.localEndpoint.includes('?') ? '&' : '?';
+      const url = `${service.localEndpoint}${separator}text=${encodeURIComponent(text)}`;
+
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), LOCAL_TTS_TIMEOUT_MS);
+      const onAbort = () => controller.abort();
+      signal?.addEventListener('abort', onAbort);
+      try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+          throw new Error(`Local TTS server returned ${response.status}`);
+        }
+        // One file per text and server; unreferenced ones are garbage-collected
+        const key = `local_${hashContent([service.localEndpoint, text])}`;
+        const uri = await elevenLabsService.saveAudioBlob(key, await response.blob());
+        return uri ? playSynthesized(uri) : false;
+      } catch (error) {
+        // Our own timeout is a failure to fall back from, not a cancellation
+        if (isAbortError(error) && !signal?.aborted) {
+          throw new Error(`Local TTS server did not answer within ${LOCAL_TTS_TIMEOUT_MS / 1000}s`);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timeout);
+        signal?.removeEventListener('abort', onAbort);
+      }
+    },
+    stop: () => audioService.stop(),
+  };
+}
+
+function createDeviceProvider() {
+  return {
+    id: 'device',
+    label: 'Device voice',
+    description: 'Built-in text-to-speech (offline)',
+    isAvailable: () => freeTTSService.isConfigured(),
+    // Resolves when speech ends; 'finished' comes from FreeTTSService
+    speak: (text) => freeTTSService.speak(text),
+    stop: () => freeTTSService.stop(),
+  };
+}
+
+class SpeechService extends EventEmitter {
+  constructor() {
+    super();
+    this.providers = new Map();
+    this.order = [...DEFAULT_TTS_PROVIDER_ORDER];
+    this.localEndpoint = '';
+    this.lastProvider = null;
+    // Bumped by stop() so a provider cut off mid-sentence isn't mistaken for
+    // a failure and the next provider doesn't pick up the same text
+    this.generation = 0;
+
+    this.registerProvider(createElevenLabsProvider());
+    this.registerProvider(createLocalProvider(this));
+    this.registerProvider(createDeviceProvider());
+
+    // One completion event whichever provider was speaking
+    audioService.subscribe((event) => {
+      if (event === 'finished') this.emit('finished');
+    });
+    freeTTSService.subscribe((event) => {
+      if (event === 'finished') this.emit('finished');
+    });
+  }
+
+  registerProvider(provider) {
+    this.providers.set(provider.id, provider);
+  }
+
+  /**
+   * @param {string[]} order - Enabled provider ids, most preferred first
+   */
+  setProviderOrder(order) {
+    this.order = (order || []).filter(id => this.providers.has(id));
+  }
+
+  setLocalEndpoint(url) {
+    this.localEndpoint = (url || '').trim();
+  }
+
+  setLanguage(language) {
+    freeTTSService.updateVoiceSettings({ language });
+  }
+
+  // Every registered provider, for the settings screen
+  getProviders() {
+    return [...this.providers.values()].map(({ id, label, description, isAvailable }) => ({
+      id,
+      label,
+      description,
+      available: isAvailable(),
+      enabled: this.order.includes(id),
+    }));
+  }
+
+  // Enabled, usable providers in fallback order
+  getChain() {
+    return this.order
+      .map(id => this.providers.get(id))
+      .filter(provider => provider?.isAvailable());
+  }
+
+  canSpeak() {
+    return this.getChain().length > 0;
+  }
+
+  /**
+   * Speak text with the first provider in the chain that works
+   * @returns {Promise<string|null>} Id of the provider that spoke, or null
+   */
+  async speak(text, { signal } = {}) {
+    if (!text?.trim()) return null;
+    const generation = this.generation;
+
+    for (const provider of this.getChain()) {
+      throwIfAborted(signal);
+      try {
+        if (await provider.speak(text, { signal })) {
+          this.lastProvider = provider.id;
+          return provider.id;
+        }
+        if (this.generation !== generation) return null;
+        log.warn('Speech provider did not play, trying next', { provider: provider.id });
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        if (this.generation !== generation) return null;
+        log.warn('Speech provider failed, trying next', { provider: provider.id, error: error?.message });
+      }
+    }
+
+    log.warn('No speech provider could speak');
+    return null;
+  }
+
+  /**
+   * Play a checkpoint's pre-generated audio, or speak its narration
+   * @returns {Promise<string|null>} 'pack' for pre-generated audio, the
+   *   provider id otherwise, or null if nothing played
+   */
+  async speakCheckpoint(checkpoint, { signal } = {}) {
+    if (checkpoint?.audioPath) {
+      const uri = await elevenLabsService.resolveAudioUri(checkpoint.audioPath);
+      if (uri && await audioService.playUri(uri)) {
+        this.lastProvider = 'pack';
+        return 'pack';
+      }
+      log.warn('Pre-generated audio unavailable, using speech chain', { checkpointId: checkpoint.id });
+    }
+    return this.speak(getNarrationText(checkpoint?.narration), { signal });
+  }
+
+  async stop() {
+    this.generation++;
+    await Promise.all([...this.providers.values()].map(async (provider) => {
+      try {
+        await provider.stop();
+      } catch (error) {
+        log.debug('Failed to stop speech provider', { provider: provider.id, error: error?.message });
+      }
+    }));
+  }
+}
+
+export const speechService = new SpeechService();
+export { SpeechService };
@@ -0,0 +1,205 @@
+/**
+ * StorageService - Per-pack storage accounting and the storage budget
+ *
+ * A flight pack owns three kinds of data:
+ * - its JSON (narrations/<id>.json, or IndexedDB on web)
+ * - the ElevenLabs audio its checkpoints reference (files, or IndexedDB blobs
+ *   on web). Audio is keyed by content hash and may be shared between packs,
+ *   so a shared file counts towards each pack that uses it
+ * - its offline maps (maps/<id>/ on native, IndexedDB tiles tagged with the
+ *   pack id on web)
+ *
+ * enforceBudget first removes audio no pack references, then evicts whole
+ * packs, least recently used first, until the caches fit the user's budget.
+ * Favourites, upcoming flights and the packs currently loaded (every leg of a
+ * trip) are never evicted. Listeners are told which packs were evicted so
+ * flight history can mark them as no longer cached.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { EventEmitter } from './base';
+import { narrationService } from './NarrationService';
+import { elevenLabsService } from './ElevenLabsService';
+import { mapTileService } from './MapTileService';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('StorageService');
+
+const USAGE_STORAGE_KEY = '@window_seat_pack_usage';
+
+export const PROTECTION_REASONS = {
+  CURRENT: 'current',
+  FAVORITE: 'favorite',
+  UPCOMING: 'upcoming',
+};
+
+// Pack ids are flight numbers without whitespace, upper-cased
+const toPackId = (flightNumber) => String(flightNumber).toUpperCase().replace(/\s/g, '');
+
+class StorageService extends EventEmitter {
+  constructor() {
+    super();
+    this.budgetBytes = null; // null = unlimited
+    this.favoritePackIds = new Set();
+    this.lastUsed = null; // { [packId]: ISO date }, loaded on first use
+    this.enforcing = null;
+  }
+
+  /**
+   * @param {number|null} bytes - Maximum bytes for all caches, or null for no limit
+   */
+  setBudget(bytes) {
+    this.budgetBytes = bytes > 0 ? bytes : null;
+  }
+
+  getBudget() {
+    return this.budgetBytes;
+  }
+
+  setFavoritePacks(flightNumbers) {
+    this.favoritePackIds = new Set(flightNumbers.map(toPackId));
+  }
+
+  async loadUsage() {
+    if (this.lastUsed) return this.lastUsed;
+    try {
+      const stored = await AsyncStorage.getItem(USAGE_STORAGE_KEY);
+      this.lastUsed = stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      log.warn('Failed to load pack usage', { error: error?.message });
+      this.lastUsed = {};
+    }
+    return this.lastUsed;
+  }
+
+  /**
+   * Mark a pack as just used (loaded for a flight). Eviction goes by this.
+   */
+  async recordPackUse(flightNumber) {
+    const usage = await this.loadUsage();
+    usage[toPackId(flightNumber)] = new Date().toISOString();
+    try {
+      await AsyncStorage.setItem(USAGE_STORAGE_KEY, JSON.stringify(usage));
+    } catch (error) {
+      log.warn('Failed to save pack usage', { error: error?.message });
+    }
+  }
+
+  getProtection(summary, now = Date.now()) {
+    if (summary.id === narrationService.currentFlightPack?.id ||
+        narrationService.isCurrentTripPack(summary.id)) {
+      return PROTECTION_REASONS.CURRENT;
+    }
+    if (this.favoritePackIds.has(summary.id)) {
+      return PROTECTION_REASONS.FAVORITE;
+    }
+    const departure = summary.departureTime ? Date.parse(summary.departureTime) : NaN;
+    if (departure > now) {
+      return PROTECTION_REASONS.UPCOMING;
+    }
+    return null;
+  }
+
+  /**
+   * Size breakdown for every cached pack, most recently used first
+   * @returns {Promise<Array>} [{ id, flightNumber, narrationBytes, audioBytes,
+   *   mapBytes, totalBytes, lastUsedAt, protection }]
+   */
+  async getPackUsage() {
+    const [packs, usage] = await Promise.all([
+      narrationService.listCachedFlightPacks(),
+      this.loadUsage(),
+    ]);
+    const now = Date.now();
+
+    const results = await Promise.all(packs.map(async (summary) => {
+      const [narrationBytes, mapBytes, audioSizes] = await Promise.all([
+        narrationService.getFlightPackSize(summary.id),
+        summary.hasOfflineMaps ? mapTileService.getCacheSize(summary.id) : 0,
+        Promise.all(summary.audioPaths.map(uri => elevenLabsService.getAudioFileSize(uri))),
+      ]);
+      const audioBytes = audioSizes.reduce((total, size) => total + size, 0);
+
+      return {
+        id: summary.id,
+        flightNumber: summary.flightNumber,
+        narrationBytes,
+        audioBytes,
+        mapBytes,
+        totalBytes: narrationBytes + audioBytes + mapBytes,
+        lastUsedAt: usage[summary.id] || summary.downloadedAt || null,
+        protection: this.getProtection(summary, now),
+      };
+    }));
+
+    return results.sort((a, b) => (b.lastUsedAt || '').localeCompare(a.lastUsedAt || ''));
+  }
+
+  // Everything in the three caches, including files no pack owns
+  async getTotalUsage() {
+    const [audio, narration, map] = await Promise.all([
+      elevenLabsService.getCacheSize(),
+      narrationService.getCacheSize(),
+      mapTileService.getCacheSize(),
+    ]);
+    return audio + narration + map;
+  }
+
+  /**
+   * Evict least recently used packs until the caches fit the budget
+   * @returns {Promise<{ evicted: string[], totalBytes: number, budgetBytes: number|null }>}
+   */
+  async enforceBudget() {
+    // One pass at a time; concurrent callers share the running pass
+    if (!this.enforcing) {
+      this.enforcing = this.runEviction().finally(() => {
+        this.enforcing = null;
+      });
+    }
+    return this.enforcing;
+  }
+
+  async runEviction() {
+    // Orphaned audio goes before any pack does
+    await narrationService.collectOrphanedAudio();
+
+    const budgetBytes = this.budgetBytes;
+    let totalBytes = await this.getTotalUsage();
+    const evicted = [];
+
+    if (!budgetBytes || totalBytes <= budgetBytes) {
+      return { evicted, totalBytes, budgetBytes };
+    }
+
+    // Oldest first; protected packs are skipped, never evicted
+    const candidates = (await this.getPackUsage())
+      .filter(pack => !pack.protection)
+      .reverse();
+
+    for (const pack of candidates) {
+      if (totalBytes <= budgetBytes) break;
+      try {
+        await narrationService.deleteFlightPack(pack.id);
+        evicted.push(pack.id);
+        totalBytes -= pack.totalBytes;
+        log.info('Evicted flight pack', { packId: pack.id, bytes: pack.totalBytes, lastUsedAt: pack.lastUsedAt });
+      } catch (error) {
+        log.warn('Failed to evict flight pack', { packId: pack.id, error: error?.message });
+      }
+    }
+
+    if (evicted.length > 0) {
+      // Re-measure: the running total is only an estimate of what was freed
+      totalBytes = await this.getTotalUsage();
+      this.emit({ type: 'evicted', packIds: evicted });
+    }
+    if (totalBytes > budgetBytes) {
+      log.warn('Storage budget still exceeded after eviction', { totalBytes, budgetBytes });
+    }
+
+    return { evicted, totalBytes, budgetBytes };
+  }
+}
+
+export const storageService = new StorageService();
+export { StorageService };
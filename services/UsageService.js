@@ -0,0 +1,181 @@
+/**
+ * UsageService - Monthly ledger of paid API usage and spend caps
+ *
+ * Every paid request (LLM tokens, ElevenLabs characters, AeroAPI queries) is
+ * recorded here with its estimated cost, totalled per calendar month and per
+ * service, and kept in AsyncStorage. Requests made for a flight pack are also
+ * added to the pack's own usage record (see utils/usage.js).
+ *
+ * Spend caps: requests made for a pack are refused with a BudgetExceededError
+ * once this month's spending or the pack's own reaches its cap, unless the
+ * user agreed to go over for that pack (usage.overBudgetApproved).
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createUsage, addUsage, getRequestCost, createBudgetError } from '../utils/usage';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('UsageService');
+
+const LEDGER_STORAGE_KEY = '@window_seat_usage_ledger';
+
+// Months kept in the ledger
+const MAX_MONTHS = 24;
+
+// "2026-10" in local time
+const getMonthKey = (date = new Date()) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+class UsageService {
+  constructor() {
+    this.months = null; // { [month]: usage + byService }, loaded on first use
+    this.loading = null;
+    this.budget = {
+      monthlyCap: 0, // USD, 0 for no cap
+      packCap: 0,
+    };
+  }
+
+  async load() {
+    if (this.months) return this.months;
+    if (!this.loading) {
+      this.loading = AsyncStorage.getItem(LEDGER_STORAGE_KEY)
+        .then(stored => (stored ? JSON.parse(stored) : {}))
+        .catch((error) => {
+          log.warn('Failed to load usage ledger', { error: error?.message });
+          return {};
+        })
+        .then((months) => {
+          this.months = months;
+          return months;
+        });
+    }
+    return this.loading;
+  }
+
+  async persist() {
+    try {
+      await AsyncStorage.setItem(LEDGER_STORAGE_KEY, JSON.stringify(this.months));
+    } catch (error) {
+      log.warn('Failed to save usage ledger', { error: error?.message });
+    }
+  }
+
+  /**
+   * @param {Object} budget - { monthlyCap, packCap } in USD; 0 for no cap
+   */
+  setBudget({ monthlyCap, packCap } = {}) {
+    this.budget = {
+      monthlyCap: Math.max(0, Number(monthlyCap) || 0),
+      packCap: Math.max(0, Number(packCap) || 0),
+    };
+  }
+
+  getBudget() {
+    return { ...this.budget };
+  }
+
+  /**
+   * Record one paid request
+   * @param {Object} request - { service, model?, inputTokens?, outputTokens?, characters?, calls? }
+   * @param {Object} [options]
+   * @param {Object} [options.usage] - The pack's usage record to add it to
+   * @returns {Promise<Object>} The request with its cost and time
+   */
+  async record(request, { usage } = {}) {
+    const entry = { ...request, cost: getRequestCost(request), at: new Date().toISOString() };
+    if (usage) {
+      addUsage(usage, entry);
+    }
+
+    const months = await this.load();
+    const key = getMonthKey();
+    if (!months[key]) {
+      months[key] = { ...createUsage(), byService: {} };
+    }
+    const month = months[key];
+    addUsage(month, entry);
+    if (!month.byService[entry.service]) {
+      month.byService[entry.service] = createUsage();
+    }
+    addUsage(month.byService[entry.service], entry);
+
+    const keys = Object.keys(months).sort();
+    keys.slice(0, Math.max(0, keys.length - MAX_MONTHS)).forEach(old => delete months[old]);
+
+    await this.persist();
+    return entry;
+  }
+
+  /**
+   * Totals for one month
+   * @param {string} [month] - "YYYY-MM"; defaults to this month
+   * @returns {Promise<Object>} { month, ...usage, byService }
+   */
+  async getMonthUsage(month = getMonthKey()) {
+    const months = await this.load();
+    return { month, ...(months[month] || { ...createUsage(), byService: {} }) };
+  }
+
+  /**
+   * Every month in the ledger, newest first
+   * @returns {Promise<Array>} [{ month, ...usage }]
+   */
+  async getHistory() {
+    const months = await this.load();
+    return Object.keys(months)
+      .sort()
+      .reverse()
+      .map(month => ({ month, ...months[month] }));
+  }
+
+  /**
+   * Which spend cap, if any, is reached or would be by spending `estimate` more
+   * @param {Object} [options]
+   * @param {Object} [options.usage] - A pack's usage so far, for the per-pack cap
+   * @param {number} [options.estimate=0] - Cost about to be spent (USD)
+   * @returns {Promise<Object|null>} { cap: 'monthly' | 'pack', limit, spent }
+   */
+  async checkBudget({ usage, estimate = 0 } = {}) {
+    const over = (spent, limit) => limit > 0 && (spent >= limit || spent + estimate > limit);
+
+    const { monthlyCap, packCap } = this.budget;
+    if (usage && over(usage.cost || 0, packCap)) {
+      return { cap: 'pack', limit: packCap, spent: usage.cost || 0 };
+    }
+    if (monthlyCap > 0) {
+      const { cost } = await this.getMonthUsage();
+      if (over(cost, monthlyCap)) {
+        return { cap: 'monthly', limit: monthlyCap, spent: cost };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Throw a BudgetExceededError before a request that would take a pack over
+   * a cap, unless the user approved going over for that pack
+   * @param {Object} usage - The pack's usage record
+   * @param {number} [estimate=0] - The request's estimated cost (USD)
+   */
+  async assertWithinBudget(usage, estimate = 0) {
+    if (usage?.overBudgetApproved) return;
+    const exceeded = await this.checkBudget({ usage, estimate });
+    if (exceeded) {
+      log.info('Spend cap reached, pausing generation', exceeded);
+      throw createBudgetError(exceeded);
+    }
+  }
+
+  async clear() {
+    this.months = {};
+    try {
+      await AsyncStorage.removeItem(LEDGER_STORAGE_KEY);
+    } catch (error) {
+      log.warn('Failed to clear usage ledger', { error: error?.message });
+    }
+  }
+}
+
+export const usageService = new UsageService();
+export { UsageService };
@@ -2,8 +2,11 @@ export { EventEmitter } from './base';
 export { locationService, LocationService } from './LocationService';
 export { claudeService, ClaudeService } from './ClaudeService';
 export { narrationService, NarrationService } from './NarrationService';
+export { gazetteerService, GazetteerService } from './GazetteerService';
+export { liveNarrationCacheService, LiveNarrationCacheService } from './LiveNarrationCacheService';
 export { elevenLabsService, ElevenLabsService } from './ElevenLabsService';
-// freeTTSService temporarily disabled for debugging
+export { freeTTSService, FreeTTSService } from './FreeTTSService';
+export { speechService, SpeechService, DEFAULT_TTS_PROVIDER_ORDER } from './SpeechService';
 export { audioService, AudioService } from './AudioService';
 export { flightDataService, FlightDataService } from './FlightDataService';
 export { shareService, ShareService } from './ShareService';
@@ -11,3 +14,8 @@ export { landmarkService, LandmarkService } from './LandmarkService';
 export { sunPositionService, SunPositionService } from './SunPositionService';
 export { borderCrossingService, BorderCrossingService } from './BorderCrossingService';
 export { mapTileService, MapTileService } from './MapTileService';
+export { flightPackBundleService, FlightPackBundleService, isPackConflictError } from './FlightPackBundleService';
+export { downloadJobService, DownloadJobService } from './DownloadJobService';
+export { storageService, StorageService } from './StorageService';
+export { packDatabaseService, PackDatabaseService, IDB_AUDIO_SCHEME } from './PackDatabaseService';
+export { usageService, UsageService } from './UsageService';
@@ -0,0 +1,37 @@
+/**
+ * Abort helpers for cancellable operations
+ *
+ * React Native has no DOMException, so cancellation is signalled with a plain
+ * Error named 'AbortError' - the same name fetch uses for aborted requests,
+ * which lets callers handle both with isAbortError().
+ */
+
+/**
+ * Create an error representing a cancelled operation
+ * @param {string} [message] - Error message
+ * @returns {Error}
+ */
+export function createAbortError(message = 'Operation cancelled') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Check if an error was caused by cancellation
+ * @param {Error} error - The error to check
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ * @param {AbortSignal} [signal] - Optional abort signal
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+}
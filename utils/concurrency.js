@@ -0,0 +1,141 @@
+/**
+ * Bounded concurrency helpers
+ *
+ * - ConcurrencyPool limits how many requests a provider (Claude, ElevenLabs)
+ *   has in flight across every caller, and lets a rate-limited request pause
+ *   the whole pool (see the `pool` option of withRetry)
+ * - mapWithConcurrency runs a worker over a list with a fixed number of
+ *   workers, keeping results in input order
+ */
+
+import { createAbortError, throwIfAborted } from './abort';
+
+/**
+ * Limits concurrent tasks for one provider. Tasks beyond the limit wait in
+ * FIFO order; while the pool is paused no new task starts.
+ */
+export class ConcurrencyPool {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name] - Provider name (for logging)
+   * @param {number} [options.concurrency=2] - Maximum tasks in flight
+   */
+  constructor({ name = 'pool', concurrency = 2 } = {}) {
+    this.name = name;
+    this.concurrency = Math.max(1, concurrency);
+    this.active = 0;
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.resumeTimer = null;
+  }
+
+  setConcurrency(concurrency) {
+    this.concurrency = Math.max(1, concurrency || 1);
+    this.drain();
+  }
+
+  /**
+   * Hold back new tasks for a while (shared backoff after a rate limit)
+   * @param {number} ms - Pause duration in milliseconds
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {Function} task - Async function to run
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Removes the task from the queue when aborted
+   * @returns {Promise<any>} Result of the task
+   */
+  run(task, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const entry = { task, resolve, reject, signal, onAbort: null };
+      if (signal) {
+        entry.onAbort = () => {
+          this.queue = this.queue.filter(e => e !== entry);
+          reject(createAbortError());
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      this.queue.push(entry);
+      this.drain();
+    });
+  }
+
+  drain() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const wait = this.pausedUntil - Date.now();
+      if (wait > 0) {
+        if (!this.resumeTimer) {
+          this.resumeTimer = setTimeout(() => {
+            this.resumeTimer = null;
+            this.drain();
+          }, wait);
+        }
+        return;
+      }
+
+      const entry = this.queue.shift();
+      if (entry.onAbort) {
+        entry.signal.removeEventListener('abort', entry.onAbort);
+      }
+
+      this.active++;
+      Promise.resolve()
+        .then(entry.task)
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+}
+
+/**
+ * Map over items with a bounded number of concurrent workers
+ *
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index) => result
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=4] - Maximum workers
+ * @param {AbortSignal} [options.signal] - Stops picking up new items when aborted
+ * @param {Function} [options.onProgress] - Called as (completed, total, index) after each item
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+export async function mapWithConcurrency(items, worker, options = {}) {
+  const { concurrency = 4, signal, onProgress } = options;
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let completed = 0;
+  let failed = false;
+
+  const runWorker = async () => {
+    while (!failed && nextIndex < items.length) {
+      throwIfAborted(signal);
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+      completed++;
+      if (onProgress) {
+        onProgress(completed, items.length, index);
+      }
+    }
+  };
+
+  const workerCount = Math.min(Math.max(1, concurrency), items.length);
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
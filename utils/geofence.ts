@@ -17,6 +17,49 @@ export interface CheckpointWithDistance extends Checkpoint {
   distance: number;
 }
 
+// How the aircraft is moving, for trigger geometry that adapts to it.
+// Altitude in meters and speed in m/s, as reported by the GPS (null or
+// negative when unknown).
+export interface GeofenceMotion {
+  altitude?: number | null;
+  speed?: number | null;
+  previous?: Coordinate | null; // Last fix, to catch geofences passed through between fixes
+}
+
+// Where a position is relative to a route: distance along the route to the
+// closest point on it, and how far off the route (to the left or right of
+// the direction of travel) the position is. Meters.
+export interface RouteProjection {
+  alongTrack: number;
+  crossTrack: number;
+  side: 'left' | 'right';
+}
+
+export interface AbeamOptions {
+  previousAlongTrack?: number | null; // alongTrack of the last fix; none on the first fix
+  maxCrossTrack?: number;             // Further off the route than this, a checkpoint is missed
+  positions?: Map<string, number>;    // From getCheckpointPositions, to avoid recomputing per fix
+}
+
+export interface AbeamResult {
+  triggered: Checkpoint[];
+  missed: Checkpoint[];
+  alongTrack: number;
+  crossTrack: number;
+}
+
+const EARTH_RADIUS = 6371000; // meters
+const DEFAULT_MAX_CROSS_TRACK = 100000;
+
+// Ground within this many times the altitude is in view without craning:
+// about 20 degrees below the horizon
+const ALTITUDE_RADIUS_FACTOR = 2.75;
+// Trigger this many seconds early so narration starts on the approach
+const SPEED_LEAD_SECONDS = 45;
+const MAX_TRIGGER_RADIUS = 60000;
+// A longer gap between fixes is a relaunch or a jump, not a track
+const MAX_TRACK_SEGMENT = 300000;
+
 // Haversine formula to calculate distance between two GPS coordinates
 export function calculateDistance(
   lat1: number,
@@ -79,21 +122,196 @@ export function findNearbyCheckpoints(
     .sort((a, b) => a.distance - b.distance);
 }
 
-// Check which checkpoints have been triggered (entered for first time)
+// Distance to the visible horizon from an altitude (meters)
+export function getHorizonDistance(altitude: number): number {
+  if (!(altitude > 0)) return 0;
+  return Math.sqrt(2 * EARTH_RADIUS * altitude + altitude * altitude);
+}
+
+// Trigger radius for a checkpoint given how the aircraft is moving: never
+// less than the checkpoint's own radius, widened with altitude (more ground
+// in view) and ground speed (start early enough to finish while it's below),
+// up to MAX_TRIGGER_RADIUS and the visible horizon
+export function getTriggerRadius(checkpoint: Checkpoint, motion: GeofenceMotion = {}): number {
+  const altitude = motion.altitude && motion.altitude > 0 ? motion.altitude : 0;
+  const speed = motion.speed && motion.speed > 0 ? motion.speed : 0;
+  if (!altitude && !speed) return checkpoint.radius;
+
+  const radius = Math.max(checkpoint.radius, altitude * ALTITUDE_RADIUS_FACTOR) + speed * SPEED_LEAD_SECONDS;
+  const limit = Math.max(
+    checkpoint.radius,
+    Math.min(MAX_TRIGGER_RADIUS, altitude ? getHorizonDistance(altitude) : MAX_TRIGGER_RADIUS)
+  );
+  return Math.min(radius, limit);
+}
+
+// Shortest distance from a point to the track between two fixes (meters).
+// The track is treated as flat around the point, which holds for the few
+// kilometers between fixes.
+export function distanceToSegment(point: Coordinate, start: Coordinate, end: Coordinate): number {
+  const cosLat = Math.cos(toRadians(point.latitude));
+  const toLocal = (c: Coordinate) => ({
+    x: toRadians(normalizeLongitude(c.longitude - point.longitude)) * cosLat * EARTH_RADIUS,
+    y: toRadians(c.latitude - point.latitude) * EARTH_RADIUS,
+  });
+  const a = toLocal(start);
+  const b = toLocal(end);
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared)) : 0;
+  return Math.hypot(a.x + t * dx, a.y + t * dy);
+}
+
+// Wrap a longitude (or longitude difference) into -180..180
+export function normalizeLongitude(longitude: number): number {
+  return ((((longitude + 180) % 360) + 360) % 360) - 180;
+}
+
+// Distance from the start of the route to each route point
+export function getCumulativeDistances(route: Coordinate[]): number[] {
+  const distances = [0];
+  for (let i = 1; i < route.length; i++) {
+    distances.push(distances[i - 1] + calculateDistance(
+      route[i - 1].latitude,
+      route[i - 1].longitude,
+      route[i].latitude,
+      route[i].longitude
+    ));
+  }
+  return distances;
+}
+
+// Project a position onto the closest segment of a route. Each segment is
+// treated as flat, which is close enough for segments of a few hundred km.
+export function projectOntoRoute(
+  point: Coordinate,
+  route: Coordinate[],
+  distances: number[] = getCumulativeDistances(route)
+): RouteProjection {
+  let best: RouteProjection = { alongTrack: 0, crossTrack: Infinity, side: 'left' };
+
+  for (let i = 0; i < route.length - 1; i++) {
+    const start = route[i];
+    const end = route[i + 1];
+    const cosLat = Math.cos(toRadians(start.latitude));
+    const toLocal = (c: Coordinate) => ({
+      x: toRadians(normalizeLongitude(c.longitude - start.longitude)) * cosLat * EARTH_RADIUS,
+      y: toRadians(c.latitude - start.latitude) * EARTH_RADIUS,
+    });
+    const segment = toLocal(end);
+    const target = toLocal(point);
+    const lengthSquared = segment.x * segment.x + segment.y * segment.y;
+    const t = lengthSquared > 0
+      ? Math.max(0, Math.min(1, (target.x * segment.x + target.y * segment.y) / lengthSquared))
+      : 0;
+    const crossTrack = Math.hypot(target.x - t * segment.x, target.y - t * segment.y);
+
+    if (crossTrack < best.crossTrack) {
+      best = {
+        alongTrack: distances[i] + t * (distances[i + 1] - distances[i]),
+        crossTrack,
+        // Positive cross product: the point is counterclockwise of the track
+        side: segment.x * target.y - segment.y * target.x > 0 ? 'left' : 'right',
+      };
+    }
+  }
+
+  return best;
+}
+
+// Along-track position of each checkpoint, by id
+export function getCheckpointPositions(route: Coordinate[], checkpoints: Checkpoint[]): Map<string, number> {
+  const distances = getCumulativeDistances(route);
+  return new Map(checkpoints.map(checkpoint => [
+    checkpoint.id,
+    projectOntoRoute(checkpoint, route, distances).alongTrack,
+  ]));
+}
+
+// Abeam triggering for flights that stray from the stored route: the
+// aircraft is projected onto the route, and a checkpoint fires once the
+// along-track progress passes the checkpoint's, however far off the route
+// the aircraft is up to maxCrossTrack. Passed any further out, it is missed.
+//
+// On the first fix (no previousAlongTrack) checkpoints already behind are
+// missed, except one the aircraft is still inside the radius of (departure
+// while at the gate).
+export function checkAbeam(
+  currentLat: number,
+  currentLon: number,
+  route: Coordinate[],
+  checkpoints: Checkpoint[],
+  triggeredIds: Set<string> = new Set(),
+  options: AbeamOptions = {}
+): AbeamResult {
+  const { previousAlongTrack, maxCrossTrack = DEFAULT_MAX_CROSS_TRACK } = options;
+  const positions = options.positions || getCheckpointPositions(route, checkpoints);
+  const { alongTrack, crossTrack } = projectOntoRoute({ latitude: currentLat, longitude: currentLon }, route);
+  const triggered: Checkpoint[] = [];
+  const missed: Checkpoint[] = [];
+  const isFirstFix = previousAlongTrack === null || previousAlongTrack === undefined;
+
+  for (const checkpoint of checkpoints) {
+    const position = positions.get(checkpoint.id);
+    if (triggeredIds.has(checkpoint.id) || position === undefined || position > alongTrack) {
+      continue;
+    }
+
+    if (isFirstFix) {
+      if (isWithinGeofence(currentLat, currentLon, checkpoint)) {
+        triggered.push(checkpoint);
+      } else {
+        missed.push(checkpoint);
+      }
+    } else if (position > previousAlongTrack) {
+      if (crossTrack <= maxCrossTrack) {
+        triggered.push(checkpoint);
+      } else {
+        missed.push(checkpoint);
+      }
+    }
+  }
+
+  return { triggered, missed, alongTrack, crossTrack };
+}
+
+// Check which checkpoints have been triggered (entered for first time).
+//
+// Without motion each checkpoint is a fixed circle of its radius. With
+// motion the circle follows getTriggerRadius, and with motion.previous a
+// checkpoint also triggers if the track since the last fix passed through
+// it, even though neither fix landed inside.
 export function checkGeofences(
   currentLat: number,
   currentLon: number,
   checkpoints: Checkpoint[],
-  triggeredIds: Set<string> = new Set()
+  triggeredIds: Set<string> = new Set(),
+  motion?: GeofenceMotion
 ): Checkpoint[] {
   const newlyTriggered: Checkpoint[] = [];
+  const current = { latitude: currentLat, longitude: currentLon };
+  const previous = motion?.previous;
+  const hasTrack = !!previous &&
+    calculateDistance(previous.latitude, previous.longitude, currentLat, currentLon) <= MAX_TRACK_SEGMENT;
 
   for (const checkpoint of checkpoints) {
     if (triggeredIds.has(checkpoint.id)) {
       continue;
     }
 
-    if (isWithinGeofence(currentLat, currentLon, checkpoint)) {
+    if (!motion) {
+      if (isWithinGeofence(currentLat, currentLon, checkpoint)) {
+        newlyTriggered.push(checkpoint);
+      }
+      continue;
+    }
+
+    const radius = getTriggerRadius(checkpoint, motion);
+    const distance = hasTrack && previous
+      ? distanceToSegment(checkpoint, previous, current)
+      : calculateDistance(currentLat, currentLon, checkpoint.latitude, checkpoint.longitude);
+    if (distance <= radius) {
       newlyTriggered.push(checkpoint);
     }
   }
@@ -0,0 +1,56 @@
+/**
+ * Geohash encoding (https://en.wikipedia.org/wiki/Geohash)
+ *
+ * Points in the same cell share a hash, so it makes a compact key for
+ * "roughly here". Each extra character shrinks the cell by about 4-8x:
+ * precision 4 is about 39 x 20 km, precision 5 about 5 x 5 km.
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} [precision] - Number of characters
+ * @returns {string}
+ */
+export function encodeGeohash(latitude, longitude, precision = 5) {
+  let latMin = -90;
+  let latMax = 90;
+  let lonMin = -180;
+  let lonMax = 180;
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let evenBit = true; // Longitude first
+
+  while (hash.length < precision) {
+    if (evenBit) {
+      const mid = (lonMin + lonMax) / 2;
+      if (longitude >= mid) {
+        bits = (bits << 1) | 1;
+        lonMin = mid;
+      } else {
+        bits <<= 1;
+        lonMax = mid;
+      }
+    } else {
+      const mid = (latMin + latMax) / 2;
+      if (latitude >= mid) {
+        bits = (bits << 1) | 1;
+        latMin = mid;
+      } else {
+        bits <<= 1;
+        latMax = mid;
+      }
+    }
+    evenBit = !evenBit;
+
+    if (++bitCount === 5) {
+      hash += BASE32[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+  return hash;
+}
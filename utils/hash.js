@@ -0,0 +1,34 @@
+/**
+ * Content hashing for cache keys
+ *
+ * Not cryptographic: two 53-bit cyrb53 hashes with different seeds give a
+ * 106-bit key, which is plenty to tell cached audio apart without pulling in
+ * a native crypto module.
+ */
+
+function cyrb53(str, seed) {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+/**
+ * Hash a string (or any JSON-serializable value) to a stable hex key
+ * @param {string|*} value - Strings are hashed as-is, anything else as JSON
+ * @returns {string} 28 hex characters, safe for file names
+ */
+export function hashContent(value) {
+  const str = typeof value === 'string' ? value : JSON.stringify(value);
+  return [cyrb53(str, 0), cyrb53(str, 0x9e3779b9)]
+    .map(h => h.toString(16).padStart(14, '0'))
+    .join('');
+}
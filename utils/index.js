@@ -5,3 +5,12 @@ export * from './formatBytes';
 export * from './retry';
 export * from './tileCalculations';
 export * from './logger';
+export * from './abort';
+export * from './concurrency';
+export * from './narration';
+export * from './packSchema';
+export * from './trip';
+export * from './hash';
+export * from './geohash';
+export * from './personas';
+export * from './usage';
@@ -0,0 +1,227 @@
+/**
+ * Structured checkpoint narrations
+ *
+ * A narration is an object rather than a text blob so the UI and exports can
+ * show more than one paragraph:
+ *
+ *   {
+ *     title: 'The Thames Estuary',          // short heading (nullable)
+ *     body: 'Below the left wing...',       // the narration that is read aloud
+ *     windowSide: 'left',                   // 'left' | 'right' | 'both' | null
+ *     funFact: 'The estuary...',            // one-sentence fact (nullable)
+ *     tags: ['history', 'geology'],         // subset of NARRATION_TAGS
+ *     pronunciation: 'Thames (TEMZ)',       // hint for place names (nullable)
+ *   }
+ *
+ * Packs saved before narrations were structured hold plain strings; those are
+ * wrapped by normalizeNarration when a pack is loaded.
+ */
+
+export const NARRATION_TAGS = ['geology', 'history', 'culture'];
+export const WINDOW_SIDES = ['left', 'right', 'both'];
+
+const optionalString = (value) =>
+  typeof value === 'string' && value.trim() ? value.trim() : null;
+
+/**
+ * Build a narration object, filling in defaults for missing fields
+ * @param {Object} fields - Narration fields; body is required
+ * @returns {Object}
+ */
+export function createNarration({ title = null, body, windowSide = null, funFact = null, tags = [], pronunciation = null }) {
+  return { title, body, windowSide, funFact, tags, pronunciation };
+}
+
+/**
+ * Validate untrusted narration data (e.g. parsed from a model response).
+ * Unknown tags and window sides are dropped rather than rejected.
+ * @param {Object} data - Candidate narration
+ * @returns {Object|null} Normalized narration, or null if there is no body
+ */
+export function validateNarration(data) {
+  const narration = sanitizeNarration(data);
+  return narration?.body ? narration : null;
+}
+
+// Narration fields from untrusted data, with body null if it has none
+function sanitizeNarration(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+
+  const windowSide = typeof data.windowSide === 'string' ? data.windowSide.toLowerCase() : null;
+  const tags = Array.isArray(data.tags)
+    ? [...new Set(data.tags
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.toLowerCase())
+        .filter(tag => NARRATION_TAGS.includes(tag)))]
+    : [];
+
+  return createNarration({
+    title: optionalString(data.title),
+    body: optionalString(data.body),
+    windowSide: WINDOW_SIDES.includes(windowSide) ? windowSide : null,
+    funFact: optionalString(data.funFact),
+    tags,
+    pronunciation: optionalString(data.pronunciation),
+  });
+}
+
+/**
+ * Convert any stored narration (legacy string, object or nothing) to the
+ * structured form. A stored object without a body keeps its other fields
+ * (body null) rather than being dropped.
+ * @param {string|Object|null} narration
+ * @returns {Object|null} null only if there is nothing to keep
+ */
+export function normalizeNarration(narration) {
+  if (narration == null) return null;
+  if (typeof narration === 'string') {
+    return narration.trim() ? createNarration({ body: narration.trim() }) : null;
+  }
+  const normalized = sanitizeNarration(narration);
+  if (!normalized) return null;
+  const { body, title, funFact, pronunciation, windowSide, tags } = normalized;
+  return body || title || funFact || pronunciation || windowSide || tags.length > 0 ? normalized : null;
+}
+
+/**
+ * Text to show or speak for a narration
+ * @param {string|Object|null} narration
+ * @returns {string} Body text, or '' if there is none
+ */
+export function getNarrationText(narration) {
+  if (!narration) return '';
+  if (typeof narration === 'string') return narration;
+  return narration.body || '';
+}
+
+/**
+ * Human-readable window hint, e.g. "Look out the left window"
+ * @param {string|null} windowSide
+ * @returns {string|null}
+ */
+export function formatWindowSide(windowSide) {
+  switch (windowSide) {
+    case 'left':
+      return 'Look out the left window';
+    case 'right':
+      return 'Look out the right window';
+    case 'both':
+      return 'Visible from both sides';
+    default:
+      return null;
+  }
+}
+
+// ============================================
+// Continuity
+// ============================================
+
+// Share of a narration's three-word phrases found in an earlier one above
+// which it counts as a repeat
+export const REPETITION_THRESHOLD = 0.35;
+
+// Words that open a narration; two narrations opening alike sound repetitive
+// even when the rest differs
+const OPENING_WORDS = 4;
+
+function getWords(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[\s.,;:!?"'“”‘’()[\]{}\-–—…]+/)
+    .filter(Boolean);
+}
+
+function getPhrases(text, size = 3) {
+  const words = getWords(text);
+  const phrases = new Set();
+  for (let i = 0; i + size <= words.length; i++) {
+    phrases.add(words.slice(i, i + size).join(' '));
+  }
+  return phrases;
+}
+
+/**
+ * First few words of a narration, normalized for comparison
+ * @param {string|Object|null} narration
+ * @returns {string}
+ */
+export function getNarrationOpening(narration) {
+  return getWords(getNarrationText(narration)).slice(0, OPENING_WORDS).join(' ');
+}
+
+/**
+ * How much two narrations overlap: the share of the shorter one's
+ * three-word phrases that also appear in the other (0 = nothing shared,
+ * 1 = one is contained in the other). Fun facts count as part of the text.
+ * @param {string|Object|null} a
+ * @param {string|Object|null} b
+ * @returns {number}
+ */
+export function narrationSimilarity(a, b) {
+  const fullText = (narration) => [getNarrationText(narration), narration?.funFact].filter(Boolean).join(' ');
+  const phrasesA = getPhrases(fullText(a));
+  const phrasesB = getPhrases(fullText(b));
+  const smaller = Math.min(phrasesA.size, phrasesB.size);
+  if (smaller === 0) return 0;
+
+  let shared = 0;
+  for (const phrase of phrasesA) {
+    if (phrasesB.has(phrase)) shared++;
+  }
+  return shared / smaller;
+}
+
+/**
+ * Find an earlier narration that a new one repeats: too similar overall, or
+ * opening with the same words
+ * @param {Object} narration - New narration
+ * @param {Array} earlier - Narrations already used on this flight
+ * @param {number} [threshold]
+ * @returns {{ narration: Object, similarity: number, sameOpening: boolean }|null}
+ *   The most similar offending narration, or null if there's none
+ */
+export function findRepetition(narration, earlier, threshold = REPETITION_THRESHOLD) {
+  const opening = getNarrationOpening(narration);
+  let worst = null;
+  for (const previous of earlier) {
+    if (!previous) continue;
+    const similarity = narrationSimilarity(narration, previous);
+    const sameOpening = !!opening && opening === getNarrationOpening(previous);
+    if ((similarity >= threshold || sameOpening) && (!worst || similarity > worst.similarity)) {
+      worst = { narration: previous, similarity, sameOpening };
+    }
+  }
+  return worst;
+}
+
+/**
+ * Running summary of what a flight has already said, for the next prompt:
+ * one line per narration (title, first sentence, fun fact), most recent
+ * last, trimmed from the oldest to fit maxLength characters
+ * @param {Array} narrations - Earlier narrations in route order
+ * @param {Object} [options]
+ * @param {number} [options.maxLength]
+ * @returns {string[]}
+ */
+export function summarizeNarrations(narrations, { maxLength = 1500 } = {}) {
+  const lines = narrations
+    .map(normalizeNarration)
+    .filter(narration => narration?.body)
+    .map((narration) => {
+      const firstSentence = narration.body.match(/^.*?[.!?](\s|$)/)?.[0].trim() || narration.body;
+      return [
+        narration.title ? `${narration.title}:` : null,
+        firstSentence,
+        narration.funFact ? `(Fact: ${narration.funFact})` : null,
+      ].filter(Boolean).join(' ');
+    });
+
+  const kept = [];
+  let length = 0;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (length + lines[i].length > maxLength && kept.length > 0) break;
+    kept.unshift(lines[i]);
+    length += lines[i].length;
+  }
+  return kept;
+}
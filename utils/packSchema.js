@@ -0,0 +1,174 @@
+/**
+ * Flight pack schema versioning
+ *
+ * Every saved pack carries a `schemaVersion`. When the pack format changes,
+ * bump CURRENT_PACK_SCHEMA_VERSION and add a migration to PACK_MIGRATIONS
+ * keyed by the version it produces. migratePack runs each missing step in
+ * order, so a pack saved by any older build loads with the current fields.
+ *
+ * Packs saved before versioning existed have no schemaVersion and are
+ * treated as version 0.
+ */
+
+import { normalizeNarration } from './narration';
+import { createUsage } from './usage';
+
+export const CURRENT_PACK_SCHEMA_VERSION = 5;
+
+
+/**
+ * Migration registry: version -> function that upgrades a pack from the
+ * previous version. Migrations mutate and return the pack.
+ */
+export const PACK_MIGRATIONS = {
+  // v1: explicit offline flags; drop audioPath left null by failed generation
+  1: (pack) => {
+    pack.hasOfflineMaps = !!pack.hasOfflineMaps;
+    pack.mapTilesDownloaded = Number(pack.mapTilesDownloaded) || 0;
+    for (const checkpoint of pack.checkpoints) {
+      if (!checkpoint.audioPath) {
+        delete checkpoint.audioPath;
+      }
+    }
+    pack.hasAudio = pack.checkpoints.some(c => c.audioPath);
+    return pack;
+  },
+
+  // v2: structured narration objects instead of plain strings
+  2: (pack) => {
+    for (const checkpoint of pack.checkpoints) {
+      if ('narration' in checkpoint) {
+        checkpoint.narration = normalizeNarration(checkpoint.narration);
+      }
+    }
+    return pack;
+  },
+
+  // v3: on web, audioPath is an idb-audio:// reference into IndexedDB (web
+  // builds saved no audio before). Drop paths that aren't strings at all.
+  3: (pack) => {
+    for (const checkpoint of pack.checkpoints) {
+      if ('audioPath' in checkpoint && (typeof checkpoint.audioPath !== 'string' || !checkpoint.audioPath)) {
+        delete checkpoint.audioPath;
+      }
+    }
+    pack.hasAudio = pack.checkpoints.some(c => c.audioPath);
+    return pack;
+  },
+
+  // v4: usage totals for the paid requests made for the pack; older packs
+  // start from zero
+  4: (pack) => {
+    const usage = pack.usage && typeof pack.usage === 'object' ? pack.usage : {};
+    pack.usage = { ...createUsage({ detailed: true }), ...usage };
+    if (!Array.isArray(pack.usage.requests)) {
+      pack.usage.requests = [];
+    }
+    delete pack.usage.overBudgetApproved;
+    return pack;
+  },
+
+  // v5: checkpoints can be placed on a landmark beside the route (type
+  // 'landmark'), so landmarks carry their own position and offset from the
+  // path. Older landmarks were looked up at the checkpoint itself.
+  5: (pack) => {
+    for (const checkpoint of pack.checkpoints) {
+      const { landmark } = checkpoint;
+      if (!landmark || typeof landmark !== 'object') continue;
+      checkpoint.landmark = {
+        ...landmark,
+        type: typeof landmark.type === 'string' ? landmark.type : null,
+        nearbyFeatures: Array.isArray(landmark.nearbyFeatures) ? landmark.nearbyFeatures : [],
+        latitude: landmark.latitude ?? checkpoint.latitude,
+        longitude: landmark.longitude ?? checkpoint.longitude,
+        distance: landmark.distance ?? 0,
+        side: landmark.side ?? null,
+      };
+    }
+    return pack;
+  },
+};
+
+const isCoordinate = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check that parsed data is structurally a flight pack
+ * @param {Object} pack - Parsed pack
+ * @returns {string|null} Problem description, or null if valid
+ */
+export function validatePack(pack) {
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    return 'Pack is not an object';
+  }
+  if (typeof pack.id !== 'string' || !pack.id) {
+    return 'Pack has no id';
+  }
+  if (!Array.isArray(pack.checkpoints)) {
+    return 'Pack has no checkpoint list';
+  }
+  const badCheckpoint = pack.checkpoints.findIndex(c =>
+    !c || typeof c !== 'object' || !isCoordinate(c.latitude) || !isCoordinate(c.longitude)
+  );
+  if (badCheckpoint !== -1) {
+    return `Checkpoint ${badCheckpoint} has no valid position`;
+  }
+  if (pack.route !== undefined && !Array.isArray(pack.route)) {
+    return 'Pack route is not a list';
+  }
+  if (pack.schemaVersion !== undefined && !Number.isInteger(pack.schemaVersion)) {
+    return 'Pack schema version is invalid';
+  }
+  return null;
+}
+
+/**
+ * Upgrade a pack to the current schema version
+ *
+ * @param {Object} pack - Validated pack (mutated in place)
+ * @returns {{ pack: Object, migrated: boolean }} migrated is true if any step ran
+ * @throws {Error} If the pack was saved by a newer app version
+ */
+export function migratePack(pack) {
+  const fromVersion = pack.schemaVersion || 0;
+
+  if (fromVersion > CURRENT_PACK_SCHEMA_VERSION) {
+    const error = new Error(`Pack schema version ${fromVersion} is newer than supported (${CURRENT_PACK_SCHEMA_VERSION})`);
+    // Not corruption: the pack is fine, this build just can't read it
+    error.newerSchema = true;
+    throw error;
+  }
+
+  for (let version = fromVersion + 1; version <= CURRENT_PACK_SCHEMA_VERSION; version++) {
+    const migrate = PACK_MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`Missing pack migration to schema version ${version}`);
+    }
+    pack = migrate(pack) || pack;
+    pack.schemaVersion = version;
+  }
+
+  return { pack, migrated: fromVersion !== CURRENT_PACK_SCHEMA_VERSION };
+}
+
+/**
+ * Parse, validate and migrate a stored pack
+ *
+ * @param {string} content - Stored JSON
+ * @returns {{ pack: Object, migrated: boolean }}
+ * @throws {Error} If the content is not a usable pack
+ */
+export function parseStoredPack(content) {
+  let pack;
+  try {
+    pack = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Pack JSON is corrupted: ${error.message}`);
+  }
+
+  const problem = validatePack(pack);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  return migratePack(pack);
+}
@@ -5,8 +5,12 @@
  * - Exponential backoff with jitter
  * - Configurable retry conditions
  * - Progress callbacks
+ * - Cancellation via AbortSignal
+ * - Optional provider pool (bounded concurrency with shared backoff)
  */
 
+import { createAbortError, isAbortError, throwIfAborted } from './abort';
+
 /**
  * Default retry configuration
  */
@@ -43,6 +47,12 @@ const RETRYABLE_STATUS_CODES = [
   504, // Gateway Timeout
 ];
 
+/**
+ * Status codes that mean the provider wants every caller to slow down,
+ * not just the request that hit them
+ */
+const SHARED_BACKOFF_STATUS_CODES = [429, 503];
+
 /**
  * Check if an error is retryable
  * @param {Error} error - The error to check
@@ -101,10 +111,30 @@ export function calculateDelay(attempt, config = DEFAULT_CONFIG) {
 /**
  * Sleep for a specified duration
  * @param {number} ms - Duration in milliseconds
+ * @param {AbortSignal} [signal] - Rejects with an AbortError when aborted
  * @returns {Promise<void>}
  */
-export function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+export function sleep(ms, signal) {
+  if (!signal) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(createAbortError());
+    };
+    const timeoutId = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
 /**
@@ -118,20 +148,33 @@ export function sleep(ms) {
  * @param {number} [options.backoffMultiplier=2] - Backoff multiplier
  * @param {Function} [options.shouldRetry] - Custom function to determine if should retry
  * @param {Function} [options.onRetry] - Callback called before each retry
+ * @param {AbortSignal} [options.signal] - Stops retrying (and waiting) when aborted
+ * @param {import('./concurrency').ConcurrencyPool} [options.pool] - Runs each attempt in
+ *   this pool; rate-limit retries pause the whole pool for the backoff delay
  * @returns {Promise<any>} Result of the function
  */
 export async function withRetry(fn, options = {}) {
   const config = { ...DEFAULT_CONFIG, ...options };
-  const { maxRetries, shouldRetry, onRetry } = config;
+  const { maxRetries, shouldRetry, onRetry, signal, pool } = config;
 
   let lastError;
 
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    throwIfAborted(signal);
+
     try {
-      return await fn(attempt);
+      // The pool slot is released between attempts so backoff doesn't hold it
+      return pool
+        ? await pool.run(() => fn(attempt), { signal })
+        : await fn(attempt);
     } catch (error) {
       lastError = error;
 
+      // Cancellation is never retried
+      if (isAbortError(error) || signal?.aborted) {
+        throw error;
+      }
+
       // Check if we should retry
       const canRetry = attempt < maxRetries;
       const shouldAttemptRetry = shouldRetry
@@ -145,6 +188,11 @@ export async function withRetry(fn, options = {}) {
       // Calculate delay
       const delay = calculateDelay(attempt, config);
 
+      // Rate limits apply to the provider, so hold back its other requests too
+      if (pool && SHARED_BACKOFF_STATUS_CODES.includes(error.status)) {
+        pool.pause(delay);
+      }
+
       // Call onRetry callback
       if (onRetry) {
         onRetry({
@@ -156,7 +204,7 @@ export async function withRetry(fn, options = {}) {
       }
 
       // Wait before retrying
-      await sleep(delay);
+      await sleep(delay, signal);
     }
   }
 
@@ -1,19 +1,109 @@
-import { calculateDistance, calculateRouteDistance } from './geofence';
+import {
+  calculateDistance,
+  calculateRouteDistance,
+  getCumulativeDistances,
+  normalizeLongitude,
+  projectOntoRoute,
+} from './geofence';
+
+// Checkpoint density profiles. Counts scale with route length: about one
+// checkpoint every `spacing` meters (departure and arrival included), within
+// min/max. 'everyLandmark' anchors on every feature at least minSpacing
+// apart and only fills the gaps at the standard spacing.
+export const CHECKPOINT_DENSITIES = {
+  sparse: {
+    label: 'Sparse',
+    description: 'A few highlights, about every 400 km',
+    spacing: 400000,
+    minSpacing: 150000,
+    min: 3,
+    max: 12,
+  },
+  standard: {
+    label: 'Standard',
+    description: 'About every 200 km',
+    spacing: 200000,
+    minSpacing: 80000,
+    min: 5,
+    max: 30,
+  },
+  dense: {
+    label: 'Dense',
+    description: 'About every 100 km',
+    spacing: 100000,
+    minSpacing: 40000,
+    min: 8,
+    max: 60,
+  },
+  everyLandmark: {
+    label: 'Every Landmark',
+    description: 'Every notable place in sight, about every 200 km elsewhere',
+    spacing: 200000,
+    minSpacing: 30000,
+    min: 5,
+    max: 80,
+    everyLandmark: true,
+  },
+};
+
+export const DEFAULT_CHECKPOINT_DENSITY = 'standard';
+
+/**
+ * Options for routeToCheckpoints from the narration density settings
+ * @param {Array} route - Route points
+ * @param {Object} settings
+ * @param {string} [settings.density] - A CHECKPOINT_DENSITIES key, or
+ *   'custom' for a fixed count
+ * @param {number} [settings.checkpointsPerFlight] - Count for 'custom'
+ * @param {number} [settings.geofenceRadius] - Trigger radius (meters)
+ * @returns {Object} { numCheckpoints, minSpacing, fillSpacing, geofenceRadius }
+ */
+export function getCheckpointOptions(route, { density, checkpointsPerFlight = 20, geofenceRadius = 15000 } = {}) {
+  if (density === 'custom') {
+    return {
+      numCheckpoints: Math.max(2, Math.round(checkpointsPerFlight)),
+      minSpacing: 80000,
+      geofenceRadius,
+    };
+  }
+
+  const profile = CHECKPOINT_DENSITIES[density] || CHECKPOINT_DENSITIES[DEFAULT_CHECKPOINT_DENSITY];
+  const totalDistance = route?.length >= 2 ? calculateRouteDistance(route) : 0;
+  const count = Math.min(profile.max, Math.max(profile.min, Math.round(totalDistance / profile.spacing) + 1));
+  return {
+    numCheckpoints: profile.everyLandmark ? profile.max : count,
+    minSpacing: profile.minSpacing,
+    // Short routes still get the minimum where minSpacing allows
+    fillSpacing: totalDistance / (count - 1),
+    geofenceRadius,
+  };
+}
 
-// Convert a flight route to narration checkpoints
+// Convert a flight route to narration checkpoints.
+//
+// With options.features (notable places along the route, see
+// LandmarkService.findRouteFeatures) checkpoints are anchored abeam of the
+// best of them, and only the stretches with nothing worth pointing out get
+// evenly spaced waypoints. Without features checkpoints are evenly spaced.
 export function routeToCheckpoints(route, options = {}) {
   const {
     numCheckpoints = 20,
     minSpacing = 50000, // Minimum 50km between checkpoints
     geofenceRadius = 10000, // 10km trigger radius
+    fillSpacing, // Spacing of evenly spaced waypoints; defaults to the route split numCheckpoints ways
+    features,
   } = options;
 
   if (!route || route.length < 2) {
     return [];
   }
 
+  if (features?.length > 0) {
+    return placeCheckpointsOnFeatures(route, features, { numCheckpoints, minSpacing, fillSpacing, geofenceRadius });
+  }
+
   const totalDistance = calculateRouteDistance(route);
-  const idealSpacing = totalDistance / (numCheckpoints + 1);
+  const idealSpacing = fillSpacing || totalDistance / (numCheckpoints + 1);
   const spacing = Math.max(idealSpacing, minSpacing);
 
   const checkpoints = [];
@@ -55,6 +145,117 @@ export function routeToCheckpoints(route, options = {}) {
   return checkpoints;
 }
 
+// Landmark placement: each feature is scored by relevance times visibility
+// (1 right under the flight path, falling to 0 at its sightRange), then the
+// best are taken greedily, skipping any closer than minSpacing along the
+// route to one already taken. Gaps still wider than the even spacing are
+// filled with waypoints, widest gap first.
+function placeCheckpointsOnFeatures(route, features, { numCheckpoints, minSpacing, fillSpacing, geofenceRadius }) {
+  const distances = getCumulativeDistances(route);
+  const totalDistance = distances[distances.length - 1];
+  const spacing = Math.max(fillSpacing || totalDistance / (numCheckpoints + 1), minSpacing);
+
+  const candidates = features
+    .map((feature) => {
+      const projection = projectOntoRoute(feature, route, distances);
+      const visibility = 1 - projection.crossTrack / (feature.sightRange || minSpacing);
+      return { feature, projection, score: (feature.relevance || 1) * visibility };
+    })
+    .filter(({ score, projection }) =>
+      score > 0 &&
+      projection.alongTrack >= minSpacing &&
+      projection.alongTrack <= totalDistance - minSpacing
+    )
+    .sort((a, b) => b.score - a.score);
+
+  const anchors = [];
+  for (const candidate of candidates) {
+    if (anchors.length >= numCheckpoints - 2) break;
+    const along = candidate.projection.alongTrack;
+    if (anchors.every(anchor => Math.abs(anchor.projection.alongTrack - along) >= minSpacing)) {
+      anchors.push(candidate);
+    }
+  }
+  anchors.sort((a, b) => a.projection.alongTrack - b.projection.alongTrack);
+
+  // Stops along the route: [departure, ...anchors, arrival], then waypoints
+  // evenly spread over each gap they leave
+  const stops = [0, ...anchors.map(anchor => anchor.projection.alongTrack), totalDistance];
+  const fills = new Array(stops.length - 1).fill(0);
+  let remaining = numCheckpoints - 2 - anchors.length;
+  while (remaining > 0) {
+    let widest = -1;
+    let widestSpacing = 0;
+    for (let i = 0; i < fills.length; i++) {
+      const gapSpacing = (stops[i + 1] - stops[i]) / (fills[i] + 2);
+      if (gapSpacing >= spacing && gapSpacing > widestSpacing) {
+        widest = i;
+        widestSpacing = gapSpacing;
+      }
+    }
+    if (widest === -1) break;
+    fills[widest]++;
+    remaining--;
+  }
+
+  const checkpoints = [];
+  let checkpointIndex = 0;
+  checkpoints.push(createCheckpoint(route[0], checkpointIndex++, 'departure', geofenceRadius));
+  for (let i = 0; i < fills.length; i++) {
+    const gap = stops[i + 1] - stops[i];
+    for (let n = 1; n <= fills[i]; n++) {
+      const point = pointAtDistance(route, distances, stops[i] + (gap * n) / (fills[i] + 1));
+      checkpoints.push(createCheckpoint(point, checkpointIndex++, 'waypoint', geofenceRadius));
+    }
+    const anchor = anchors[i];
+    if (anchor) {
+      const { feature, projection } = anchor;
+      const point = pointAtDistance(route, distances, projection.alongTrack);
+      checkpoints.push({
+        ...createCheckpoint({ ...point, name: feature.name }, checkpointIndex++, 'landmark', geofenceRadius),
+        landmark: {
+          name: feature.name,
+          type: feature.type,
+          category: feature.category,
+          region: null,
+          country: null,
+          nearbyFeatures: [],
+          latitude: feature.latitude,
+          longitude: feature.longitude,
+          distance: Math.round(projection.crossTrack),
+          side: projection.side,
+        },
+      });
+    }
+  }
+  const lastPoint = route[route.length - 1];
+  checkpoints.push(createCheckpoint(lastPoint, checkpointIndex, 'arrival', geofenceRadius));
+
+  return checkpoints;
+}
+
+// Point (with altitude) the given distance along the route
+function pointAtDistance(route, distances, distance) {
+  for (let i = 0; i < route.length - 1; i++) {
+    if (distance <= distances[i + 1] || i === route.length - 2) {
+      const length = distances[i + 1] - distances[i];
+      const t = length > 0 ? Math.max(0, Math.min(1, (distance - distances[i]) / length)) : 0;
+      const start = route[i];
+      const end = route[i + 1];
+      const point = {
+        latitude: start.latitude + (end.latitude - start.latitude) * t,
+        longitude: start.longitude + normalizeLongitude(end.longitude - start.longitude) * t,
+      };
+      point.longitude = normalizeLongitude(point.longitude);
+      if (Number.isFinite(start.altitude) && Number.isFinite(end.altitude)) {
+        point.altitude = start.altitude + (end.altitude - start.altitude) * t;
+      }
+      return point;
+    }
+  }
+  return route[route.length - 1];
+}
+
 function createCheckpoint(point, index, type, radius) {
   return {
     id: `checkpoint_${index}`,
@@ -0,0 +1,136 @@
+import { calculateRouteDistance } from './geofence';
+
+// Multi-leg trips: several flight packs flown in order (e.g. SFO→LHR→DXB).
+// Each leg keeps its own pack; a trip only records the order and layovers.
+
+const toPackId = (flightNumber) => String(flightNumber).toUpperCase().replace(/\s/g, '');
+
+/**
+ * Split user input like "UA901, EK30" or "UA901 + EK30" into flight numbers
+ * @returns {string[]} Flight numbers in order (one entry means a single flight)
+ */
+export function parseTripInput(input) {
+  return String(input || '')
+    .split(/[,+→>]/)
+    .map(part => part.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+export function createTrip(flightNumbers, name = null) {
+  const legs = flightNumbers.map(flightNumber => ({
+    flightNumber: toPackId(flightNumber),
+  }));
+  return {
+    id: `trip_${legs.map(leg => leg.flightNumber).join('_')}`,
+    name: name || legs.map(leg => leg.flightNumber).join(' → '),
+    legs,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Layover between each pair of consecutive legs
+ * @param {Array} packs - One pack per leg, in order
+ * @returns {Array} [{ airport, fromFlight, toFlight, minutes, airportMismatch }]
+ *   minutes is null when either leg has no schedule times
+ */
+export function getLayovers(packs) {
+  const layovers = [];
+  for (let i = 0; i < packs.length - 1; i++) {
+    const inbound = packs[i];
+    const outbound = packs[i + 1];
+    const arrival = inbound.arrivalTime ? Date.parse(inbound.arrivalTime) : NaN;
+    const departure = outbound.departureTime ? Date.parse(outbound.departureTime) : NaN;
+    const minutes = Number.isFinite(arrival) && Number.isFinite(departure)
+      ? Math.round((departure - arrival) / 60000)
+      : null;
+
+    layovers.push({
+      airport: inbound.destination || null,
+      fromFlight: inbound.flightNumber,
+      toFlight: outbound.flightNumber,
+      minutes,
+      // The next leg should leave from where this one lands
+      airportMismatch: !!(inbound.destination?.code && outbound.origin?.code &&
+        inbound.destination.code !== outbound.origin.code),
+    });
+  }
+  return layovers;
+}
+
+export function formatLayover(minutes) {
+  if (minutes == null) return null;
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// Checkpoint ids restart at checkpoint_0 in every pack, so trip-wide views
+// prefix them with the pack id
+export function getTripCheckpointId(packId, checkpointId) {
+  return `${packId}:${checkpointId}`;
+}
+
+/**
+ * Whole-trip view for the map, progress bar and checkpoint list
+ * @param {Array} packs - One pack per leg, in order
+ * @param {number} legIndex - Leg being tracked
+ * @param {Set} legTriggered - Checkpoint ids triggered on the current leg
+ * @param {Set} [legMissed] - Checkpoint ids missed on the current leg
+ * @returns {{ route, checkpoints, triggered: Set, missed: Set, stops, origin, destination }}
+ *   checkpoints carry legIndex, packId and checkpointId (the id within the
+ *   pack); stops are the layover airports with the fraction of the trip's
+ *   distance flown when reaching them
+ */
+export function buildTripView(packs, legIndex, legTriggered = new Set(), legMissed = new Set()) {
+  const route = [];
+  const checkpoints = [];
+  const triggered = new Set();
+  const missed = new Set();
+  const stops = [];
+  let distance = 0;
+
+  packs.forEach((pack, index) => {
+    route.push(...(pack.route || []));
+    distance += pack.route?.length > 1 ? calculateRouteDistance(pack.route) : 0;
+
+    for (const checkpoint of pack.checkpoints || []) {
+      const id = getTripCheckpointId(pack.id, checkpoint.id);
+      checkpoints.push({
+        ...checkpoint,
+        id,
+        legIndex: index,
+        packId: pack.id,
+        checkpointId: checkpoint.id,
+      });
+      // Earlier legs were flown in full
+      if (index < legIndex || (index === legIndex && legTriggered.has(checkpoint.id))) {
+        triggered.add(id);
+      } else if (index === legIndex && legMissed.has(checkpoint.id)) {
+        missed.add(id);
+      }
+    }
+
+    if (index < packs.length - 1) {
+      stops.push({ airport: pack.destination || null, distance });
+    }
+  });
+
+  return {
+    route,
+    checkpoints,
+    triggered,
+    missed,
+    stops: stops.map(stop => ({
+      airport: stop.airport,
+      fraction: distance > 0 ? stop.distance / distance : 0,
+    })),
+    origin: packs[0]?.origin || null,
+    destination: packs[packs.length - 1]?.destination || null,
+  };
+}
+
+// A leg is finished once its arrival checkpoint has triggered
+export function isLegComplete(pack, triggeredIds) {
+  const arrival = (pack?.checkpoints || []).find(checkpoint => checkpoint.type === 'arrival');
+  return !!arrival && triggeredIds.has(arrival.id);
+}
@@ -0,0 +1,186 @@
+/**
+ * Usage and cost accounting for paid APIs
+ *
+ * A usage record totals what the paid APIs were asked to do:
+ *   { inputTokens, outputTokens, ttsCharacters, flightApiCalls, requestCount, cost }
+ * Packs keep a detailed record that also lists each request:
+ *   requests: [{ service, model?, inputTokens?, outputTokens?, characters?, calls?, cost, at }]
+ * where service is an LLM provider id ('anthropic', 'openai'), 'elevenlabs'
+ * or 'aeroapi'. Costs are estimates in US dollars from the list prices in
+ * config/api.js; a service priced per model has { models, default } there.
+ *
+ * A spend cap that is reached stops work with a BudgetExceededError, which
+ * callers pass through like an AbortError.
+ */
+
+import { API_CONFIG } from '../config/api';
+
+const PRICING = {
+  anthropic: API_CONFIG.claude.pricing,
+  openai: API_CONFIG.openaiCompatible.pricing,
+  elevenlabs: API_CONFIG.elevenLabs.pricing,
+  aeroapi: API_CONFIG.flightData.pricing,
+};
+
+// Characters per token, for estimating a prompt before it is sent
+const CHARACTERS_PER_TOKEN = 4;
+
+// Rough sizes of one narration, for estimates before anything is generated
+const PROMPT_TOKENS = 1100;           // Single-checkpoint prompt
+const BATCH_PROMPT_TOKENS = 900;      // Batch prompt without the checkpoint list
+const BATCH_TOKENS_PER_CHECKPOINT = 90;
+const OUTPUT_TOKENS = { short: 150, medium: 220, long: 300 };
+const TTS_CHARACTERS = { short: 160, medium: 320, long: 480 };
+const FLIGHT_API_CALLS_PER_PACK = 2;  // Flight lookup + track
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.detailed=false] - Also keep a list of requests
+ * @returns {Object} Empty usage record
+ */
+export function createUsage({ detailed = false } = {}) {
+  const usage = {
+    inputTokens: 0,
+    outputTokens: 0,
+    ttsCharacters: 0,
+    flightApiCalls: 0,
+    requestCount: 0,
+    cost: 0,
+  };
+  if (detailed) {
+    usage.requests = [];
+  }
+  return usage;
+}
+
+// Prices for a service, or for one of its models
+function getPricing(service, model) {
+  const pricing = PRICING[service] || {};
+  if (!pricing.models) return pricing;
+
+  const match = Object.keys(pricing.models)
+    .filter(prefix => model?.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? pricing.models[match] : pricing.default || {};
+}
+
+/**
+ * Estimated cost of one request
+ * @param {Object} request - { service, model?, inputTokens?, outputTokens?, characters?, calls? }
+ * @returns {number} US dollars
+ */
+export function getRequestCost({ service, model, inputTokens = 0, outputTokens = 0, characters = 0, calls = 0 }) {
+  const pricing = getPricing(service, model);
+  return (
+    (inputTokens * (pricing.inputPerMillionTokens || 0) +
+      outputTokens * (pricing.outputPerMillionTokens || 0)) / 1e6 +
+    characters * (pricing.perThousandCharacters || 0) / 1000 +
+    calls * (pricing.perCall || 0)
+  );
+}
+
+/**
+ * Rough token count of a prompt, for a cost estimate before it is sent
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text?.length || 0) / CHARACTERS_PER_TOKEN);
+}
+
+/**
+ * Add a priced request to a usage record (mutates it)
+ * @param {Object} usage - From createUsage
+ * @param {Object} request - { service, ..., cost }
+ * @returns {Object} The usage record
+ */
+export function addUsage(usage, request) {
+  usage.inputTokens += request.inputTokens || 0;
+  usage.outputTokens += request.outputTokens || 0;
+  usage.ttsCharacters += request.characters || 0;
+  usage.flightApiCalls += request.calls || 0;
+  usage.requestCount += 1;
+  usage.cost += request.cost || 0;
+  if (Array.isArray(usage.requests)) {
+    usage.requests.push(request);
+  }
+  return usage;
+}
+
+/**
+ * What downloading a pack is likely to use
+ * @param {Object} options
+ * @param {number} options.checkpoints - Number of checkpoints
+ * @param {string} [options.llmProvider] - Provider that would write the
+ *   narrations; none means offline narrations
+ * @param {string} [options.model] - That provider's model, for its price
+ * @param {boolean} [options.batch] - Whole pack in one request
+ * @param {string} [options.length] - Narration length setting
+ * @param {boolean} [options.audio] - Voice audio will be generated
+ * @param {boolean} [options.flightData] - The route comes from AeroAPI
+ * @returns {Object} Usage record with estimated totals
+ */
+export function estimatePackUsage({ checkpoints, llmProvider, model, batch, length = 'medium', audio, flightData }) {
+  const usage = createUsage();
+  const outputTokens = OUTPUT_TOKENS[length] || OUTPUT_TOKENS.medium;
+
+  if (llmProvider && checkpoints > 0) {
+    const request = batch && checkpoints > 1
+      ? {
+        service: llmProvider,
+        model,
+        inputTokens: BATCH_PROMPT_TOKENS + BATCH_TOKENS_PER_CHECKPOINT * checkpoints,
+        outputTokens: outputTokens * checkpoints,
+      }
+      : {
+        service: llmProvider,
+        model,
+        inputTokens: PROMPT_TOKENS * checkpoints,
+        outputTokens: outputTokens * checkpoints,
+      };
+    addUsage(usage, { ...request, cost: getRequestCost(request) });
+  }
+  if (audio && checkpoints > 0) {
+    const request = { service: 'elevenlabs', characters: (TTS_CHARACTERS[length] || TTS_CHARACTERS.medium) * checkpoints };
+    addUsage(usage, { ...request, cost: getRequestCost(request) });
+  }
+  if (flightData) {
+    const request = { service: 'aeroapi', calls: FLIGHT_API_CALLS_PER_PACK };
+    addUsage(usage, { ...request, cost: getRequestCost(request) });
+  }
+  return usage;
+}
+
+/**
+ * @param {number} cost - US dollars
+ * @returns {string} e.g. "$0.42", "<$0.01"
+ */
+export function formatCost(cost) {
+  if (!cost) return '$0.00';
+  if (cost < 0.01) return '<$0.01';
+  return `$${cost.toFixed(2)}`;
+}
+
+/**
+ * Create the error that stops work when a spend cap is reached
+ * @param {Object} exceeded - { cap: 'monthly' | 'pack', limit, spent }
+ * @returns {Error}
+ */
+export function createBudgetError(exceeded) {
+  const label = exceeded.cap === 'pack' ? 'per-pack' : 'monthly';
+  const error = new Error(
+    `The ${label} budget of ${formatCost(exceeded.limit)} has been reached (${formatCost(exceeded.spent)} spent).`
+  );
+  error.name = 'BudgetExceededError';
+  error.budget = exceeded;
+  return error;
+}
+
+/**
+ * Check if an error was caused by a spend cap
+ * @param {Error} error - The error to check
+ * @returns {boolean}
+ */
+export function isBudgetError(error) {
+  return error?.name === 'BudgetExceededError';
+}